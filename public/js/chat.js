@@ -7,6 +7,11 @@ class ChatInterface {
         this.currentPage = 1;
         this.loading = false;
         this.hasMoreMessages = true;
+        this.cannedResponses = [];
+        this.cannedMatches = [];
+        this.cannedIndex = 0;
+        this.cannedQuery = null;
+        this.cannedFromSlash = false;
         
         this.initializeChat();
         this.setupEventListeners();
@@ -44,7 +49,15 @@ class ChatInterface {
                 </div>
                 
                 <div class="chat-input-container">
+                    <div class="canned-picker" id="cannedPicker-${this.customerId}" style="display: none;"></div>
                     <div class="chat-input-wrapper">
+                        <button 
+                            class="btn-icon canned-button"
+                            onclick="chat_${this.customerId}.toggleCannedPicker()"
+                            title="Canned responses (Ctrl+/ or type /shortcut)"
+                        >
+                            <i class="material-icons">bolt</i>
+                        </button>
                         <textarea 
                             id="chatInput-${this.customerId}"
                             class="chat-input"
@@ -78,6 +91,7 @@ class ChatInterface {
 
         // Load initial messages
         this.loadMessages();
+        this.loadCannedResponses();
     }
 
     createChatModal() {
@@ -101,9 +115,18 @@ class ChatInterface {
                 this.autoResizeTextarea(input);
                 this.updateCharCounter();
                 this.toggleSendButton();
+                this.updateCannedPicker();
             });
 
             input.addEventListener('keydown', (e) => {
+                if (e.key === '/' && (e.ctrlKey || e.metaKey)) {
+                    e.preventDefault();
+                    this.toggleCannedPicker();
+                    return;
+                }
+
+                if (this.handleCannedPickerKey(e)) return;
+
                 if (e.key === 'Enter' && !e.shiftKey) {
                     e.preventDefault();
                     this.sendMessage();
@@ -261,6 +284,196 @@ class ChatInterface {
         }
     }
 
+    // Canned responses - typed as "/shortcut", or picked with Ctrl+/
+
+    getAuthHeaders() {
+        const authToken = localStorage.getItem('adminToken');
+        return {
+            'Content-Type': 'application/json',
+            ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {})
+        };
+    }
+
+    async loadCannedResponses() {
+        try {
+            const response = await fetch('/api/canned-responses?channel=sms', {
+                headers: this.getAuthHeaders()
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.cannedResponses = data.responses;
+            }
+        } catch (error) {
+            console.error('Error loading canned responses:', error);
+        }
+    }
+
+    toggleCannedPicker() {
+        if (this.cannedQuery !== null) {
+            this.closeCannedPicker();
+        } else {
+            this.openCannedPicker('');
+        }
+        document.getElementById(`chatInput-${this.customerId}`)?.focus();
+    }
+
+    // Open the picker while the word before the cursor is "/query"
+    updateCannedPicker() {
+        const input = document.getElementById(`chatInput-${this.customerId}`);
+        const beforeCursor = input.value.slice(0, input.selectionStart);
+        const match = beforeCursor.match(/(?:^|\s)\/([a-z0-9-]*)$/i);
+
+        if (match) {
+            this.openCannedPicker(match[1].toLowerCase(), true);
+        } else if (this.cannedQuery !== null && this.cannedFromSlash) {
+            this.closeCannedPicker();
+        }
+    }
+
+    openCannedPicker(query, fromSlash = false) {
+        this.cannedQuery = query;
+        this.cannedFromSlash = fromSlash;
+        this.cannedMatches = this.cannedResponses.filter(response =>
+            !query ||
+            response.shortcut.startsWith(query) ||
+            response.name.toLowerCase().includes(query)
+        );
+        this.cannedIndex = 0;
+        this.renderCannedPicker();
+    }
+
+    closeCannedPicker() {
+        this.cannedQuery = null;
+        this.cannedFromSlash = false;
+        const picker = document.getElementById(`cannedPicker-${this.customerId}`);
+        if (picker) picker.style.display = 'none';
+    }
+
+    renderCannedPicker() {
+        const picker = document.getElementById(`cannedPicker-${this.customerId}`);
+        if (!picker) return;
+
+        if (this.cannedMatches.length === 0) {
+            picker.innerHTML = `<div class="canned-empty">${this.cannedResponses.length === 0 ? 'No canned responses yet' : 'No matching responses'}</div>`;
+        } else {
+            picker.innerHTML = this.cannedMatches.map((response, index) => `
+                <div class="canned-item ${index === this.cannedIndex ? 'active' : ''}"
+                     onmousedown="event.preventDefault(); chat_${this.customerId}.insertCannedResponse(${index})">
+                    <button class="canned-favorite ${response.isFavorite ? 'favorited' : ''}"
+                            onmousedown="event.preventDefault(); event.stopPropagation(); chat_${this.customerId}.toggleCannedFavorite('${response._id}')"
+                            title="${response.isFavorite ? 'Remove from favourites' : 'Add to favourites'}">
+                        <i class="material-icons">${response.isFavorite ? 'star' : 'star_border'}</i>
+                    </button>
+                    <div class="canned-text">
+                        <div class="canned-name">${this.escapeHtml(response.name)} <span class="canned-shortcut">/${this.escapeHtml(response.shortcut)}</span></div>
+                        <div class="canned-preview">${this.escapeHtml(response.content.slice(0, 80))}</div>
+                    </div>
+                </div>
+            `).join('');
+        }
+
+        picker.style.display = 'block';
+        picker.querySelector('.canned-item.active')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    // Arrow keys, Enter/Tab and Escape while the picker is open; returns true if handled
+    handleCannedPickerKey(e) {
+        if (this.cannedQuery === null) return false;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeCannedPicker();
+            return true;
+        }
+
+        if (this.cannedMatches.length === 0) return false;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.cannedIndex = (this.cannedIndex + step + this.cannedMatches.length) % this.cannedMatches.length;
+            this.renderCannedPicker();
+            return true;
+        }
+
+        if ((e.key === 'Enter' && !e.shiftKey) || e.key === 'Tab') {
+            e.preventDefault();
+            this.insertCannedResponse(this.cannedIndex);
+            return true;
+        }
+
+        return false;
+    }
+
+    // Expand the response for this customer (counting the use) and insert it at the cursor
+    async insertCannedResponse(index) {
+        const cannedResponse = this.cannedMatches[index];
+        if (!cannedResponse) return;
+
+        const input = document.getElementById(`chatInput-${this.customerId}`);
+        const fromSlash = this.cannedFromSlash;
+        this.closeCannedPicker();
+
+        try {
+            const response = await fetch(`/api/canned-responses/${cannedResponse._id}/use`, {
+                method: 'POST',
+                headers: this.getAuthHeaders(),
+                body: JSON.stringify({ contactId: this.customerId })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to use canned response');
+            }
+
+            // Replace the typed "/shortcut", or insert at the cursor
+            let start = input.selectionStart;
+            const end = input.selectionEnd;
+            if (fromSlash) {
+                start = input.value.slice(0, start).lastIndexOf('/');
+            }
+
+            input.value = input.value.slice(0, start) + data.content + input.value.slice(end);
+            const cursor = start + data.content.length;
+            input.setSelectionRange(cursor, cursor);
+            input.focus();
+
+            this.autoResizeTextarea(input);
+            this.updateCharCounter();
+            this.toggleSendButton();
+        } catch (error) {
+            console.error('Error inserting canned response:', error);
+            this.showError('Failed to insert canned response');
+        }
+    }
+
+    async toggleCannedFavorite(responseId) {
+        try {
+            const response = await fetch(`/api/canned-responses/${responseId}/favorite`, {
+                method: 'POST',
+                headers: this.getAuthHeaders(),
+                body: JSON.stringify({})
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.cannedResponses = this.cannedResponses
+                    .map(r => (r._id === responseId ? { ...r, isFavorite: data.response.isFavorite } : r))
+                    .sort((a, b) => b.isFavorite - a.isFavorite);
+
+                if (this.cannedQuery !== null) {
+                    const selectedId = this.cannedMatches[this.cannedIndex]?._id;
+                    this.openCannedPicker(this.cannedQuery, this.cannedFromSlash);
+                    this.cannedIndex = Math.max(0, this.cannedMatches.findIndex(r => r._id === selectedId));
+                    this.renderCannedPicker();
+                }
+            }
+        } catch (error) {
+            console.error('Error updating favourite:', error);
+        }
+    }
+
     appendMessage(message) {
         const messagesContainer = document.getElementById(`chatMessages-${this.customerId}`);
         const messageElement = this.createMessageElement(message);
@@ -58,7 +58,11 @@ class FailsafeLeadCapture {
             page: window.location.href,
             userAgent: navigator.userAgent,
             referrer: document.referrer,
-            sessionId: this.getSessionId()
+            sessionId: this.getSessionId(),
+            // Links the visitor's browsing history to the lead (see visitor-tracker.js)
+            visitorId: window.TownRankerVisitor ? window.TownRankerVisitor.visitorId : null,
+            visitorSessionId: window.TownRankerVisitor ? window.TownRankerVisitor.sessionId : null,
+            attribution: window.TownRankerVisitor ? window.TownRankerVisitor.attribution : null
         };
 
         for (const [key, value] of formData.entries()) {
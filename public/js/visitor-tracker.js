@@ -24,6 +24,36 @@
         sessionStorage.setItem('townranker_session_id', sessionId);
     }
 
+    // Get or create visitor ID - persists across sessions so the history can be linked to a lead
+    let visitorId = null;
+    try {
+        visitorId = localStorage.getItem('townranker_visitor_id');
+        if (!visitorId) {
+            visitorId = 'visitor_' + Date.now() + '_' + Math.random().toString(36).substring(2, 15);
+            localStorage.setItem('townranker_visitor_id', visitorId);
+        }
+    } catch (e) {
+        // Storage blocked - sessions stay anonymous
+    }
+
+    // How this session arrived - kept from its first page so later pages don't lose the UTM tags
+    let attribution = JSON.parse(sessionStorage.getItem('townranker_session_attribution') || 'null');
+    if (!attribution) {
+        attribution = {
+            utm: getUTMParameters(),
+            referrer: document.referrer || null,
+            landingPage: window.location.pathname
+        };
+        sessionStorage.setItem('townranker_session_attribution', JSON.stringify(attribution));
+    }
+
+    // Lead forms send these with /api/contact
+    window.TownRankerVisitor = {
+        visitorId: visitorId,
+        sessionId: sessionId,
+        attribution: attribution
+    };
+
     // Track session pages
     let sessionPages = JSON.parse(sessionStorage.getItem('townranker_session_pages') || '[]');
 
@@ -127,6 +157,7 @@
 
             // Session info
             sessionId: sessionId,
+            visitorId: visitorId,
             sessionPageCount: sessionPages.length + 1,
 
             // Device & Browser
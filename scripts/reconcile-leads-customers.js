@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * Migration Script: Reconcile Leads and Customers
+ * Links every website Lead to the Customer record for the same person
+ * (matched by email, then phone), copies lead notes/emails/interactions onto
+ * the customer, and reports duplicates that need a human decision.
+ *
+ * Usage:
+ *   node scripts/reconcile-leads-customers.js [--dry-run] [--create-missing]
+ *
+ *   --dry-run         Report what would change without writing anything
+ *   --create-missing  Also create Customers for leads with no match
+ *
+ * Safe to re-run: already-linked leads are only re-synced.
+ */
+
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const Customer = require('../server/models/Customer');
+const {
+    findMatchingCustomer,
+    convertLead,
+    syncLeadToCustomer
+} = require('../server/services/leadConversionService');
+const { getDbPhoneNumber } = require('../server/utils/phoneUtils');
+
+const MONGO_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/townranker';
+const DRY_RUN = process.argv.includes('--dry-run');
+const CREATE_MISSING = process.argv.includes('--create-missing');
+
+// Group records by a key and return only groups with more than one member
+function findDuplicates(records, getKey) {
+    const groups = new Map();
+    for (const record of records) {
+        const key = getKey(record);
+        if (!key) continue;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+    }
+    return [...groups.entries()].filter(([, group]) => group.length > 1);
+}
+
+async function reconcile() {
+    console.log(`🔄 Starting Lead/Customer reconciliation${DRY_RUN ? ' (dry run)' : ''}...\n`);
+
+    const stats = { linked: 0, created: 0, synced: 0, unmatched: 0, conflicts: 0, errors: 0 };
+
+    try {
+        await mongoose.connect(MONGO_URI);
+        console.log('✅ Connected to MongoDB\n');
+
+        // Leads are read from the raw collection - their schema lives inline in server.js
+        const leadsCollection = mongoose.connection.collection('leads');
+        const leads = await leadsCollection.find({}).toArray();
+        console.log(`📋 Found ${leads.length} leads\n`);
+
+        // Step 1: Link leads to customers
+        console.log('🔗 Step 1: Linking leads to customers...');
+
+        for (const lead of leads) {
+            try {
+                if (lead.customer && await Customer.exists({ _id: lead.customer })) {
+                    if (!DRY_RUN) {
+                        await syncLeadToCustomer(lead);
+                    }
+                    stats.synced++;
+                    continue;
+                }
+
+                const byEmail = lead.email ? await findMatchingCustomer({ email: lead.email }) : { customer: null };
+                const byPhone = lead.phone ? await findMatchingCustomer({ phone: lead.phone }) : { customer: null };
+
+                if (byEmail.customer && byPhone.customer && !byEmail.customer._id.equals(byPhone.customer._id)) {
+                    console.log(`   ⚠️  ${lead.email}: email matches customer ${byEmail.customer._id} but phone matches ${byPhone.customer._id} - linking by email`);
+                    stats.conflicts++;
+                }
+
+                const match = byEmail.customer ? byEmail : byPhone;
+
+                if (!match.customer && !CREATE_MISSING) {
+                    stats.unmatched++;
+                    continue;
+                }
+
+                if (DRY_RUN) {
+                    console.log(`   ${match.customer ? `🔗 Would link ${lead.email} to customer ${match.customer._id} (${match.matchedBy})` : `➕ Would create customer for ${lead.email}`}`);
+                    match.customer ? stats.linked++ : stats.created++;
+                    continue;
+                }
+
+                const result = await convertLead(lead, { customerId: match.customer?._id });
+                await leadsCollection.updateOne(
+                    { _id: lead._id },
+                    { $set: { customer: result.customer._id, convertedAt: lead.convertedAt || new Date() } }
+                );
+
+                result.created ? stats.created++ : stats.linked++;
+                console.log(`   ✅ ${lead.email} → customer ${result.customer._id} (${result.migrated.notes} notes, ${result.migrated.emails} emails, ${result.migrated.interactions} interactions)`);
+            } catch (err) {
+                stats.errors++;
+                console.error(`   ❌ ${lead.email}: ${err.message}`);
+            }
+        }
+
+        // Step 2: Report duplicates that can't be merged automatically
+        console.log('\n🔍 Step 2: Checking for duplicates...');
+
+        const duplicateLeadPhones = findDuplicates(leads, lead => getDbPhoneNumber(lead.phone));
+        duplicateLeadPhones.forEach(([phone, group]) => {
+            console.log(`   ⚠️  ${group.length} leads share phone ${phone}: ${group.map(l => l.email).join(', ')}`);
+        });
+
+        const customers = await Customer.find({}).select('name email phone').lean();
+        const duplicateCustomerPhones = findDuplicates(customers, customer => getDbPhoneNumber(customer.phone));
+        duplicateCustomerPhones.forEach(([phone, group]) => {
+            console.log(`   ⚠️  ${group.length} customers share phone ${phone}: ${group.map(c => `${c.email} (${c._id})`).join(', ')}`);
+        });
+
+        if (duplicateLeadPhones.length === 0 && duplicateCustomerPhones.length === 0) {
+            console.log('   ✅ No duplicate phone numbers found');
+        }
+
+        // Summary
+        console.log('\n📊 Summary');
+        console.log(`   Linked to existing customers: ${stats.linked}`);
+        console.log(`   New customers created:        ${stats.created}`);
+        console.log(`   Already linked (re-synced):   ${stats.synced}`);
+        console.log(`   Unmatched leads:              ${stats.unmatched}${CREATE_MISSING ? '' : ' (use --create-missing to create customers)'}`);
+        console.log(`   Email/phone conflicts:        ${stats.conflicts}`);
+        console.log(`   Errors:                       ${stats.errors}`);
+        console.log(`   Duplicate phone groups:       ${duplicateLeadPhones.length} lead, ${duplicateCustomerPhones.length} customer`);
+
+        console.log(`\n🎉 Reconciliation ${DRY_RUN ? 'dry run ' : ''}complete!`);
+    } catch (err) {
+        console.error('❌ Reconciliation failed:', err);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+    }
+}
+
+reconcile();
@@ -8,8 +8,26 @@ const { simpleParser } = require('mailparser');
 const http = require('http');
 const socketIo = require('socket.io');
 const openphoneSync = require('./server/services/openphoneSync');
-const { sendSlackVisitorNotification } = require('./server/services/visitor-tracker');
+const { sendSlackVisitorNotification, recordVisitorSession } = require('./server/services/visitor-tracker');
 const redditMonitorService = require('./server/services/redditMonitorService');
+const invoiceReminderService = require('./server/services/invoiceReminderService');
+const recurringInvoiceService = require('./server/services/recurringInvoiceService');
+const dripSequenceService = require('./server/services/dripSequenceService');
+const SequenceEnrollment = require('./server/models/SequenceEnrollment');
+const Communication = require('./server/models/Communication');
+const inboxService = require('./server/services/inboxService');
+const scheduledSendService = require('./server/services/scheduledSendService');
+const smsConsentService = require('./server/services/smsConsentService');
+const smsCampaignService = require('./server/services/smsCampaignService');
+const emailTemplateService = require('./server/services/emailTemplateService');
+const emailThreadService = require('./server/services/emailThreadService');
+const visitorJourneyService = require('./server/services/visitorJourneyService');
+const attributionService = require('./server/services/attributionService');
+const leadScoringService = require('./server/services/leadScoringService');
+const pipelineService = require('./server/services/pipelineService');
+// Loaded at startup so the shared email transport is verified before the first proposal, invoice or reminder is sent
+require('./server/services/emailService');
+const { convertLead, syncLeadToCustomer } = require('./server/services/leadConversionService');
 require('dotenv').config();
 
 const app = express();
@@ -34,6 +52,10 @@ app.get('/login', (req, res) => {
 
 // Make io available to routes
 app.set('io', io);
+inboxService.setSocketIO(io);
+smsConsentService.setSocketIO(io);
+smsCampaignService.setSocketIO(io);
+leadScoringService.setSocketIO(io);
 
 // Socket.io connection handling
 io.on('connection', (socket) => {
@@ -63,6 +85,8 @@ mongoose.connect(mongoUri, {
     useUnifiedTopology: true
 }).then(() => {
     console.log('✅ Connected to MongoDB (secured by network isolation)');
+    emailTemplateService.seedSystemTemplates();
+    pipelineService.seedDefaultStages();
 }).catch(err => {
     console.error('❌ MongoDB connection error:', err);
 });
@@ -126,6 +150,22 @@ const calendarEventSchema = new mongoose.Schema({
 
 const CalendarEvent = mongoose.model('CalendarEvent', calendarEventSchema);
 
+// How a visitor arrived on the site
+const touchSchema = {
+    source: String,
+    category: String,
+    landingPage: String,
+    referrer: String,
+    utm: {
+        source: String,
+        medium: String,
+        campaign: String,
+        term: String,
+        content: String
+    },
+    at: Date
+};
+
 // Lead Schema
 const leadSchema = new mongoose.Schema({
     projectType: {
@@ -172,15 +212,26 @@ const leadSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Pipeline stage key - stages are admin-defined (see server/services/pipelineService.js)
     status: {
         type: String,
-        enum: ['new', 'contacted', 'qualified', 'proposal', 'closed-won', 'closed-lost'],
         default: 'new'
     },
+    stageEnteredAt: Date,
+    stageHistory: [{
+        _id: false,
+        from: String,
+        to: { type: String, required: true },
+        changedBy: String,
+        changedAt: { type: Date, default: Date.now },
+        note: String,
+        timeInPreviousStage: Number // seconds
+    }],
     source: {
         type: String,
         default: 'website'
     },
+    timezone: String, // IANA name - used for scheduled sends
     createdAt: {
         type: Date,
         default: Date.now
@@ -240,9 +291,141 @@ const leadSchema = new mongoose.Schema({
     }],
     // Workflow data - using Mixed type for flexibility
     workflowItems: [mongoose.Schema.Types.Mixed],
-    workflowColumns: [mongoose.Schema.Types.Mixed]
+    workflowColumns: [mongoose.Schema.Types.Mixed],
+    // Linked CRM customer once the lead has been converted
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer'
+    },
+    convertedAt: Date,
+    // Website visitor who submitted the form and their pre-conversion journey
+    // (see server/services/visitorJourneyService.js)
+    visitorId: String,
+    journey: {
+        firstTouch: touchSchema,
+        lastTouch: touchSchema,
+        firstSeenAt: Date,
+        sessions: { type: Number, default: 0 },
+        pageViews: { type: Number, default: 0 },
+        timeOnSite: { type: Number, default: 0 } // seconds
+    },
+    // Marketing attribution of the converting session (see server/services/attributionService.js)
+    utm: touchSchema.utm,
+    referrer: String,
+    landingPage: String,
+    // Fit + engagement score (see server/services/leadScoringService.js)
+    leadScore: {
+        type: Number,
+        default: 0,
+        index: true
+    },
+    scoring: {
+        fit: Number,
+        engagement: Number,
+        factors: [{
+            _id: false,
+            factor: String,
+            group: { type: String, enum: ['fit', 'engagement'] },
+            points: Number,
+            detail: String
+        }],
+        calculatedAt: Date,
+        alertedAt: Date
+    }
 });
 
+// Remember the loaded stage so a status changed on the document can be recorded
+leadSchema.post('init', function() {
+    this.$locals.loadedStatus = this.status;
+});
+
+// New leads and status changes saved on the document must use a pipeline stage and get a history entry
+// (admin stage moves go through pipelineService.changeStage, which records the user)
+leadSchema.pre('save', async function() {
+    if (!this.isNew && !this.isModified('status')) return;
+
+    const stage = await pipelineService.getStage(this.status);
+    if (!stage) {
+        throw new Error(`Unknown pipeline stage: ${this.status}`);
+    }
+
+    const from = this.isNew ? null : this.$locals.loadedStatus;
+    this.stageHistory.push(pipelineService.historyEntry(this, this.status, {
+        from,
+        changedBy: this.$locals.changedBy || 'system'
+    }));
+    this.stageEnteredAt = new Date();
+    this.$locals.loadedStatus = this.status;
+});
+
+// Keep the linked Customer in sync whenever a converted lead changes
+async function syncConvertedLead(doc) {
+    if (!doc || !doc.customer) return;
+    try {
+        // findByIdAndUpdate without { new: true } hands us the pre-update document
+        const lead = this instanceof mongoose.Query ? await Lead.findById(doc._id) : doc;
+        await syncLeadToCustomer(lead);
+    } catch (error) {
+        console.error('Error syncing lead to customer:', error.message);
+    }
+}
+leadSchema.post('save', syncConvertedLead);
+leadSchema.post('findOneAndUpdate', syncConvertedLead);
+
+// Any pipeline status change ends the lead's drip sequence
+async function stopDripOnStatusChange(doc) {
+    if (!doc) return;
+    try {
+        if (this instanceof mongoose.Query) {
+            const update = this.getUpdate() || {};
+            if (update.status === undefined && update.$set?.status === undefined) return;
+        }
+        const lead = this instanceof mongoose.Query ? await Lead.findById(doc._id).select('status') : doc;
+        if (lead) await dripSequenceService.stopIfStatusChanged(lead);
+    } catch (error) {
+        console.error('Error stopping drip sequence:', error.message);
+    }
+}
+leadSchema.post('save', stopDripOnStatusChange);
+leadSchema.post('findOneAndUpdate', stopDripOnStatusChange);
+
+// A pipeline advance converts the lead's latest A/B tested SMS template send
+async function attributeSMSVariantConversion(doc) {
+    if (!doc) return;
+    try {
+        if (this instanceof mongoose.Query) {
+            const update = this.getUpdate() || {};
+            if (update.status === undefined && update.$set?.status === undefined) return;
+        }
+        const lead = this instanceof mongoose.Query ? await Lead.findById(doc._id).select('status') : doc;
+        // Required lazily - smsTemplateService loads the shared Lead model
+        if (lead) await require('./server/services/smsTemplateService').recordConversion(lead._id, 'status_advance', lead.status);
+    } catch (error) {
+        console.error('Error attributing SMS variant conversion:', error.message);
+    }
+}
+leadSchema.post('save', attributeSMSVariantConversion);
+leadSchema.post('findOneAndUpdate', attributeSMSVariantConversion);
+
+// Form edits, email opens and replies change the lead's score
+async function rescoreLead(doc) {
+    if (!doc) return;
+    try {
+        await leadScoringService.rescore(doc._id);
+    } catch (error) {
+        console.error('Error rescoring lead:', error.message);
+    }
+}
+leadSchema.post('save', rescoreLead);
+leadSchema.post('findOneAndUpdate', rescoreLead);
+
+// Sent and received lead emails update the unified inbox thread
+function updateInboxOnLeadEmail(doc) {
+    if (!doc || !this.getUpdate()?.$push?.emailHistory) return;
+    inboxService.recordActivity(doc._id);
+}
+leadSchema.post('findOneAndUpdate', updateInboxOnLeadEmail);
+
 // Create Lead model
 const Lead = mongoose.model('Lead', leadSchema);
 
@@ -250,7 +433,7 @@ const Lead = mongoose.model('Lead', leadSchema);
 const notificationSchema = new mongoose.Schema({
     type: {
         type: String,
-        enum: ['email_open', 'customer_reply', 'new_lead'],
+        enum: ['email_open', 'customer_reply', 'new_lead', 'hot_lead'],
         required: true
     },
     title: {
@@ -324,6 +507,16 @@ async function createNotification(type, title, message, customerName, customerEm
     }
 }
 
+// Leads crossing the score threshold show up as in-app notifications
+leadScoringService.setAlertHandler((lead, result) => createNotification(
+    'hot_lead',
+    `Hot lead: ${lead.name}`,
+    `${lead.name} reached a lead score of ${result.score} (fit ${result.fit}, engagement ${result.engagement})`,
+    lead.name,
+    lead.email,
+    lead._id
+));
+
 const { router: authRoutes, verifyToken: authenticateToken } = require('./server/routes/auth');
 
 // Email transporter setup
@@ -548,13 +741,12 @@ function fetchNewEmails() {
     });
 }
 
-// Function to process incoming emails and match to customers
+// Function to process incoming emails and match them to a lead or customer thread
 async function processIncomingEmail(parsed, attrs) {
     try {
         const fromEmail = parsed.from?.value?.[0]?.address?.toLowerCase();
         const subject = parsed.subject || '';
         const textContent = parsed.text || '';
-        const htmlContent = parsed.html || '';
         const receivedDate = parsed.date || new Date();
 
         console.log(`📨 Processing email from: ${fromEmail}`);
@@ -562,83 +754,80 @@ async function processIncomingEmail(parsed, attrs) {
         console.log(`📄 Content preview: ${textContent.substring(0, 100)}...`);
         console.log(`📅 Date: ${receivedDate}`);
 
-        if (!fromEmail) {
-            console.log('❌ No sender email found, skipping');
+        // In-Reply-To/References first, then the sender address
+        const match = await emailThreadService.matchInbound(parsed);
+        if (!match) {
+            console.log(`❓ No lead or customer found for email from: ${fromEmail || 'unknown sender'}`);
             return;
         }
 
-        // Find matching customer by email
-        const customer = await Lead.findOne({ 
-            email: fromEmail 
-        });
-
-        if (!customer) {
-            console.log(`❓ No customer found for email: ${fromEmail}`);
-            console.log(`🔍 Searching for customers with email containing: ${fromEmail}`);
-            
-            // Try partial match in case of email variations
-            const partialCustomer = await Lead.findOne({
-                email: { $regex: fromEmail.split('@')[0], $options: 'i' }
-            });
-            
-            if (partialCustomer) {
-                console.log(`🎯 Found partial match: ${partialCustomer.name} (${partialCustomer.email})`);
-            } else {
-                console.log(`📋 Available customer emails:`);
-                const allCustomers = await Lead.find({}, 'name email').limit(10);
-                allCustomers.forEach(c => console.log(`   ${c.name}: ${c.email}`));
-            }
+        const communication = await emailThreadService.recordInbound(parsed, match);
+        if (!communication) {
+            console.log(`⏭️ Email ${parsed.messageId} already stored, skipping`);
             return;
         }
 
-        console.log(`✅ Found customer: ${customer.name} (${customer._id})`);
+        const customer = match.lead || match.customer;
+        console.log(`✅ Matched ${match.matchedBy === 'header' ? 'reply' : 'sender'} to: ${customer.name} (${customer._id}), thread ${communication.threadId}`);
+        if (communication.attachments.length > 0) {
+            const stored = communication.attachments.filter(attachment => attachment.storagePath).length;
+            console.log(`📎 ${stored} of ${communication.attachments.length} attachment(s) stored`);
+        }
 
-        // Add email to customer's interaction history and email history
-        await Lead.findByIdAndUpdate(customer._id, {
-            $push: {
-                interactions: {
-                    type: 'email',
-                    title: 'Email Received',
-                    description: subject,
-                    timestamp: receivedDate,
-                    metadata: {
-                        emailSubject: subject,
-                        isIncoming: true,
-                        textContent: textContent.substring(0, 500), // Store first 500 chars
-                        fromEmail: fromEmail
+        if (match.lead) {
+            // A reply ends any automated follow-up sequence
+            await dripSequenceService.stopForLead(match.lead._id, 'email_reply');
+
+            // Add email to the lead's interaction history and email history
+            await Lead.findByIdAndUpdate(match.lead._id, {
+                $push: {
+                    interactions: {
+                        type: 'email',
+                        title: 'Email Received',
+                        description: subject,
+                        timestamp: receivedDate,
+                        metadata: {
+                            emailSubject: subject,
+                            isIncoming: true,
+                            fromEmail: fromEmail,
+                            communicationId: communication._id,
+                            threadId: communication.threadId
+                        }
+                    },
+                    emailHistory: {
+                        subject: subject,
+                        body: communication.body,
+                        sentAt: receivedDate,
+                        messageId: communication.emailId,
+                        status: 'received',
+                        direction: 'incoming',
+                        type: 'received',
+                        openCount: 0
                     }
                 },
-                emailHistory: {
-                    subject: subject,
-                    body: textContent,
-                    sentAt: receivedDate,
-                    messageId: parsed.messageId || `incoming-${Date.now()}`,
-                    status: 'received',
-                    direction: 'incoming',
-                    type: 'received',
-                    openCount: 0
-                }
-            },
-            lastContacted: receivedDate,
-            $inc: { emailCount: 1 }
-        });
+                lastContacted: receivedDate,
+                $inc: { emailCount: 1 }
+            });
+        } else {
+            inboxService.recordActivity(communication.customer);
+        }
 
         // Send notification about the reply
-        await sendReplyNotification(customer, subject, textContent, fromEmail);
+        await sendReplyNotification(customer, subject, communication.body, fromEmail);
 
-        console.log(`💾 Email reply saved for customer: ${customer.name}`);
+        console.log(`💾 Email reply saved for: ${customer.name}`);
 
         // Create in-app notification for customer reply
         await createNotification(
             'customer_reply',
             `${customer.name} replied to your email`,
-            `New reply: "${subject || 'No subject'}" - ${textContent.substring(0, 100)}${textContent.length > 100 ? '...' : ''}`,
+            `New reply: "${subject || 'No subject'}" - ${communication.body.substring(0, 100)}${communication.body.length > 100 ? '...' : ''}`,
             customer.name,
             customer.email,
-            customer._id,
+            match.lead?._id,
             {
                 emailSubject: subject || 'No subject',
-                replyContent: textContent.substring(0, 200)
+                replyContent: communication.body.substring(0, 200)
             }
         );
 
@@ -656,67 +845,17 @@ async function sendReplyNotification(customer, subject, content, fromEmail) {
     }
     
     try {
-        const notificationHtml = `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                <div style="background: linear-gradient(135deg, #3b82f6 0%, #1e40af 100%); padding: 20px; text-align: center;">
-                    <h1 style="color: white; margin: 0; font-size: 24px;">📨 Customer Reply Received!</h1>
-                </div>
-                <div style="padding: 30px; background: #f0f9ff; line-height: 1.6;">
-                    <h2 style="color: #1e40af; margin-top: 0;">${customer.name} replied to your email!</h2>
-                    
-                    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #3b82f6;">
-                        <h3 style="color: #1e40af; margin-top: 0;">📋 Customer Details</h3>
-                        <p><strong>Name:</strong> ${customer.name}</p>
-                        <p><strong>Email:</strong> ${customer.email}</p>
-                        <p><strong>Company:</strong> ${customer.company || 'Not provided'}</p>
-                        <p><strong>Project:</strong> ${customer.projectType}</p>
-                        <p><strong>Budget:</strong> $${(customer.budget || 0).toLocaleString()}</p>
-                    </div>
-                    
-                    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981;">
-                        <h3 style="color: #065f46; margin-top: 0;">📧 Email Reply</h3>
-                        <p><strong>Subject:</strong> ${subject}</p>
-                        <p><strong>From:</strong> ${fromEmail}</p>
-                        <p><strong>Received:</strong> ${new Date().toLocaleString()}</p>
-                        <div style="background: #f9fafb; padding: 15px; border-radius: 6px; margin-top: 15px;">
-                            <p style="margin: 0; font-style: italic;">${content.substring(0, 300)}${content.length > 300 ? '...' : ''}</p>
-                        </div>
-                    </div>
-                    
-                    <div style="background: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0;">
-                        <h3 style="color: #92400e; margin-top: 0;">⚡ Quick Actions</h3>
-                        <p>Your customer is actively engaged! Consider:</p>
-                        <ul>
-                            <li>Sending a quick response</li>
-                            <li>Scheduling a follow-up call</li>
-                            <li>Moving them to the next stage in your pipeline</li>
-                        </ul>
-                    </div>
-                    
-                    <div style="text-align: center; margin: 30px 0;">
-                        <a href="https://townranker.com/login" 
-                           style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
-                                  color: white; 
-                                  padding: 15px 30px; 
-                                  border-radius: 8px; 
-                                  text-decoration: none; 
-                                  display: inline-block; 
-                                  font-weight: bold;">
-                            View Customer & Reply →
-                        </a>
-                    </div>
-                </div>
-                <div style="background: #1f2937; padding: 20px; text-align: center;">
-                    <p style="color: white; margin: 0; font-weight: bold;">TownRanker Email System</p>
-                    <p style="color: #9ca3af; margin: 5px 0; font-size: 14px;">Never miss a customer reply</p>
-                </div>
-            </div>
-        `;
-        
+        const { subject: notificationSubject, html: notificationHtml } = await emailTemplateService.render('reply-notification', {
+            lead: customer,
+            subject,
+            content,
+            fromEmail
+        });
+
         await transporter.sendMail({
             from: process.env.EMAIL_FROM || '"TownRanker Notifications" <notifications@townranker.com>',
             to: 'rank@townranker.com',
-            subject: `📨 ${customer.name} replied to your email - ${customer.projectType} project`,
+            subject: notificationSubject,
             html: notificationHtml
         });
         
@@ -820,6 +959,72 @@ app.use('/api/messages', messagesRoutes);
 const redditLeadsRoutes = require('./server/routes/reddit-leads');
 app.use('/api/reddit-leads', redditLeadsRoutes);
 
+// Mount proposal routes (admin API + public client viewer)
+const proposalRoutes = require('./server/routes/proposals');
+const proposalViewerRoutes = require('./server/routes/proposal-viewer');
+app.use('/api/proposals', authenticateAdmin, proposalRoutes);
+app.use('/p', proposalViewerRoutes);
+
+// Mount invoice routes
+const invoiceRoutes = require('./server/routes/invoices');
+app.use('/api/invoices', authenticateAdmin, invoiceRoutes);
+
+// Mount project management routes
+const projectRoutes = require('./server/routes/projects');
+app.use('/api/projects', authenticateAdmin, projectRoutes);
+
+// Mount timesheet reporting routes
+const timesheetRoutes = require('./server/routes/timesheets');
+app.use('/api/timesheets', authenticateAdmin, timesheetRoutes);
+
+// Mount email open/click tracking (public - hit from recipients' mail clients)
+const emailTrackingRoutes = require('./server/routes/email-tracking');
+app.use('/api/crm/emails/track', emailTrackingRoutes);
+
+// Mount unified inbox routes
+const inboxRoutes = require('./server/routes/inbox');
+app.use('/api/inbox', authenticateAdmin, inboxRoutes);
+
+// Mount scheduled message routes
+const scheduledMessageRoutes = require('./server/routes/scheduled-messages');
+app.use('/api/scheduled-messages', authenticateAdmin, scheduledMessageRoutes);
+
+// Mount SMS template routes (templates, previews and A/B variant stats)
+const smsTemplateRoutes = require('./server/routes/smsTemplates');
+app.use('/api/sms-templates', authenticateAdmin, smsTemplateRoutes);
+
+// Mount bulk SMS campaign routes
+const smsCampaignRoutes = require('./server/routes/sms-campaigns');
+app.use('/api/sms-campaigns', authenticateAdmin, smsCampaignRoutes);
+
+// Mount SMS consent (opt-out) routes
+const smsConsentRoutes = require('./server/routes/sms-consent');
+app.use('/api/sms/consent', authenticateAdmin, smsConsentRoutes);
+
+// Mount SMS retry queue routes
+const smsRetryRoutes = require('./server/routes/sms-retries');
+app.use('/api/sms', authenticateAdmin, smsRetryRoutes);
+
+// Mount email template routes (editing, previews and version history)
+const emailTemplateRoutes = require('./server/routes/email-templates');
+app.use('/api/email-templates', authenticateAdmin, emailTemplateRoutes);
+
+// Mount inbound email attachment routes (listing and downloads)
+const emailAttachmentRoutes = require('./server/routes/email-attachments');
+app.use('/api/email-attachments', authenticateAdmin, emailAttachmentRoutes);
+
+// Mount canned response routes (shared snippets, favourites and usage stats)
+const cannedResponseRoutes = require('./server/routes/canned-responses');
+app.use('/api/canned-responses', authenticateAdmin, cannedResponseRoutes);
+
+// Mount first-party visitor analytics routes
+const analyticsRoutes = require('./server/routes/analytics');
+app.use('/api/analytics', authenticateAdmin, analyticsRoutes);
+
+// Mount pipeline routes (stage configuration and pipeline reports)
+const pipelineRoutes = require('./server/routes/pipeline');
+app.use('/api/pipeline', authenticateAdmin, pipelineRoutes);
+
 // Backward-compatible Reddit monitor routes (for dashboard)
 const RedditMonitorConfig = require('./server/models/RedditMonitorConfig');
 const RedditLead = require('./server/models/RedditLead');
@@ -987,6 +1192,16 @@ app.post('/api/track-visitor', async (req, res) => {
         const ip = (req.headers['x-forwarded-for'] || req.connection.remoteAddress || '').split(',')[0].trim();
         visitorData.ip = ip;
 
+        // Store the page view and notify Slack
+        const deliver = () => {
+            recordVisitorSession(visitorData).catch(err => {
+                console.error('Failed to store visitor session:', err);
+            });
+            sendSlackVisitorNotification(visitorData).catch(err => {
+                console.error('Failed to send visitor notification:', err);
+            });
+        };
+
         // Fetch geolocation data for IP (non-blocking)
         if (ip && ip !== 'unknown' && !ip.startsWith('127.') && !ip.startsWith('::1')) {
             fetch(`http://ip-api.com/json/${ip}?fields=status,message,country,countryCode,region,regionName,city,zip,lat,lon,timezone,isp,org,as,query`)
@@ -1007,23 +1222,17 @@ app.post('/api/track-visitor', async (req, res) => {
                         };
                     }
 
-                    // Send to Slack after geolocation lookup
-                    sendSlackVisitorNotification(visitorData).catch(err => {
-                        console.error('Failed to send visitor notification:', err);
-                    });
+                    // Store and send to Slack after geolocation lookup
+                    deliver();
                 })
                 .catch(err => {
                     console.error('Geolocation lookup failed:', err);
-                    // Send to Slack even if geolocation fails
-                    sendSlackVisitorNotification(visitorData).catch(err => {
-                        console.error('Failed to send visitor notification:', err);
-                    });
+                    // Store and send to Slack even if geolocation fails
+                    deliver();
                 });
         } else {
-            // Send to Slack without geolocation
-            sendSlackVisitorNotification(visitorData).catch(err => {
-                console.error('Failed to send visitor notification:', err);
-            });
+            // Store and send to Slack without geolocation
+            deliver();
         }
 
         // Return success immediately (non-blocking)
@@ -1035,6 +1244,9 @@ app.post('/api/track-visitor', async (req, res) => {
     }
 });
 
+// Lead fields a visitor may fill in on the public contact forms
+const CONTACT_FORM_FIELDS = ['name', 'email', 'phone', 'company', 'projectType', 'budget', 'timeline', 'features', 'message', 'source'];
+
 // Submit contact form
 app.post('/api/contact', async (req, res) => {
     try {
@@ -1064,9 +1276,37 @@ app.post('/api/contact', async (req, res) => {
             });
         }
         
-        // Create new lead
-        const lead = new Lead(leadData);
+        // Create new lead from the form fields only - status, conversion, scoring and
+        // attribution are set by the pipeline and the services below, never by the public form
+        const { visitorId, visitorSessionId, attribution } = leadData;
+        const fields = {};
+        CONTACT_FORM_FIELDS.forEach(key => {
+            if (leadData[key] !== undefined) fields[key] = leadData[key];
+        });
+        const lead = new Lead(fields);
         await lead.save();
+
+        // Attach the visitor's browsing history to the lead
+        let journey = null;
+        try {
+            journey = await visitorJourneyService.linkLead(lead, { visitorId, sessionId: visitorSessionId });
+        } catch (error) {
+            console.error('Error linking visitor journey:', error.message);
+        }
+
+        // Record the UTM tags and referrer the lead arrived with
+        try {
+            await attributionService.captureLead(lead, attribution, journey);
+        } catch (error) {
+            console.error('Error capturing lead attribution:', error.message);
+        }
+
+        // Start automated follow-ups (1-hour brief, texts, strategy session)
+        try {
+            await dripSequenceService.enroll(lead);
+        } catch (error) {
+            console.error('Error enrolling lead in drip sequence:', error.message);
+        }
         
         // Create in-app notification for new lead
         await createNotification(
@@ -1139,51 +1379,22 @@ app.post('/api/contact', async (req, res) => {
         }
         
         // Send confirmation email to the lead
-        const confirmationHtml = `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
-                    <h1 style="color: white; margin: 0;">Welcome to TownRanker!</h1>
-                </div>
-                <div style="padding: 30px; background: #f9fafb;">
-                    <h2 style="color: #1f2937;">Hi ${lead.name.split(' ')[0]},</h2>
-                    <p style="color: #4b5563; line-height: 1.6;">
-                        Thank you for choosing TownRanker to build your digital empire! We've received your project details and are already excited to work with you.
-                    </p>
-                    
-                    <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
-                        <h3 style="color: #6366f1; margin-top: 0;">What Happens Next?</h3>
-                        <div style="margin: 15px 0;">
-                            <p style="margin: 10px 0;"><strong>📧 Within 1 hour:</strong> You'll receive a detailed project brief</p>
-                            <p style="margin: 10px 0;"><strong>📞 Within 2 hours:</strong> Our specialist will call you to discuss your project</p>
-                            <p style="margin: 10px 0;"><strong>🎯 Within 24 hours:</strong> We'll schedule your strategy session</p>
-                        </div>
-                    </div>
-                    
-                    ${lead.projectType || lead.budget || lead.timeline ? `
-                    <div style="background: #ede9fe; padding: 20px; border-radius: 8px;">
-                        <h3 style="color: #5b21b6; margin-top: 0;">Your Project Summary:</h3>
-                        ${lead.projectType ? `<p><strong>Project Type:</strong> ${lead.projectType.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')}</p>` : ''}
-                        ${lead.budget ? `<p><strong>Budget Range:</strong> ${formatBudget(lead.budget)}</p>` : ''}
-                        ${lead.timeline ? `<p><strong>Timeline:</strong> ${lead.timeline === 'asap' ? 'ASAP' : lead.timeline.replace('-', ' to ')}</p>` : ''}
-                    </div>` : ''}
-                    
-                    <p style="color: #4b5563; line-height: 1.6; margin-top: 20px;">
-                        While you wait, feel free to check out our portfolio at <a href="https://townranker.com" style="color: #6366f1;">townranker.com</a>
-                    </p>
-                </div>
-                <div style="background: #1f2937; padding: 20px; text-align: center;">
-                    <p style="color: white; margin: 0; font-weight: bold;">Let's Build Your Empire Together!</p>
-                    <p style="color: #9ca3af; margin: 10px 0;">TownRanker - Premium Web Development & Digital Marketing</p>
-                </div>
-            </div>
-        `;
-        
         try {
+            const confirmation = await emailTemplateService.render('contact-confirmation', { lead });
+            const threading = await emailThreadService.prepareOutbound();
             await transporter.sendMail({
                 from: process.env.EMAIL_FROM || '"TownRanker" <hello@townranker.com>',
                 to: lead.email,
-                subject: '🎉 Welcome to TownRanker - Your Project is Our Priority!',
-                html: confirmationHtml
+                subject: confirmation.subject,
+                html: confirmation.html,
+                ...emailThreadService.mailOptions(threading)
+            });
+            await emailThreadService.recordOutbound({
+                contact: lead,
+                threading,
+                subject: confirmation.subject,
+                html: confirmation.html,
+                template: 'contact-confirmation'
             });
             console.log('✅ Confirmation email sent to lead');
         } catch (emailError) {
@@ -1209,7 +1420,12 @@ app.post('/api/contact', async (req, res) => {
 // Get all leads (for admin dashboard)
 app.get('/api/leads', authenticateAdmin, async (req, res) => {
     try {
-        const leads = await Lead.find().sort({ createdAt: -1 });
+        // ?sort=score puts the hottest leads first; ?minScore= filters
+        const filter = {};
+        if (req.query.minScore) filter.leadScore = { $gte: parseInt(req.query.minScore) || 0 };
+        const sort = req.query.sort === 'score' ? { leadScore: -1, createdAt: -1 } : { createdAt: -1 };
+
+        const leads = await Lead.find(filter).sort(sort);
         res.json({
             success: true,
             count: leads.length,
@@ -1282,9 +1498,9 @@ app.post('/api/leads', authenticateAdmin, async (req, res) => {
 app.get('/api/stats', authenticateAdmin, async (req, res) => {
     try {
         const totalLeads = await Lead.countDocuments();
-        const newLeads = await Lead.countDocuments({ status: 'new' });
-        const qualifiedLeads = await Lead.countDocuments({ status: 'qualified' });
-        const closedWon = await Lead.countDocuments({ status: 'closed-won' });
+        const newLeads = await Lead.countDocuments({ status: pipelineService.getEntryStage() });
+        const qualifiedLeads = await Lead.countDocuments({ status: { $in: await pipelineService.getQualifiedStageKeys() } });
+        const closedWon = await Lead.countDocuments({ status: { $in: await pipelineService.getWonStageKeys() } });
         
         // Get leads from last 30 days
         const thirtyDaysAgo = new Date();
@@ -1430,32 +1646,252 @@ app.get('/api/users', authenticateAdmin, async (req, res) => {
     }
 });
 
-// Update lead status
+// Move a lead to another pipeline stage (recorded in its stage history)
+// Body: status (stage key), note
 app.patch('/api/leads/:id', authenticateAdmin, async (req, res) => {
     try {
-        const { status } = req.body;
-        const lead = await Lead.findByIdAndUpdate(
-            req.params.id,
-            { status, updatedAt: Date.now() },
-            { new: true }
-        );
-        
+        const { status, note } = req.body;
+        if (!status) {
+            return res.status(400).json({
+                success: false,
+                message: 'status is required'
+            });
+        }
+
+        const lead = await pipelineService.changeStage(req.params.id, status, {
+            changedBy: req.user?.email || req.user?.id || 'admin',
+            note
+        });
+
         if (!lead) {
             return res.status(404).json({
                 success: false,
                 message: 'Lead not found'
             });
         }
-        
+
         res.json({
             success: true,
             lead
         });
     } catch (error) {
         console.error('Error updating lead:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            message: error.status ? error.message : 'Error updating lead',
+            missingFields: error.missingFields
+        });
+    }
+});
+
+// Get a lead's stage history, oldest first
+app.get('/api/leads/:id/stage-history', authenticateAdmin, async (req, res) => {
+    try {
+        const lead = await Lead.findById(req.params.id).select('status stageEnteredAt stageHistory');
+        if (!lead) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            status: lead.status,
+            stageEnteredAt: lead.stageEnteredAt,
+            history: lead.stageHistory
+        });
+    } catch (error) {
+        console.error('Error fetching stage history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching stage history'
+        });
+    }
+});
+
+// Convert a lead into a CRM customer (creates or links a Customer and copies its history)
+app.post('/api/leads/:id/convert', authenticateAdmin, async (req, res) => {
+    try {
+        const lead = await Lead.findById(req.params.id);
+        if (!lead) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead not found'
+            });
+        }
+
+        const result = await convertLead(lead, {
+            customerId: req.body.customerId,
+            status: req.body.status
+        });
+
+        lead.customer = result.customer._id;
+        if (!lead.convertedAt) {
+            lead.convertedAt = new Date();
+        }
+        lead.interactions.push({
+            type: 'status',
+            title: result.created ? 'Converted to customer' : 'Linked to existing customer',
+            description: `Customer record ${result.customer._id}${result.matchedBy && result.matchedBy !== 'linked' ? ` (matched by ${result.matchedBy})` : ''}`
+        });
+        lead.updatedAt = Date.now();
+        await lead.save();
+
+        res.json({
+            success: true,
+            message: result.created ? 'Lead converted to customer' : 'Lead linked to existing customer',
+            customer: result.customer,
+            created: result.created,
+            matchedBy: result.matchedBy,
+            migrated: result.migrated,
+            lead
+        });
+    } catch (error) {
+        console.error('Error converting lead:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Error converting lead'
+        });
+    }
+});
+
+// Get a lead's drip sequence enrollments
+app.get('/api/leads/:id/sequences', authenticateAdmin, async (req, res) => {
+    try {
+        const enrollments = await SequenceEnrollment.find({ lead: req.params.id }).sort({ enrolledAt: -1 });
+        res.json({
+            success: true,
+            enrollments,
+            scheduler: dripSequenceService.getStatus()
+        });
+    } catch (error) {
+        console.error('Error fetching lead sequences:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching lead sequences'
+        });
+    }
+});
+
+// Get a lead's score breakdown (?recalculate=true scores it again first)
+app.get('/api/leads/:id/score', authenticateAdmin, async (req, res) => {
+    try {
+        if (req.query.recalculate === 'true') {
+            await leadScoringService.rescore(req.params.id);
+        }
+
+        const lead = await Lead.findById(req.params.id).select('name leadScore scoring');
+        if (!lead) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            leadScore: lead.leadScore,
+            scoring: lead.scoring,
+            alertThreshold: leadScoringService.getRules().alertThreshold
+        });
+    } catch (error) {
+        console.error('Error fetching lead score:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching lead score'
+        });
+    }
+});
+
+// Rescore every lead (after changing server/config/lead-scoring.js)
+app.post('/api/lead-scoring/recalculate', authenticateAdmin, async (req, res) => {
+    try {
+        const scored = await leadScoringService.rescoreAll();
+        res.json({
+            success: true,
+            scored
+        });
+    } catch (error) {
+        console.error('Error rescoring leads:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error rescoring leads'
+        });
+    }
+});
+
+// Scoring rules in use
+app.get('/api/lead-scoring/rules', authenticateAdmin, (req, res) => {
+    res.json({
+        success: true,
+        rules: leadScoringService.getRules()
+    });
+});
+
+// Get a lead's website journey (sessions and page views before and after converting)
+app.get('/api/leads/:id/journey', authenticateAdmin, async (req, res) => {
+    try {
+        const journey = await visitorJourneyService.getLeadJourney(req.params.id);
+        if (!journey) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            journey
+        });
+    } catch (error) {
+        console.error('Error fetching lead journey:', error);
         res.status(500).json({
             success: false,
-            message: 'Error updating lead'
+            message: 'Error fetching lead journey'
+        });
+    }
+});
+
+// Enroll a lead in a drip sequence (defaults to the new lead follow-up)
+app.post('/api/leads/:id/sequences', authenticateAdmin, async (req, res) => {
+    try {
+        const lead = await Lead.findById(req.params.id);
+        if (!lead) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lead not found'
+            });
+        }
+
+        const enrollment = await dripSequenceService.enroll(lead, req.body.sequence);
+        res.json({
+            success: true,
+            enrollment
+        });
+    } catch (error) {
+        console.error('Error enrolling lead in sequence:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Error enrolling lead in sequence'
+        });
+    }
+});
+
+// Stop all of a lead's active drip sequences
+app.post('/api/leads/:id/sequences/stop', authenticateAdmin, async (req, res) => {
+    try {
+        const stopped = await dripSequenceService.stopForLead(req.params.id, 'manual');
+        res.json({
+            success: true,
+            message: stopped ? `Stopped ${stopped} sequence(s)` : 'No active sequences',
+            stopped
+        });
+    } catch (error) {
+        console.error('Error stopping lead sequences:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error stopping lead sequences'
         });
     }
 });
@@ -1649,9 +2085,6 @@ app.delete('/api/leads/:id', authenticateAdmin, async (req, res) => {
     }
 });
 
-// Import email templates
-const emailTemplates = require('./server/config/email-templates');
-
 // Test email endpoint
 app.post('/api/test-email', async (req, res) => {
     try {
@@ -1712,6 +2145,7 @@ app.post('/api/test-email', async (req, res) => {
 });
 
 // Send 1-hour follow-up email (Project Brief)
+// New leads receive this automatically via the drip sequence - kept for manual sends and testing
 app.post('/api/send-follow-up-1hr', async (req, res) => {
     try {
         const { leadId, email } = req.body;
@@ -1736,13 +2170,13 @@ app.post('/api/send-follow-up-1hr', async (req, res) => {
             };
         }
         
-        const emailHtml = emailTemplates.getOneHourFollowUpEmail(lead);
+        const { subject, html } = await emailTemplateService.render('one-hour-follow-up', { lead });
         
         const result = await transporter.sendMail({
             from: process.env.EMAIL_FROM || '"TownRanker" <hello@townranker.com>',
             to: lead.email,
-            subject: `📋 ${lead.name.split(' ')[0]}, Your Project Brief is Ready!`,
-            html: emailHtml
+            subject,
+            html
         });
         
         res.json({
@@ -1763,6 +2197,7 @@ app.post('/api/send-follow-up-1hr', async (req, res) => {
 });
 
 // Send 24-hour follow-up email (Strategy Session)
+// New leads receive this automatically via the drip sequence - kept for manual sends and testing
 app.post('/api/send-follow-up-24hr', async (req, res) => {
     try {
         const { leadId, email } = req.body;
@@ -1786,13 +2221,13 @@ app.post('/api/send-follow-up-24hr', async (req, res) => {
             };
         }
         
-        const emailHtml = emailTemplates.getTwentyFourHourFollowUpEmail(lead);
+        const { subject, html } = await emailTemplateService.render('twenty-four-hour-follow-up', { lead });
         
         const result = await transporter.sendMail({
             from: process.env.EMAIL_FROM || '"TownRanker" <hello@townranker.com>',
             to: lead.email,
-            subject: `🗓️ ${lead.name.split(' ')[0]}, Schedule Your Strategy Session`,
-            html: emailHtml
+            subject,
+            html
         });
         
         res.json({
@@ -2498,7 +2933,7 @@ app.get('/api/leads/:id/email-tracking', async (req, res) => {
 // Send custom email from Communication tab
 app.post('/api/send-customer-email', async (req, res) => {
     try {
-        const { leadId, subject, body, template } = req.body;
+        const { leadId, subject, body, template, inReplyTo } = req.body;
 
         // Validate input
         if (!leadId || !subject || !body) {
@@ -2546,13 +2981,16 @@ app.post('/api/send-customer-email', async (req, res) => {
             </div>
         `;
 
-        // Send the email using existing transporter
+        // Send the email using existing transporter, threaded under the email it replies to
+        const threading = await emailThreadService.prepareOutbound(inReplyTo);
         const result = await transporter.sendMail({
             from: process.env.EMAIL_FROM || '"TownRanker" <hello@townranker.com>',
             to: lead.email,
             subject: subject,
-            html: emailHtml
+            html: emailHtml,
+            ...emailThreadService.mailOptions(threading)
         });
+        await emailThreadService.recordOutbound({ contact: lead, threading, subject, text: body, html: emailHtml, template });
 
         // Save email to history, add interaction, and update lead's last contacted time
         await Lead.findByIdAndUpdate(leadId, {
@@ -2584,6 +3022,7 @@ app.post('/api/send-customer-email', async (req, res) => {
             message: 'Email sent successfully',
             recipient: lead.email,
             messageId: result.messageId,
+            threadId: threading.threadId,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -2599,7 +3038,7 @@ app.post('/api/send-customer-email', async (req, res) => {
 // Send Email API (for admin dashboard)
 app.post('/api/send-email', authenticateAdmin, async (req, res) => {
     try {
-        const { to, subject, body, leadId } = req.body;
+        const { to, subject, body, leadId, inReplyTo } = req.body;
 
         if (!to || !subject || !body) {
             return res.status(400).json({
@@ -2624,15 +3063,18 @@ app.post('/api/send-email', authenticateAdmin, async (req, res) => {
             </div>
         `;
 
+        const threading = await emailThreadService.prepareOutbound(inReplyTo);
         const result = await transporter.sendMail({
             from: process.env.EMAIL_FROM || '"TownRanker" <rank@townranker.com>',
             to: to,
             subject: subject,
-            html: emailHtml
+            html: emailHtml,
+            ...emailThreadService.mailOptions(threading)
         });
 
         // Update lead if leadId provided
         if (leadId) {
+            await emailThreadService.recordOutbound({ contact: { _id: leadId, email: to }, threading, subject, text: body, html: emailHtml });
             await Lead.findByIdAndUpdate(leadId, {
                 lastContacted: new Date(),
                 $inc: { emailCount: 1 },
@@ -2657,7 +3099,8 @@ app.post('/api/send-email', authenticateAdmin, async (req, res) => {
         res.json({
             success: true,
             message: 'Email sent successfully',
-            messageId: result.messageId
+            messageId: result.messageId,
+            threadId: threading.threadId
         });
     } catch (error) {
         console.error('Send email error:', error);
@@ -2670,9 +3113,10 @@ app.post('/api/send-email', authenticateAdmin, async (req, res) => {
 });
 
 // Send SMS API (for admin dashboard) - uses OpenPhone
+// templateId/variantId (from /api/sms-templates/generate) record the send against the template's A/B test
 app.post('/api/send-sms', authenticateAdmin, async (req, res) => {
     try {
-        const { to, message, leadId } = req.body;
+        const { to, message, leadId, templateId, variantId } = req.body;
 
         if (!to || !message) {
             return res.status(400).json({
@@ -2698,6 +3142,28 @@ app.post('/api/send-sms', authenticateAdmin, async (req, res) => {
             });
         }
 
+        if (await smsConsentService.isOptedOut(phoneNumber)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Recipient has opted out of SMS'
+            });
+        }
+
+        // Required lazily - smsTemplateService loads the shared Lead model
+        const smsTemplateService = require('./server/services/smsTemplateService');
+        let templateSend = null;
+        if (templateId) {
+            const lead = leadId ? await Lead.findById(leadId).select('status') : null;
+            try {
+                templateSend = await smsTemplateService.resolveTemplateSend(templateId, variantId, lead || {});
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        }
+
         // Send via OpenPhone
         const axios = require('axios');
         const response = await axios.post(`${OPENPHONE_API_URL}/messages`, {
@@ -2727,6 +3193,30 @@ app.post('/api/send-sms', authenticateAdmin, async (req, res) => {
             });
         }
 
+        // Template sends to a lead are logged as a Communication so replies and
+        // stage advances can be attributed to the A/B variant
+        if (templateSend && !leadId) {
+            await smsTemplateService.recordTemplateSend(templateSend.template.id, null);
+        } else if (templateSend) {
+            await Communication.create({
+                customer: leadId,
+                type: 'sms',
+                direction: 'outbound',
+                body: message,
+                from: { name: 'TownRanker Team', phone: PHONE_NUMBER },
+                to: [{ phone: phoneNumber }],
+                status: 'sent',
+                sentDate: new Date(),
+                platform: 'openphone',
+                deliveryChannel: 'sms',
+                openphoneMessageId: response.data.id,
+                phoneNumber,
+                template: templateSend.template,
+                abTest: templateSend.abTest
+            });
+            await smsTemplateService.recordTemplateSend(templateSend.template.id, templateSend.abTest);
+        }
+
         // Emit real-time notification
         if (io) {
             io.emit('sms_notification', {
@@ -3541,6 +4031,48 @@ server.listen(PORT, () => {
             redditMonitorService.startAllMonitors();
         }
     }, 10000); // Wait 10 seconds to start after other services
+
+    // Overdue invoice reminders
+    setTimeout(() => {
+        console.log('🧾 Starting invoice reminder scheduler...');
+        invoiceReminderService.setSocketIO(io);
+        invoiceReminderService.start();
+    }, 12000);
+
+    // Recurring (retainer) invoice generation
+    setTimeout(() => {
+        console.log('🔁 Starting recurring invoice scheduler...');
+        recurringInvoiceService.setSocketIO(io);
+        recurringInvoiceService.start();
+    }, 14000);
+
+    // Lead follow-up drip sequences
+    setTimeout(() => {
+        console.log('💧 Starting drip sequence scheduler...');
+        dripSequenceService.setSocketIO(io);
+        dripSequenceService.setTransporter(transporter);
+        dripSequenceService.start();
+    }, 16000);
+
+    // Scheduled SMS/email queue
+    setTimeout(() => {
+        console.log('🕒 Starting scheduled send queue...');
+        scheduledSendService.setSocketIO(io);
+        scheduledSendService.setTransporter(transporter);
+        scheduledSendService.start();
+    }, 18000);
+
+    // Persistent SMS retries (resumes retries pending before a restart)
+    setTimeout(() => {
+        console.log('📱 Starting SMS retry worker...');
+        require('./server/services/smsService').startRetryWorker();
+    }, 20000);
+
+    // Bulk SMS campaigns (resumes campaigns that were sending before a restart)
+    setTimeout(() => {
+        console.log('📣 Starting SMS campaign worker...');
+        smsCampaignService.start();
+    }, 22000);
 });
 
 // Graceful shutdown
@@ -3561,6 +4093,14 @@ process.on('SIGINT', async () => {
     console.log('🔍 Stopping Reddit monitors...');
     redditMonitorService.stopAllMonitors();
 
+    // Stop background schedulers
+    invoiceReminderService.stop();
+    recurringInvoiceService.stop();
+    dripSequenceService.stop();
+    scheduledSendService.stop();
+    require('./server/services/smsService').stopRetryWorker();
+    smsCampaignService.stop();
+
     await mongoose.connection.close();
     process.exit(0);
 });
\ No newline at end of file
@@ -0,0 +1,64 @@
+/**
+ * Drip Sequence Definitions
+ * Multi-step follow-up sequences run by server/services/dripSequenceService.js
+ *
+ * Each step waits `delayMinutes` after the previous step (the first step
+ * after enrollment). Steps with `sendWindow: true` are held until the next
+ * business-hours window; the window itself is configured via env vars.
+ * Email steps render the stored email template named by `template`.
+ */
+
+const parseList = (value, fallback) => (value ? value.split(',').map(v => parseInt(v.trim(), 10)).filter(v => !isNaN(v)) : fallback);
+
+const firstName = (lead) => (lead.name || 'there').split(' ')[0];
+
+// Business hours in which window-restricted steps may be sent (0 = Sunday)
+const sendWindow = {
+    timezone: process.env.DRIP_TIMEZONE || 'America/Phoenix',
+    days: parseList(process.env.DRIP_SEND_DAYS, [1, 2, 3, 4, 5]),
+    startHour: parseInt(process.env.DRIP_SEND_START_HOUR, 10) || 9,
+    endHour: parseInt(process.env.DRIP_SEND_END_HOUR, 10) || 18
+};
+
+const sequences = {
+    'new-lead': {
+        name: 'New Lead Follow-up',
+        description: 'Enrolled automatically from the website contact form',
+        steps: [
+            {
+                id: 'project-brief',
+                channel: 'email',
+                delayMinutes: 60,
+                sendWindow: false,
+                template: 'one-hour-follow-up'
+            },
+            {
+                id: 'intro-text',
+                channel: 'sms',
+                delayMinutes: 3 * 60,
+                sendWindow: true,
+                message: (lead) => `Hi ${firstName(lead)}, it's the TownRanker team. We just emailed your project brief - any questions? Reply here anytime.`
+            },
+            {
+                id: 'strategy-session',
+                channel: 'email',
+                delayMinutes: 20 * 60,
+                sendWindow: true,
+                template: 'twenty-four-hour-follow-up'
+            },
+            {
+                id: 'check-in-text',
+                channel: 'sms',
+                delayMinutes: 3 * 24 * 60,
+                sendWindow: true,
+                message: (lead) => `Hi ${firstName(lead)}, just checking in on your ${lead.company ? `${lead.company} ` : ''}project. Want to set up a quick call this week? - TownRanker`
+            }
+        ]
+    }
+};
+
+module.exports = {
+    defaultSequence: 'new-lead',
+    sendWindow,
+    sequences
+};
@@ -1,4 +1,14 @@
-// Email Template Functions for TownRanker Follow-ups
+/**
+ * System Email Templates
+ * Default content for the emails the server sends on its own (contact form
+ * confirmation, reply notifications, lead follow-ups). Each one is seeded into
+ * the EmailTemplate collection under its key on first use and loaded from
+ * there afterwards, so it can be edited, previewed and rolled back through
+ * /api/email-templates (see server/services/emailTemplateService.js).
+ *
+ * `mergeData` turns the send context into the {{tags}} used by the template;
+ * the conditional blocks are rendered here so templates stay plain HTML.
+ */
 
 const formatBudget = (budget) => {
     return new Intl.NumberFormat('en-US', {
@@ -43,64 +53,196 @@ const getProjectTypeDetails = (projectType) => {
     return details[projectType] || details.business;
 };
 
-// 1-Hour Follow-up Email - Detailed Project Brief
-const getOneHourFollowUpEmail = (lead) => {
-    const firstName = lead.name.split(' ')[0];
-    const projectDetails = getProjectTypeDetails(lead.projectType);
-    const packageName = getPackageName(lead.budget);
-    
-    return `
+const titleCase = (value) => value.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+const firstNameOf = (lead) => (lead.name || 'there').split(' ')[0];
+
+const leadIdOf = (lead) => (lead._id ? String(lead._id) : 'TEST-' + Date.now());
+
+const systemTemplates = {
+    // Sent to the lead as soon as the website contact form is submitted
+    'contact-confirmation': {
+        name: 'Contact Form Confirmation',
+        category: 'welcome',
+        description: 'Sent to a new lead right after they submit the website contact form',
+        subject: '🎉 Welcome to TownRanker - Your Project is Our Priority!',
+        bodyHtml: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+                <h1 style="color: white; margin: 0;">Welcome to TownRanker!</h1>
+            </div>
+            <div style="padding: 30px; background: #f9fafb;">
+                <h2 style="color: #1f2937;">Hi {{firstName}},</h2>
+                <p style="color: #4b5563; line-height: 1.6;">
+                    Thank you for choosing TownRanker to build your digital empire! We've received your project details and are already excited to work with you.
+                </p>
+
+                <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                    <h3 style="color: #6366f1; margin-top: 0;">What Happens Next?</h3>
+                    <div style="margin: 15px 0;">
+                        <p style="margin: 10px 0;"><strong>📧 Within 1 hour:</strong> You'll receive a detailed project brief</p>
+                        <p style="margin: 10px 0;"><strong>📞 Within 2 hours:</strong> Our specialist will call you to discuss your project</p>
+                        <p style="margin: 10px 0;"><strong>🎯 Within 24 hours:</strong> We'll schedule your strategy session</p>
+                    </div>
+                </div>
+
+                {{projectSummary}}
+
+                <p style="color: #4b5563; line-height: 1.6; margin-top: 20px;">
+                    While you wait, feel free to check out our portfolio at <a href="https://townranker.com" style="color: #6366f1;">townranker.com</a>
+                </p>
+            </div>
+            <div style="background: #1f2937; padding: 20px; text-align: center;">
+                <p style="color: white; margin: 0; font-weight: bold;">Let's Build Your Empire Together!</p>
+                <p style="color: #9ca3af; margin: 10px 0;">TownRanker - Premium Web Development & Digital Marketing</p>
+            </div>
+        </div>
+        `,
+        mergeData: ({ lead }) => ({
+            firstName: firstNameOf(lead),
+            projectSummary: lead.projectType || lead.budget || lead.timeline ? `
+                    <div style="background: #ede9fe; padding: 20px; border-radius: 8px;">
+                        <h3 style="color: #5b21b6; margin-top: 0;">Your Project Summary:</h3>
+                        ${lead.projectType ? `<p><strong>Project Type:</strong> ${titleCase(lead.projectType)}</p>` : ''}
+                        ${lead.budget ? `<p><strong>Budget Range:</strong> ${formatBudget(lead.budget)}</p>` : ''}
+                        ${lead.timeline ? `<p><strong>Timeline:</strong> ${lead.timeline === 'asap' ? 'ASAP' : lead.timeline.replace('-', ' to ')}</p>` : ''}
+                    </div>` : ''
+        })
+    },
+
+    // Sent to the team when a lead replies to one of our emails
+    'reply-notification': {
+        name: 'Customer Reply Notification',
+        category: 'notification',
+        description: 'Internal alert sent to the team when a lead replies by email',
+        subject: '📨 {{customerName}} replied to your email - {{projectType}} project',
+        bodyHtml: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #3b82f6 0%, #1e40af 100%); padding: 20px; text-align: center;">
+                <h1 style="color: white; margin: 0; font-size: 24px;">📨 Customer Reply Received!</h1>
+            </div>
+            <div style="padding: 30px; background: #f0f9ff; line-height: 1.6;">
+                <h2 style="color: #1e40af; margin-top: 0;">{{customerName}} replied to your email!</h2>
+
+                <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #3b82f6;">
+                    <h3 style="color: #1e40af; margin-top: 0;">📋 Customer Details</h3>
+                    <p><strong>Name:</strong> {{customerName}}</p>
+                    <p><strong>Email:</strong> {{customerEmail}}</p>
+                    <p><strong>Company:</strong> {{company}}</p>
+                    <p><strong>Project:</strong> {{projectType}}</p>
+                    <p><strong>Budget:</strong> {{budget}}</p>
+                </div>
+
+                <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981;">
+                    <h3 style="color: #065f46; margin-top: 0;">📧 Email Reply</h3>
+                    <p><strong>Subject:</strong> {{replySubject}}</p>
+                    <p><strong>From:</strong> {{fromEmail}}</p>
+                    <p><strong>Received:</strong> {{receivedAt}}</p>
+                    <div style="background: #f9fafb; padding: 15px; border-radius: 6px; margin-top: 15px;">
+                        <p style="margin: 0; font-style: italic;">{{replyExcerpt}}</p>
+                    </div>
+                </div>
+
+                <div style="background: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                    <h3 style="color: #92400e; margin-top: 0;">⚡ Quick Actions</h3>
+                    <p>Your customer is actively engaged! Consider:</p>
+                    <ul>
+                        <li>Sending a quick response</li>
+                        <li>Scheduling a follow-up call</li>
+                        <li>Moving them to the next stage in your pipeline</li>
+                    </ul>
+                </div>
+
+                <div style="text-align: center; margin: 30px 0;">
+                    <a href="https://townranker.com/login" 
+                       style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                              color: white; 
+                              padding: 15px 30px; 
+                              border-radius: 8px; 
+                              text-decoration: none; 
+                              display: inline-block; 
+                              font-weight: bold;">
+                        View Customer & Reply →
+                    </a>
+                </div>
+            </div>
+            <div style="background: #1f2937; padding: 20px; text-align: center;">
+                <p style="color: white; margin: 0; font-weight: bold;">TownRanker Email System</p>
+                <p style="color: #9ca3af; margin: 5px 0; font-size: 14px;">Never miss a customer reply</p>
+            </div>
+        </div>
+        `,
+        mergeData: ({ lead, subject = '', content = '', fromEmail = '' }) => ({
+            customerName: lead.name,
+            customerEmail: lead.email,
+            company: lead.company || 'Not provided',
+            projectType: lead.projectType || '',
+            budget: `$${(lead.budget || 0).toLocaleString()}`,
+            replySubject: subject,
+            fromEmail,
+            receivedAt: new Date().toLocaleString(),
+            replyExcerpt: `${content.substring(0, 300)}${content.length > 300 ? '...' : ''}`
+        })
+    },
+
+    // 1-hour follow-up - detailed project brief
+    'one-hour-follow-up': {
+        name: 'Project Brief Follow-up',
+        category: 'follow-up',
+        description: 'Personalized project brief sent an hour after a lead comes in',
+        subject: '📋 {{firstName}}, Your Project Brief is Ready!',
+        bodyHtml: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
             <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
                 <img src="https://townranker.com/images/townranker-logo.webp" alt="TownRanker Logo" style="height: 40px; margin-bottom: 15px; filter: brightness(0) invert(1);">
                 <h1 style="color: white; margin: 0;">📋 Your Personalized Project Brief</h1>
             </div>
             <div style="padding: 30px; background: #f9fafb;">
-                <h2 style="color: #1f2937;">Hi ${firstName},</h2>
+                <h2 style="color: #1f2937;">Hi {{firstName}},</h2>
                 <p style="color: #4b5563; line-height: 1.6;">
                     As promised, here's your detailed project brief based on your requirements. We've carefully analyzed your needs and prepared a comprehensive plan.
                 </p>
-                
+
                 <!-- Project Overview -->
                 <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border: 2px solid #e5e7eb; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
                     <h3 style="color: #6366f1; margin-top: 0;">🎯 Project Overview</h3>
-                    <p><strong>Project Type:</strong> ${projectDetails.name}</p>
-                    <p><strong>Selected Package:</strong> ${packageName}</p>
-                    <p><strong>Investment:</strong> ${formatBudget(lead.budget)}</p>
-                    <p><strong>Timeline:</strong> ${lead.timeline === 'asap' ? 'Priority Delivery (ASAP)' : lead.timeline ? lead.timeline.replace('-', ' to ').charAt(0).toUpperCase() + lead.timeline.replace('-', ' to ').slice(1) : 'Flexible'}</p>
+                    <p><strong>Project Type:</strong> {{projectTypeName}}</p>
+                    <p><strong>Selected Package:</strong> {{packageName}}</p>
+                    <p><strong>Investment:</strong> {{investment}}</p>
+                    <p><strong>Timeline:</strong> {{timelineLabel}}</p>
                 </div>
-                
+
                 <!-- What's Included -->
                 <div style="background: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #3b82f6;">
                     <h3 style="color: #1e40af; margin-top: 0;">✅ What's Included in Your Package</h3>
                     <ul style="color: #4b5563; line-height: 1.8;">
-                        ${projectDetails.features.map(feature => `<li>${feature}</li>`).join('')}
+                        {{featureList}}
                     </ul>
                 </div>
-                
+
                 <!-- Deliverables -->
                 <div style="background: #f0fdf4; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981;">
                     <h3 style="color: #065f46; margin-top: 0;">📦 Deliverables</h3>
                     <ul style="color: #4b5563; line-height: 1.8;">
-                        ${projectDetails.deliverables.map(deliverable => `<li>${deliverable}</li>`).join('')}
+                        {{deliverableList}}
                     </ul>
                 </div>
-                
+
                 <!-- Development Process -->
                 <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
                     <h3 style="color: #6366f1; margin-top: 0;">🚀 Our Development Process</h3>
                     <div style="margin: 15px 0;">
                         <p style="margin: 10px 0;"><strong>Week 1:</strong> Discovery & Design</p>
                         <p style="margin: 10px 0; padding-left: 20px; color: #6b7280;">• Requirements gathering • Wireframing • Design mockups</p>
-                        
+
                         <p style="margin: 10px 0;"><strong>Week 2-3:</strong> Development</p>
                         <p style="margin: 10px 0; padding-left: 20px; color: #6b7280;">• Frontend development • Backend setup • Feature implementation</p>
-                        
+
                         <p style="margin: 10px 0;"><strong>Week 4:</strong> Testing & Launch</p>
                         <p style="margin: 10px 0; padding-left: 20px; color: #6b7280;">• Quality assurance • Performance optimization • Go live!</p>
                     </div>
                 </div>
-                
+
                 <!-- Why TownRanker -->
                 <div style="background: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0;">
                     <h3 style="color: #92400e; margin-top: 0;">🏆 Why TownRanker?</h3>
@@ -111,17 +253,10 @@ const getOneHourFollowUpEmail = (lead) => {
                         <li><strong>Lifetime Updates</strong> - Your site stays current</li>
                     </ul>
                 </div>
-                
+
                 <!-- Special Offer -->
-                ${lead.budget >= 5000 ? `
-                <div style="background: linear-gradient(135deg, #fbbf24 0%, #f59e0b 100%); padding: 20px; border-radius: 8px; margin: 20px 0;">
-                    <h3 style="color: white; margin-top: 0; text-align: center;">🎁 Special Bonus for ${packageName}</h3>
-                    <p style="color: white; text-align: center; margin: 10px 0;">
-                        Book within 48 hours and receive <strong>FREE Google Ads Setup</strong> worth $500!
-                    </p>
-                </div>
-                ` : ''}
-                
+                {{specialOffer}}
+
                 <!-- Next Steps -->
                 <div style="background: #ede9fe; padding: 20px; border-radius: 8px; margin: 20px 0;">
                     <h3 style="color: #5b21b6; margin-top: 0;">📞 Ready to Move Forward?</h3>
@@ -132,7 +267,7 @@ const getOneHourFollowUpEmail = (lead) => {
                         <strong>Can't wait?</strong> Call us directly at <a href="tel:+1234567890" style="color: #6366f1; text-decoration: none;">+1 (234) 567-890</a>
                     </p>
                 </div>
-                
+
                 <p style="color: #6b7280; font-size: 14px; margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
                     <em>This proposal is valid for 7 days. Prices may vary after this period.</em>
                 </p>
@@ -142,7 +277,7 @@ const getOneHourFollowUpEmail = (lead) => {
                 <p style="color: #9ca3af; margin: 10px 0;">TownRanker - Where Ideas Become Digital Reality</p>
                 <p style="color: #9ca3af; margin: 5px 0; font-size: 14px;">Premium Web Development & Digital Marketing</p>
                 <p style="color: #9ca3af; margin: 10px 0; font-size: 12px;">
-                    Lead ID: ${lead._id || 'TEST-' + Date.now()}
+                    Lead ID: {{leadId}}
                 </p>
                 <p style="color: #9ca3af; margin: 10px 0; font-size: 11px;">
                     This email was sent by TownRanker &lt;hello@townranker.com&gt; | 
@@ -151,49 +286,51 @@ const getOneHourFollowUpEmail = (lead) => {
                 </p>
             </div>
         </div>
-    `;
-};
+        `,
+        mergeData: ({ lead }) => {
+            const projectDetails = getProjectTypeDetails(lead.projectType);
+            const packageName = getPackageName(lead.budget);
+            const timeline = lead.timeline ? lead.timeline.replace('-', ' to ') : '';
 
-// 24-Hour Follow-up Email - Strategy Session Scheduling
-const getTwentyFourHourFollowUpEmail = (lead) => {
-    const firstName = lead.name.split(' ')[0];
-    const packageName = getPackageName(lead.budget);
-    
-    // Generate available time slots for next 3 business days
-    const getTimeSlots = () => {
-        const slots = [];
-        const today = new Date();
-        let daysAdded = 0;
-        
-        while (slots.length < 3) {
-            today.setDate(today.getDate() + 1);
-            const dayOfWeek = today.getDay();
-            
-            // Skip weekends
-            if (dayOfWeek === 0 || dayOfWeek === 6) continue;
-            
-            const dayName = today.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
-            slots.push(dayName);
-            daysAdded++;
+            return {
+                firstName: firstNameOf(lead),
+                projectTypeName: projectDetails.name,
+                packageName,
+                investment: formatBudget(lead.budget),
+                timelineLabel: lead.timeline === 'asap' ? 'Priority Delivery (ASAP)' : timeline ? timeline.charAt(0).toUpperCase() + timeline.slice(1) : 'Flexible',
+                featureList: projectDetails.features.map(feature => `<li>${feature}</li>`).join(''),
+                deliverableList: projectDetails.deliverables.map(deliverable => `<li>${deliverable}</li>`).join(''),
+                specialOffer: lead.budget >= 5000 ? `
+                <div style="background: linear-gradient(135deg, #fbbf24 0%, #f59e0b 100%); padding: 20px; border-radius: 8px; margin: 20px 0;">
+                    <h3 style="color: white; margin-top: 0; text-align: center;">🎁 Special Bonus for ${packageName}</h3>
+                    <p style="color: white; text-align: center; margin: 10px 0;">
+                        Book within 48 hours and receive <strong>FREE Google Ads Setup</strong> worth $500!
+                    </p>
+                </div>
+                ` : '',
+                leadId: leadIdOf(lead)
+            };
         }
-        
-        return slots;
-    };
-    
-    const availableDays = getTimeSlots();
-    
-    return `
+    },
+
+    // 24-hour follow-up - strategy session scheduling
+    'twenty-four-hour-follow-up': {
+        name: 'Strategy Session Follow-up',
+        category: 'follow-up',
+        description: 'Invitation to book a strategy session, sent the day after a lead comes in',
+        subject: '🗓️ {{firstName}}, Schedule Your Strategy Session',
+        bodyHtml: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
             <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
                 <img src="https://townranker.com/images/townranker-logo.webp" alt="TownRanker Logo" style="height: 40px; margin-bottom: 15px; filter: brightness(0) invert(1);">
                 <h1 style="color: white; margin: 0;">🗓️ Schedule Your Strategy Session</h1>
             </div>
             <div style="padding: 30px; background: #f9fafb;">
-                <h2 style="color: #1f2937;">Hi ${firstName},</h2>
+                <h2 style="color: #1f2937;">Hi {{firstName}},</h2>
                 <p style="color: #4b5563; line-height: 1.6;">
                     It's time to schedule your personalized strategy session! This is where we'll dive deep into your project and create a roadmap for success.
                 </p>
-                
+
                 <!-- Session Details -->
                 <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border: 2px solid #e5e7eb;">
                     <h3 style="color: #6366f1; margin-top: 0;">📞 Your Strategy Session Includes:</h3>
@@ -205,15 +342,15 @@ const getTwentyFourHourFollowUpEmail = (lead) => {
                         <li><strong>Recorded session</strong> for your reference (optional)</li>
                     </ul>
                 </div>
-                
+
                 <!-- Google Calendar Integration -->
                 <div style="background: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0;">
                     <h3 style="color: #1e40af; margin-top: 0;">📅 Book Your Strategy Session</h3>
                     <p style="color: #4b5563; margin-bottom: 20px;">Click below to see real-time availability and book instantly:</p>
-                    
+
                     <!-- Primary Google Calendar Button -->
                     <div style="text-align: center; margin: 25px 0;">
-                        <a href="${process.env.GOOGLE_CALENDAR_LINK || 'https://calendar.app.google/A5f973NtuW9gW67s5'}" 
+                        <a href="{{calendarLink}}" 
                            style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
                                   color: white; 
                                   padding: 18px 40px; 
@@ -230,7 +367,7 @@ const getTwentyFourHourFollowUpEmail = (lead) => {
                             <strong>✓ Instant confirmation</strong> • <strong>✓ Google Calendar sync</strong> • <strong>✓ Reminder emails</strong>
                         </p>
                     </div>
-                    
+
                     <!-- Alternative Options -->
                     <div style="background: white; padding: 15px; border-radius: 6px; margin-top: 20px;">
                         <p style="color: #4b5563; font-size: 14px; text-align: center; margin: 0;">
@@ -240,13 +377,13 @@ const getTwentyFourHourFollowUpEmail = (lead) => {
                             💬 Text: Send "SCHEDULE" to (234) 567-890
                         </p>
                     </div>
-                    
+
                     <!-- Available Hours Note -->
                     <p style="color: #6b7280; font-size: 13px; margin-top: 15px; text-align: center; font-style: italic;">
                         Available: Monday-Friday 9 AM - 5 PM EST • Same-day bookings available until 3 PM
                     </p>
                 </div>
-                
+
                 <!-- What to Prepare -->
                 <div style="background: #f0fdf4; padding: 20px; border-radius: 8px; margin: 20px 0;">
                     <h3 style="color: #065f46; margin-top: 0;">📝 How to Prepare</h3>
@@ -258,7 +395,7 @@ const getTwentyFourHourFollowUpEmail = (lead) => {
                         <li>Your target launch date preferences</li>
                     </ul>
                 </div>
-                
+
                 <!-- Success Stories -->
                 <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
                     <h3 style="color: #6366f1; margin-top: 0;">⭐ What Our Clients Say</h3>
@@ -267,7 +404,7 @@ const getTwentyFourHourFollowUpEmail = (lead) => {
                             "The strategy session was incredibly valuable. They understood our vision perfectly and delivered beyond expectations!"
                         </p>
                         <p style="color: #6b7280; font-size: 14px; margin-top: 10px;">
-                            - Sarah M., ${packageName} Client
+                            - Sarah M., {{packageName}} Client
                         </p>
                     </div>
                     <div style="background: #f9fafb; padding: 15px; border-left: 3px solid #6366f1; margin: 15px 0;">
@@ -279,7 +416,7 @@ const getTwentyFourHourFollowUpEmail = (lead) => {
                         </p>
                     </div>
                 </div>
-                
+
                 <!-- Urgency -->
                 <div style="background: linear-gradient(135deg, #ef4444 0%, #dc2626 100%); padding: 20px; border-radius: 8px; margin: 20px 0;">
                     <h3 style="color: white; margin-top: 0; text-align: center;">⏰ Limited Availability Alert</h3>
@@ -288,7 +425,7 @@ const getTwentyFourHourFollowUpEmail = (lead) => {
                         <br>Current availability: <strong>2 spots remaining</strong> for this month.
                     </p>
                 </div>
-                
+
                 <!-- Direct Booking -->
                 <div style="text-align: center; margin: 30px 0;">
                     <a href="https://townranker.com/schedule" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 15px 40px; border-radius: 8px; text-decoration: none; display: inline-block; font-weight: bold; font-size: 18px;">
@@ -298,7 +435,7 @@ const getTwentyFourHourFollowUpEmail = (lead) => {
                         Or call directly: <a href="tel:+1234567890" style="color: #6366f1;">+1 (234) 567-890</a>
                     </p>
                 </div>
-                
+
                 <!-- FAQ -->
                 <div style="background: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0;">
                     <h3 style="color: #92400e; margin-top: 0;">💡 Quick FAQ</h3>
@@ -321,7 +458,7 @@ const getTwentyFourHourFollowUpEmail = (lead) => {
                 <p style="color: #9ca3af; margin: 10px 0;">TownRanker - Where Ideas Become Digital Reality</p>
                 <p style="color: #9ca3af; margin: 5px 0; font-size: 14px;">Premium Web Development & Digital Marketing</p>
                 <p style="color: #9ca3af; margin: 10px 0; font-size: 12px;">
-                    Lead ID: ${lead._id || 'TEST-' + Date.now()}
+                    Lead ID: {{leadId}}
                 </p>
                 <p style="color: #9ca3af; margin: 10px 0; font-size: 11px;">
                     This email was sent by TownRanker &lt;hello@townranker.com&gt; | 
@@ -330,12 +467,19 @@ const getTwentyFourHourFollowUpEmail = (lead) => {
                 </p>
             </div>
         </div>
-    `;
+        `,
+        mergeData: ({ lead }) => ({
+            firstName: firstNameOf(lead),
+            packageName: getPackageName(lead.budget),
+            calendarLink: process.env.GOOGLE_CALENDAR_LINK || 'https://calendar.app.google/A5f973NtuW9gW67s5',
+            leadId: leadIdOf(lead)
+        })
+    }
 };
 
 module.exports = {
-    getOneHourFollowUpEmail,
-    getTwentyFourHourFollowUpEmail,
+    systemTemplates,
     formatBudget,
-    getPackageName
-};
\ No newline at end of file
+    getPackageName,
+    getProjectTypeDetails
+};
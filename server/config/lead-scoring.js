@@ -0,0 +1,50 @@
+/**
+ * Lead Scoring Rules
+ * Used by server/services/leadScoringService.js to score the inline Lead records.
+ *
+ * A score (0-100) is fit plus engagement, each capped at its `max`.
+ * Fit comes from what the lead told us on the form; engagement from what
+ * they have done since. Counted signals earn `points` each up to their own `max`.
+ */
+
+const fit = {
+    max: 60,
+    // First matching tier wins
+    budget: [
+        { min: 25000, points: 25 },
+        { min: 10000, points: 20 },
+        { min: 5000, points: 12 },
+        { min: 1000, points: 5 }
+    ],
+    projectType: {
+        'ecommerce': 10,
+        'ecommerce-store': 10,
+        'webapp': 10,
+        'web-application': 10,
+        'business': 6,
+        'business-website': 6,
+        'landing': 3,
+        'landing-page': 3
+    },
+    timeline: {
+        'asap': 15,
+        '1-2months': 10,
+        '3-4months': 5
+    },
+    features: { points: 2, max: 10 }
+};
+
+const engagement = {
+    max: 40,
+    emailOpens: { points: 2, max: 8 },
+    replies: { points: 5, max: 15 },
+    siteVisits: { points: 2, max: 8 },
+    proposalViews: { points: 4, max: 12 }
+};
+
+module.exports = {
+    fit,
+    engagement,
+    // Crossing this score raises a hot lead alert (once per lead)
+    alertThreshold: parseInt(process.env.LEAD_SCORE_ALERT_THRESHOLD, 10) || 70
+};
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const cannedResponseSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Typed as "/shortcut" in the chat input to insert the response
+    shortcut: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z0-9-]+$/, 'Shortcut may only contain letters, numbers and dashes']
+    },
+    channel: {
+        type: String,
+        enum: ['any', 'sms', 'email'],
+        default: 'any'
+    },
+    category: {
+        type: String,
+        default: 'general',
+        trim: true
+    },
+
+    // Content - may use the standard merge tags (smsTemplateService.getStandardMergeTags)
+    subject: String, // Email responses only
+    content: {
+        type: String,
+        required: true
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+
+    // Users (req.user email or id) who starred this response
+    favoritedBy: [String],
+
+    // Usage
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+    usageByUser: [{
+        _id: false,
+        user: String,
+        count: { type: Number, default: 0 },
+        lastUsedDate: Date
+    }],
+    lastUsedDate: Date,
+    lastUsedBy: String,
+
+    createdBy: String,
+    updatedBy: String
+}, {
+    timestamps: true
+});
+
+// Count a use of the response by a user
+// Atomic updates, so admins using the same response at once all get counted
+cannedResponseSchema.methods.incrementUsage = async function(user) {
+    const now = new Date();
+    const CannedResponse = this.constructor;
+
+    const repeat = await CannedResponse.updateOne(
+        { _id: this._id, 'usageByUser.user': user },
+        {
+            $inc: { usageCount: 1, 'usageByUser.$.count': 1 },
+            $set: { lastUsedDate: now, lastUsedBy: user, 'usageByUser.$.lastUsedDate': now }
+        }
+    );
+    if (repeat.matchedCount > 0) return;
+
+    // First use by this user
+    const first = await CannedResponse.updateOne(
+        { _id: this._id, 'usageByUser.user': { $ne: user } },
+        {
+            $inc: { usageCount: 1 },
+            $set: { lastUsedDate: now, lastUsedBy: user },
+            $push: { usageByUser: { user, count: 1, lastUsedDate: now } }
+        }
+    );
+
+    // Another request added the user's entry in between - count it as a repeat use
+    if (first.matchedCount === 0 && await CannedResponse.exists({ _id: this._id })) {
+        return this.incrementUsage(user);
+    }
+};
+
+// Indexes
+cannedResponseSchema.index({ isActive: 1, channel: 1 });
+cannedResponseSchema.index({ usageCount: -1 });
+
+module.exports = mongoose.model('CannedResponse', cannedResponseSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { buildTrackingLink } = require('../utils/trackingLinks');
 
 const communicationSchema = new mongoose.Schema({
     // Relations
@@ -102,16 +103,34 @@ const communicationSchema = new mongoose.Schema({
         filename: String,
         url: String,
         size: Number,
-        type: String
+        type: { type: String },
+        // Inbound email attachments (see emailAttachmentService)
+        storagePath: String,
+        rejectedReason: String
     }],
     
     // Status and Tracking
     status: {
         type: String,
-        enum: ['draft', 'queued', 'sending', 'sent', 'delivered', 'opened', 'clicked', 'replied', 'bounced', 'failed'],
+        enum: ['draft', 'queued', 'sending', 'sent', 'delivered', 'received', 'opened', 'clicked', 'replied', 'bounced', 'failed', 'cancelled'],
         default: 'draft'
     },
     
+    // Scheduled sending (status 'queued' until scheduledDate)
+    schedule: {
+        requestedDate: Date,
+        timezone: String,
+        rules: {
+            allowWeekends: Boolean,
+            businessHoursOnly: Boolean,
+            timezone: String,
+            optimalSendTimes: [String]
+        },
+        attempts: { type: Number, default: 0 },
+        cancelledAt: Date,
+        cancelledBy: String
+    },
+    
     // Timestamps
     scheduledDate: Date,
     sentDate: Date,
@@ -186,6 +205,25 @@ const communicationSchema = new mongoose.Schema({
         code: String,
         date: Date
     },
+
+    // SMS retry queue (see smsService.scheduleRetry)
+    retry: {
+        attempts: Number,
+        nextAttemptAt: Date,
+        lastAttemptAt: Date,
+        permanentlyFailedAt: Date
+    },
+
+    // SMS template A/B test assignment (see smsTemplateService.recordConversion)
+    abTest: {
+        template: { type: mongoose.Schema.Types.ObjectId, ref: 'SMSTemplate' },
+        variant: mongoose.Schema.Types.ObjectId,
+        variantName: String,
+        leadStatus: String, // Lead status when sent - a later advance converts
+        windowHours: Number,
+        convertedAt: Date,
+        conversion: { type: String, enum: ['reply', 'status_advance'] }
+    },
     
     // Metadata
     tags: [String],
@@ -236,8 +274,8 @@ communicationSchema.methods.addTrackingToHtml = function(html) {
     const trackedHtml = html.replace(
         /<a([^>]+)href="([^"]+)"([^>]*)>/gi,
         (match, before, url, after) => {
-            const trackUrl = `/api/crm/emails/track/${this.trackingId}/click?url=${encodeURIComponent(url)}`;
-            return `<a${before}href="${process.env.BASE_URL || 'https://townranker.com'}${trackUrl}"${after}>`;
+            const trackUrl = buildTrackingLink(process.env.BASE_URL || 'https://townranker.com', this.trackingId, url);
+            return `<a${before}href="${trackUrl}"${after}>`;
         }
     );
     
@@ -334,6 +372,8 @@ communicationSchema.pre('save', function(next) {
         this.generateEmailId();
     }
     
+    this.$locals.wasNew = this.isNew;
+
     // Update customer's last contact date
     if (this.isNew && this.customer) {
         const Customer = mongoose.model('Customer');
@@ -349,6 +389,15 @@ communicationSchema.pre('save', function(next) {
     next();
 });
 
+// Keep the contact's unified inbox thread current
+communicationSchema.post('save', function(doc) {
+    if (!doc.$locals.wasNew || !['email', 'sms'].includes(doc.type) || !doc.customer) return;
+
+    // Required lazily - the inbox service depends on this model
+    const inboxService = require('../services/inboxService');
+    inboxService.recordActivity(doc.customer);
+});
+
 // Indexes
 communicationSchema.index({ customer: 1, type: 1, createdAt: -1 });
 communicationSchema.index({ emailId: 1 }, { unique: true, sparse: true });
@@ -359,5 +408,8 @@ communicationSchema.index({ conversationId: 1, createdAt: 1 });
 communicationSchema.index({ trackingId: 1 });
 communicationSchema.index({ 'campaign.id': 1 });
 communicationSchema.index({ threadId: 1 });
+communicationSchema.index({ status: 1, scheduledDate: 1 });
+communicationSchema.index({ status: 1, 'retry.nextAttemptAt': 1 });
+communicationSchema.index({ customer: 1, 'abTest.variant': 1, sentDate: -1 });
 
 module.exports = mongoose.model('Communication', communicationSchema);
\ No newline at end of file
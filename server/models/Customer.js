@@ -70,6 +70,7 @@ const customerSchema = new mongoose.Schema({
         zip: String,
         country: String
     },
+    timezone: String, // IANA name, e.g. America/Chicago - used for scheduled sends
     
     // Source & Attribution
     source: {
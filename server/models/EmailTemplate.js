@@ -9,10 +9,17 @@ const emailTemplateSchema = new mongoose.Schema({
     },
     category: {
         type: String,
-        enum: ['welcome', 'follow-up', 'proposal', 'invoice', 'project', 'marketing', 'custom'],
+        enum: ['welcome', 'follow-up', 'proposal', 'invoice', 'project', 'marketing', 'notification', 'custom'],
         default: 'custom'
     },
     description: String,
+
+    // Set on templates the server sends itself (see server/config/email-templates.js)
+    systemKey: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
     
     // Email Content
     subject: {
@@ -61,9 +68,20 @@ const emailTemplateSchema = new mongoose.Schema({
         type: Number,
         default: 1
     },
+    // Content of every earlier version, oldest first
+    versions: [{
+        version: Number,
+        subject: String,
+        bodyHtml: String,
+        bodyText: String,
+        savedBy: String,
+        savedAt: { type: Date, default: Date.now },
+        note: String
+    }],
     
     // Metadata
     createdBy: String,
+    updatedBy: String,
     createdAt: {
         type: Date,
         default: Date.now
@@ -77,9 +95,10 @@ const emailTemplateSchema = new mongoose.Schema({
 });
 
 // Process merge tags
-emailTemplateSchema.methods.processMergeTags = function(data) {
+emailTemplateSchema.methods.processMergeTags = function(data = {}) {
     let subject = this.subject;
     let body = this.bodyHtml;
+    let text = this.bodyText || '';
     
     // Default merge tags
     const mergeTags = {
@@ -95,17 +114,21 @@ emailTemplateSchema.methods.processMergeTags = function(data) {
     
     // Add custom tags from data
     Object.keys(data).forEach(key => {
-        mergeTags[`{{${key}}}`] = data[key];
+        if (typeof data[key] === 'string' || typeof data[key] === 'number') {
+            mergeTags[`{{${key}}}`] = data[key];
+        }
     });
     
-    // Replace tags in subject and body
+    // Replace tags in subject and body (a function replacer keeps "$" in values literal)
     Object.keys(mergeTags).forEach(tag => {
-        const regex = new RegExp(tag, 'g');
-        subject = subject.replace(regex, mergeTags[tag]);
-        body = body.replace(regex, mergeTags[tag]);
+        const regex = new RegExp(tag.replace(/[{}]/g, '\\$&'), 'g');
+        const value = String(mergeTags[tag] ?? '');
+        subject = subject.replace(regex, () => value);
+        body = body.replace(regex, () => value);
+        text = text.replace(regex, () => value);
     });
     
-    return { subject, body };
+    return { subject, body, text };
 };
 
 // Increment usage
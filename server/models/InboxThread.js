@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// One thread per contact, merging email, SMS and iMessage. Message content
+// stays in Communication / Lead.emailHistory; this holds the inbox state.
+const inboxThreadSchema = new mongoose.Schema({
+    // Relations - a converted lead shares one thread with its customer
+    lead: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead'
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer'
+    },
+
+    // Contact snapshot for listing without joins
+    name: String,
+    email: String,
+    phone: String,
+
+    // Latest activity
+    channels: [{
+        type: String,
+        enum: ['email', 'sms', 'imessage']
+    }],
+    messageCount: {
+        type: Number,
+        default: 0
+    },
+    lastMessageAt: Date,
+    lastMessagePreview: String,
+    lastMessageChannel: String,
+    lastMessageDirection: {
+        type: String,
+        enum: ['inbound', 'outbound']
+    },
+    lastInboundAt: Date,
+    lastOutboundAt: Date,
+
+    // Inbox state
+    unreadCount: {
+        type: Number,
+        default: 0
+    },
+    lastReadAt: Date,
+    needsReply: {
+        type: Boolean,
+        default: false
+    },
+    needsReplyClearedAt: Date,
+    assignedTo: String,
+    assignedAt: Date,
+    status: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open'
+    },
+    closedAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes
+inboxThreadSchema.index({ lead: 1 }, { sparse: true });
+inboxThreadSchema.index({ customer: 1 }, { sparse: true });
+inboxThreadSchema.index({ status: 1, lastMessageAt: -1 });
+inboxThreadSchema.index({ assignedTo: 1, status: 1 });
+
+module.exports = mongoose.model('InboxThread', inboxThreadSchema);
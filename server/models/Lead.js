@@ -303,4 +303,5 @@ leadSchema.methods.addNote = function(content, priority = 'low', createdBy = 'sy
     return this.save();
 };
 
-module.exports = mongoose.model('Lead', leadSchema);
\ No newline at end of file
+// Reuse the Lead model if server.js already registered it
+module.exports = mongoose.models.Lead || mongoose.model('Lead', leadSchema);
\ No newline at end of file
@@ -124,6 +124,16 @@ const paymentSchema = new mongoose.Schema({
     },
     recurringEndDate: Date,
     nextPaymentDate: Date,
+    recurringAutoSend: {
+        type: Boolean,
+        default: false
+    },
+    // Set on invoices generated from a recurring invoice
+    recurringParent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    recurringPeriod: Date,
     
     // Additional Information
     currency: {
@@ -136,8 +146,10 @@ const paymentSchema = new mongoose.Schema({
     // Reminders
     remindersSent: [{
         date: Date,
-        type: String, // email, sms, etc.
-        status: String // sent, failed
+        type: { type: String }, // email, sms, etc.
+        status: String, // sent, failed
+        stage: Number, // escalation stage (0 = first reminder)
+        error: String
     }],
     lastReminderDate: Date,
     
@@ -177,8 +189,11 @@ paymentSchema.statics.generateInvoiceNumber = async function() {
     let nextNumber = 1001;
     
     if (lastInvoice && lastInvoice.invoiceNumber) {
-        const lastNumber = parseInt(lastInvoice.invoiceNumber.replace(/\D/g, ''));
-        nextNumber = lastNumber + 1;
+        // Only the trailing sequence counts - the year segment must not be folded in
+        const lastNumber = parseInt(lastInvoice.invoiceNumber.split('-').pop(), 10);
+        if (!isNaN(lastNumber)) {
+            nextNumber = lastNumber + 1;
+        }
     }
     
     const year = new Date().getFullYear();
@@ -219,10 +234,9 @@ paymentSchema.methods.calculateTotals = function() {
     };
 };
 
-// Check if overdue
+// Check if overdue - drafts haven't been sent, so they can't be overdue
 paymentSchema.virtual('isOverdue').get(function() {
-    return this.status !== 'paid' && 
-           this.status !== 'cancelled' && 
+    return !['paid', 'cancelled', 'refunded', 'draft'].includes(this.status) &&
            this.dueDate < new Date();
 });
 
@@ -235,41 +249,137 @@ paymentSchema.virtual('daysUntilDue').get(function() {
 
 // Update status based on payments
 paymentSchema.methods.updatePaymentStatus = function() {
-    if (this.amountPaid >= this.total) {
+    // Cancelled and refunded invoices keep their status
+    if (['cancelled', 'refunded'].includes(this.status)) {
+        return this.status;
+    }
+    
+    if (this.total > 0 && this.amountPaid >= this.total) {
         this.status = 'paid';
-        this.paidDate = new Date();
+        if (!this.paidDate) this.paidDate = new Date();
     } else if (this.amountPaid > 0) {
         this.status = 'partial';
     } else if (this.isOverdue) {
+        // Never true for drafts - an unsent invoice only leaves draft when it's sent or paid
         this.status = 'overdue';
     }
     return this.status;
 };
 
-// Pre-save middleware
-paymentSchema.pre('save', async function(next) {
+// Advance a date by one recurring interval
+paymentSchema.methods.getNextRecurringDate = function(from) {
+    const date = new Date(from || this.nextPaymentDate || this.invoiceDate);
+    
+    if (this.recurringInterval === 'weekly') {
+        date.setDate(date.getDate() + 7);
+        return date;
+    }
+    
+    const months = { quarterly: 3, yearly: 12 }[this.recurringInterval] || 1;
+    // Bill on the original invoice day, clamped to short months (Jan 31 -> Feb 28 -> Mar 31)
+    const anchorDay = new Date(this.invoiceDate || date).getDate();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + months);
+    const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(anchorDay, daysInMonth));
+    return date;
+};
+
+// Record a (partial) payment against the invoice
+paymentSchema.methods.recordPayment = function({ amount, date, method, reference, notes }) {
+    this.payments.push({
+        amount,
+        date: date || new Date(),
+        method,
+        reference,
+        notes
+    });
+    
+    if (method) {
+        this.paymentMethod = method;
+    }
+    
+    return this.payments[this.payments.length - 1];
+};
+
+// Recalculate the financial summary on a customer from their invoices
+paymentSchema.statics.updateCustomerFinancials = async function(customer) {
+    const customerId = customer?._id || customer;
+    const [summary] = await this.aggregate([
+        {
+            $match: {
+                customer: new mongoose.Types.ObjectId(customerId),
+                status: { $nin: ['draft', 'cancelled'] }
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                totalRevenue: { $sum: '$total' },
+                totalPaid: { $sum: '$amountPaid' },
+                outstandingBalance: {
+                    $sum: {
+                        $cond: [{ $eq: ['$status', 'refunded'] }, 0, '$amountDue']
+                    }
+                }
+            }
+        }
+    ]);
+    
+    const financials = {
+        totalRevenue: summary?.totalRevenue || 0,
+        totalPaid: summary?.totalPaid || 0,
+        outstandingBalance: Math.max(summary?.outstandingBalance || 0, 0)
+    };
+    
+    await mongoose.model('Customer').findByIdAndUpdate(customerId, financials);
+    return financials;
+};
+
+// Pre-validate middleware (runs before required-field validation so generated fields are present)
+paymentSchema.pre('validate', async function(next) {
     // Generate invoice number if not exists
     if (!this.invoiceNumber) {
         this.invoiceNumber = await this.constructor.generateInvoiceNumber();
     }
     
+    // Schedule the first recurrence one interval after the invoice date
+    if (this.isRecurring && !this.nextPaymentDate && !this.recurringParent) {
+        this.nextPaymentDate = this.getNextRecurringDate(this.invoiceDate);
+    }
+    
+    // Calculate amount paid from payments array
+    if (this.payments && this.payments.length > 0) {
+        this.amountPaid = this.payments.reduce((acc, payment) => acc + (payment.amount || 0), 0);
+    }
+    
     // Calculate totals
     this.calculateTotals();
     
     // Update payment status
     this.updatePaymentStatus();
     
-    // Calculate amount paid from payments array
-    if (this.payments && this.payments.length > 0) {
-        this.amountPaid = this.payments.reduce((acc, payment) => acc + payment.amount, 0);
-    }
-    
     next();
 });
 
+// Keep the customer's financial summary in sync
+paymentSchema.post('save', async function(doc) {
+    try {
+        await doc.constructor.updateCustomerFinancials(doc.customer);
+    } catch (error) {
+        console.error('Error updating customer financials:', error.message);
+    }
+});
+
 // Indexes
 paymentSchema.index({ customer: 1, status: 1 });
 paymentSchema.index({ invoiceNumber: 1 }, { unique: true });
 paymentSchema.index({ dueDate: 1, status: 1 });
+paymentSchema.index({ isRecurring: 1, nextPaymentDate: 1 });
+// One generated invoice per recurring parent and period - keeps generation idempotent
+paymentSchema.index(
+    { recurringParent: 1, recurringPeriod: 1 },
+    { unique: true, partialFilterExpression: { recurringParent: { $exists: true } } }
+);
 
 module.exports = mongoose.model('Payment', paymentSchema);
\ No newline at end of file
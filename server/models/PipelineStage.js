@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const pipelineStageSchema = new mongoose.Schema({
+    // Stored in Lead.status, so it can't change once leads use it
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z0-9-]+$/, 'Stage keys may only contain lowercase letters, numbers and dashes']
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    order: {
+        type: Number,
+        required: true
+    },
+    // Chance (0-100) that a lead in this stage closes - weights pipeline value
+    probability: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0
+    },
+    // won/lost stages close the lead
+    type: {
+        type: String,
+        enum: ['open', 'won', 'lost'],
+        default: 'open'
+    },
+    // Lead fields that must be filled before a lead can enter the stage
+    requiredFields: [String],
+    color: String,
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: String,
+    updatedBy: String
+}, {
+    timestamps: true
+});
+
+// Indexes
+pipelineStageSchema.index({ isActive: 1, order: 1 });
+
+module.exports = mongoose.model('PipelineStage', pipelineStageSchema);
@@ -65,6 +65,7 @@ const projectSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    hourlyRate: Number, // default rate for billing time entries
     
     // Phases and Milestones
     phases: [{
@@ -132,7 +133,20 @@ const projectSchema = new mongoose.Schema({
             type: Boolean,
             default: true
         },
-        user: String
+        user: String,
+        task: mongoose.Schema.Types.ObjectId, // tasks[] subdocument id
+        // Timer entries have a start and, once stopped, an end
+        startTime: Date,
+        endTime: Date,
+        rate: Number, // overrides the project hourly rate when billing
+        billed: {
+            type: Boolean,
+            default: false
+        },
+        invoice: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Payment'
+        }
     }],
     totalHours: {
         type: Number,
@@ -147,7 +161,7 @@ const projectSchema = new mongoose.Schema({
     files: [{
         name: String,
         url: String,
-        type: String,
+        type: { type: String },
         size: Number,
         uploadedBy: String,
         uploadedAt: {
@@ -204,6 +218,16 @@ const projectSchema = new mongoose.Schema({
 
 // Calculate project progress based on completed tasks and phases
 projectSchema.methods.calculateProgress = function() {
+    // Phase progress follows its deliverables; completed phases count as 100%
+    (this.phases || []).forEach(phase => {
+        if (phase.status === 'completed') {
+            phase.progress = 100;
+        } else if (phase.deliverables && phase.deliverables.length > 0) {
+            const done = phase.deliverables.filter(d => d.completed).length;
+            phase.progress = Math.round((done / phase.deliverables.length) * 100);
+        }
+    });
+    
     if (this.phases && this.phases.length > 0) {
         const totalPhases = this.phases.length;
         const completedPhases = this.phases.filter(p => p.status === 'completed').length;
@@ -219,18 +243,24 @@ projectSchema.methods.calculateProgress = function() {
 
 // Calculate total hours
 projectSchema.methods.calculateTotalHours = function() {
-    if (this.timeEntries && this.timeEntries.length > 0) {
-        this.totalHours = this.timeEntries.reduce((acc, entry) => acc + entry.hours, 0);
-        this.billableHours = this.timeEntries
-            .filter(entry => entry.billable)
-            .reduce((acc, entry) => acc + entry.hours, 0);
-    }
+    const entries = this.timeEntries || [];
+    this.totalHours = entries.reduce((acc, entry) => acc + (entry.hours || 0), 0);
+    this.billableHours = entries
+        .filter(entry => entry.billable)
+        .reduce((acc, entry) => acc + (entry.hours || 0), 0);
     return {
         total: this.totalHours,
         billable: this.billableHours
     };
 };
 
+// Time entries with a started, not yet stopped timer
+projectSchema.methods.getRunningTimers = function(user) {
+    return (this.timeEntries || []).filter(entry =>
+        entry.startTime && !entry.endTime && (!user || entry.user === user)
+    );
+};
+
 // Check if project is overdue
 projectSchema.virtual('isOverdue').get(function() {
     return this.status !== 'completed' && this.endDate < new Date();
@@ -211,8 +211,9 @@ proposalSchema.statics.generateProposalNumber = async function() {
     let nextNumber = 1001;
     
     if (lastProposal && lastProposal.proposalNumber) {
-        const lastNumber = parseInt(lastProposal.proposalNumber.replace(/\D/g, ''));
-        nextNumber = lastNumber + 1;
+        // Only the trailing sequence counts - the year segment must not be folded in
+        const lastNumber = parseInt(lastProposal.proposalNumber.split('-').pop(), 10);
+        if (!isNaN(lastNumber)) nextNumber = lastNumber + 1;
     }
     
     const year = new Date().getFullYear();
@@ -223,7 +224,7 @@ proposalSchema.statics.generateProposalNumber = async function() {
 proposalSchema.methods.generatePublicLink = function() {
     const crypto = require('crypto');
     this.privateToken = crypto.randomBytes(32).toString('hex');
-    this.publicLink = `/proposal/view/${this._id}/${this.privateToken}`;
+    this.publicLink = `/p/${this.privateToken}`;
     return this.publicLink;
 };
 
@@ -275,14 +276,30 @@ proposalSchema.virtual('daysUntilExpiry').get(function() {
     return days > 0 ? days : 0;
 });
 
+// Proposal content kept in each revision snapshot
+const REVISION_FIELDS = [
+    'title', 'project', 'executiveSummary', 'projectOverview', 'scope',
+    'deliverables', 'timeline', 'pricingModel', 'pricing', 'subtotal', 'discount',
+    'tax', 'total', 'paymentTerms', 'termsAndConditions', 'customTerms',
+    'validUntil', 'acceptanceRequired', 'template', 'customStyling', 'attachments'
+];
+
 // Create revision
 proposalSchema.methods.createRevision = function(changes, changedBy) {
+    // Snapshot the proposal content only - earlier revisions, viewer and message
+    // history would otherwise be copied into every revision
+    const current = this.toObject();
+    const content = {};
+    REVISION_FIELDS.forEach(field => {
+        if (current[field] !== undefined) content[field] = current[field];
+    });
+
     const revision = {
         version: this.version,
         date: new Date(),
         changes: changes,
         changedBy: changedBy,
-        content: this.toObject()
+        content
     };
     
     this.revisions.push(revision);
@@ -311,8 +328,8 @@ proposalSchema.methods.trackView = function(ip, userAgent) {
     return this.viewCount;
 };
 
-// Pre-save middleware
-proposalSchema.pre('save', async function(next) {
+// Pre-validate middleware (runs before required-field validation so generated fields are present)
+proposalSchema.pre('validate', async function(next) {
     // Generate proposal number if not exists
     if (!this.proposalNumber) {
         this.proposalNumber = await this.constructor.generateProposalNumber();
@@ -324,10 +341,11 @@ proposalSchema.pre('save', async function(next) {
     }
     
     // Calculate totals
+    if (this.subtotal === undefined) this.subtotal = 0;
     this.calculateTotals();
     
-    // Check if expired
-    if (this.isExpired && this.status !== 'expired') {
+    // Check if expired (decided proposals keep their outcome)
+    if (this.isExpired && !['expired', 'accepted', 'rejected'].includes(this.status)) {
         this.status = 'expired';
     }
     
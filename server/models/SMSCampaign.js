@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const smsCampaignSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+
+    // Message - rendered per recipient with SMSTemplate.generateSMS
+    template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SMSTemplate',
+        required: true
+    },
+
+    // Lead filters - empty filters match every lead with a phone number
+    audience: {
+        statuses: [String],
+        projectTypes: [String],
+        sources: [String],
+        tags: [String],
+        budgetMin: Number,
+        budgetMax: Number
+    },
+
+    // Lifecycle
+    status: {
+        type: String,
+        enum: ['draft', 'scheduled', 'sending', 'paused', 'completed', 'cancelled'],
+        default: 'draft'
+    },
+    scheduledAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+    cancelledAt: Date,
+
+    // Audience snapshot taken at launch, one entry per phone number
+    recipients: [{
+        lead: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead' },
+        name: String,
+        phone: String,
+        status: {
+            type: String,
+            enum: ['pending', 'sending', 'sent', 'failed', 'skipped'],
+            default: 'pending'
+        },
+        // Set when a run claims the recipient, before the message goes out
+        claimedAt: Date,
+        communication: { type: mongoose.Schema.Types.ObjectId, ref: 'Communication' },
+        sentAt: Date,
+        error: String
+    }],
+
+    createdBy: String
+}, {
+    timestamps: true
+});
+
+// Indexes
+smsCampaignSchema.index({ status: 1, scheduledAt: 1 });
+smsCampaignSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('SMSCampaign', smsCampaignSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const smsConsentSchema = new mongoose.Schema({
+    // E.164 number from phoneUtils.normalizePhoneNumber
+    phone: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+
+    // Current consent state
+    status: {
+        type: String,
+        enum: ['opted_in', 'opted_out'],
+        required: true
+    },
+    source: {
+        type: String,
+        enum: ['keyword', 'admin', 'web_form', 'import'],
+        required: true
+    },
+    keyword: String,
+    lastChangedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // Contact the number belonged to when consent last changed
+    lead: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead'
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer'
+    },
+
+    // Audit trail of every change, kept for compliance
+    history: [{
+        status: { type: String, enum: ['opted_in', 'opted_out'] },
+        source: { type: String, enum: ['keyword', 'admin', 'web_form', 'import'] },
+        keyword: String,
+        message: String,
+        changedBy: String,
+        at: { type: Date, default: Date.now },
+        confirmationMessageId: String
+    }]
+}, {
+    timestamps: true
+});
+
+// Indexes
+smsConsentSchema.index({ status: 1, lastChangedAt: -1 });
+
+module.exports = mongoose.model('SMSConsent', smsConsentSchema);
@@ -98,9 +98,18 @@ const smsTemplateSchema = new mongoose.Schema({
     variants: [{
         name: String,
         content: String,
+        weight: { type: Number, default: 1, min: 0 }, // Share of sends under weighted selection
+        isActive: { type: Boolean, default: true },
         usageCount: { type: Number, default: 0 },
+        conversions: { type: Number, default: 0 },
         conversionRate: { type: Number, default: 0 }
     }],
+    abTesting: {
+        enabled: { type: Boolean, default: false },
+        strategy: { type: String, enum: ['weighted', 'bandit'], default: 'weighted' },
+        // A reply or status advance within this window counts as a conversion
+        conversionWindowHours: { type: Number, default: 72 }
+    },
     
     // Scheduling
     schedulingRules: {
@@ -131,8 +140,7 @@ smsTemplateSchema.index({ 'conditions.leadStatus': 1 });
 smsTemplateSchema.index({ tags: 1 });
 
 // Process merge tags and personalization
-smsTemplateSchema.methods.processMergeTags = function(data = {}) {
-    let content = this.content;
+smsTemplateSchema.methods.processMergeTags = function(data = {}, content = this.content) {
     
     // Default merge tags
     const mergeTags = {
@@ -272,17 +280,27 @@ smsTemplateSchema.methods.matchesConditions = function(leadData = {}) {
 
 // Increment usage stats
 smsTemplateSchema.methods.incrementUsage = function(wasSuccessful = true) {
-    this.usageCount += 1;
-    this.lastUsedDate = new Date();
-    
-    if (wasSuccessful) {
-        // Update success rate (weighted average)
-        this.successRate = ((this.successRate * (this.usageCount - 1)) + 100) / this.usageCount;
-    } else {
-        this.successRate = ((this.successRate * (this.usageCount - 1)) + 0) / this.usageCount;
-    }
-    
-    return this.save();
+    return this.constructor.recordUsage(this._id, wasSuccessful);
+};
+
+// Count a send of a template. A single pipeline update, so concurrent
+// sends can't lose counts; the success rate is a running average.
+smsTemplateSchema.statics.recordUsage = function(templateId, wasSuccessful = true) {
+    const usageCount = { $ifNull: ['$usageCount', 0] };
+    const successRate = { $ifNull: ['$successRate', 0] };
+
+    return this.updateOne({ _id: templateId }, [{
+        $set: {
+            usageCount: { $add: [usageCount, 1] },
+            lastUsedDate: new Date(),
+            successRate: {
+                $divide: [
+                    { $add: [{ $multiply: [successRate, usageCount] }, wasSuccessful ? 100 : 0] },
+                    { $add: [usageCount, 1] }
+                ]
+            }
+        }
+    }]);
 };
 
 // Static method to find best template for lead
@@ -324,11 +342,55 @@ smsTemplateSchema.statics.findBestTemplate = async function(category, leadData =
     }
 };
 
+// Pick an A/B variant: weighted random, or UCB1 bandit on conversion rate
+smsTemplateSchema.methods.selectVariant = function() {
+    const variants = (this.variants || []).filter(v => v.isActive !== false && v.content);
+    if (!this.abTesting?.enabled || variants.length === 0) {
+        return null;
+    }
+
+    if (this.abTesting.strategy === 'bandit') {
+        // Every variant gets tried once before the bandit starts exploiting
+        const untried = variants.find(v => !v.usageCount);
+        if (untried) return untried;
+
+        const totalUses = variants.reduce((sum, v) => sum + v.usageCount, 0);
+        let best = null;
+        let bestScore = -1;
+        for (const variant of variants) {
+            const score = (variant.conversions || 0) / variant.usageCount +
+                Math.sqrt((2 * Math.log(totalUses)) / variant.usageCount);
+            if (score > bestScore) {
+                best = variant;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    const totalWeight = variants.reduce((sum, v) => sum + (v.weight ?? 1), 0);
+    if (totalWeight <= 0) {
+        return variants[Math.floor(Math.random() * variants.length)];
+    }
+
+    let pick = Math.random() * totalWeight;
+    for (const variant of variants) {
+        pick -= variant.weight ?? 1;
+        if (pick < 0) return variant;
+    }
+    return variants[variants.length - 1];
+};
+
 // Generate processed SMS content
-smsTemplateSchema.methods.generateSMS = function(leadData = {}) {
+smsTemplateSchema.methods.generateSMS = function(leadData = {}, options = {}) {
     try {
+        // Use the requested variant, or let the A/B test pick one
+        const variant = options.variantId
+            ? this.variants.id(options.variantId)
+            : (options.useVariants === false ? null : this.selectVariant());
+
         // Process merge tags
-        const processedContent = this.processMergeTags(leadData);
+        const processedContent = this.processMergeTags(leadData, variant ? variant.content : this.content);
         
         // Split if necessary
         const segments = this.splitMessage(processedContent);
@@ -340,6 +402,7 @@ smsTemplateSchema.methods.generateSMS = function(leadData = {}) {
                 name: this.name,
                 category: this.category
             },
+            variant: variant ? { id: variant._id, name: variant.name } : null,
             content: processedContent,
             segments: segments,
             segmentCount: segments.length,
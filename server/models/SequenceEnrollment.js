@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const sequenceEnrollmentSchema = new mongoose.Schema({
+    // Relations
+    lead: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead',
+        required: true
+    },
+    sequence: {
+        type: String,
+        required: true
+    },
+
+    // Progress
+    status: {
+        type: String,
+        enum: ['active', 'completed', 'stopped'],
+        default: 'active'
+    },
+    currentStep: {
+        type: Number,
+        default: 0
+    },
+    nextRunAt: Date,
+
+    // Lead status when enrolled - any change stops the sequence
+    leadStatus: String,
+
+    enrolledAt: {
+        type: Date,
+        default: Date.now
+    },
+    completedAt: Date,
+    stoppedAt: Date,
+    stopReason: {
+        type: String,
+        enum: ['email_reply', 'sms_reply', 'status_change', 'lead_deleted', 'manual']
+    },
+
+    // Delivery log, one entry per step attempted
+    history: [{
+        step: Number,
+        stepId: String,
+        channel: { type: String, enum: ['email', 'sms'] },
+        status: { type: String, enum: ['sent', 'failed', 'skipped'] },
+        sentAt: { type: Date, default: Date.now },
+        messageId: String,
+        error: String
+    }]
+}, {
+    timestamps: true
+});
+
+// Indexes
+sequenceEnrollmentSchema.index({ lead: 1, sequence: 1 }, { unique: true });
+sequenceEnrollmentSchema.index({ status: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('SequenceEnrollment', sequenceEnrollmentSchema);
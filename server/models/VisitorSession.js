@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const behaviorSchema = {
+    timeOnPage: Number, // seconds
+    maxScrollDepth: Number, // percent
+    clicks: Number,
+    mouseMovements: Number,
+    keyPresses: Number,
+    touches: Number
+};
+
+const visitorSessionSchema = new mongoose.Schema({
+    // Browser session id from public/js/visitor-tracker.js
+    sessionId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Persistent browser id shared by all of a visitor's sessions
+    visitorId: String,
+    // Lead the visitor became (see services/visitorJourneyService.js)
+    lead: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lead'
+    },
+    firstSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // Acquisition - taken from the first page view of the session
+    landingPage: String,
+    referrer: String,
+    trafficSource: String, // e.g. "Google Search", "Facebook", "Direct Traffic", "example.com"
+    sourceCategory: {
+        type: String,
+        enum: ['direct', 'search', 'social', 'email', 'referral', 'campaign'],
+        default: 'direct'
+    },
+    utm: {
+        source: String,
+        medium: String,
+        campaign: String,
+        term: String,
+        content: String
+    },
+
+    // Device
+    userAgent: String,
+    os: String,
+    deviceType: {
+        type: String,
+        enum: ['mobile', 'tablet', 'desktop'],
+        default: 'desktop'
+    },
+    language: String,
+    timezone: String,
+    screen: {
+        width: Number,
+        height: Number
+    },
+
+    // Location (ip-api.com lookup)
+    ip: String,
+    location: {
+        city: String,
+        region: String,
+        country: String,
+        countryCode: String,
+        zip: String,
+        lat: Number,
+        lon: Number,
+        timezone: String,
+        isp: String,
+        org: String
+    },
+
+    // Pages viewed, oldest first (capped - see services/visitor-tracker.js)
+    pageViews: [{
+        _id: false,
+        page: String,
+        title: String,
+        viewedAt: { type: Date, default: Date.now },
+        behavior: behaviorSchema,
+        engagementScore: Number,
+        performance: {
+            pageLoad: Number,
+            domReady: Number
+        }
+    }],
+    pageViewCount: {
+        type: Number,
+        default: 0
+    },
+    exitPage: String,
+
+    // Best engagement score (0-100) of any page in the session
+    engagementScore: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+visitorSessionSchema.index({ firstSeenAt: -1 });
+visitorSessionSchema.index({ 'pageViews.viewedAt': -1 });
+visitorSessionSchema.index({ sourceCategory: 1, firstSeenAt: -1 });
+visitorSessionSchema.index({ ip: 1 });
+visitorSessionSchema.index({ visitorId: 1 });
+visitorSessionSchema.index({ lead: 1, firstSeenAt: 1 });
+
+module.exports = mongoose.model('VisitorSession', visitorSessionSchema);
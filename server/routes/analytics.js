@@ -0,0 +1,167 @@
+/**
+ * Analytics Routes
+ * First-party website analytics from stored visitor sessions
+ * (see services/visitorAnalyticsService.js)
+ * Mounted behind admin authentication in server.js
+ *
+ * Every report takes ?from=&to= (ISO dates) or ?days= (default 30).
+ */
+
+const express = require('express');
+const router = express.Router();
+const VisitorSession = require('../models/VisitorSession');
+const visitorAnalyticsService = require('../services/visitorAnalyticsService');
+const attributionService = require('../services/attributionService');
+
+// Parse the date range, answering 400 for a bad one
+const withRange = (handler) => async (req, res) => {
+    let range;
+    try {
+        range = visitorAnalyticsService.parseRange(req.query);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+        await handler(req, res, range);
+    } catch (error) {
+        console.error('Error fetching analytics:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+/**
+ * GET /api/analytics/summary
+ * Sessions, page views, unique visitors, engagement and bounce rate
+ */
+router.get('/summary', withRange(async (req, res, range) => {
+    const summary = await visitorAnalyticsService.getSummary(range);
+    res.json({ success: true, summary });
+}));
+
+/**
+ * GET /api/analytics/visitors-by-day
+ * Sessions and page views per day
+ * Query: timezone (IANA name, defaults to ANALYTICS_TIMEZONE)
+ */
+router.get('/visitors-by-day', withRange(async (req, res, range) => {
+    const days = await visitorAnalyticsService.getVisitorsByDay({ ...range, timezone: req.query.timezone || undefined });
+    res.json({ success: true, ...range, days });
+}));
+
+/**
+ * GET /api/analytics/top-pages
+ * Most viewed pages with average time on page, scroll depth and engagement
+ * Query: limit
+ */
+router.get('/top-pages', withRange(async (req, res, range) => {
+    const pages = await visitorAnalyticsService.getTopPages({ ...range, limit: req.query.limit });
+    res.json({ success: true, ...range, pages });
+}));
+
+/**
+ * GET /api/analytics/sources
+ * Sessions by source category, traffic source and UTM campaign
+ * Query: limit
+ */
+router.get('/sources', withRange(async (req, res, range) => {
+    const sources = await visitorAnalyticsService.getSources({ ...range, limit: req.query.limit });
+    res.json({ success: true, ...range, ...sources });
+}));
+
+/**
+ * GET /api/analytics/engagement
+ * Sessions per engagement score bucket
+ */
+router.get('/engagement', withRange(async (req, res, range) => {
+    const distribution = await visitorAnalyticsService.getEngagementDistribution(range);
+    res.json({ success: true, ...range, distribution });
+}));
+
+/**
+ * GET /api/analytics/locations
+ * Sessions by city
+ * Query: limit
+ */
+router.get('/locations', withRange(async (req, res, range) => {
+    const locations = await visitorAnalyticsService.getTopLocations({ ...range, limit: req.query.limit });
+    res.json({ success: true, ...range, locations });
+}));
+
+/**
+ * GET /api/analytics/attribution
+ * Leads, closed-won deals and revenue per channel for leads created in the range
+ * Query: model (first-touch | last-touch | linear, default all), format (json | csv)
+ */
+router.get('/attribution', withRange(async (req, res, range) => {
+    let report;
+    try {
+        report = await attributionService.getReport({ ...range, model: req.query.model });
+    } catch (error) {
+        if (error.message.startsWith('Unknown attribution model')) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        throw error;
+    }
+
+    if (req.query.format === 'csv') {
+        const day = (date) => date.toISOString().slice(0, 10);
+        res.attachment(`attribution-${day(range.from)}-${day(range.to)}.csv`);
+        return res.send(attributionService.toCsv(report));
+    }
+
+    res.json({ success: true, ...report });
+}));
+
+/**
+ * GET /api/analytics/sessions
+ * Visitor sessions, newest first (without page views)
+ * Query: sourceCategory, page, limit
+ */
+router.get('/sessions', withRange(async (req, res, range) => {
+    const { sourceCategory, page = 1, limit = 50 } = req.query;
+
+    const filter = { firstSeenAt: { $gte: range.from, $lte: range.to } };
+    if (sourceCategory) filter.sourceCategory = sourceCategory;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [sessions, total] = await Promise.all([
+        VisitorSession.find(filter)
+            .select('-pageViews')
+            .sort({ firstSeenAt: -1 })
+            .limit(parseInt(limit))
+            .skip(skip),
+        VisitorSession.countDocuments(filter)
+    ]);
+
+    res.json({
+        success: true,
+        sessions,
+        pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit))
+        }
+    });
+}));
+
+/**
+ * GET /api/analytics/sessions/:sessionId
+ * One session with its page views
+ */
+router.get('/sessions/:sessionId', async (req, res) => {
+    try {
+        const session = await VisitorSession.findOne({ sessionId: req.params.sessionId });
+        if (!session) {
+            return res.status(404).json({ success: false, error: 'Session not found' });
+        }
+
+        res.json({ success: true, session });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
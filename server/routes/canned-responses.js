@@ -0,0 +1,216 @@
+/**
+ * Canned Response Routes
+ * Shared SMS/email snippets for the chat and email composers, with per-user
+ * favourites and usage counts. Merge tags are expanded with
+ * smsTemplateService.expandMergeTags when a response is used.
+ * Mounted behind admin authentication in server.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const CannedResponse = require('../models/CannedResponse');
+const Customer = require('../models/Customer');
+const smsTemplateService = require('../services/smsTemplateService');
+
+const EDITABLE_FIELDS = ['name', 'shortcut', 'channel', 'category', 'subject', 'content', 'isActive'];
+
+const pick = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+}, {});
+
+const userOf = (req) => req.user?.email || req.user?.id || 'admin';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Response as seen by one user - their favourite flag and use count, not everyone's
+const forUser = (response, user) => {
+    const { favoritedBy = [], usageByUser = [], ...fields } = response.toObject ? response.toObject() : response;
+    return {
+        ...fields,
+        isFavorite: favoritedBy.includes(user),
+        myUsageCount: usageByUser.find(u => u.user === user)?.count || 0
+    };
+};
+
+/**
+ * GET /api/canned-responses
+ * Active responses, the user's favourites first, then most used
+ * Query: channel (sms|email - also includes "any"), category, search, includeInactive
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { channel, category, search, includeInactive } = req.query;
+        const user = userOf(req);
+
+        const filter = {};
+        if (includeInactive !== 'true') filter.isActive = true;
+        if (channel) filter.channel = { $in: ['any', channel] };
+        if (category) filter.category = category;
+        if (search) {
+            const pattern = escapeRegex(String(search));
+            filter.$or = [
+                { name: { $regex: pattern, $options: 'i' } },
+                { shortcut: { $regex: pattern, $options: 'i' } },
+                { content: { $regex: pattern, $options: 'i' } }
+            ];
+        }
+
+        const responses = (await CannedResponse.find(filter).sort({ usageCount: -1, name: 1 }))
+            .map(response => forUser(response, user))
+            .sort((a, b) => b.isFavorite - a.isFavorite);
+
+        res.json({
+            success: true,
+            responses,
+            mergeTags: smsTemplateService.getStandardMergeTags()
+        });
+    } catch (error) {
+        console.error('Error fetching canned responses:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/canned-responses/stats
+ * Usage per response, most used first, including responses nobody has used
+ */
+router.get('/stats', async (req, res) => {
+    try {
+        const responses = await CannedResponse.find()
+            .select('name shortcut channel category isActive usageCount usageByUser lastUsedDate lastUsedBy favoritedBy')
+            .sort({ usageCount: -1, name: 1 })
+            .lean();
+
+        res.json({
+            success: true,
+            totalUses: responses.reduce((sum, r) => sum + r.usageCount, 0),
+            unused: responses.filter(r => r.usageCount === 0).length,
+            responses: responses.map(({ favoritedBy = [], ...response }) => ({
+                ...response,
+                favorites: favoritedBy.length
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/canned-responses
+ * Create a response
+ * Body: { name, shortcut, channel, category, subject, content }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const response = new CannedResponse({
+            ...pick(req.body),
+            createdBy: userOf(req)
+        });
+        await response.save();
+
+        res.status(201).json({ success: true, response: forUser(response, userOf(req)) });
+    } catch (error) {
+        const message = error.code === 11000 ? 'Shortcut is already in use' : error.message;
+        res.status(400).json({ success: false, error: message });
+    }
+});
+
+/**
+ * PUT /api/canned-responses/:id
+ * Update a response
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const response = await CannedResponse.findByIdAndUpdate(
+            req.params.id,
+            { $set: { ...pick(req.body), updatedBy: userOf(req) } },
+            { new: true, runValidators: true }
+        );
+        if (!response) {
+            return res.status(404).json({ success: false, error: 'Canned response not found' });
+        }
+
+        res.json({ success: true, response: forUser(response, userOf(req)) });
+    } catch (error) {
+        const message = error.code === 11000 ? 'Shortcut is already in use' : error.message;
+        res.status(400).json({ success: false, error: message });
+    }
+});
+
+/**
+ * DELETE /api/canned-responses/:id
+ * Delete a response
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const response = await CannedResponse.findByIdAndDelete(req.params.id);
+        if (!response) {
+            return res.status(404).json({ success: false, error: 'Canned response not found' });
+        }
+
+        res.json({ success: true, message: 'Canned response deleted' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/canned-responses/:id/favorite
+ * Star or unstar a response for the current user
+ * Body: { favorite } - defaults to toggling
+ */
+router.post('/:id/favorite', async (req, res) => {
+    try {
+        const user = userOf(req);
+        const response = await CannedResponse.findById(req.params.id);
+        if (!response) {
+            return res.status(404).json({ success: false, error: 'Canned response not found' });
+        }
+
+        const favorite = req.body.favorite !== undefined ? !!req.body.favorite : !response.favoritedBy.includes(user);
+        const updated = await CannedResponse.findByIdAndUpdate(
+            req.params.id,
+            favorite ? { $addToSet: { favoritedBy: user } } : { $pull: { favoritedBy: user } },
+            { new: true }
+        );
+
+        res.json({ success: true, response: forUser(updated, user) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/canned-responses/:id/use
+ * Expand a response's merge tags for a contact and count the use
+ * Body: { contactId } - Lead or Customer id; tags fall back to their defaults without one
+ */
+router.post('/:id/use', async (req, res) => {
+    try {
+        const response = await CannedResponse.findOne({ _id: req.params.id, isActive: true });
+        if (!response) {
+            return res.status(404).json({ success: false, error: 'Canned response not found' });
+        }
+
+        let contact = {};
+        if (req.body.contactId) {
+            contact = await Customer.findById(req.body.contactId).lean()
+                || await mongoose.model('Lead').findById(req.body.contactId).lean()
+                || {};
+        }
+
+        await response.incrementUsage(userOf(req));
+
+        res.json({
+            success: true,
+            content: smsTemplateService.expandMergeTags(response.content, contact),
+            subject: response.subject ? smsTemplateService.expandMergeTags(response.subject, contact) : undefined
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
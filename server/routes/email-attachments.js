@@ -0,0 +1,89 @@
+/**
+ * Email Attachment Routes
+ * List and download attachments received by email
+ * (see services/emailAttachmentService.js)
+ * Mounted behind admin authentication in server.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const Communication = require('../models/Communication');
+const emailAttachmentService = require('../services/emailAttachmentService');
+const inboxService = require('../services/inboxService');
+
+/**
+ * GET /api/email-attachments
+ * Attachments received from a lead or customer, newest first
+ * Query: contactId (Lead or Customer id)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { contactId } = req.query;
+        if (!contactId) {
+            return res.status(400).json({ success: false, error: 'contactId is required' });
+        }
+
+        const { lead, customer } = await inboxService.resolveContact(contactId);
+        if (!lead && !customer) {
+            return res.status(404).json({ success: false, error: 'Contact not found' });
+        }
+
+        const communications = await Communication.find({
+            customer: { $in: [lead?._id, customer?._id].filter(Boolean) },
+            type: 'email',
+            direction: 'inbound',
+            'attachments.0': { $exists: true }
+        })
+            .select('subject from sentDate threadId attachments')
+            .sort({ sentDate: -1 })
+            .lean();
+
+        const attachments = communications.flatMap(comm => comm.attachments.map(attachment => ({
+            id: attachment._id,
+            communicationId: comm._id,
+            threadId: comm.threadId,
+            subject: comm.subject,
+            from: comm.from,
+            receivedAt: comm.sentDate,
+            filename: attachment.filename,
+            size: attachment.size,
+            type: attachment.type,
+            url: attachment.url,
+            stored: !!attachment.storagePath,
+            rejectedReason: attachment.rejectedReason
+        })));
+
+        res.json({ success: true, attachments });
+    } catch (error) {
+        console.error('Error fetching email attachments:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/email-attachments/:communicationId/:attachmentId/download
+ * Download a stored attachment
+ */
+router.get('/:communicationId/:attachmentId/download', async (req, res) => {
+    try {
+        const communication = await Communication.findById(req.params.communicationId).select('attachments');
+        const attachment = communication?.attachments.id(req.params.attachmentId);
+        const filePath = emailAttachmentService.resolvePath(attachment);
+
+        if (!filePath) {
+            return res.status(404).json({ success: false, error: 'Attachment not found' });
+        }
+
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.type(attachment.type || 'application/octet-stream');
+        res.download(filePath, attachment.filename, (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ success: false, error: 'Attachment file is missing' });
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
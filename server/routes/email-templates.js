@@ -0,0 +1,216 @@
+/**
+ * Email Template Routes
+ * Manage stored email templates, preview them against lead data and
+ * roll back to earlier versions (see services/emailTemplateService.js)
+ * Mounted behind admin authentication in server.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const EmailTemplate = require('../models/EmailTemplate');
+const emailTemplateService = require('../services/emailTemplateService');
+
+const editorOf = (req) => req.user?.email || req.user?.id || 'admin';
+
+/**
+ * GET /api/email-templates
+ * List templates (without version history)
+ * Query: category, active, search
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { category, active, search } = req.query;
+
+        const filter = {};
+        if (category) filter.category = category;
+        if (active !== undefined) filter.isActive = active === 'true';
+        if (search) {
+            filter.$or = [
+                { name: { $regex: search, $options: 'i' } },
+                { subject: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const templates = await EmailTemplate.find(filter)
+            .select('-versions')
+            .sort({ category: 1, name: 1 });
+
+        res.json({ success: true, templates });
+    } catch (error) {
+        console.error('Error fetching email templates:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/email-templates/:id
+ * Single template
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const template = await EmailTemplate.findById(req.params.id).select('-versions');
+        if (!template) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+
+        res.json({ success: true, template });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/email-templates
+ * Create a template
+ * Body: { name, category, description, subject, bodyHtml, bodyText, availableTags }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { systemKey, versions, version, ...fields } = req.body;
+
+        const template = new EmailTemplate({
+            ...fields,
+            createdBy: editorOf(req)
+        });
+        await template.save();
+
+        res.status(201).json({ success: true, template });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/email-templates/:id
+ * Update a template; subject/body changes save the previous content as a version
+ * Body: template fields, plus an optional versionNote
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const template = await EmailTemplate.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+
+        const saved = await emailTemplateService.update(template, req.body, editorOf(req), req.body.versionNote);
+        res.json({ success: true, template: saved });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/email-templates/:id
+ * Delete a template; templates the server sends itself can only be deactivated
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const template = await EmailTemplate.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+        if (template.systemKey) {
+            return res.status(400).json({ success: false, error: 'System templates cannot be deleted; set isActive to false to use the built-in default' });
+        }
+
+        await template.deleteOne();
+        res.json({ success: true, message: 'Template deleted' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/email-templates/:id/preview
+ * Render a template with a lead's data, or sample data when no lead is given
+ * Body: { leadId, sampleData, subject, bodyHtml, bodyText } - subject/body preview unsaved edits
+ */
+router.post('/:id/preview', async (req, res) => {
+    try {
+        const { leadId, sampleData, subject, bodyHtml, bodyText } = req.body;
+
+        const template = await EmailTemplate.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+
+        let lead;
+        if (leadId) {
+            lead = await mongoose.model('Lead').findById(leadId).lean();
+            if (!lead) {
+                return res.status(404).json({ success: false, error: 'Lead not found' });
+            }
+        }
+
+        const preview = await emailTemplateService.preview(template, {
+            lead,
+            data: sampleData,
+            overrides: { subject, bodyHtml, bodyText }
+        });
+
+        res.json({ success: true, preview });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/email-templates/:id/versions
+ * Version history, newest first, with the current version at the top
+ */
+router.get('/:id/versions', async (req, res) => {
+    try {
+        const template = await EmailTemplate.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+
+        const current = {
+            version: template.version,
+            subject: template.subject,
+            bodyHtml: template.bodyHtml,
+            bodyText: template.bodyText,
+            savedBy: template.updatedBy || template.createdBy,
+            savedAt: template.updatedAt,
+            current: true
+        };
+
+        res.json({
+            success: true,
+            versions: [current, ...template.versions.slice().reverse()]
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/email-templates/:id/rollback
+ * Restore an earlier version's content (saved as a new version)
+ * Body: { version }
+ */
+router.post('/:id/rollback', async (req, res) => {
+    try {
+        const { version } = req.body;
+        if (version === undefined) {
+            return res.status(400).json({ success: false, error: 'version is required' });
+        }
+
+        const template = await EmailTemplate.findById(req.params.id);
+        if (!template) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+
+        const saved = await emailTemplateService.rollback(template, version, editorOf(req));
+        if (!saved) {
+            return res.status(404).json({ success: false, error: 'Version not found' });
+        }
+
+        res.json({ success: true, template: saved });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
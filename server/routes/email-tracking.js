@@ -0,0 +1,104 @@
+/**
+ * Email Tracking Routes
+ * Public endpoints behind the tracking pixel and rewritten links that
+ * Communication.addTrackingToHtml and emailService.addClickTracking put in
+ * outgoing emails. Opens and clicks are recorded on the Communication with
+ * the matching trackingId.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Communication = require('../models/Communication');
+const { verifyTrackingLink } = require('../utils/trackingLinks');
+
+// 1x1 transparent GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// Only redirect to real destinations, never to javascript: or data: URLs
+const ALLOWED_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+
+const getClientIp = (req) => req.headers['x-forwarded-for']?.split(',')[0].trim() || req.ip;
+
+const parseDestination = (url) => {
+    if (!url) return null;
+    try {
+        const parsed = new URL(url);
+        return ALLOWED_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const emitTrackingEvent = (req, event, communication, extra = {}) => {
+    const io = req.app.get('io');
+    if (io) {
+        io.emit(event, {
+            communicationId: communication._id,
+            customerId: communication.customer,
+            trackingId: communication.trackingId,
+            subject: communication.subject,
+            status: communication.status,
+            openCount: communication.openCount,
+            clickCount: communication.clickCount,
+            ...extra
+        });
+    }
+};
+
+/**
+ * GET /api/crm/emails/track/:trackingId/pixel.gif
+ * Record an email open. Always returns the pixel so mail clients never show a broken image.
+ */
+router.get('/:trackingId/pixel.gif', async (req, res) => {
+    try {
+        const communication = await Communication.findOne({ trackingId: req.params.trackingId });
+        if (communication) {
+            await communication.trackOpen(getClientIp(req), req.get('User-Agent'));
+            emitTrackingEvent(req, 'email_opened', communication);
+            console.log(`📧 Email opened: "${communication.subject}" (${communication.openCount} opens)`);
+        }
+    } catch (error) {
+        console.error('Error tracking email open:', error);
+    }
+
+    res.set({
+        'Content-Type': 'image/gif',
+        'Content-Length': PIXEL.length,
+        'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+        'Pragma': 'no-cache',
+        'Expires': '0'
+    });
+    res.end(PIXEL);
+});
+
+/**
+ * GET /api/crm/emails/track/:trackingId/click?url=&sig=
+ * Record a link click and redirect to the original URL
+ * Only links signed when the email was sent are followed - anything else is a 404
+ */
+router.get('/:trackingId/click', async (req, res) => {
+    const { url, sig } = req.query;
+    const destination = verifyTrackingLink(req.params.trackingId, url, sig) ? parseDestination(url) : null;
+    if (!destination) {
+        return res.status(404).json({ success: false, error: 'Link not found' });
+    }
+
+    try {
+        const communication = await Communication.findOne({ trackingId: req.params.trackingId });
+        if (communication) {
+            // Clicking implies the email was opened, even if images were blocked
+            if (!communication.firstOpenedDate) {
+                await communication.trackOpen(getClientIp(req), req.get('User-Agent'));
+            }
+            await communication.trackClick(destination, getClientIp(req), req.get('User-Agent'));
+            emitTrackingEvent(req, 'email_clicked', communication, { url: destination });
+            console.log(`🔗 Email link clicked: ${destination} ("${communication.subject}")`);
+        }
+    } catch (error) {
+        console.error('Error tracking email click:', error);
+    }
+
+    res.redirect(302, destination);
+});
+
+module.exports = router;
@@ -0,0 +1,265 @@
+/**
+ * Unified Inbox Routes
+ * One thread per contact across email, SMS and iMessage, with unread,
+ * assignment and needs-reply state (see services/inboxService.js)
+ * Mounted behind admin authentication in server.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const InboxThread = require('../models/InboxThread');
+const inboxService = require('../services/inboxService');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const currentUser = (req) => req.user?.email || req.user?.id || 'admin';
+
+// Save a thread after a state change and push it to connected admins
+const saveAndEmit = async (thread) => {
+    await inboxService.refreshThread(thread);
+    await thread.save();
+    inboxService.emitThread(thread);
+    return thread;
+};
+
+/**
+ * GET /api/inbox
+ * List threads, most recent activity first
+ * Query: status (open|closed|all, default open), assignedTo (me|unassigned|<user>),
+ *        unread, needsReply, channel, search, page, limit
+ */
+router.get('/', async (req, res) => {
+    try {
+        const {
+            status = 'open',
+            assignedTo,
+            unread,
+            needsReply,
+            channel,
+            search,
+            limit = 50,
+            page = 1
+        } = req.query;
+
+        const filter = {};
+        if (status !== 'all') filter.status = status;
+        if (assignedTo === 'me') filter.assignedTo = currentUser(req);
+        else if (assignedTo === 'unassigned') filter.assignedTo = { $in: [null, ''] };
+        else if (assignedTo) filter.assignedTo = assignedTo;
+        if (unread === 'true') filter.unreadCount = { $gt: 0 };
+        if (needsReply === 'true') filter.needsReply = true;
+        if (channel) filter.channels = channel;
+        if (search) {
+            const pattern = new RegExp(escapeRegex(search), 'i');
+            filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [threads, total, counts] = await Promise.all([
+            InboxThread.find(filter)
+                .sort({ lastMessageAt: -1 })
+                .limit(parseInt(limit))
+                .skip(skip),
+            InboxThread.countDocuments(filter),
+            Promise.all([
+                InboxThread.countDocuments({ status: 'open', unreadCount: { $gt: 0 } }),
+                InboxThread.countDocuments({ status: 'open', needsReply: true }),
+                InboxThread.countDocuments({ status: 'open', assignedTo: { $in: [null, ''] } }),
+                InboxThread.countDocuments({ status: 'open', assignedTo: currentUser(req) })
+            ])
+        ]);
+
+        res.json({
+            success: true,
+            threads,
+            counts: {
+                unread: counts[0],
+                needsReply: counts[1],
+                unassigned: counts[2],
+                mine: counts[3]
+            },
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching inbox:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/inbox/rebuild
+ * Build threads from existing message history (existing messages start out read)
+ */
+router.post('/rebuild', async (req, res) => {
+    try {
+        const result = await inboxService.rebuildThreads();
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error rebuilding inbox:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/inbox/contact/:contactId
+ * Thread and messages for a lead or customer
+ */
+router.get('/contact/:contactId', async (req, res) => {
+    try {
+        const thread = await inboxService.getThreadForContact(req.params.contactId, { create: true });
+        if (!thread) {
+            return res.status(404).json({ success: false, error: 'Contact not found' });
+        }
+
+        const messages = await inboxService.getMessages(thread);
+        if (!thread.isNew || messages.length > 0) {
+            await inboxService.refreshThread(thread, messages);
+            await thread.save();
+        }
+
+        res.json({ success: true, thread, messages });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/inbox/:id
+ * Thread with all messages merged across channels, oldest first
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const thread = await InboxThread.findById(req.params.id);
+        if (!thread) {
+            return res.status(404).json({ success: false, error: 'Thread not found' });
+        }
+
+        const messages = await inboxService.getMessages(thread);
+        res.json({ success: true, thread, messages });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/inbox/:id/read
+ * Mark every message in the thread as read
+ */
+router.post('/:id/read', async (req, res) => {
+    try {
+        const thread = await InboxThread.findById(req.params.id);
+        if (!thread) {
+            return res.status(404).json({ success: false, error: 'Thread not found' });
+        }
+
+        thread.lastReadAt = new Date();
+        await saveAndEmit(thread);
+
+        res.json({ success: true, thread });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/inbox/:id/unread
+ * Mark the latest inbound message as unread again
+ */
+router.post('/:id/unread', async (req, res) => {
+    try {
+        const thread = await InboxThread.findById(req.params.id);
+        if (!thread) {
+            return res.status(404).json({ success: false, error: 'Thread not found' });
+        }
+        if (!thread.lastInboundAt) {
+            return res.status(400).json({ success: false, error: 'Thread has no inbound messages' });
+        }
+
+        thread.lastReadAt = new Date(thread.lastInboundAt.getTime() - 1);
+        await saveAndEmit(thread);
+
+        res.json({ success: true, thread });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/inbox/:id/assign
+ * Assign the thread to a team member ({ assignedTo: null } unassigns, "me" assigns to yourself)
+ */
+router.put('/:id/assign', async (req, res) => {
+    try {
+        const thread = await InboxThread.findById(req.params.id);
+        if (!thread) {
+            return res.status(404).json({ success: false, error: 'Thread not found' });
+        }
+
+        const { assignedTo } = req.body;
+        thread.assignedTo = assignedTo === 'me' ? currentUser(req) : (assignedTo || undefined);
+        thread.assignedAt = thread.assignedTo ? new Date() : undefined;
+        await saveAndEmit(thread);
+
+        res.json({ success: true, thread });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/inbox/:id/needs-reply
+ * { needsReply: false } marks the conversation handled without replying;
+ * { needsReply: true } undoes that. A new inbound message flags it again.
+ */
+router.put('/:id/needs-reply', async (req, res) => {
+    try {
+        const thread = await InboxThread.findById(req.params.id);
+        if (!thread) {
+            return res.status(404).json({ success: false, error: 'Thread not found' });
+        }
+        if (typeof req.body.needsReply !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'needsReply must be true or false' });
+        }
+
+        thread.needsReplyClearedAt = req.body.needsReply ? undefined : new Date();
+        await saveAndEmit(thread);
+
+        res.json({ success: true, thread });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/inbox/:id/status
+ * Close or reopen a thread. Closed threads reopen on the next inbound message.
+ */
+router.put('/:id/status', async (req, res) => {
+    try {
+        const { status } = req.body;
+        if (!['open', 'closed'].includes(status)) {
+            return res.status(400).json({ success: false, error: 'Status must be open or closed' });
+        }
+
+        const thread = await InboxThread.findById(req.params.id);
+        if (!thread) {
+            return res.status(404).json({ success: false, error: 'Thread not found' });
+        }
+
+        thread.status = status;
+        thread.closedAt = status === 'closed' ? new Date() : undefined;
+        await saveAndEmit(thread);
+
+        res.json({ success: true, thread });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,468 @@
+/**
+ * Invoice & Payment API Routes
+ * Create invoices from customers or proposals, record payments and
+ * keep customer financial summaries in sync
+ * Mounted behind admin authentication in server.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const Payment = require('../models/Payment');
+const Customer = require('../models/Customer');
+const Proposal = require('../models/Proposal');
+const { sendInvoice } = require('../services/invoiceEmailService');
+const { generateInvoicePDF } = require('../services/pdfService');
+
+// Fields an admin may set directly on an invoice
+const EDITABLE_FIELDS = [
+    'project', 'invoiceDate', 'dueDate', 'items', 'taxRate', 'discount',
+    'discountType', 'currency', 'notes', 'termsAndConditions', 'isRecurring',
+    'recurringInterval', 'recurringEndDate', 'nextPaymentDate', 'recurringAutoSend', 'paymentLink',
+    'attachments'
+];
+
+const DEFAULT_PAYMENT_TERMS_DAYS = 30;
+
+const pickEditable = (body) => {
+    const updates = {};
+    for (const key of EDITABLE_FIELDS) {
+        if (body[key] !== undefined) {
+            updates[key] = body[key];
+        }
+    }
+    return updates;
+};
+
+// Line item amounts default to quantity x rate when not supplied
+const normalizeItems = (items = []) => items.map(item => ({
+    ...item,
+    quantity: item.quantity || 1,
+    amount: item.amount !== undefined ? item.amount : (item.quantity || 1) * (item.rate || 0)
+}));
+
+const defaultDueDate = () => {
+    const date = new Date();
+    date.setDate(date.getDate() + DEFAULT_PAYMENT_TERMS_DAYS);
+    return date;
+};
+
+// Build invoice fields from an accepted proposal's pricing
+const invoiceFromProposal = (proposal) => ({
+    customer: proposal.customer,
+    project: proposal.project,
+    proposal: proposal._id,
+    items: (proposal.pricing || []).map(item => ({
+        description: item.description ? `${item.item} - ${item.description}` : item.item,
+        quantity: item.quantity || 1,
+        rate: item.rate || 0,
+        amount: item.amount !== undefined ? item.amount : (item.quantity || 1) * (item.rate || 0)
+    })),
+    discount: proposal.discount?.amount || 0,
+    discountType: proposal.discount?.type || 'fixed',
+    taxRate: proposal.tax?.rate || 0,
+    termsAndConditions: proposal.termsAndConditions
+});
+
+const emitInvoiceEvent = (req, event, invoice) => {
+    const io = req.app.get('io');
+    if (io) {
+        io.emit(event, {
+            invoiceId: invoice._id,
+            invoiceNumber: invoice.invoiceNumber,
+            customerId: invoice.customer?._id || invoice.customer,
+            status: invoice.status,
+            total: invoice.total,
+            amountDue: invoice.amountDue
+        });
+    }
+};
+
+/**
+ * GET /api/invoices
+ * List invoices with filters and pagination
+ */
+router.get('/', async (req, res) => {
+    try {
+        const {
+            status,
+            customer,
+            overdue,
+            limit = 50,
+            page = 1,
+            sort = '-invoiceDate'
+        } = req.query;
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (customer) filter.customer = customer;
+        if (overdue === 'true') {
+            filter.status = { $nin: ['draft', 'paid', 'cancelled', 'refunded'] };
+            filter.dueDate = { $lt: new Date() };
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [invoices, total] = await Promise.all([
+            Payment.find(filter)
+                .populate('customer', 'name email company')
+                .sort(sort)
+                .limit(parseInt(limit))
+                .skip(skip),
+            Payment.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            invoices,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching invoices:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/invoices/:id
+ * Get a single invoice
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const invoice = await Payment.findById(req.params.id)
+            .populate('customer', 'name email phone company')
+            .populate('project', 'name status')
+            .populate('proposal', 'proposalNumber title');
+
+        if (!invoice) {
+            return res.status(404).json({ success: false, error: 'Invoice not found' });
+        }
+
+        res.json({
+            success: true,
+            invoice: invoice.toObject({ virtuals: true })
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/invoices/:id/pdf
+ * Download the invoice as a branded PDF (?download=true forces a file download)
+ */
+router.get('/:id/pdf', async (req, res) => {
+    try {
+        const invoice = await Payment.findById(req.params.id)
+            .populate('customer', 'name email phone company');
+
+        if (!invoice) {
+            return res.status(404).json({ success: false, error: 'Invoice not found' });
+        }
+
+        const pdf = await generateInvoicePDF(invoice);
+        const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `${disposition}; filename="${invoice.invoiceNumber}.pdf"`,
+            'Content-Length': pdf.length
+        });
+        res.send(pdf);
+    } catch (error) {
+        console.error('Error generating invoice PDF:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/invoices
+ * Create an invoice for a customer, or from a proposal when `proposal` is given
+ */
+router.post('/', async (req, res) => {
+    try {
+        let data;
+
+        if (req.body.proposal) {
+            const proposal = await Proposal.findById(req.body.proposal);
+            if (!proposal) {
+                return res.status(404).json({ success: false, error: 'Proposal not found' });
+            }
+            data = { ...invoiceFromProposal(proposal), ...pickEditable(req.body) };
+        } else {
+            if (!req.body.customer) {
+                return res.status(400).json({ success: false, error: 'Customer or proposal is required' });
+            }
+            data = { ...pickEditable(req.body), customer: req.body.customer };
+        }
+
+        if (!data.items || data.items.length === 0) {
+            return res.status(400).json({ success: false, error: 'At least one line item is required' });
+        }
+
+        const customer = await Customer.findById(data.customer);
+        if (!customer) {
+            return res.status(404).json({ success: false, error: 'Customer not found' });
+        }
+
+        const invoice = new Payment({
+            ...data,
+            items: normalizeItems(data.items),
+            dueDate: data.dueDate || defaultDueDate(),
+            status: 'draft',
+            createdBy: req.user?.email || req.user?.id || 'admin'
+        });
+
+        await invoice.save();
+
+        await Customer.findByIdAndUpdate(customer._id, {
+            $addToSet: { payments: invoice._id }
+        });
+
+        console.log(`🧾 Invoice ${invoice.invoiceNumber} created for ${customer.name}`);
+
+        res.status(201).json({ success: true, invoice });
+    } catch (error) {
+        console.error('Error creating invoice:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/invoices/:id
+ * Update invoice details. Paid, cancelled and refunded invoices are locked.
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const invoice = await Payment.findById(req.params.id);
+        if (!invoice) {
+            return res.status(404).json({ success: false, error: 'Invoice not found' });
+        }
+
+        if (['paid', 'cancelled', 'refunded'].includes(invoice.status)) {
+            return res.status(400).json({ success: false, error: `Cannot modify a ${invoice.status} invoice` });
+        }
+
+        const updates = pickEditable(req.body);
+        if (updates.items) updates.items = normalizeItems(updates.items);
+
+        invoice.set(updates);
+        invoice.updatedAt = new Date();
+        await invoice.save();
+
+        res.json({ success: true, invoice });
+    } catch (error) {
+        console.error('Error updating invoice:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/invoices/:id/send
+ * Email an invoice to the customer and mark it as sent
+ * (attachPdf: true also attaches the invoice PDF; notify: false marks it sent without emailing)
+ */
+router.post('/:id/send', async (req, res) => {
+    try {
+        const invoice = await Payment.findById(req.params.id).populate('customer', 'name email phone company');
+        if (!invoice) {
+            return res.status(404).json({ success: false, error: 'Invoice not found' });
+        }
+
+        if (['paid', 'cancelled', 'refunded'].includes(invoice.status)) {
+            return res.status(400).json({ success: false, error: `Invoice already ${invoice.status}` });
+        }
+
+        if (req.body.notify !== false && !(req.body.email || invoice.customer?.email)) {
+            return res.status(400).json({ success: false, error: 'The customer has no email address - use notify: false to mark the invoice sent without emailing' });
+        }
+
+        const emailSent = await sendInvoice(invoice, {
+            email: req.body.email,
+            notify: req.body.notify,
+            attachPdf: req.body.attachPdf
+        });
+        if (!emailSent && req.body.notify !== false) {
+            return res.status(502).json({
+                success: false,
+                error: 'The invoice email could not be sent, so the invoice was not marked as sent'
+            });
+        }
+
+        await invoice.save();
+        emitInvoiceEvent(req, 'invoice_sent', invoice);
+
+        res.json({ success: true, invoice, emailSent });
+    } catch (error) {
+        console.error('Error sending invoice:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/invoices/:id/payments
+ * Record a full or partial payment
+ */
+router.post('/:id/payments', async (req, res) => {
+    try {
+        const amount = parseFloat(req.body.amount);
+        if (!amount || amount <= 0) {
+            return res.status(400).json({ success: false, error: 'A positive payment amount is required' });
+        }
+
+        const invoice = await Payment.findById(req.params.id);
+        if (!invoice) {
+            return res.status(404).json({ success: false, error: 'Invoice not found' });
+        }
+
+        if (['paid', 'cancelled', 'refunded'].includes(invoice.status)) {
+            return res.status(400).json({ success: false, error: `Invoice already ${invoice.status}` });
+        }
+
+        const payment = invoice.recordPayment({
+            amount,
+            date: req.body.date,
+            method: req.body.method,
+            reference: req.body.reference,
+            notes: req.body.notes
+        });
+
+        await invoice.save();
+
+        console.log(`💰 Payment of ${amount} recorded on ${invoice.invoiceNumber} (${invoice.status})`);
+        emitInvoiceEvent(req, 'invoice_payment', invoice);
+
+        res.status(201).json({ success: true, payment, invoice });
+    } catch (error) {
+        console.error('Error recording payment:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/invoices/:id/viewed
+ * Mark an invoice as viewed by the customer
+ */
+router.post('/:id/viewed', async (req, res) => {
+    try {
+        const invoice = await Payment.findById(req.params.id);
+        if (!invoice) {
+            return res.status(404).json({ success: false, error: 'Invoice not found' });
+        }
+
+        if (!invoice.viewedDate) {
+            invoice.viewedDate = new Date();
+        }
+        if (invoice.status === 'sent') {
+            invoice.status = 'viewed';
+        }
+
+        await invoice.save();
+        emitInvoiceEvent(req, 'invoice_viewed', invoice);
+
+        res.json({ success: true, invoice });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/invoices/:id/paid
+ * Mark an invoice as paid in full by recording the remaining balance
+ */
+router.post('/:id/paid', async (req, res) => {
+    try {
+        const invoice = await Payment.findById(req.params.id);
+        if (!invoice) {
+            return res.status(404).json({ success: false, error: 'Invoice not found' });
+        }
+
+        if (['paid', 'cancelled', 'refunded'].includes(invoice.status)) {
+            return res.status(400).json({ success: false, error: `Invoice already ${invoice.status}` });
+        }
+
+        if (invoice.amountDue > 0) {
+            invoice.recordPayment({
+                amount: invoice.amountDue,
+                date: req.body.date,
+                method: req.body.method,
+                reference: req.body.reference,
+                notes: req.body.notes || 'Marked as paid'
+            });
+        }
+
+        invoice.status = 'paid';
+        invoice.paidDate = req.body.date ? new Date(req.body.date) : new Date();
+        await invoice.save();
+
+        console.log(`✅ Invoice ${invoice.invoiceNumber} marked as paid`);
+        emitInvoiceEvent(req, 'invoice_paid', invoice);
+
+        res.json({ success: true, invoice });
+    } catch (error) {
+        console.error('Error marking invoice paid:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/invoices/:id/cancel
+ * Cancel an invoice
+ */
+router.post('/:id/cancel', async (req, res) => {
+    try {
+        const invoice = await Payment.findById(req.params.id);
+        if (!invoice) {
+            return res.status(404).json({ success: false, error: 'Invoice not found' });
+        }
+
+        if (invoice.status === 'paid') {
+            return res.status(400).json({ success: false, error: 'Paid invoices cannot be cancelled' });
+        }
+
+        invoice.status = 'cancelled';
+        if (req.body.reason) {
+            invoice.notes = [invoice.notes, `Cancelled: ${req.body.reason}`].filter(Boolean).join('\n');
+        }
+        await invoice.save();
+
+        emitInvoiceEvent(req, 'invoice_cancelled', invoice);
+
+        res.json({ success: true, invoice });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/invoices/:id
+ * Delete a draft invoice
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const invoice = await Payment.findById(req.params.id);
+        if (!invoice) {
+            return res.status(404).json({ success: false, error: 'Invoice not found' });
+        }
+
+        if (invoice.status !== 'draft') {
+            return res.status(400).json({ success: false, error: 'Only draft invoices can be deleted - cancel it instead' });
+        }
+
+        await Payment.findByIdAndDelete(invoice._id);
+        await Customer.findByIdAndUpdate(invoice.customer, {
+            $pull: { payments: invoice._id }
+        });
+        await Payment.updateCustomerFinancials(invoice.customer);
+
+        res.json({ success: true, message: 'Invoice deleted' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
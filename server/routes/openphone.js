@@ -4,6 +4,10 @@ const mongoose = require('mongoose');
 const router = express.Router();
 const Communication = require('../models/Communication');
 const Customer = require('../models/Customer');
+const dripSequenceService = require('../services/dripSequenceService');
+const smsConsentService = require('../services/smsConsentService');
+const smsTemplateService = require('../services/smsTemplateService');
+const { buildPhoneRegex } = require('../utils/phoneUtils');
 
 // Define Lead schema (should match server.js)
 const leadSchema = new mongoose.Schema({
@@ -100,9 +104,10 @@ const verifyWebhook = (req, res, next) => {
 };
 
 // Send SMS via OpenPhone
+// templateId/variantId (from /api/sms-templates/generate) count the send toward the template's A/B test
 router.post('/send', async (req, res) => {
     try {
-        const { customerId, message, phoneNumber } = req.body;
+        const { customerId, message, phoneNumber, templateId, variantId } = req.body;
 
         if (!message || !phoneNumber) {
             return res.status(400).json({ error: 'Message and phone number are required' });
@@ -117,6 +122,19 @@ router.post('/send', async (req, res) => {
             }
         }
 
+        if (await smsConsentService.isOptedOut(phoneNumber)) {
+            return res.status(403).json({ error: 'Recipient has opted out of SMS' });
+        }
+
+        let templateSend = {};
+        if (templateId) {
+            try {
+                templateSend = await smsTemplateService.resolveTemplateSend(templateId, variantId, customer || {});
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+        }
+
         // Send message via OpenPhone API
         const response = await axios.post(`${OPENPHONE_API_URL}/messages`, {
             to: [phoneNumber],
@@ -147,10 +165,13 @@ router.post('/send', async (req, res) => {
             sentDate: new Date(),
             platform: 'openphone',
             openphoneMessageId: response.data.id,
-            phoneNumber: phoneNumber
+            phoneNumber: phoneNumber,
+            template: templateSend.template,
+            abTest: templateSend.abTest
         });
 
         await communication.save();
+        await smsTemplateService.recordTemplateSend(templateSend.template?.id, templateSend.abTest);
 
         // Update customer's last contact date
         if (customer) {
@@ -202,7 +223,16 @@ router.post('/webhook', verifyWebhook, async (req, res) => {
         console.log('📱 OpenPhone webhook received:', JSON.stringify(req.body, null, 2));
         
         const event = req.body;
-        
+
+        // Delivery receipts for our outbound messages (campaign delivery stats)
+        if (event?.type === 'message.delivered' && event.data?.object?.id) {
+            await Communication.updateOne(
+                { openphoneMessageId: event.data.object.id, direction: 'outbound' },
+                { $set: { status: 'delivered', deliveredDate: new Date(event.data.object.deliveredAt || Date.now()) } }
+            );
+            return res.json({ success: true });
+        }
+
         // OpenPhone webhook format: { id, object, type, data: { object: {...} } }
         if (!event || event.type !== 'message.received') {
             console.log('📤 Non-message webhook or not message.received, skipping...');
@@ -311,6 +341,26 @@ router.post('/webhook', verifyWebhook, async (req, res) => {
         await communication.save();
         console.log(`📱 SMS received from ${lead.name}: "${messageText}"`);
 
+        // A reply ends any automated follow-up sequence. Contact form phones
+        // carry mixed formatting, so match every lead stored with this number.
+        const phonePattern = buildPhoneRegex(fromNumber);
+        const repliedLeads = phonePattern
+            ? await Lead.find({ phone: { $regex: phonePattern } }).select('_id')
+            : [lead];
+        for (const repliedLead of repliedLeads) {
+            await dripSequenceService.stopForLead(repliedLead._id, 'sms_reply');
+        }
+
+        // STOP/START/HELP keywords update the consent registry and get a confirmation reply
+        const consent = await smsConsentService.handleInboundMessage(fromNumber, messageText, { lead: lead._id });
+
+        // Any other reply converts the latest A/B tested template send to this lead
+        if (!consent) {
+            for (const repliedLead of repliedLeads) {
+                await smsTemplateService.recordConversion(repliedLead._id, 'reply');
+            }
+        }
+
         // Create notification like email system
         await createSMSNotification('customer_reply', lead, communication);
 
@@ -327,7 +377,8 @@ router.post('/webhook', verifyWebhook, async (req, res) => {
                 leadId: lead._id,
                 leadName: lead.name,
                 message: messageText,
-                phone: fromNumber
+                phone: fromNumber,
+                consent: consent?.status
             });
         }
 
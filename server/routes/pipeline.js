@@ -0,0 +1,230 @@
+/**
+ * Pipeline Routes
+ * Admin-defined lead pipeline stages and pipeline reports built from each
+ * lead's stage history (see services/pipelineService.js).
+ * Moving a lead between stages is PATCH /api/leads/:id in server.js.
+ * Mounted behind admin authentication in server.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const PipelineStage = require('../models/PipelineStage');
+const pipelineService = require('../services/pipelineService');
+
+const EDITABLE_FIELDS = ['name', 'order', 'probability', 'type', 'requiredFields', 'color', 'isActive'];
+
+const pick = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+}, {});
+
+const userOf = (req) => req.user?.email || req.user?.id || 'admin';
+
+// Required fields must name real Lead fields
+const checkRequiredFields = (fields, res) => {
+    const unknown = pipelineService.unknownFields(fields);
+    if (unknown.length === 0) return true;
+    res.status(400).json({ success: false, error: `Unknown lead fields: ${unknown.join(', ')}` });
+    return false;
+};
+
+// Optional ?from=&to= on lead creation date; no range covers every lead
+const parseRange = ({ from, to }) => {
+    const range = { from: from ? new Date(from) : null, to: to ? new Date(to) : null };
+    if ((range.from && isNaN(range.from)) || (range.to && isNaN(range.to))) {
+        throw new Error('Invalid date range');
+    }
+    return range;
+};
+
+/**
+ * GET /api/pipeline/stages
+ * Stages in pipeline order with the number of leads in each
+ * Query: includeInactive
+ */
+router.get('/stages', async (req, res) => {
+    try {
+        const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+        const [stages, counts] = await Promise.all([
+            PipelineStage.find(filter).sort({ order: 1 }).lean(),
+            mongoose.model('Lead').aggregate([{ $group: { _id: '$status', leads: { $sum: 1 } } }])
+        ]);
+        const leadsByStage = Object.fromEntries(counts.map(c => [c._id, c.leads]));
+
+        res.json({
+            success: true,
+            stages: stages.map(stage => ({ ...stage, leads: leadsByStage[stage.key] || 0 }))
+        });
+    } catch (error) {
+        console.error('Error fetching pipeline stages:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/pipeline/stages
+ * Create a stage (added at the end unless an order is given)
+ * Body: { key, name, order, probability, type, requiredFields, color }
+ */
+router.post('/stages', async (req, res) => {
+    try {
+        const fields = pick(req.body);
+        if (!checkRequiredFields(fields.requiredFields, res)) return;
+
+        if (fields.order === undefined) {
+            const last = await PipelineStage.findOne().sort({ order: -1 }).select('order');
+            fields.order = (last?.order || 0) + 1;
+        }
+
+        const stage = new PipelineStage({
+            ...fields,
+            key: req.body.key,
+            createdBy: userOf(req)
+        });
+        await stage.save();
+
+        res.status(201).json({ success: true, stage });
+    } catch (error) {
+        const message = error.code === 11000 ? 'Stage key is already in use' : error.message;
+        res.status(400).json({ success: false, error: message });
+    }
+});
+
+/**
+ * PUT /api/pipeline/stages/reorder
+ * Set the pipeline order
+ * Body: { stageIds } - every stage id, in the new order
+ */
+router.put('/stages/reorder', async (req, res) => {
+    try {
+        const { stageIds } = req.body;
+        if (!Array.isArray(stageIds) || stageIds.length === 0) {
+            return res.status(400).json({ success: false, error: 'stageIds must list the stages in order' });
+        }
+
+        const total = await PipelineStage.countDocuments();
+        if (stageIds.length !== total || new Set(stageIds.map(String)).size !== total) {
+            return res.status(400).json({ success: false, error: 'stageIds must include every stage once' });
+        }
+
+        await PipelineStage.bulkWrite(stageIds.map((id, index) => ({
+            updateOne: { filter: { _id: id }, update: { $set: { order: index + 1, updatedBy: userOf(req) } } }
+        })));
+
+        const stages = await PipelineStage.find().sort({ order: 1 });
+        res.json({ success: true, stages });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/pipeline/stages/:id
+ * Update a stage - the key can't change while leads are in the stage
+ */
+router.put('/stages/:id', async (req, res) => {
+    try {
+        const stage = await PipelineStage.findById(req.params.id);
+        if (!stage) {
+            return res.status(404).json({ success: false, error: 'Stage not found' });
+        }
+
+        const fields = pick(req.body);
+        if (!checkRequiredFields(fields.requiredFields, res)) return;
+
+        if (stage.key === pipelineService.getEntryStage() && fields.isActive === false) {
+            return res.status(400).json({ success: false, error: 'New leads enter this stage, so it must stay active' });
+        }
+
+        if (req.body.key !== undefined && req.body.key !== stage.key) {
+            if (stage.key === pipelineService.getEntryStage()) {
+                return res.status(400).json({ success: false, error: 'The entry stage key cannot change' });
+            }
+            if (await mongoose.model('Lead').exists({ status: stage.key })) {
+                return res.status(400).json({ success: false, error: 'Move leads out of this stage before changing its key' });
+            }
+            fields.key = req.body.key;
+        }
+
+        Object.assign(stage, fields, { updatedBy: userOf(req) });
+        await stage.save();
+
+        res.json({ success: true, stage });
+    } catch (error) {
+        const message = error.code === 11000 ? 'Stage key is already in use' : error.message;
+        res.status(400).json({ success: false, error: message });
+    }
+});
+
+/**
+ * DELETE /api/pipeline/stages/:id
+ * Delete a stage with no leads in it (deactivate it to keep its history readable instead)
+ */
+router.delete('/stages/:id', async (req, res) => {
+    try {
+        const stage = await PipelineStage.findById(req.params.id);
+        if (!stage) {
+            return res.status(404).json({ success: false, error: 'Stage not found' });
+        }
+
+        if (stage.key === pipelineService.getEntryStage()) {
+            return res.status(400).json({ success: false, error: 'New leads enter this stage, so it cannot be deleted' });
+        }
+
+        const leads = await mongoose.model('Lead').countDocuments({ status: stage.key });
+        if (leads > 0) {
+            return res.status(400).json({ success: false, error: `${leads} lead(s) are in this stage - move them first` });
+        }
+
+        await stage.deleteOne();
+        res.json({ success: true, message: 'Stage deleted' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/pipeline/reports/time-in-stage
+ * Average and median hours leads spend in each stage
+ * Query: from, to (lead creation date)
+ */
+router.get('/reports/time-in-stage', async (req, res) => {
+    try {
+        const stages = await pipelineService.getTimeInStage(parseRange(req.query));
+        res.json({ success: true, stages });
+    } catch (error) {
+        const status = error.message === 'Invalid date range' ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/pipeline/reports/conversion
+ * Leads reaching each stage, the share that moved further and the share won
+ * Query: from, to (lead creation date)
+ */
+router.get('/reports/conversion', async (req, res) => {
+    try {
+        const stages = await pipelineService.getConversionRates(parseRange(req.query));
+        res.json({ success: true, stages });
+    } catch (error) {
+        const status = error.message === 'Invalid date range' ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/pipeline/reports/weighted-value
+ * Open pipeline budget per stage weighted by stage probability
+ */
+router.get('/reports/weighted-value', async (req, res) => {
+    try {
+        const report = await pipelineService.getWeightedPipeline();
+        res.json({ success: true, ...report });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,637 @@
+/**
+ * Project Management API Routes
+ * Projects plus nested phases, tasks and time entries.
+ * Progress and hour totals are recomputed by the model on every save.
+ * Mounted behind admin authentication in server.js
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Project = require('../models/Project');
+const Customer = require('../models/Customer');
+const Payment = require('../models/Payment');
+
+// Fields an admin may set directly on a project
+const EDITABLE_FIELDS = [
+    'name', 'description', 'type', 'status', 'priority', 'startDate', 'endDate',
+    'actualStartDate', 'actualEndDate', 'budget', 'actualCost', 'hourlyRate', 'features',
+    'files', 'meetings', 'credentials', 'technologies', 'repository', 'liveUrl',
+    'stagingUrl', 'team'
+];
+
+// Nested collections exposed as sub-resources, with their editable fields
+const SUBRESOURCES = {
+    phases: {
+        label: 'Phase',
+        key: 'phase',
+        fields: ['name', 'description', 'startDate', 'endDate', 'status', 'progress', 'deliverables']
+    },
+    tasks: {
+        label: 'Task',
+        key: 'task',
+        fields: ['title', 'description', 'assignedTo', 'dueDate', 'completed', 'priority']
+    },
+    'time-entries': {
+        label: 'Time entry',
+        key: 'timeEntry',
+        path: 'timeEntries',
+        fields: ['description', 'hours', 'date', 'billable', 'user', 'task', 'startTime', 'endTime', 'rate']
+    }
+};
+
+const pick = (body, fields) => {
+    const updates = {};
+    for (const key of fields) {
+        if (body[key] !== undefined) {
+            updates[key] = body[key];
+        }
+    }
+    return updates;
+};
+
+const getUser = (req) => req.user?.email || req.user?.id || 'admin';
+
+// Stamp actual start/end dates when the project status moves
+const applyStatusDates = (project) => {
+    if (project.status === 'in-progress' && !project.actualStartDate) {
+        project.actualStartDate = new Date();
+    }
+    if (project.status === 'completed' && !project.actualEndDate) {
+        project.actualEndDate = new Date();
+    }
+};
+
+// Keep task completion dates in step with the completed flag
+const applyTaskCompletion = (task) => {
+    if (task.completed && !task.completedDate) {
+        task.completedDate = new Date();
+    } else if (!task.completed) {
+        task.completedDate = undefined;
+    }
+};
+
+// Hours between two timestamps, rounded to the nearest 0.01
+const hoursBetween = (start, end) => Math.max(Math.round(((new Date(end) - new Date(start)) / 3600000) * 100) / 100, 0.01);
+
+const validateSubresource = (resource, data, isNew) => {
+    if (resource === 'phases' && isNew && !data.name) return 'Phase name is required';
+    if (resource === 'tasks' && isNew && !data.title) return 'Task title is required';
+    if (resource === 'time-entries') {
+        if (data.startTime && data.endTime && new Date(data.endTime) <= new Date(data.startTime)) {
+            return 'End time must be after start time';
+        }
+        // Manual entries may give start/end times instead of hours
+        if (data.hours === undefined && data.startTime && data.endTime) {
+            data.hours = hoursBetween(data.startTime, data.endTime);
+        }
+        if (isNew && data.hours === undefined) return 'Hours (or start and end times) are required';
+        if (data.hours !== undefined && (isNaN(data.hours) || Number(data.hours) <= 0)) {
+            return 'Hours must be a positive number';
+        }
+        if (data.task && !mongoose.Types.ObjectId.isValid(data.task)) return 'Invalid task id';
+    }
+    return null;
+};
+
+const projectSummary = (project) => ({
+    progress: project.progress,
+    totalHours: project.totalHours,
+    billableHours: project.billableHours,
+    isOverdue: project.isOverdue,
+    daysRemaining: project.daysRemaining
+});
+
+const emitProjectUpdate = (req, project, change) => {
+    const io = req.app.get('io');
+    if (io) {
+        io.emit('project_updated', {
+            projectId: project._id,
+            name: project.name,
+            status: project.status,
+            change,
+            ...projectSummary(project)
+        });
+    }
+};
+
+// Malformed ids can't match anything - answer 404 instead of a cast error
+const NOT_FOUND_LABELS = { id: 'Project', itemId: 'Item', taskId: 'Task' };
+Object.entries(NOT_FOUND_LABELS).forEach(([param, label]) => {
+    router.param(param, (req, res, next, value) => {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+            return res.status(404).json({ success: false, error: `${label} not found` });
+        }
+        next();
+    });
+});
+
+/**
+ * GET /api/projects
+ * List projects with filters and pagination
+ */
+router.get('/', async (req, res) => {
+    try {
+        const {
+            status,
+            customer,
+            priority,
+            search,
+            overdue,
+            limit = 50,
+            page = 1,
+            sort = '-createdAt'
+        } = req.query;
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (customer) filter.customer = customer;
+        if (priority) filter.priority = priority;
+        if (search) filter.$text = { $search: search };
+        if (overdue === 'true') {
+            filter.status = { $nin: ['completed', 'cancelled'] };
+            filter.endDate = { $lt: new Date() };
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [projects, total] = await Promise.all([
+            Project.find(filter)
+                .select('-credentials -timeEntries')
+                .populate('customer', 'name email company')
+                .sort(sort)
+                .limit(parseInt(limit))
+                .skip(skip),
+            Project.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            projects: projects.map(p => p.toObject({ virtuals: true })),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching projects:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/projects/:id
+ * Get a single project with all nested data
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const project = await Project.findById(req.params.id)
+            .populate('customer', 'name email phone company');
+
+        if (!project) {
+            return res.status(404).json({ success: false, error: 'Project not found' });
+        }
+
+        res.json({
+            success: true,
+            project: project.toObject({ virtuals: true })
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects
+ * Create a project for a customer
+ */
+router.post('/', async (req, res) => {
+    try {
+        const required = ['name', 'description', 'customer', 'type', 'startDate', 'endDate', 'budget'];
+        const missing = required.filter(field => req.body[field] === undefined || req.body[field] === '');
+        if (missing.length > 0) {
+            return res.status(400).json({ success: false, error: `Missing required fields: ${missing.join(', ')}` });
+        }
+
+        const customer = await Customer.findById(req.body.customer);
+        if (!customer) {
+            return res.status(404).json({ success: false, error: 'Customer not found' });
+        }
+
+        const project = new Project({
+            ...pick(req.body, EDITABLE_FIELDS),
+            phases: req.body.phases,
+            tasks: req.body.tasks,
+            customer: customer._id,
+            createdBy: getUser(req)
+        });
+        applyStatusDates(project);
+        (project.tasks || []).forEach(applyTaskCompletion);
+
+        await project.save();
+
+        await Customer.findByIdAndUpdate(customer._id, {
+            $addToSet: { projects: project._id }
+        });
+
+        console.log(`📁 Project "${project.name}" created for ${customer.name}`);
+
+        res.status(201).json({
+            success: true,
+            project: project.toObject({ virtuals: true })
+        });
+    } catch (error) {
+        console.error('Error creating project:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/projects/:id
+ * Update project details
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const project = await Project.findById(req.params.id);
+        if (!project) {
+            return res.status(404).json({ success: false, error: 'Project not found' });
+        }
+
+        project.set(pick(req.body, EDITABLE_FIELDS));
+        applyStatusDates(project);
+        project.updatedAt = new Date();
+        await project.save();
+
+        emitProjectUpdate(req, project, 'project');
+
+        res.json({
+            success: true,
+            project: project.toObject({ virtuals: true })
+        });
+    } catch (error) {
+        console.error('Error updating project:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/projects/:id
+ * Delete a project and unlink it from its customer
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const project = await Project.findByIdAndDelete(req.params.id);
+        if (!project) {
+            return res.status(404).json({ success: false, error: 'Project not found' });
+        }
+
+        await Customer.findByIdAndUpdate(project.customer, {
+            $pull: { projects: project._id }
+        });
+
+        res.json({ success: true, message: 'Project deleted' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:id/:resource
+ * Add a phase, task or time entry (resource: phases | tasks | time-entries)
+ */
+router.post('/:id/:resource(phases|tasks|time-entries)', async (req, res) => {
+    try {
+        const { resource } = req.params;
+        const config = SUBRESOURCES[resource];
+        const path = config.path || resource;
+
+        const data = pick(req.body, config.fields);
+        const validationError = validateSubresource(resource, data, true);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const project = await Project.findById(req.params.id);
+        if (!project) {
+            return res.status(404).json({ success: false, error: 'Project not found' });
+        }
+
+        if (resource === 'time-entries') {
+            data.date = data.date || data.startTime || new Date();
+            data.user = data.user || getUser(req);
+        }
+
+        project[path].push(data);
+        const item = project[path][project[path].length - 1];
+        if (resource === 'tasks') applyTaskCompletion(item);
+
+        project.updatedAt = new Date();
+        await project.save();
+
+        emitProjectUpdate(req, project, resource);
+
+        res.status(201).json({
+            success: true,
+            [config.key]: item,
+            ...projectSummary(project)
+        });
+    } catch (error) {
+        console.error(`Error adding project ${req.params.resource}:`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/projects/:id/:resource/:itemId
+ * Update a phase, task or time entry
+ */
+router.put('/:id/:resource(phases|tasks|time-entries)/:itemId', async (req, res) => {
+    try {
+        const { resource } = req.params;
+        const config = SUBRESOURCES[resource];
+        const path = config.path || resource;
+
+        const data = pick(req.body, config.fields);
+        const validationError = validateSubresource(resource, data, false);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const project = await Project.findById(req.params.id);
+        if (!project) {
+            return res.status(404).json({ success: false, error: 'Project not found' });
+        }
+
+        const item = project[path].id(req.params.itemId);
+        if (!item) {
+            return res.status(404).json({ success: false, error: `${config.label} not found` });
+        }
+
+        if (resource === 'time-entries' && item.billed) {
+            return res.status(400).json({ success: false, error: 'Billed time entries cannot be modified' });
+        }
+
+        item.set(data);
+        if (resource === 'tasks') applyTaskCompletion(item);
+        // Editing one end of a timed entry recalculates its hours
+        if (resource === 'time-entries' && data.hours === undefined && (data.startTime || data.endTime) && item.startTime && item.endTime) {
+            item.hours = hoursBetween(item.startTime, item.endTime);
+        }
+
+        project.updatedAt = new Date();
+        await project.save();
+
+        emitProjectUpdate(req, project, resource);
+
+        res.json({
+            success: true,
+            [config.key]: item,
+            ...projectSummary(project)
+        });
+    } catch (error) {
+        console.error(`Error updating project ${req.params.resource}:`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/projects/:id/:resource/:itemId
+ * Remove a phase, task or time entry
+ */
+router.delete('/:id/:resource(phases|tasks|time-entries)/:itemId', async (req, res) => {
+    try {
+        const { resource } = req.params;
+        const config = SUBRESOURCES[resource];
+        const path = config.path || resource;
+
+        const project = await Project.findById(req.params.id);
+        if (!project) {
+            return res.status(404).json({ success: false, error: 'Project not found' });
+        }
+
+        const item = project[path].id(req.params.itemId);
+        if (!item) {
+            return res.status(404).json({ success: false, error: `${config.label} not found` });
+        }
+
+        if (resource === 'time-entries' && item.billed) {
+            return res.status(400).json({ success: false, error: 'Billed time entries cannot be deleted' });
+        }
+
+        item.deleteOne();
+        project.updatedAt = new Date();
+        await project.save();
+
+        emitProjectUpdate(req, project, resource);
+
+        res.json({
+            success: true,
+            message: `${config.label} deleted`,
+            ...projectSummary(project)
+        });
+    } catch (error) {
+        console.error(`Error deleting project ${req.params.resource}:`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:id/tasks/:taskId/timer/start
+ * Start a timer on a task for the current (or given) team member
+ */
+router.post('/:id/tasks/:taskId/timer/start', async (req, res) => {
+    try {
+        const project = await Project.findById(req.params.id);
+        if (!project) {
+            return res.status(404).json({ success: false, error: 'Project not found' });
+        }
+
+        const task = project.tasks.id(req.params.taskId);
+        if (!task) {
+            return res.status(404).json({ success: false, error: 'Task not found' });
+        }
+
+        const user = req.body.user || getUser(req);
+        const running = project.getRunningTimers(user).find(entry => String(entry.task) === String(task._id));
+        if (running) {
+            return res.status(409).json({ success: false, error: 'A timer is already running for this task', timeEntry: running });
+        }
+
+        const now = new Date();
+        project.timeEntries.push({
+            description: req.body.description || task.title,
+            date: now,
+            startTime: now,
+            billable: req.body.billable !== undefined ? req.body.billable : true,
+            user,
+            task: task._id
+        });
+        const entry = project.timeEntries[project.timeEntries.length - 1];
+
+        project.updatedAt = now;
+        await project.save();
+
+        console.log(`⏱️  Timer started on "${task.title}" by ${user}`);
+        emitProjectUpdate(req, project, 'timer-started');
+
+        res.status(201).json({ success: true, timeEntry: entry });
+    } catch (error) {
+        console.error('Error starting timer:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:id/tasks/:taskId/timer/stop
+ * Stop the running timer on a task and record the elapsed hours
+ */
+router.post('/:id/tasks/:taskId/timer/stop', async (req, res) => {
+    try {
+        const project = await Project.findById(req.params.id);
+        if (!project) {
+            return res.status(404).json({ success: false, error: 'Project not found' });
+        }
+
+        const user = req.body.user || getUser(req);
+        const entry = project.getRunningTimers(user).find(e => String(e.task) === req.params.taskId);
+        if (!entry) {
+            return res.status(404).json({ success: false, error: 'No running timer for this task' });
+        }
+
+        entry.endTime = new Date();
+        entry.hours = hoursBetween(entry.startTime, entry.endTime);
+        if (req.body.description) entry.description = req.body.description;
+
+        project.updatedAt = new Date();
+        await project.save();
+
+        console.log(`⏱️  Timer stopped by ${user}: ${entry.hours}h`);
+        emitProjectUpdate(req, project, 'timer-stopped');
+
+        res.json({
+            success: true,
+            timeEntry: entry,
+            ...projectSummary(project)
+        });
+    } catch (error) {
+        console.error('Error stopping timer:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:id/bill-hours
+ * Turn unbilled billable time entries into a draft invoice.
+ * Rate per entry: entry.rate, then body.rate, project.hourlyRate, DEFAULT_HOURLY_RATE.
+ * Entries are grouped into one line item per task and rate. They are claimed before
+ * the invoice is created, so concurrent calls can't bill the same hours twice.
+ */
+router.post('/:id/bill-hours', async (req, res) => {
+    try {
+        const project = await Project.findById(req.params.id);
+        if (!project) {
+            return res.status(404).json({ success: false, error: 'Project not found' });
+        }
+
+        const until = req.body.until ? new Date(req.body.until) : null;
+        const unbilled = project.timeEntries.filter(entry =>
+            entry.billable &&
+            !entry.billed &&
+            entry.hours > 0 &&
+            !(entry.startTime && !entry.endTime) &&
+            (!until || entry.date <= until)
+        );
+
+        if (unbilled.length === 0) {
+            return res.status(400).json({ success: false, error: 'No unbilled hours to invoice' });
+        }
+
+        const defaultRate = parseFloat(req.body.rate) || project.hourlyRate || parseFloat(process.env.DEFAULT_HOURLY_RATE);
+        if (unbilled.some(entry => !(entry.rate || defaultRate))) {
+            return res.status(400).json({ success: false, error: 'No hourly rate configured - set project.hourlyRate or pass a rate' });
+        }
+
+        // Claim the entries for this invoice before creating it - a single update on the
+        // project, so a concurrent request can't claim (and bill) the same entries
+        const invoiceId = new mongoose.Types.ObjectId();
+        await Project.updateOne(
+            { _id: project._id },
+            { $set: { 'timeEntries.$[entry].billed': true, 'timeEntries.$[entry].invoice': invoiceId, updatedAt: new Date() } },
+            { arrayFilters: [{ 'entry._id': { $in: unbilled.map(entry => entry._id) }, 'entry.billed': false }] }
+        );
+
+        const claimedProject = await Project.findById(project._id);
+        const claimed = claimedProject.timeEntries.filter(entry => String(entry.invoice) === String(invoiceId));
+        if (claimed.length === 0) {
+            return res.status(409).json({ success: false, error: 'These hours were just billed by another request' });
+        }
+
+        const lines = new Map();
+        for (const entry of claimed) {
+            const rate = entry.rate || defaultRate;
+            const task = entry.task ? claimedProject.tasks.id(entry.task) : null;
+            const label = task?.title || entry.description || 'General';
+            const key = `${label}|${rate}`;
+
+            if (!lines.has(key)) {
+                lines.set(key, { label, rate, hours: 0 });
+            }
+            lines.get(key).hours += entry.hours;
+        }
+
+        const items = [...lines.values()].map(line => {
+            const hours = Math.round(line.hours * 100) / 100;
+            return {
+                description: `${project.name}: ${line.label} (${hours}h)`,
+                quantity: hours,
+                rate: line.rate,
+                amount: Math.round(hours * line.rate * 100) / 100
+            };
+        });
+
+        const dueDate = req.body.dueDate ? new Date(req.body.dueDate) : new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+        const invoice = new Payment({
+            _id: invoiceId,
+            customer: project.customer,
+            project: project._id,
+            items,
+            dueDate,
+            status: 'draft',
+            notes: req.body.notes,
+            createdBy: getUser(req)
+        });
+        try {
+            await invoice.save();
+        } catch (error) {
+            // Release the claim so the hours can be billed again
+            await Project.updateOne(
+                { _id: project._id },
+                { $set: { 'timeEntries.$[entry].billed': false }, $unset: { 'timeEntries.$[entry].invoice': '' } },
+                { arrayFilters: [{ 'entry.invoice': invoiceId }] }
+            );
+            throw error;
+        }
+
+        await Customer.findByIdAndUpdate(project.customer, {
+            $addToSet: { payments: invoice._id }
+        });
+
+        const billedHours = Math.round(claimed.reduce((acc, entry) => acc + entry.hours, 0) * 100) / 100;
+        console.log(`🧾 Billed ${billedHours}h on "${project.name}" → invoice ${invoice.invoiceNumber}`);
+        emitProjectUpdate(req, claimedProject, 'hours-billed');
+
+        res.status(201).json({
+            success: true,
+            invoice,
+            billedEntries: claimed.length,
+            billedHours
+        });
+    } catch (error) {
+        console.error('Error billing project hours:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,353 @@
+/**
+ * Public Proposal Viewer
+ * Client-facing proposal page at /p/:token with accept / reject actions.
+ * No authentication - access is granted by the proposal's private token.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Proposal = require('../models/Proposal');
+const leadScoringService = require('../services/leadScoringService');
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+}).format(amount || 0);
+
+const formatDate = (date) => date
+    ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+    : '';
+
+const getClientIp = (req) => (req.headers['x-forwarded-for'] || req.connection.remoteAddress || '').split(',')[0].trim();
+
+// Statuses the client can still accept or decline
+const OPEN_STATUSES = ['sent', 'viewed', 'revised'];
+const CUSTOMER_FIELDS = 'name email company';
+
+// Drafts are never exposed publicly
+const findPublicProposal = (token) => Proposal.findOne({
+    privateToken: token,
+    status: { $ne: 'draft' }
+}).populate('customer', CUSTOMER_FIELDS);
+
+/**
+ * Record the client's decision, only if the proposal is still open so two
+ * responses can't both win
+ * @returns {Promise<{proposal: Object}|{status: number, error: string}>}
+ */
+async function recordResponse(token, update, { allowExpired = false } = {}) {
+    const filter = { privateToken: token, status: { $in: allowExpired ? [...OPEN_STATUSES, 'expired'] : OPEN_STATUSES } };
+    if (!allowExpired) filter.validUntil = { $gte: new Date() };
+
+    const proposal = await Proposal.findOneAndUpdate(filter, { $set: update }, { new: true })
+        .populate('customer', CUSTOMER_FIELDS);
+    if (proposal) return { proposal };
+
+    const current = await findPublicProposal(token);
+    if (!current) return { status: 404, error: 'Proposal not found' };
+    if (['accepted', 'rejected'].includes(current.status)) {
+        return { status: 400, error: `Proposal already ${current.status}` };
+    }
+    return { status: 400, error: 'This proposal has expired' };
+}
+
+const emitProposalEvent = (req, event, proposal) => {
+    const io = req.app.get('io');
+    if (io) {
+        io.emit(event, {
+            proposalId: proposal._id,
+            proposalNumber: proposal.proposalNumber,
+            title: proposal.title,
+            status: proposal.status,
+            customerName: proposal.customer?.name
+        });
+    }
+};
+
+function renderList(title, items) {
+    if (!items || items.length === 0) return '';
+    return `
+        <h3>${escapeHtml(title)}</h3>
+        <ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+}
+
+function renderProposalPage(proposal) {
+    const totals = proposal.calculateTotals();
+    const color = proposal.customStyling?.primaryColor || '#6366f1';
+    const isOpen = OPEN_STATUSES.includes(proposal.status) && !proposal.isExpired;
+
+    const pricingRows = (proposal.pricing || []).map(item => `
+        <tr>
+            <td><strong>${escapeHtml(item.item)}</strong><br><span class="muted">${escapeHtml(item.description)}</span></td>
+            <td class="num">${escapeHtml(item.quantity)}</td>
+            <td class="num">${formatCurrency(item.rate)}</td>
+            <td class="num">${formatCurrency(item.amount)}</td>
+        </tr>`).join('');
+
+    const deliverables = (proposal.deliverables || []).map(d => `
+        <tr>
+            <td>${escapeHtml(d.phase)}</td>
+            <td><strong>${escapeHtml(d.title)}</strong><br><span class="muted">${escapeHtml(d.description)}</span></td>
+            <td>${escapeHtml(d.duration)}</td>
+        </tr>`).join('');
+
+    const schedule = (proposal.paymentTerms?.schedule || []).map(s => `
+        <tr>
+            <td>${escapeHtml(s.milestone)}</td>
+            <td class="num">${escapeHtml(s.percentage)}%</td>
+            <td class="num">${formatCurrency(s.amount)}</td>
+            <td>${formatDate(s.dueDate)}</td>
+        </tr>`).join('');
+
+    let statusBanner = '';
+    if (proposal.status === 'accepted') {
+        statusBanner = `<div class="banner success">Accepted by ${escapeHtml(proposal.acceptedBy?.name)} on ${formatDate(proposal.acceptedBy?.date)}</div>`;
+    } else if (proposal.status === 'rejected') {
+        statusBanner = '<div class="banner danger">This proposal was declined.</div>';
+    } else if (proposal.isExpired || proposal.status === 'expired') {
+        statusBanner = '<div class="banner warning">This proposal has expired. Please contact us for an updated version.</div>';
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>${escapeHtml(proposal.title)} | TownRanker Proposal</title>
+    <style>
+        body { font-family: Arial, sans-serif; background: #f3f4f6; color: #1f2937; margin: 0; line-height: 1.6; }
+        .container { max-width: 860px; margin: 0 auto; background: white; }
+        header { background: linear-gradient(135deg, ${escapeHtml(color)} 0%, #764ba2 100%); color: white; padding: 40px; }
+        header h1 { margin: 0 0 10px; }
+        section { padding: 30px 40px; border-bottom: 1px solid #e5e7eb; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; padding: 10px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+        th { background: #f9fafb; }
+        .num { text-align: right; }
+        .muted { color: #6b7280; font-size: 14px; }
+        .totals td { border: none; padding: 4px 10px; }
+        .totals .grand td { font-size: 20px; font-weight: bold; border-top: 2px solid #1f2937; }
+        .banner { padding: 15px 40px; font-weight: bold; }
+        .banner.success { background: #d1fae5; color: #065f46; }
+        .banner.danger { background: #fee2e2; color: #991b1b; }
+        .banner.warning { background: #fef3c7; color: #92400e; }
+        form { display: grid; gap: 12px; max-width: 480px; }
+        input, textarea { padding: 10px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 15px; }
+        button { padding: 14px; border: none; border-radius: 8px; font-weight: bold; font-size: 16px; cursor: pointer; }
+        .accept { background: ${escapeHtml(color)}; color: white; }
+        .reject { background: #e5e7eb; color: #374151; }
+        footer { background: #1f2937; color: #9ca3af; text-align: center; padding: 20px; }
+    </style>
+</head>
+<body>
+<div class="container">
+    <header>
+        <div>Proposal ${escapeHtml(proposal.proposalNumber)} · Version ${escapeHtml(proposal.version)}</div>
+        <h1>${escapeHtml(proposal.title)}</h1>
+        <div>Prepared for ${escapeHtml(proposal.customer?.name)}${proposal.customer?.company ? `, ${escapeHtml(proposal.customer.company)}` : ''}</div>
+        <div>Valid until ${formatDate(proposal.validUntil)}</div>
+    </header>
+    ${statusBanner}
+    ${proposal.executiveSummary ? `<section><h2>Executive Summary</h2><p>${escapeHtml(proposal.executiveSummary)}</p></section>` : ''}
+    ${proposal.projectOverview ? `<section><h2>Project Overview</h2><p>${escapeHtml(proposal.projectOverview)}</p></section>` : ''}
+    ${proposal.scope?.included?.length || proposal.scope?.excluded?.length ? `
+    <section>
+        <h2>Scope</h2>
+        ${renderList('Included', proposal.scope.included)}
+        ${renderList('Not Included', proposal.scope.excluded)}
+    </section>` : ''}
+    ${deliverables ? `
+    <section>
+        <h2>Deliverables</h2>
+        <table><thead><tr><th>Phase</th><th>Deliverable</th><th>Duration</th></tr></thead><tbody>${deliverables}</tbody></table>
+    </section>` : ''}
+    <section>
+        <h2>Investment</h2>
+        ${pricingRows ? `<table><thead><tr><th>Item</th><th class="num">Qty</th><th class="num">Rate</th><th class="num">Amount</th></tr></thead><tbody>${pricingRows}</tbody></table>` : ''}
+        <table class="totals">
+            <tr><td class="num">Subtotal</td><td class="num">${formatCurrency(totals.subtotal)}</td></tr>
+            ${totals.discount ? `<tr><td class="num">Discount${proposal.discount?.type === 'percentage' ? ` (${escapeHtml(proposal.discount.amount)}%)` : ''}</td><td class="num">-${formatCurrency(totals.discount)}</td></tr>` : ''}
+            ${totals.tax ? `<tr><td class="num">Tax (${escapeHtml(proposal.tax.rate)}%)</td><td class="num">${formatCurrency(totals.tax)}</td></tr>` : ''}
+            <tr class="grand"><td class="num">Total</td><td class="num">${formatCurrency(totals.total)}</td></tr>
+        </table>
+    </section>
+    ${schedule ? `
+    <section>
+        <h2>Payment Schedule</h2>
+        <table><thead><tr><th>Milestone</th><th class="num">%</th><th class="num">Amount</th><th>Due</th></tr></thead><tbody>${schedule}</tbody></table>
+        ${proposal.paymentTerms?.acceptedMethods?.length ? `<p class="muted">Accepted payment methods: ${escapeHtml(proposal.paymentTerms.acceptedMethods.join(', '))}</p>` : ''}
+    </section>` : ''}
+    ${proposal.termsAndConditions || proposal.customTerms?.length ? `
+    <section>
+        <h2>Terms &amp; Conditions</h2>
+        ${proposal.termsAndConditions ? `<p>${escapeHtml(proposal.termsAndConditions)}</p>` : ''}
+        ${renderList('Additional Terms', proposal.customTerms)}
+    </section>` : ''}
+    ${isOpen ? `
+    <section id="respond">
+        <h2>Accept This Proposal</h2>
+        <form id="acceptForm">
+            <input name="name" placeholder="Full name" required>
+            <input name="email" type="email" placeholder="Email" required>
+            <input name="title" placeholder="Title (optional)">
+            <input name="signature" placeholder="Type your full name as your signature" required>
+            <button type="submit" class="accept">Accept Proposal</button>
+        </form>
+        <h3>Not the right fit?</h3>
+        <form id="rejectForm">
+            <textarea name="reason" rows="3" placeholder="Let us know why (optional)"></textarea>
+            <button type="submit" class="reject">Decline Proposal</button>
+        </form>
+    </section>
+    <script>
+        async function respond(action, form) {
+            const body = Object.fromEntries(new FormData(form).entries());
+            const response = await fetch(window.location.pathname.replace(/\\/$/, '') + '/' + action, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!result.success) {
+                alert(result.error || 'Something went wrong. Please try again.');
+                return;
+            }
+            window.location.reload();
+        }
+        document.getElementById('acceptForm').addEventListener('submit', (e) => { e.preventDefault(); respond('accept', e.target); });
+        document.getElementById('rejectForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (confirm('Are you sure you want to decline this proposal?')) respond('reject', e.target);
+        });
+    </script>` : ''}
+    <footer>TownRanker - Premium Web Development &amp; Digital Marketing</footer>
+</div>
+</body>
+</html>`;
+}
+
+function renderNotFoundPage() {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><meta name="robots" content="noindex, nofollow"><title>Proposal Not Found | TownRanker</title></head>
+<body style="font-family: Arial, sans-serif; text-align: center; padding: 80px 20px; color: #1f2937;">
+    <h1>Proposal not found</h1>
+    <p>This link is invalid or the proposal is no longer available. Please contact <a href="mailto:rank@townranker.com">rank@townranker.com</a>.</p>
+</body>
+</html>`;
+}
+
+/**
+ * GET /p/:token
+ * Render the proposal for the client and record the view
+ */
+router.get('/:token', async (req, res) => {
+    try {
+        const now = new Date();
+        const proposal = await Proposal.findOneAndUpdate(
+            { privateToken: req.params.token, status: { $ne: 'draft' } },
+            {
+                $inc: { viewCount: 1 },
+                $set: { lastViewedDate: now },
+                $push: { viewerInfo: { date: now, ip: getClientIp(req), userAgent: req.get('User-Agent') } }
+            },
+            { new: true }
+        ).populate('customer', CUSTOMER_FIELDS);
+        if (!proposal) {
+            return res.status(404).send(renderNotFoundPage());
+        }
+
+        // The first view is dated, and a sent proposal moves to viewed
+        if (!proposal.viewedDate) {
+            await Proposal.updateOne({ _id: proposal._id, viewedDate: null }, { $set: { viewedDate: now } });
+            proposal.viewedDate = now;
+        }
+        if (proposal.status === 'sent') {
+            const viewed = await Proposal.updateOne({ _id: proposal._id, status: 'sent' }, { $set: { status: 'viewed' } });
+            if (viewed.modifiedCount === 1) proposal.status = 'viewed';
+        }
+
+        console.log(`👀 Proposal ${proposal.proposalNumber} viewed (${proposal.viewCount} views)`);
+        emitProposalEvent(req, 'proposal_viewed', proposal);
+        leadScoringService.rescoreCustomer(proposal.customer).catch(error => {
+            console.error('Error rescoring lead after proposal view:', error.message);
+        });
+
+        res.set('Cache-Control', 'no-store');
+        res.send(renderProposalPage(proposal));
+    } catch (error) {
+        console.error('Error rendering proposal:', error);
+        res.status(500).send(renderNotFoundPage());
+    }
+});
+
+/**
+ * POST /p/:token/accept
+ * Client accepts the proposal
+ */
+router.post('/:token/accept', async (req, res) => {
+    try {
+        const { name, email, title, signature } = req.body;
+
+        if (!name || !email) {
+            return res.status(400).json({ success: false, error: 'Name and email are required' });
+        }
+
+        const { proposal, status, error } = await recordResponse(req.params.token, {
+            status: 'accepted',
+            acceptedBy: {
+                name,
+                email,
+                title,
+                signature,
+                date: new Date(),
+                ip: getClientIp(req)
+            }
+        });
+        if (!proposal) {
+            return res.status(status).json({ success: false, error });
+        }
+
+        console.log(`✅ Proposal ${proposal.proposalNumber} accepted by ${name}`);
+        emitProposalEvent(req, 'proposal_accepted', proposal);
+
+        res.json({ success: true, status: proposal.status });
+    } catch (error) {
+        console.error('Error accepting proposal:', error);
+        res.status(500).json({ success: false, error: 'Failed to accept proposal' });
+    }
+});
+
+/**
+ * POST /p/:token/reject
+ * Client declines the proposal
+ */
+router.post('/:token/reject', async (req, res) => {
+    try {
+        const { proposal, status, error } = await recordResponse(req.params.token, {
+            status: 'rejected',
+            rejectionReason: req.body.reason || ''
+        }, { allowExpired: true });
+        if (!proposal) {
+            return res.status(status).json({ success: false, error });
+        }
+
+        console.log(`❌ Proposal ${proposal.proposalNumber} rejected`);
+        emitProposalEvent(req, 'proposal_rejected', proposal);
+
+        res.json({ success: true, status: proposal.status });
+    } catch (error) {
+        console.error('Error rejecting proposal:', error);
+        res.status(500).json({ success: false, error: 'Failed to reject proposal' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,357 @@
+/**
+ * Proposal Management API Routes
+ * CRUD, revisions and sending for client proposals
+ * Mounted behind admin authentication in server.js
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Proposal = require('../models/Proposal');
+const Customer = require('../models/Customer');
+const { generateProposalPDF, getProposalAttachment } = require('../services/pdfService');
+const emailService = require('../services/emailService');
+
+// Fields an admin may set directly on a proposal
+const EDITABLE_FIELDS = [
+    'title', 'project', 'executiveSummary', 'projectOverview', 'scope',
+    'deliverables', 'timeline', 'pricingModel', 'pricing', 'discount', 'tax',
+    'paymentTerms', 'termsAndConditions', 'customTerms', 'validUntil',
+    'acceptanceRequired', 'template', 'customStyling', 'attachments'
+];
+
+const pickEditable = (body) => {
+    const updates = {};
+    for (const key of EDITABLE_FIELDS) {
+        if (body[key] !== undefined) {
+            updates[key] = body[key];
+        }
+    }
+    return updates;
+};
+
+// Line item amounts default to quantity x rate when not supplied
+const normalizePricing = (pricing = []) => pricing.map(item => ({
+    ...item,
+    quantity: item.quantity || 1,
+    amount: item.amount !== undefined ? item.amount : (item.quantity || 1) * (item.rate || 0)
+}));
+
+const getPublicUrl = (proposal) => `${process.env.BASE_URL || 'https://townranker.com'}${proposal.publicLink}`;
+
+/**
+ * GET /api/proposals
+ * List proposals with filters and pagination
+ */
+router.get('/', async (req, res) => {
+    try {
+        const {
+            status,
+            customer,
+            limit = 50,
+            page = 1,
+            sort = '-createdAt'
+        } = req.query;
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (customer) {
+            if (!mongoose.Types.ObjectId.isValid(customer)) {
+                return res.status(400).json({ success: false, error: 'Invalid customer id' });
+            }
+            filter.customer = customer;
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [proposals, total] = await Promise.all([
+            Proposal.find(filter)
+                .select('-revisions -viewerInfo')
+                .populate('customer', 'name email company')
+                .sort(sort)
+                .limit(parseInt(limit))
+                .skip(skip),
+            Proposal.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            proposals,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching proposals:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/proposals/:id
+ * Get a single proposal with its totals breakdown
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const proposal = await Proposal.findById(req.params.id)
+            .populate('customer', 'name email phone company')
+            .populate('project', 'name status');
+
+        if (!proposal) {
+            return res.status(404).json({ success: false, error: 'Proposal not found' });
+        }
+
+        res.json({
+            success: true,
+            proposal,
+            totals: proposal.calculateTotals(),
+            publicUrl: getPublicUrl(proposal)
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/proposals/:id/pdf
+ * Download the proposal as a branded PDF (?download=true forces a file download)
+ */
+router.get('/:id/pdf', async (req, res) => {
+    try {
+        const proposal = await Proposal.findById(req.params.id)
+            .populate('customer', 'name email phone company');
+
+        if (!proposal) {
+            return res.status(404).json({ success: false, error: 'Proposal not found' });
+        }
+
+        const pdf = await generateProposalPDF(proposal);
+        const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `${disposition}; filename="${proposal.proposalNumber}.pdf"`,
+            'Content-Length': pdf.length
+        });
+        res.send(pdf);
+    } catch (error) {
+        console.error('Error generating proposal PDF:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/proposals
+ * Create a draft proposal for a customer
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { customer: customerId } = req.body;
+
+        if (!customerId || !req.body.title) {
+            return res.status(400).json({ success: false, error: 'Customer and title are required' });
+        }
+
+        const customer = await Customer.findById(customerId);
+        if (!customer) {
+            return res.status(404).json({ success: false, error: 'Customer not found' });
+        }
+
+        const data = pickEditable(req.body);
+        if (data.pricing) data.pricing = normalizePricing(data.pricing);
+
+        const proposal = new Proposal({
+            ...data,
+            customer: customer._id,
+            status: 'draft',
+            createdBy: req.user?.email || req.user?.id || 'admin'
+        });
+
+        await proposal.save();
+
+        await Customer.findByIdAndUpdate(customer._id, {
+            $addToSet: { proposals: proposal._id }
+        });
+
+        console.log(`📝 Proposal ${proposal.proposalNumber} created for ${customer.name}`);
+
+        res.status(201).json({
+            success: true,
+            proposal,
+            publicUrl: getPublicUrl(proposal)
+        });
+    } catch (error) {
+        console.error('Error creating proposal:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/proposals/:id
+ * Update a proposal. Drafts are edited in place; proposals the client
+ * has already received are snapshotted as a revision first.
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const proposal = await Proposal.findById(req.params.id);
+        if (!proposal) {
+            return res.status(404).json({ success: false, error: 'Proposal not found' });
+        }
+
+        if (proposal.status === 'accepted') {
+            return res.status(400).json({ success: false, error: 'Accepted proposals cannot be modified' });
+        }
+
+        const updates = pickEditable(req.body);
+        if (updates.pricing) updates.pricing = normalizePricing(updates.pricing);
+
+        if (proposal.status !== 'draft') {
+            proposal.createRevision(
+                req.body.changes || 'Proposal updated',
+                req.user?.email || req.user?.id || 'admin'
+            );
+        }
+
+        proposal.set(updates);
+        proposal.updatedAt = new Date();
+        await proposal.save();
+
+        res.json({
+            success: true,
+            proposal,
+            totals: proposal.calculateTotals()
+        });
+    } catch (error) {
+        console.error('Error updating proposal:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/proposals/:id/send
+ * Mark a proposal as sent and email the client a link to the public viewer
+ * (attachPdf: true also attaches the proposal PDF; notify: false marks it sent without emailing)
+ */
+router.post('/:id/send', async (req, res) => {
+    try {
+        const proposal = await Proposal.findById(req.params.id).populate('customer', 'name email phone company');
+        if (!proposal) {
+            return res.status(404).json({ success: false, error: 'Proposal not found' });
+        }
+
+        if (['accepted', 'rejected'].includes(proposal.status)) {
+            return res.status(400).json({ success: false, error: `Proposal already ${proposal.status}` });
+        }
+
+        const publicUrl = getPublicUrl(proposal);
+        const recipient = req.body.email || proposal.customer?.email;
+        let emailSent = false;
+
+        if (recipient && req.body.notify !== false) {
+            try {
+                const subject = `Proposal ${proposal.proposalNumber}: ${proposal.title}`;
+                await emailService.sendEmail({
+                    to: recipient,
+                    subject,
+                    attachments: req.body.attachPdf ? [await getProposalAttachment(proposal)] : undefined,
+                    html: `
+                        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+                                <h1 style="color: white; margin: 0;">Your Proposal is Ready</h1>
+                            </div>
+                            <div style="padding: 30px; background: #f9fafb; line-height: 1.6; color: #1f2937;">
+                                <p>Hi ${(proposal.customer?.name || 'there').split(' ')[0]},</p>
+                                <p>We've prepared <strong>${proposal.title}</strong> for you. You can review the details and accept it online.</p>
+                                <div style="text-align: center; margin: 30px 0;">
+                                    <a href="${publicUrl}" style="background: #6366f1; color: white; padding: 15px 30px; border-radius: 8px; text-decoration: none; display: inline-block; font-weight: bold;">
+                                        View Proposal →
+                                    </a>
+                                </div>
+                                <p style="color: #6b7280; font-size: 14px;">This proposal is valid until ${new Date(proposal.validUntil).toLocaleDateString()}.</p>
+                            </div>
+                        </div>
+                    `
+                });
+                emailSent = true;
+
+                proposal.messages.push({
+                    from: 'TownRanker',
+                    to: recipient,
+                    subject,
+                    body: publicUrl,
+                    date: new Date(),
+                    type: 'sent'
+                });
+            } catch (emailError) {
+                // Leave the proposal unsent so it can be retried
+                console.error('Failed to email proposal:', emailError.message);
+                return res.status(502).json({
+                    success: false,
+                    error: 'The proposal email could not be sent, so the proposal was not marked as sent'
+                });
+            }
+        }
+
+        proposal.status = 'sent';
+        proposal.sentDate = new Date();
+
+        await proposal.save();
+
+        res.json({
+            success: true,
+            proposal,
+            publicUrl,
+            emailSent
+        });
+    } catch (error) {
+        console.error('Error sending proposal:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/proposals/:id/revisions
+ * List the revision history of a proposal
+ */
+router.get('/:id/revisions', async (req, res) => {
+    try {
+        const proposal = await Proposal.findById(req.params.id).select('proposalNumber version revisions');
+        if (!proposal) {
+            return res.status(404).json({ success: false, error: 'Proposal not found' });
+        }
+
+        res.json({
+            success: true,
+            currentVersion: proposal.version,
+            revisions: proposal.revisions
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/proposals/:id
+ * Delete a proposal and unlink it from its customer
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const proposal = await Proposal.findByIdAndDelete(req.params.id);
+        if (!proposal) {
+            return res.status(404).json({ success: false, error: 'Proposal not found' });
+        }
+
+        await Customer.findByIdAndUpdate(proposal.customer, {
+            $pull: { proposals: proposal._id }
+        });
+
+        res.json({ success: true, message: 'Proposal deleted' });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+/**
+ * Scheduled Message Routes
+ * Queue SMS and emails for later delivery and manage pending sends
+ * (see services/scheduledSendService.js)
+ * Mounted behind admin authentication in server.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const Communication = require('../models/Communication');
+const scheduledSendService = require('../services/scheduledSendService');
+
+/**
+ * GET /api/scheduled-messages
+ * List scheduled messages, soonest first
+ * Query: status (default queued, or all), channel, contact, limit, page
+ */
+router.get('/', async (req, res) => {
+    try {
+        const {
+            status = 'queued',
+            channel,
+            contact,
+            limit = 50,
+            page = 1
+        } = req.query;
+
+        const filter = { scheduledDate: { $exists: true } };
+        if (status !== 'all') filter.status = status;
+        if (channel) filter.type = channel;
+        if (contact) filter.customer = contact;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [messages, total] = await Promise.all([
+            Communication.find(filter)
+                .select('customer type subject body to phoneNumber status scheduledDate sentDate schedule template error createdBy createdAt')
+                .sort({ scheduledDate: 1 })
+                .limit(parseInt(limit))
+                .skip(skip),
+            Communication.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            messages,
+            scheduler: scheduledSendService.getStatus(),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching scheduled messages:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/scheduled-messages
+ * Schedule an SMS or email
+ * Body: { contactId, channel, body, subject, html, templateId, schedulingRules, sendAt }
+ */
+router.post('/', async (req, res) => {
+    try {
+        if (!req.body.contactId) {
+            return res.status(400).json({ success: false, error: 'contactId is required' });
+        }
+
+        const message = await scheduledSendService.schedule({
+            ...req.body,
+            createdBy: req.user?.email || req.user?.id || 'admin'
+        });
+
+        res.status(201).json({ success: true, message });
+    } catch (error) {
+        const status = error.message === 'Contact not found' ? 404 : 400;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/scheduled-messages/:id
+ * Reschedule a pending message
+ * Body: { sendAt, enforceRules: false to skip the template's scheduling rules }
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        if (!req.body.sendAt) {
+            return res.status(400).json({ success: false, error: 'sendAt is required' });
+        }
+
+        const message = await scheduledSendService.reschedule(req.params.id, req.body.sendAt, {
+            enforceRules: req.body.enforceRules !== false
+        });
+        if (!message) {
+            return res.status(404).json({ success: false, error: 'Pending message not found' });
+        }
+
+        res.json({ success: true, message });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/scheduled-messages/:id/cancel
+ * Cancel a pending message
+ */
+router.post('/:id/cancel', async (req, res) => {
+    try {
+        const message = await scheduledSendService.cancel(req.params.id, req.user?.email || req.user?.id || 'admin');
+        if (!message) {
+            return res.status(404).json({ success: false, error: 'Pending message not found' });
+        }
+
+        res.json({ success: true, message });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
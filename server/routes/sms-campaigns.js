@@ -0,0 +1,216 @@
+/**
+ * SMS Campaign Routes
+ * Create bulk SMS campaigns for lead segments, launch them and track results
+ * (see services/smsCampaignService.js)
+ * Mounted behind admin authentication in server.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const SMSCampaign = require('../models/SMSCampaign');
+const SMSTemplate = require('../models/SMSTemplate');
+const smsCampaignService = require('../services/smsCampaignService');
+
+const EDITABLE_FIELDS = ['name', 'description', 'template', 'audience'];
+
+const pick = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+}, {});
+
+/**
+ * GET /api/sms-campaigns
+ * List campaigns, newest first
+ * Query: status, limit, page
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { status, limit = 20, page = 1 } = req.query;
+
+        const filter = {};
+        if (status) filter.status = status;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [campaigns, total] = await Promise.all([
+            SMSCampaign.find(filter)
+                .populate('template', 'name category')
+                .sort({ createdAt: -1 })
+                .limit(parseInt(limit))
+                .skip(skip),
+            SMSCampaign.countDocuments(filter)
+        ]);
+
+        const results = await Promise.all(campaigns.map(async campaign => {
+            const stats = await smsCampaignService.getStats(campaign);
+            const { recipients, ...summary } = campaign.toObject();
+            return { ...summary, stats };
+        }));
+
+        res.json({
+            success: true,
+            campaigns: results,
+            worker: smsCampaignService.getStatus(),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching SMS campaigns:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/sms-campaigns/audience/preview
+ * Count the leads an audience would reach
+ * Body: { audience: { statuses, projectTypes, sources, tags, budgetMin, budgetMax } }
+ */
+router.post('/audience/preview', async (req, res) => {
+    try {
+        const preview = await smsCampaignService.previewAudience(req.body.audience || {});
+        res.json({ success: true, ...preview });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/sms-campaigns
+ * Create a draft campaign
+ * Body: { name, description, template, audience }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const fields = pick(req.body);
+        if (!fields.name || !fields.template) {
+            return res.status(400).json({ success: false, error: 'name and template are required' });
+        }
+        if (!await SMSTemplate.exists({ _id: fields.template })) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+
+        const campaign = new SMSCampaign({
+            ...fields,
+            createdBy: req.user?.email || req.user?.id || 'admin'
+        });
+        await campaign.save();
+
+        res.status(201).json({ success: true, campaign });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/sms-campaigns/:id
+ * Campaign with recipients and delivery, reply and opt-out stats
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const campaign = await SMSCampaign.findById(req.params.id).populate('template', 'name category content');
+        if (!campaign) {
+            return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+
+        const stats = await smsCampaignService.getStats(campaign);
+        res.json({ success: true, campaign, stats });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/sms-campaigns/:id
+ * Update a draft campaign
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const campaign = await SMSCampaign.findOneAndUpdate(
+            { _id: req.params.id, status: 'draft' },
+            { $set: pick(req.body) },
+            { new: true, runValidators: true }
+        );
+        if (!campaign) {
+            return res.status(404).json({ success: false, error: 'Draft campaign not found' });
+        }
+
+        res.json({ success: true, campaign });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/sms-campaigns/:id/launch
+ * Snapshot the audience and start sending
+ * Body: { scheduledAt } - optional start time
+ */
+router.post('/:id/launch', async (req, res) => {
+    try {
+        const campaign = await smsCampaignService.launch(req.params.id, req.body.scheduledAt);
+        if (!campaign) {
+            return res.status(404).json({ success: false, error: 'Draft campaign not found' });
+        }
+
+        res.json({ success: true, campaign });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/sms-campaigns/:id/pause
+ * Pause sending; pending recipients are kept
+ */
+router.post('/:id/pause', async (req, res) => {
+    try {
+        const campaign = await smsCampaignService.pause(req.params.id);
+        if (!campaign) {
+            return res.status(409).json({ success: false, error: 'Campaign not found or cannot be paused' });
+        }
+
+        res.json({ success: true, campaign });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/sms-campaigns/:id/resume
+ * Continue a paused campaign
+ */
+router.post('/:id/resume', async (req, res) => {
+    try {
+        const campaign = await smsCampaignService.resume(req.params.id);
+        if (!campaign) {
+            return res.status(409).json({ success: false, error: 'Campaign not found or cannot be resumed' });
+        }
+
+        res.json({ success: true, campaign });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/sms-campaigns/:id/cancel
+ * Cancel a campaign; pending recipients are not sent
+ */
+router.post('/:id/cancel', async (req, res) => {
+    try {
+        const campaign = await smsCampaignService.cancel(req.params.id);
+        if (!campaign) {
+            return res.status(409).json({ success: false, error: 'Campaign not found or cannot be cancelled' });
+        }
+
+        res.json({ success: true, campaign });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
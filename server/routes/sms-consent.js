@@ -0,0 +1,92 @@
+/**
+ * SMS Consent Routes
+ * Review and manage SMS opt-outs (see services/smsConsentService.js)
+ * Mounted behind admin authentication in server.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const SMSConsent = require('../models/SMSConsent');
+const smsConsentService = require('../services/smsConsentService');
+
+/**
+ * GET /api/sms/consent
+ * List consent records, most recently changed first
+ * Query: status (opted_in or opted_out), limit, page
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { status, limit = 50, page = 1 } = req.query;
+
+        const filter = {};
+        if (status) filter.status = status;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [records, total] = await Promise.all([
+            SMSConsent.find(filter)
+                .select('-history')
+                .sort({ lastChangedAt: -1 })
+                .limit(parseInt(limit))
+                .skip(skip),
+            SMSConsent.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            records,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching SMS consent:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/sms/consent/:phone
+ * Consent record and change history for a number
+ */
+router.get('/:phone', async (req, res) => {
+    try {
+        const consent = await smsConsentService.getConsent(req.params.phone);
+        if (!consent) {
+            return res.status(404).json({ success: false, error: 'Consent record not found' });
+        }
+
+        res.json({ success: true, consent });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/sms/consent/:phone
+ * Opt a number in or out on the contact's behalf
+ * Body: { status: 'opted_in'|'opted_out', source: 'admin'|'web_form'|'import', note }
+ */
+router.put('/:phone', async (req, res) => {
+    try {
+        const { status, source = 'admin', note } = req.body;
+        if (!['admin', 'web_form', 'import'].includes(source)) {
+            return res.status(400).json({ success: false, error: 'Source must be admin, web_form or import' });
+        }
+
+        const consent = await smsConsentService.setConsent(req.params.phone, status, {
+            source,
+            message: note,
+            changedBy: req.user?.email || req.user?.id || 'admin'
+        });
+
+        res.json({ success: true, consent });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
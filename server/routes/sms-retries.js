@@ -0,0 +1,94 @@
+/**
+ * SMS Retry Queue Routes
+ * Inspect pending retries and messages that permanently failed
+ * (see smsService.scheduleRetry / processRetries)
+ * Mounted behind admin authentication in server.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const Communication = require('../models/Communication');
+
+const LIST_FIELDS = 'customer body phoneNumber to status error retry scheduledDate createdAt createdBy';
+
+const paginate = async (filter, sort, { limit = 50, page = 1 }) => {
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [messages, total] = await Promise.all([
+        Communication.find(filter).select(LIST_FIELDS).sort(sort).limit(parseInt(limit)).skip(skip),
+        Communication.countDocuments(filter)
+    ]);
+
+    return {
+        messages,
+        pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit))
+        }
+    };
+};
+
+/**
+ * GET /api/sms/failed
+ * Outbound SMS that failed and will not be retried, newest first
+ * Query: since (date), limit, page
+ */
+router.get('/failed', async (req, res) => {
+    try {
+        const filter = {
+            type: 'sms',
+            direction: 'outbound',
+            status: 'failed',
+            'retry.nextAttemptAt': { $exists: false }
+        };
+        if (req.query.since) {
+            filter.updatedAt = { $gte: new Date(req.query.since) };
+        }
+
+        res.json({ success: true, ...await paginate(filter, { updatedAt: -1 }, req.query) });
+    } catch (error) {
+        console.error('Error fetching failed SMS:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/sms/retries
+ * SMS waiting for their next retry attempt, soonest first
+ */
+router.get('/retries', async (req, res) => {
+    try {
+        const filter = {
+            type: 'sms',
+            status: 'failed',
+            'retry.nextAttemptAt': { $exists: true }
+        };
+
+        res.json({ success: true, ...await paginate(filter, { 'retry.nextAttemptAt': 1 }, req.query) });
+    } catch (error) {
+        console.error('Error fetching SMS retries:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/sms/failed/:id/retry
+ * Put a permanently failed SMS back in the retry queue
+ */
+router.post('/failed/:id/retry', async (req, res) => {
+    try {
+        // Required lazily - smsService loads the shared Lead model
+        const smsService = require('../services/smsService');
+        const message = await smsService.requeueFailed(req.params.id);
+        if (!message) {
+            return res.status(404).json({ success: false, error: 'Failed message not found' });
+        }
+
+        res.json({ success: true, message });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
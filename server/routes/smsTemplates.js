@@ -149,7 +149,7 @@ router.delete('/:id', async (req, res) => {
 router.post('/:id/preview', async (req, res) => {
     try {
         const sampleData = req.body.sampleData || {};
-        const result = await smsTemplateService.previewTemplate(req.params.id, sampleData);
+        const result = await smsTemplateService.previewTemplate(req.params.id, sampleData, req.body.variantId);
         
         res.json(result);
     } catch (error) {
@@ -177,7 +177,26 @@ router.get('/:id/stats', async (req, res) => {
     }
 });
 
-// Generate SMS for specific lead using template
+// Get A/B variant results with significance against the leading variant
+router.get('/:id/variants/stats', async (req, res) => {
+    try {
+        const result = await smsTemplateService.getVariantStats(req.params.id);
+        if (!result.success && result.error === 'Template not found') {
+            return res.status(404).json(result);
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error getting variant stats:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get variant stats',
+            details: error.message
+        });
+    }
+});
+
+// Generate SMS for specific lead using template.
+// Pass the returned templateId/variantId to the send routes so the send counts toward the A/B test.
 router.post('/generate/:leadId', async (req, res) => {
     try {
         const { leadId } = req.params;
@@ -222,6 +241,9 @@ router.post('/generate/:leadId', async (req, res) => {
                 projectType: leadData.projectType,
                 budget: leadData.budget
             },
+            templateId: result.template?.id || null,
+            variantId: result.variant?.id || null,
+            variant: result.variant || null,
             smsGeneration: result
         });
     } catch (error) {
@@ -0,0 +1,164 @@
+/**
+ * Timesheet Reporting Routes
+ * Weekly hours per team member across all projects, from Project.timeEntries
+ * Mounted behind admin authentication in server.js
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Project = require('../models/Project');
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const round = (hours) => Math.round(hours * 100) / 100;
+
+// YYYY-MM-DD in server local time (toISOString would shift to UTC)
+const formatDay = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// Monday 00:00 of the week containing the given date
+const getWeekStart = (date) => {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    const offset = (start.getDay() + 6) % 7; // Sunday -> 6, Monday -> 0
+    start.setDate(start.getDate() - offset);
+    return start;
+};
+
+/**
+ * GET /api/timesheets/weekly
+ * Weekly timesheet per team member
+ * Query: week (any date in the week, default today), user, project
+ */
+router.get('/weekly', async (req, res) => {
+    try {
+        const { week, user, project } = req.query;
+
+        const reference = week ? new Date(week) : new Date();
+        if (isNaN(reference)) {
+            return res.status(400).json({ success: false, error: 'Invalid week date' });
+        }
+
+        const weekStart = getWeekStart(reference);
+        const weekEnd = new Date(weekStart);
+        weekEnd.setDate(weekEnd.getDate() + 7);
+
+        const entryMatch = { 'timeEntries.date': { $gte: weekStart, $lt: weekEnd } };
+        if (user) entryMatch['timeEntries.user'] = user;
+
+        const projectMatch = {};
+        if (project) {
+            if (!mongoose.Types.ObjectId.isValid(project)) {
+                return res.status(400).json({ success: false, error: 'Invalid project id' });
+            }
+            projectMatch._id = new mongoose.Types.ObjectId(project);
+        }
+
+        const entries = await Project.aggregate([
+            { $match: projectMatch },
+            { $unwind: '$timeEntries' },
+            { $match: entryMatch },
+            {
+                $project: {
+                    _id: 0,
+                    projectId: '$_id',
+                    projectName: '$name',
+                    entryId: '$timeEntries._id',
+                    user: { $ifNull: ['$timeEntries.user', 'unassigned'] },
+                    date: '$timeEntries.date',
+                    hours: { $ifNull: ['$timeEntries.hours', 0] },
+                    billable: '$timeEntries.billable',
+                    billed: '$timeEntries.billed',
+                    description: '$timeEntries.description',
+                    running: {
+                        $and: [
+                            { $ifNull: ['$timeEntries.startTime', false] },
+                            { $not: [{ $ifNull: ['$timeEntries.endTime', false] }] }
+                        ]
+                    }
+                }
+            },
+            { $sort: { user: 1, date: 1 } }
+        ]);
+
+        const members = new Map();
+
+        for (const entry of entries) {
+            if (!members.has(entry.user)) {
+                members.set(entry.user, {
+                    user: entry.user,
+                    totalHours: 0,
+                    billableHours: 0,
+                    unbilledHours: 0,
+                    runningTimers: 0,
+                    days: Object.fromEntries(DAYS.map(day => [day, 0])),
+                    projects: new Map(),
+                    entries: []
+                });
+            }
+
+            const member = members.get(entry.user);
+            const day = DAYS[(new Date(entry.date).getDay() + 6) % 7];
+
+            member.totalHours += entry.hours;
+            member.days[day] += entry.hours;
+            if (entry.billable) member.billableHours += entry.hours;
+            if (entry.billable && !entry.billed) member.unbilledHours += entry.hours;
+            if (entry.running) member.runningTimers++;
+
+            const projectKey = String(entry.projectId);
+            if (!member.projects.has(projectKey)) {
+                member.projects.set(projectKey, {
+                    projectId: entry.projectId,
+                    name: entry.projectName,
+                    hours: 0,
+                    billableHours: 0
+                });
+            }
+            const projectTotals = member.projects.get(projectKey);
+            projectTotals.hours += entry.hours;
+            if (entry.billable) projectTotals.billableHours += entry.hours;
+
+            member.entries.push(entry);
+        }
+
+        const timesheets = [...members.values()].map(member => ({
+            ...member,
+            totalHours: round(member.totalHours),
+            billableHours: round(member.billableHours),
+            unbilledHours: round(member.unbilledHours),
+            days: Object.fromEntries(Object.entries(member.days).map(([day, hours]) => [day, round(hours)])),
+            projects: [...member.projects.values()].map(p => ({
+                ...p,
+                hours: round(p.hours),
+                billableHours: round(p.billableHours)
+            }))
+        }));
+
+        const weekEndInclusive = new Date(weekEnd);
+        weekEndInclusive.setDate(weekEndInclusive.getDate() - 1);
+
+        res.json({
+            success: true,
+            week: {
+                start: formatDay(weekStart),
+                end: formatDay(weekEndInclusive)
+            },
+            totals: {
+                hours: round(timesheets.reduce((acc, t) => acc + t.totalHours, 0)),
+                billableHours: round(timesheets.reduce((acc, t) => acc + t.billableHours, 0)),
+                unbilledHours: round(timesheets.reduce((acc, t) => acc + t.unbilledHours, 0))
+            },
+            timesheets
+        });
+    } catch (error) {
+        console.error('Error building timesheet:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,272 @@
+/**
+ * Attribution Service
+ * Multi-touch marketing attribution for website leads.
+ *
+ * A lead's touches are its visitor sessions before it converted (see
+ * visitorJourneyService.js). Leads without linked sessions fall back to the
+ * UTM tags / referrer captured with the form, then to the free-text source.
+ * Each touch maps to a channel, and leads, closed-won deals and revenue from
+ * paid invoices are credited to channels by the first-touch, last-touch and
+ * linear models.
+ */
+
+const mongoose = require('mongoose');
+const VisitorSession = require('../models/VisitorSession');
+const Payment = require('../models/Payment');
+const { getTrafficSourceName, getSourceCategory } = require('./visitor-tracker');
+const pipelineService = require('./pipelineService');
+
+// The Lead model is registered by server.js
+const getLeadModel = () => mongoose.model('Lead');
+
+const MODELS = ['first-touch', 'last-touch', 'linear'];
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+const MAX_FIELD_LENGTH = 200;
+
+// Landing pages built for one campaign are channels of their own
+const LANDING_PAGE_CHANNELS = [
+    { pattern: /^\/gilbert-arizona-seo/, channel: 'Gilbert SEO Page' }
+];
+
+const CATEGORY_CHANNELS = {
+    search: 'Organic Search',
+    social: 'Organic Social',
+    email: 'Email',
+    referral: 'Referral',
+    direct: 'Direct'
+};
+
+// Lead.source values set by forms and imports
+const SOURCE_CHANNELS = {
+    'Gilbert SEO Page': 'Gilbert SEO Page',
+    'social-media': 'Organic Social',
+    'referral': 'Referral'
+};
+
+const UNATTRIBUTED = 'Unattributed';
+
+// Client supplied values are only stored as bounded strings
+const cleanString = (value) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, MAX_FIELD_LENGTH) : undefined);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class AttributionService {
+    /**
+     * Store the converting session's UTM tags and referrer on a new lead
+     * @param {Object} lead - Lead document
+     * @param {Object} attribution - { utm, referrer, landingPage } from the contact form
+     * @param {Object} journey - Summary from visitorJourneyService.linkLead, used when the form sent nothing
+     */
+    async captureLead(lead, attribution, journey) {
+        const form = attribution && typeof attribution === 'object' ? attribution : {};
+        const fallback = journey?.lastTouch || {};
+
+        const utm = {};
+        UTM_FIELDS.forEach(field => {
+            const value = cleanString(form.utm?.[field]) || cleanString(fallback.utm?.[field]);
+            if (value) utm[field] = value;
+        });
+
+        const fields = {
+            utm: Object.keys(utm).length ? utm : undefined,
+            referrer: cleanString(form.referrer) || cleanString(fallback.referrer),
+            landingPage: cleanString(form.landingPage) || cleanString(fallback.landingPage)
+        };
+        Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+        if (Object.keys(fields).length === 0) return null;
+
+        await getLeadModel().updateOne({ _id: lead._id }, { $set: fields });
+        return fields;
+    }
+
+    /**
+     * Channel for a visit or form capture
+     * @param {Object} touch - { utm, referrer, landingPage, category, source }
+     */
+    channelForTouch(touch) {
+        const landing = LANDING_PAGE_CHANNELS.find(c => touch.landingPage && c.pattern.test(touch.landingPage));
+        if (landing) return landing.channel;
+
+        if (touch.utm?.source) {
+            const medium = touch.utm.medium ? ` / ${touch.utm.medium}` : '';
+            return `Campaign: ${touch.utm.source.toLowerCase()}${medium.toLowerCase()}`;
+        }
+
+        const category = touch.category || getSourceCategory(touch.referrer, touch.utm);
+        if (category === 'referral') {
+            return `Referral: ${touch.source || getTrafficSourceName(touch.referrer)}`;
+        }
+        return CATEGORY_CHANNELS[category] || UNATTRIBUTED;
+    }
+
+    /**
+     * Channel for a lead with no linked visits
+     */
+    channelForLead(lead) {
+        if (lead.tags?.includes('reddit-opportunity')) return 'Reddit Monitor';
+
+        if (lead.utm?.source || lead.referrer || lead.landingPage) {
+            return this.channelForTouch({ utm: lead.utm, referrer: lead.referrer, landingPage: lead.landingPage });
+        }
+
+        return SOURCE_CHANNELS[lead.source] || UNATTRIBUTED;
+    }
+
+    /**
+     * Ordered channels that touched each lead before it converted
+     * @param {Array} leads - Lean lead documents
+     * @returns {Promise<Map<string, string[]>>} lead id -> channels, oldest first
+     */
+    async getTouches(leads) {
+        const sessions = await VisitorSession.find({ lead: { $in: leads.map(l => l._id) } })
+            .select('lead firstSeenAt trafficSource sourceCategory landingPage referrer utm')
+            .sort({ firstSeenAt: 1 })
+            .lean();
+
+        const byLead = new Map();
+        sessions.forEach(session => {
+            const id = String(session.lead);
+            if (!byLead.has(id)) byLead.set(id, []);
+            byLead.get(id).push(session);
+        });
+
+        const touches = new Map();
+        leads.forEach(lead => {
+            const id = String(lead._id);
+            const visits = (byLead.get(id) || []).filter(s => s.firstSeenAt <= lead.createdAt);
+
+            // Monitor leads are found off-site - any later visits are the result, not the cause
+            if (visits.length === 0 || lead.tags?.includes('reddit-opportunity')) {
+                touches.set(id, [this.channelForLead(lead)]);
+            } else {
+                touches.set(id, visits.map(s => this.channelForTouch({
+                    utm: s.utm,
+                    referrer: s.referrer,
+                    landingPage: s.landingPage,
+                    category: s.sourceCategory,
+                    source: s.trafficSource
+                })));
+            }
+        });
+        return touches;
+    }
+
+    /**
+     * Share of credit per channel for one lead under a model
+     * @param {string[]} channels - Touches, oldest first
+     * @param {string} model - first-touch | last-touch | linear
+     * @returns {Object} channel -> weight (weights sum to 1)
+     */
+    credit(channels, model) {
+        if (model === 'first-touch') return { [channels[0]]: 1 };
+        if (model === 'last-touch') return { [channels[channels.length - 1]]: 1 };
+
+        const weights = {};
+        channels.forEach(channel => {
+            weights[channel] = (weights[channel] || 0) + 1 / channels.length;
+        });
+        return weights;
+    }
+
+    /**
+     * Revenue collected per lead, from paid amounts on the linked customer's invoices
+     * @returns {Promise<Map<string, number>>} lead id -> revenue
+     */
+    async getRevenue(leads) {
+        const converted = leads.filter(l => l.customer);
+        if (converted.length === 0) return new Map();
+
+        const payments = await Payment.aggregate([
+            {
+                $match: {
+                    customer: { $in: converted.map(l => l.customer) },
+                    status: { $nin: ['cancelled', 'refunded'] }
+                }
+            },
+            { $group: { _id: '$customer', revenue: { $sum: '$amountPaid' } } }
+        ]);
+
+        const byCustomer = new Map(payments.map(p => [String(p._id), p.revenue]));
+        return new Map(converted.map(l => [String(l._id), byCustomer.get(String(l.customer)) || 0]));
+    }
+
+    /**
+     * Attribution report for leads created in a range
+     * @param {Object} options - { from, to, model } (all models when model is omitted)
+     * @returns {Promise<Object>} { from, to, totals, models: { [model]: rows } }
+     */
+    async getReport({ from, to, model }) {
+        if (model && !MODELS.includes(model)) {
+            throw new Error(`Unknown attribution model: ${model}`);
+        }
+        const models = model ? [model] : MODELS;
+
+        const leads = await getLeadModel().find({ createdAt: { $gte: from, $lte: to } })
+            .select('status source tags utm referrer landingPage customer createdAt')
+            .lean();
+
+        const [touches, revenue, wonStages] = await Promise.all([
+            this.getTouches(leads),
+            this.getRevenue(leads),
+            pipelineService.getWonStageKeys()
+        ]);
+        const isWon = (lead) => wonStages.includes(lead.status);
+
+        const totals = { leads: leads.length, closedWon: 0, revenue: 0 };
+        leads.forEach(lead => {
+            if (isWon(lead)) totals.closedWon++;
+            totals.revenue += revenue.get(String(lead._id)) || 0;
+        });
+        totals.revenue = round(totals.revenue);
+
+        const report = { from, to, totals, models: {} };
+        models.forEach(name => {
+            const channels = {};
+            leads.forEach(lead => {
+                const id = String(lead._id);
+                const weights = this.credit(touches.get(id), name);
+                Object.entries(weights).forEach(([channel, weight]) => {
+                    const row = channels[channel] || (channels[channel] = { channel, leads: 0, closedWon: 0, revenue: 0 });
+                    row.leads += weight;
+                    if (isWon(lead)) row.closedWon += weight;
+                    row.revenue += weight * (revenue.get(id) || 0);
+                });
+            });
+
+            report.models[name] = Object.values(channels)
+                .map(row => ({
+                    channel: row.channel,
+                    leads: round(row.leads),
+                    closedWon: round(row.closedWon),
+                    revenue: round(row.revenue),
+                    revenueShare: totals.revenue ? round((row.revenue / totals.revenue) * 100) : 0
+                }))
+                .sort((a, b) => b.revenue - a.revenue || b.leads - a.leads);
+        });
+
+        return report;
+    }
+
+    /**
+     * Report as CSV, one row per model and channel
+     */
+    toCsv(report) {
+        const escape = (value) => {
+            let text = String(value ?? '');
+            // Channel names come from referrers and UTM tags - keep spreadsheets from running them as formulas
+            if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [['model', 'channel', 'leads', 'closed_won', 'revenue', 'revenue_share'].join(',')];
+        Object.entries(report.models).forEach(([model, rows]) => {
+            rows.forEach(row => {
+                lines.push([model, row.channel, row.leads, row.closedWon, row.revenue, row.revenueShare].map(escape).join(','));
+            });
+        });
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Export singleton instance
+module.exports = new AttributionService();
@@ -0,0 +1,350 @@
+/**
+ * Drip Sequence Service
+ * Runs the multi-step email/SMS follow-up sequences defined in
+ * server/config/drip-sequences.js for website leads.
+ *
+ * Enrollments are stored in MongoDB with the time their next step is due, so
+ * sequences survive restarts. An enrollment stops as soon as the lead replies
+ * (email or SMS) or its pipeline status changes.
+ */
+
+const mongoose = require('mongoose');
+const SequenceEnrollment = require('../models/SequenceEnrollment');
+const emailTemplateService = require('./emailTemplateService');
+const emailThreadService = require('./emailThreadService');
+const { defaultSequence, sendWindow, sequences } = require('../config/drip-sequences');
+const { getNextSendTime } = require('../utils/scheduleUtils');
+
+const MINUTE_MS = 60 * 1000;
+// Upper bound on enrollments processed in a single run
+const BATCH_SIZE = 50;
+
+// The Lead model is registered by server.js, so look it up at call time
+const getLeadModel = () => mongoose.model('Lead');
+
+class DripSequenceService {
+    constructor() {
+        this.io = null;
+        this.transporter = null;
+        this.interval = null;
+        this.running = false;
+        this.lastRun = null;
+        this.checkIntervalMinutes = parseInt(process.env.DRIP_CHECK_MINUTES, 10) || 5;
+    }
+
+    /**
+     * Set Socket.io instance for real-time updates
+     */
+    setSocketIO(io) {
+        this.io = io;
+    }
+
+    /**
+     * Set the nodemailer transporter used for sequence emails.
+     * Falls back to emailService when none is set.
+     */
+    setTransporter(transporter) {
+        this.transporter = transporter;
+    }
+
+    /**
+     * Start the periodic sequence check
+     */
+    start() {
+        if (this.interval) return;
+
+        this.processDueEnrollments();
+        this.interval = setInterval(() => this.processDueEnrollments(), this.checkIntervalMinutes * MINUTE_MS);
+
+        console.log(`✅ Drip sequences started (every ${this.checkIntervalMinutes} min)`);
+    }
+
+    /**
+     * Stop the periodic sequence check
+     */
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+            console.log('⏹️  Drip sequences stopped');
+        }
+    }
+
+    /**
+     * Enroll a lead in a sequence. Enrolling twice returns the existing enrollment.
+     * @param {Object} lead - Lead document
+     * @param {string} sequenceKey - Key in drip-sequences.js (defaults to the new lead sequence)
+     * @returns {Promise<Object>} - SequenceEnrollment document
+     */
+    async enroll(lead, sequenceKey = defaultSequence) {
+        const definition = sequences[sequenceKey];
+        if (!definition) {
+            throw new Error(`Unknown drip sequence: ${sequenceKey}`);
+        }
+
+        const existing = await SequenceEnrollment.findOne({ lead: lead._id, sequence: sequenceKey });
+        if (existing) return existing;
+
+        const enrollment = new SequenceEnrollment({
+            lead: lead._id,
+            sequence: sequenceKey,
+            leadStatus: lead.status,
+            nextRunAt: this.scheduleStep(definition.steps[0], new Date())
+        });
+
+        try {
+            await enrollment.save();
+        } catch (error) {
+            // Enrolled concurrently by another request
+            if (error.code === 11000) {
+                return SequenceEnrollment.findOne({ lead: lead._id, sequence: sequenceKey });
+            }
+            throw error;
+        }
+
+        console.log(`💧 ${lead.name} enrolled in "${definition.name}" (first step ${enrollment.nextRunAt.toISOString()})`);
+        this.emit('sequence_enrolled', enrollment, lead);
+        return enrollment;
+    }
+
+    /**
+     * Stop every active enrollment for a lead
+     * @param {string} leadId - Lead ID
+     * @param {string} reason - email_reply, sms_reply, status_change, lead_deleted or manual
+     * @returns {Promise<number>} - Number of enrollments stopped
+     */
+    async stopForLead(leadId, reason) {
+        const result = await SequenceEnrollment.updateMany(
+            { lead: leadId, status: 'active' },
+            { $set: { status: 'stopped', stopReason: reason, stoppedAt: new Date() }, $unset: { nextRunAt: 1 } }
+        );
+
+        if (result.modifiedCount > 0) {
+            console.log(`🛑 Stopped ${result.modifiedCount} drip sequence(s) for lead ${leadId} (${reason})`);
+            if (this.io) {
+                this.io.emit('sequence_stopped', { leadId, reason });
+            }
+        }
+
+        return result.modifiedCount;
+    }
+
+    /**
+     * Stop enrollments whose lead has moved on from the status it was enrolled with
+     * @param {Object} lead - Lead document (only _id and status are used)
+     */
+    async stopIfStatusChanged(lead) {
+        const active = await SequenceEnrollment.exists({
+            lead: lead._id,
+            status: 'active',
+            leadStatus: { $ne: lead.status }
+        });
+
+        return active ? this.stopForLead(lead._id, 'status_change') : 0;
+    }
+
+    /**
+     * Run the next step of every enrollment that is due
+     */
+    async processDueEnrollments() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const now = new Date();
+            const due = await SequenceEnrollment.find({
+                status: 'active',
+                nextRunAt: { $lte: now }
+            }).sort({ nextRunAt: 1 }).limit(BATCH_SIZE);
+
+            let sent = 0;
+
+            for (const enrollment of due) {
+                try {
+                    if (await this.runStep(enrollment)) sent++;
+                } catch (error) {
+                    console.error(`❌ Error running drip step for enrollment ${enrollment._id}:`, error.message);
+                }
+            }
+
+            this.lastRun = now;
+            if (sent) {
+                console.log(`💧 Sent ${sent} drip sequence step(s)`);
+            }
+        } catch (error) {
+            console.error('❌ Error processing drip sequences:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Send the current step of an enrollment and schedule the next one.
+     * @returns {Promise<boolean>} - Whether a step was attempted
+     */
+    async runStep(enrollment) {
+        const definition = sequences[enrollment.sequence];
+        const step = definition?.steps[enrollment.currentStep];
+        if (!step) {
+            await this.complete(enrollment);
+            return false;
+        }
+
+        const lead = await getLeadModel().findById(enrollment.lead);
+        if (!lead) {
+            await this.stopForLead(enrollment.lead, 'lead_deleted');
+            return false;
+        }
+        if (enrollment.leadStatus && lead.status !== enrollment.leadStatus) {
+            await this.stopForLead(lead._id, 'status_change');
+            return false;
+        }
+
+        // Hold window-restricted steps until business hours
+        const now = new Date();
+        if (step.sendWindow) {
+            const allowedAt = this.getNextSendTime(now);
+            if (allowedAt > now) {
+                enrollment.nextRunAt = allowedAt;
+                await enrollment.save();
+                return false;
+            }
+        }
+
+        const entry = { step: enrollment.currentStep, stepId: step.id, channel: step.channel, sentAt: now };
+        try {
+            const result = step.channel === 'sms'
+                ? await this.sendSmsStep(step, lead)
+                : await this.sendEmailStep(step, lead);
+            entry.status = result.skipped ? 'skipped' : 'sent';
+            entry.messageId = result.messageId;
+            entry.error = result.skipped;
+            console.log(`💧 ${definition.name} step "${step.id}" ${entry.status} for ${lead.name}`);
+        } catch (error) {
+            entry.status = 'failed';
+            entry.error = error.message;
+            console.error(`❌ ${definition.name} step "${step.id}" failed for ${lead.name}:`, error.message);
+        }
+
+        enrollment.history.push(entry);
+        enrollment.currentStep++;
+
+        const nextStep = definition.steps[enrollment.currentStep];
+        if (nextStep) {
+            enrollment.nextRunAt = this.scheduleStep(nextStep, now);
+            await enrollment.save();
+        } else {
+            await this.complete(enrollment);
+        }
+
+        this.emit('sequence_step_sent', enrollment, lead, { stepId: step.id, channel: step.channel, status: entry.status });
+        return true;
+    }
+
+    async complete(enrollment) {
+        enrollment.status = 'completed';
+        enrollment.completedAt = new Date();
+        enrollment.nextRunAt = undefined;
+        await enrollment.save();
+    }
+
+    async sendEmailStep(step, lead) {
+        if (!lead.email) return { skipped: 'Lead has no email address' };
+
+        const { subject, html } = await emailTemplateService.render(step.template, { lead });
+        const threading = await emailThreadService.prepareOutbound();
+        let messageId;
+
+        if (this.transporter) {
+            const result = await this.transporter.sendMail({
+                from: process.env.EMAIL_FROM || '"TownRanker" <hello@townranker.com>',
+                to: lead.email,
+                subject,
+                html,
+                ...emailThreadService.mailOptions(threading)
+            });
+            messageId = result.messageId;
+        } else {
+            // Required lazily so the service only initializes when sequences send email
+            const emailService = require('./emailService');
+            const result = await emailService.sendEmail({ to: lead.email, subject, html, ...emailThreadService.mailOptions(threading) });
+            messageId = result.messageId;
+        }
+
+        await emailThreadService.recordOutbound({ contact: lead, threading, subject, html, template: step.template });
+
+        await getLeadModel().findByIdAndUpdate(lead._id, {
+            $push: {
+                emailHistory: {
+                    subject,
+                    body: html,
+                    template: step.template,
+                    sentAt: new Date(),
+                    messageId,
+                    status: 'sent'
+                }
+            },
+            lastContacted: new Date(),
+            $inc: { emailCount: 1 }
+        });
+
+        return { messageId };
+    }
+
+    async sendSmsStep(step, lead) {
+        if (!lead.phone) return { skipped: 'Lead has no phone number' };
+
+        const smsService = require('./smsService');
+        const result = await smsService.sendSMSToCustomer(lead._id, step.message(lead));
+        if (!result.success) {
+            throw new Error(result.error || 'SMS failed');
+        }
+
+        return { messageId: result.messageId };
+    }
+
+    /**
+     * When a step should run, given the time the previous step ran
+     */
+    scheduleStep(step, from) {
+        const runAt = new Date(from.getTime() + (step.delayMinutes || 0) * MINUTE_MS);
+        return step.sendWindow ? this.getNextSendTime(runAt) : runAt;
+    }
+
+    /**
+     * Earliest time at or after `date` that falls inside the send window
+     */
+    getNextSendTime(date) {
+        return getNextSendTime(date, sendWindow);
+    }
+
+    emit(event, enrollment, lead, extra = {}) {
+        if (this.io) {
+            this.io.emit(event, {
+                enrollmentId: enrollment._id,
+                leadId: lead._id,
+                leadName: lead.name,
+                sequence: enrollment.sequence,
+                currentStep: enrollment.currentStep,
+                status: enrollment.status,
+                nextRunAt: enrollment.nextRunAt,
+                ...extra
+            });
+        }
+    }
+
+    /**
+     * Get service status
+     */
+    getStatus() {
+        return {
+            active: !!this.interval,
+            checkIntervalMinutes: this.checkIntervalMinutes,
+            lastRun: this.lastRun,
+            sendWindow
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new DripSequenceService();
@@ -0,0 +1,135 @@
+/**
+ * Email Attachment Service
+ * Stores attachments from inbound email on local disk, one directory per
+ * lead/customer. Files are saved under random names; the original filename,
+ * size and content type are kept on the Communication's `attachments`.
+ *
+ * Attachments that are too large or of a type that isn't allowed are not
+ * stored, but stay listed on the Communication with the reason.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const mongoose = require('mongoose');
+
+const STORAGE_DIR = process.env.EMAIL_ATTACHMENT_DIR || path.join(__dirname, '..', '..', 'storage', 'email-attachments');
+const MAX_BYTES = (parseFloat(process.env.EMAIL_ATTACHMENT_MAX_MB) || 15) * 1024 * 1024;
+
+// Allowed content types and the file extensions each may use
+const ALLOWED_TYPES = {
+    'image/jpeg': ['.jpg', '.jpeg'],
+    'image/png': ['.png'],
+    'image/gif': ['.gif'],
+    'image/webp': ['.webp'],
+    'application/pdf': ['.pdf'],
+    'application/msword': ['.doc'],
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+    'application/vnd.ms-excel': ['.xls'],
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+    'application/vnd.ms-powerpoint': ['.ppt'],
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+    'text/plain': ['.txt'],
+    'text/csv': ['.csv'],
+    'application/zip': ['.zip'],
+    'application/postscript': ['.ai', '.eps'],
+    'application/illustrator': ['.ai']
+};
+
+class EmailAttachmentService {
+    constructor() {
+        this.storageDir = STORAGE_DIR;
+        this.maxBytes = MAX_BYTES;
+    }
+
+    /**
+     * Why an attachment can't be stored, or null if it can
+     */
+    validate(attachment) {
+        const type = (attachment.contentType || '').toLowerCase();
+        const ext = path.extname(attachment.filename || '').toLowerCase();
+        const size = attachment.size || attachment.content?.length || 0;
+
+        if (!attachment.content) return 'No content';
+        if (size > this.maxBytes) {
+            return `Larger than ${Math.round(this.maxBytes / 1024 / 1024)} MB`;
+        }
+        if (!ALLOWED_TYPES[type]) return `Content type ${type || 'unknown'} not allowed`;
+        if (ext && !ALLOWED_TYPES[type].includes(ext)) {
+            return `Extension ${ext} does not match content type ${type}`;
+        }
+        return null;
+    }
+
+    /**
+     * Save an inbound email's attachments for a contact
+     * @param {Array} attachments - mailparser attachments
+     * @param {Object} communication - Unsaved Communication they belong to
+     * @returns {Promise<Array>} - Entries for Communication.attachments
+     */
+    async saveInbound(attachments = [], communication) {
+        const contactDir = String(communication.customer);
+        const entries = [];
+
+        for (const attachment of attachments) {
+            const type = (attachment.contentType || '').toLowerCase();
+            const entry = {
+                _id: new mongoose.Types.ObjectId(),
+                filename: path.basename(attachment.filename || `attachment${ALLOWED_TYPES[type]?.[0] || ''}`),
+                size: attachment.size || attachment.content?.length || 0,
+                type
+            };
+
+            const rejected = this.validate(attachment);
+            if (rejected) {
+                console.log(`⚠️ Attachment "${entry.filename}" not stored: ${rejected}`);
+                entries.push({ ...entry, rejectedReason: rejected });
+                continue;
+            }
+
+            try {
+                const ext = path.extname(entry.filename).toLowerCase() || ALLOWED_TYPES[type][0];
+                const storedName = `${crypto.randomBytes(16).toString('hex')}${ext}`;
+
+                await fs.mkdir(path.join(this.storageDir, contactDir), { recursive: true });
+                await fs.writeFile(path.join(this.storageDir, contactDir, storedName), attachment.content);
+
+                entries.push({
+                    ...entry,
+                    storagePath: path.join(contactDir, storedName),
+                    url: `/api/email-attachments/${communication._id}/${entry._id}/download`
+                });
+            } catch (error) {
+                console.error(`❌ Error storing attachment "${entry.filename}":`, error.message);
+                entries.push({ ...entry, rejectedReason: 'Could not be stored' });
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Absolute path of a stored attachment, or null if it isn't stored
+     */
+    resolvePath(attachment) {
+        if (!attachment?.storagePath) return null;
+
+        const filePath = path.resolve(this.storageDir, attachment.storagePath);
+        // Never serve anything outside the storage directory
+        if (!filePath.startsWith(path.resolve(this.storageDir) + path.sep)) return null;
+        return filePath;
+    }
+
+    /**
+     * Delete the stored files of attachments (e.g. when their email couldn't be saved)
+     */
+    async remove(entries = []) {
+        for (const entry of entries) {
+            const filePath = this.resolvePath(entry);
+            if (filePath) await fs.unlink(filePath).catch(() => {});
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new EmailAttachmentService();
@@ -7,6 +7,7 @@ const nodemailer = require('nodemailer');
 const NodeCache = require('node-cache');
 const fs = require('fs').promises;
 const path = require('path');
+const { buildTrackingLink } = require('../utils/trackingLinks');
 
 class EmailService {
     constructor() {
@@ -52,8 +53,8 @@ class EmailService {
         this.transporter = null;
         this.isInitialized = false;
         
-        // Initialize the service
-        this.init();
+        // Initialize the service - sendEmail waits for this before the first send
+        this.ready = this.init();
     }
 
     /**
@@ -71,6 +72,15 @@ class EmailService {
         }
     }
 
+    /**
+     * Wait for initialization to finish
+     * @returns {Promise<boolean>} - Whether the service is ready to send
+     */
+    async whenReady() {
+        await this.ready;
+        return this.isInitialized;
+    }
+
     /**
      * Create email transporter with OAuth2 or App Password authentication
      */
@@ -248,8 +258,7 @@ class EmailService {
                     return match;
                 }
                 
-                const trackingUrl = `${baseUrl}/api/crm/emails/track/${trackingId}/click?url=${encodeURIComponent(url)}`;
-                return `<a ${prefix}${trackingUrl}${suffix}>`;
+                return `<a ${prefix}${buildTrackingLink(baseUrl, trackingId, url)}${suffix}>`;
             }
         );
     }
@@ -275,7 +284,7 @@ class EmailService {
      * Send email with comprehensive error handling and tracking
      */
     async sendEmail(emailOptions) {
-        if (!this.isInitialized) {
+        if (!await this.whenReady()) {
             throw new Error('EmailService not initialized');
         }
 
@@ -311,6 +320,10 @@ class EmailService {
                 html: emailOptions.html,
                 attachments: emailOptions.attachments,
                 replyTo: emailOptions.replyTo,
+                // Threading - see emailThreadService.mailOptions
+                messageId: emailOptions.messageId,
+                inReplyTo: emailOptions.inReplyTo,
+                references: emailOptions.references,
                 headers: emailOptions.headers || {}
             };
 
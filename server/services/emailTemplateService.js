@@ -0,0 +1,215 @@
+/**
+ * Email Template Service
+ * Stored, versioned email templates. The emails the server sends itself are
+ * rendered through render(key, context): the stored template for that key is
+ * used when there is an active one, seeded from server/config/email-templates.js
+ * the first time, and the built-in default is used if the database can't be read.
+ *
+ * Every content change keeps the previous subject/body in `versions`, so any
+ * earlier version can be restored.
+ */
+
+const EmailTemplate = require('../models/EmailTemplate');
+const { systemTemplates, formatBudget } = require('../config/email-templates');
+
+const CONTENT_FIELDS = ['subject', 'bodyHtml', 'bodyText'];
+const EDITABLE_FIELDS = ['name', 'category', 'description', ...CONTENT_FIELDS, 'availableTags', 'defaultAttachments', 'isActive', 'isDefault'];
+
+// Lead used for previews when none is given
+const SAMPLE_LEAD = {
+    _id: 'SAMPLE',
+    name: 'Jordan Smith',
+    email: 'jordan@example.com',
+    phone: '(555) 123-4567',
+    company: 'Smith Landscaping',
+    projectType: 'business',
+    budget: 7500,
+    timeline: '1-2months'
+};
+
+class EmailTemplateService {
+    /**
+     * Merge tags every template can use, from a lead or customer
+     */
+    leadMergeData(lead = {}) {
+        return {
+            customerName: lead.name,
+            firstName: (lead.name || 'there').split(' ')[0],
+            companyName: lead.company,
+            email: lead.email,
+            phone: lead.phone,
+            projectType: lead.projectType,
+            budget: lead.budget ? formatBudget(lead.budget) : '',
+            timeline: lead.timeline
+        };
+    }
+
+    /**
+     * All merge data for a template: the lead tags plus the system template's own tags
+     */
+    getMergeData(template, context = {}) {
+        const lead = context.lead || {};
+        const system = template.systemKey && systemTemplates[template.systemKey];
+
+        return {
+            ...this.leadMergeData(lead),
+            ...(system ? system.mergeData({ ...context, lead }) : {}),
+            ...(context.data || {})
+        };
+    }
+
+    /**
+     * Stored template for a system key, created from its default on first use
+     */
+    async ensureSystemTemplate(key) {
+        const defaults = systemTemplates[key];
+        if (!defaults) {
+            throw new Error(`Unknown system email template: ${key}`);
+        }
+
+        const existing = await EmailTemplate.findOne({ systemKey: key });
+        if (existing) return existing;
+
+        try {
+            return await EmailTemplate.create({
+                systemKey: key,
+                name: defaults.name,
+                category: defaults.category,
+                description: defaults.description,
+                subject: defaults.subject,
+                bodyHtml: defaults.bodyHtml,
+                createdBy: 'system'
+            });
+        } catch (error) {
+            // Seeded concurrently
+            if (error.code === 11000) {
+                return EmailTemplate.findOne({ systemKey: key });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Make sure every system email has a stored template
+     */
+    async seedSystemTemplates() {
+        for (const key of Object.keys(systemTemplates)) {
+            try {
+                await this.ensureSystemTemplate(key);
+            } catch (error) {
+                console.error(`❌ Error seeding email template "${key}":`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Render a system email from its stored template
+     * @param {string} key - System template key (see server/config/email-templates.js)
+     * @param {Object} context - { lead, ...extra values the template's mergeData uses }
+     * @returns {Promise<{subject: string, html: string, text: string, templateId: Object, version: number}>}
+     */
+    async render(key, context = {}) {
+        let template;
+        try {
+            template = await this.ensureSystemTemplate(key);
+        } catch (error) {
+            console.error(`❌ Error loading email template "${key}", using default:`, error.message);
+        }
+
+        // Inactive templates fall back to the built-in content
+        if (!template || !template.isActive) {
+            template = new EmailTemplate({ systemKey: key, ...systemTemplates[key] });
+        }
+
+        const { subject, body, text } = template.processMergeTags(this.getMergeData(template, context));
+
+        if (!template.isNew) {
+            EmailTemplate.updateOne(
+                { _id: template._id },
+                { $inc: { usageCount: 1 }, $set: { lastUsedDate: new Date() } }
+            ).catch(error => console.error('Error updating email template usage:', error.message));
+        }
+
+        return {
+            subject,
+            html: body,
+            text: text || undefined,
+            templateId: template.isNew ? null : template._id,
+            version: template.version
+        };
+    }
+
+    /**
+     * Render a template for a lead (a sample lead when none is given).
+     * Unsaved subject/body edits can be passed to preview them before saving.
+     */
+    async preview(template, { lead, data, overrides = {} } = {}) {
+        const draft = new EmailTemplate(template.toObject());
+        CONTENT_FIELDS.forEach(field => {
+            if (overrides[field] !== undefined) draft[field] = overrides[field];
+        });
+
+        const { subject, body, text } = draft.processMergeTags(
+            this.getMergeData(draft, { lead: lead || SAMPLE_LEAD, data })
+        );
+
+        return { subject, html: body, text, sampleLead: !lead };
+    }
+
+    /**
+     * Apply edits. Content changes snapshot the current version first.
+     * @returns {Promise<Object>} - Saved template
+     */
+    async update(template, changes, savedBy, note) {
+        const contentChanged = CONTENT_FIELDS.some(field =>
+            changes[field] !== undefined && changes[field] !== template[field]
+        );
+
+        if (contentChanged) {
+            this.snapshot(template, savedBy, note);
+        }
+
+        EDITABLE_FIELDS.forEach(field => {
+            if (changes[field] !== undefined) template[field] = changes[field];
+        });
+        template.updatedBy = savedBy;
+
+        return template.save();
+    }
+
+    /**
+     * Restore the content of an earlier version as a new version
+     * @returns {Promise<Object|null>} - Saved template, or null if the version doesn't exist
+     */
+    async rollback(template, version, savedBy) {
+        const target = template.versions.find(v => v.version === Number(version));
+        if (!target) return null;
+
+        this.snapshot(template, savedBy, `Replaced by rollback to version ${target.version}`);
+        CONTENT_FIELDS.forEach(field => {
+            template[field] = target[field];
+        });
+        template.updatedBy = savedBy;
+
+        console.log(`↩️  Email template "${template.name}" rolled back to version ${target.version} (now version ${template.version})`);
+        return template.save();
+    }
+
+    /**
+     * Keep the current content in the version history and bump the version
+     */
+    snapshot(template, savedBy, note) {
+        template.versions.push({
+            version: template.version,
+            subject: template.subject,
+            bodyHtml: template.bodyHtml,
+            bodyText: template.bodyText,
+            savedBy,
+            note
+        });
+        template.version += 1;
+    }
+}
+
+// Export singleton instance
+module.exports = new EmailTemplateService();
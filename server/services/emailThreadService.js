@@ -0,0 +1,220 @@
+/**
+ * Email Thread Service
+ * Gives outbound emails stable Message-IDs and threads inbound replies.
+ *
+ * Every email sent to a contact is logged as a Communication whose `emailId` is
+ * its Message-ID. Inbound mail is matched through its In-Reply-To and
+ * References headers first, so replies from another address still land on the
+ * right contact; the sender address is only used when no header matches.
+ * A thread is identified by the Message-ID of its first message.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Communication = require('../models/Communication');
+const Customer = require('../models/Customer');
+const emailAttachmentService = require('./emailAttachmentService');
+
+const MESSAGE_ID_DOMAIN = process.env.EMAIL_MESSAGE_ID_DOMAIN || 'townranker.com';
+
+// The Lead model is registered by server.js, so look it up at call time
+const getLeadModel = () => mongoose.model('Lead');
+
+/**
+ * Normalize a Message-ID to its "<id@host>" form
+ */
+const normalizeMessageId = (id) => {
+    if (!id || typeof id !== 'string') return null;
+    const trimmed = id.trim().replace(/^<|>$/g, '');
+    return trimmed ? `<${trimmed}>` : null;
+};
+
+/**
+ * Message-IDs from a References/In-Reply-To header value (string or array), oldest first
+ */
+const parseMessageIds = (value) => {
+    if (!value) return [];
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .flatMap(v => String(v).match(/<[^<>\s]+>|[^<>\s]+@[^<>\s]+/g) || [])
+        .map(normalizeMessageId)
+        .filter(Boolean);
+};
+
+class EmailThreadService {
+    /**
+     * New Message-ID for an outbound email
+     */
+    createMessageId() {
+        return `<${Date.now()}.${crypto.randomBytes(8).toString('hex')}@${MESSAGE_ID_DOMAIN}>`;
+    }
+
+    /**
+     * Headers and thread for an outbound email
+     * @param {string} [inReplyTo] - Message-ID of the email being replied to
+     * @returns {Promise<{messageId: string, threadId: string, inReplyTo: string|undefined, references: string[]}>}
+     */
+    async prepareOutbound(inReplyTo) {
+        const messageId = this.createMessageId();
+        const parentId = normalizeMessageId(inReplyTo);
+
+        if (!parentId) {
+            return { messageId, threadId: messageId, inReplyTo: undefined, references: [] };
+        }
+
+        const parent = await Communication.findOne({ type: 'email', emailId: parentId })
+            .select('threadId references emailId');
+        const references = [...(parent?.references || []), parentId];
+
+        return {
+            messageId,
+            threadId: parent?.threadId || references[0],
+            inReplyTo: parentId,
+            references
+        };
+    }
+
+    /**
+     * Nodemailer options that set the Message-ID and threading headers
+     */
+    mailOptions(threading) {
+        return {
+            messageId: threading.messageId,
+            inReplyTo: threading.inReplyTo,
+            references: threading.references.length > 0 ? threading.references : undefined
+        };
+    }
+
+    /**
+     * Log a sent email as a Communication on its thread
+     * @param {Object} params - { contact, threading, subject, text, html, from, template }
+     */
+    async recordOutbound({ contact, threading, subject, text, html, from, template }) {
+        try {
+            return await Communication.create({
+                customer: contact._id,
+                type: 'email',
+                direction: 'outbound',
+                subject: subject || '(No Subject)',
+                body: text || html,
+                bodyHtml: html,
+                from: from || { name: 'TownRanker Team' },
+                to: [{ name: contact.name, email: contact.email }],
+                emailId: threading.messageId,
+                threadId: threading.threadId,
+                inReplyTo: threading.inReplyTo,
+                references: threading.references,
+                template: template ? { name: template } : undefined,
+                status: 'sent',
+                sentDate: new Date(),
+                createdBy: 'email'
+            });
+        } catch (error) {
+            console.error('Error logging outbound email:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Find who an inbound email is from
+     * @returns {Promise<{lead: Object|null, customer: Object|null, parent: Object|null, matchedBy: string}|null>}
+     */
+    async matchInbound(parsed) {
+        const Lead = getLeadModel();
+        const headerIds = [
+            ...parseMessageIds(parsed.inReplyTo),
+            ...parseMessageIds(parsed.references).reverse()
+        ];
+
+        // Newest referenced message first
+        for (const id of [...new Set(headerIds)]) {
+            const parent = await Communication.findOne({ type: 'email', emailId: id })
+                .select('customer threadId references emailId');
+            if (parent) {
+                const contact = await this.resolveContact(parent.customer);
+                if (contact.lead || contact.customer) return { ...contact, parent, matchedBy: 'header' };
+            }
+
+            // Emails sent before threading was logged only in the lead's history
+            const lead = await Lead.findOne({ 'emailHistory.messageId': id });
+            if (lead) return { lead, customer: null, parent: null, matchedBy: 'header' };
+        }
+
+        const fromEmail = parsed.from?.value?.[0]?.address?.toLowerCase();
+        if (!fromEmail) return null;
+
+        const lead = await Lead.findOne({ email: fromEmail });
+        if (lead) return { lead, customer: null, parent: null, matchedBy: 'sender' };
+
+        const customer = await Customer.findOne({ email: fromEmail });
+        if (customer) return { ...await this.resolveContact(customer._id), parent: null, matchedBy: 'sender' };
+
+        return null;
+    }
+
+    /**
+     * Lead and customer for a Communication contact id (either may be missing)
+     */
+    async resolveContact(contactId) {
+        const lead = await getLeadModel().findById(contactId);
+        if (lead) return { lead, customer: null };
+
+        const customer = await Customer.findById(contactId);
+        const leadId = customer?.customFields?.get('leadId');
+        return {
+            lead: leadId ? await getLeadModel().findById(leadId) : null,
+            customer
+        };
+    }
+
+    /**
+     * Store an inbound email on its thread. Emails already stored are skipped.
+     * @param {Object} parsed - mailparser output
+     * @param {Object} match - matchInbound result
+     * @returns {Promise<Object|null>} - The Communication, or null if it was already stored
+     */
+    async recordInbound(parsed, match) {
+        const messageId = normalizeMessageId(parsed.messageId) || this.createMessageId();
+        if (await Communication.exists({ emailId: messageId })) return null;
+
+        const references = parseMessageIds(parsed.references);
+        const inReplyTo = parseMessageIds(parsed.inReplyTo)[0];
+        if (inReplyTo && !references.includes(inReplyTo)) references.push(inReplyTo);
+
+        const contact = match.lead || match.customer;
+        const sender = parsed.from?.value?.[0] || {};
+        const html = typeof parsed.html === 'string' ? parsed.html : undefined;
+
+        const communication = new Communication({
+            customer: match.parent?.customer || contact._id,
+            type: 'email',
+            direction: 'inbound',
+            subject: parsed.subject || '(No Subject)',
+            body: parsed.text || (html ? html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim() : '') || '(No content)',
+            bodyHtml: html,
+            from: { name: sender.name, email: sender.address?.toLowerCase() },
+            to: (parsed.to?.value || []).map(to => ({ name: to.name, email: to.address })),
+            cc: (parsed.cc?.value || []).map(cc => ({ name: cc.name, email: cc.address })),
+            emailId: messageId,
+            threadId: match.parent?.threadId || references[0] || messageId,
+            inReplyTo,
+            references,
+            status: 'received',
+            sentDate: parsed.date || new Date(),
+            createdBy: 'imap'
+        });
+
+        const attachments = await emailAttachmentService.saveInbound(parsed.attachments, communication);
+        communication.attachments = attachments;
+
+        try {
+            return await communication.save();
+        } catch (error) {
+            await emailAttachmentService.remove(attachments);
+            throw error;
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new EmailThreadService();
@@ -0,0 +1,269 @@
+/**
+ * Inbox Service
+ * Merges every channel for a contact into one thread: lead emails
+ * (Lead.emailHistory, filled by IMAP and the send endpoints) and
+ * Communications (email, SMS via OpenPhone, iMessage via BlueBubbles).
+ *
+ * Threads keep unread, assignment and "needs reply" state. They are
+ * refreshed whenever a message is recorded for the contact, and the
+ * refreshed thread is pushed to the admin UI over socket.io.
+ */
+
+const mongoose = require('mongoose');
+const InboxThread = require('../models/InboxThread');
+const Communication = require('../models/Communication');
+const Customer = require('../models/Customer');
+
+const PREVIEW_LENGTH = 140;
+const CONTACT_FIELDS = 'name email phone customer customFields';
+
+// The Lead model is registered by server.js, so look it up at call time
+const getLeadModel = () => mongoose.model('Lead');
+
+const stripHtml = (text) => (text || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+const getCommunicationChannel = (comm) => {
+    if (comm.type === 'email') return 'email';
+    return comm.deliveryChannel === 'imessage' || ['imessage', 'bluebubbles'].includes(comm.platform) ? 'imessage' : 'sms';
+};
+
+class InboxService {
+    constructor() {
+        this.io = null;
+    }
+
+    /**
+     * Set Socket.io instance for real-time updates
+     */
+    setSocketIO(io) {
+        this.io = io;
+    }
+
+    /**
+     * Resolve a Lead or Customer id to both sides of the contact
+     * @returns {Promise<{lead: Object|null, customer: Object|null}>}
+     */
+    async resolveContact(contactId) {
+        const Lead = getLeadModel();
+        let lead = null;
+        let customer = await Customer.findById(contactId).select(CONTACT_FIELDS);
+
+        if (customer) {
+            const leadId = customer.customFields?.get('leadId');
+            if (leadId) lead = await Lead.findById(leadId).select(CONTACT_FIELDS);
+        } else {
+            lead = await Lead.findById(contactId).select(CONTACT_FIELDS);
+            if (lead?.customer) customer = await Customer.findById(lead.customer).select(CONTACT_FIELDS);
+        }
+
+        return { lead, customer };
+    }
+
+    /**
+     * Find the thread for a contact, optionally creating it.
+     * Threads started separately for a lead and its customer are merged.
+     */
+    async getThreadForContact(contactId, { create = false } = {}) {
+        const { lead, customer } = await this.resolveContact(contactId);
+        if (!lead && !customer) return null;
+
+        const match = [];
+        if (lead) match.push({ lead: lead._id });
+        if (customer) match.push({ customer: customer._id });
+
+        const threads = await InboxThread.find({ $or: match }).sort({ createdAt: 1 });
+        let thread = threads[0];
+
+        if (!thread) {
+            if (!create) return null;
+            thread = new InboxThread();
+        }
+
+        for (const duplicate of threads.slice(1)) {
+            if (!thread.assignedTo && duplicate.assignedTo) {
+                thread.assignedTo = duplicate.assignedTo;
+                thread.assignedAt = duplicate.assignedAt;
+            }
+            if (duplicate.lastReadAt && (!thread.lastReadAt || duplicate.lastReadAt > thread.lastReadAt)) {
+                thread.lastReadAt = duplicate.lastReadAt;
+            }
+            await duplicate.deleteOne();
+        }
+
+        const contact = customer || lead;
+        if (lead) thread.lead = lead._id;
+        if (customer) thread.customer = customer._id;
+        thread.name = contact.name;
+        thread.email = contact.email;
+        thread.phone = contact.phone;
+
+        return thread;
+    }
+
+    /**
+     * All messages in a thread, oldest first, normalized across channels
+     */
+    async getMessages(thread) {
+        const contactIds = [thread.lead, thread.customer].filter(Boolean);
+
+        const communications = await Communication.find({
+            customer: { $in: contactIds },
+            type: { $in: ['email', 'sms'] },
+            status: { $nin: ['draft', 'queued', 'sending', 'cancelled'] }
+        }).lean();
+
+        // Lead emails already copied onto the customer, or logged by the email service
+        const copiedLeadItems = new Set();
+        const emailIds = new Set();
+        communications.forEach(comm => {
+            (comm.tags || []).forEach(tag => {
+                if (tag.startsWith('lead-item:')) copiedLeadItems.add(tag.slice('lead-item:'.length));
+            });
+            if (comm.emailId) emailIds.add(comm.emailId);
+        });
+
+        const messages = communications.map(comm => ({
+            id: comm._id,
+            source: 'communication',
+            channel: getCommunicationChannel(comm),
+            direction: comm.direction,
+            subject: comm.subject,
+            body: comm.body,
+            bodyHtml: comm.bodyHtml,
+            attachments: comm.attachments,
+            threadId: comm.threadId,
+            emailId: comm.emailId,
+            from: comm.from,
+            status: comm.status,
+            date: comm.sentDate || comm.createdAt
+        }));
+
+        if (thread.lead) {
+            const lead = await getLeadModel().findById(thread.lead).select('emailHistory').lean();
+            for (const email of lead?.emailHistory || []) {
+                if (email.status === 'draft') continue;
+                if (copiedLeadItems.has(String(email._id)) || (email.messageId && emailIds.has(email.messageId))) continue;
+
+                messages.push({
+                    id: email._id,
+                    source: 'lead_email',
+                    channel: 'email',
+                    direction: email.status === 'received' ? 'inbound' : 'outbound',
+                    subject: email.subject,
+                    body: email.body,
+                    status: email.status,
+                    date: email.sentAt
+                });
+            }
+        }
+
+        messages.sort((a, b) => new Date(a.date) - new Date(b.date));
+        messages.forEach(message => {
+            message.read = message.direction === 'outbound' || (!!thread.lastReadAt && new Date(message.date) <= thread.lastReadAt);
+        });
+
+        return messages;
+    }
+
+    /**
+     * Recompute a thread's summary, unread count and needs-reply flag from its messages
+     */
+    async refreshThread(thread, messages) {
+        messages = messages || await this.getMessages(thread);
+
+        const inbound = messages.filter(m => m.direction === 'inbound');
+        const outbound = messages.filter(m => m.direction === 'outbound');
+        const last = messages[messages.length - 1];
+
+        thread.messageCount = messages.length;
+        thread.channels = [...new Set(messages.map(m => m.channel))];
+        thread.lastMessageAt = last?.date;
+        thread.lastMessagePreview = last ? stripHtml(last.body || last.subject).substring(0, PREVIEW_LENGTH) : undefined;
+        thread.lastMessageChannel = last?.channel;
+        thread.lastMessageDirection = last?.direction;
+        thread.lastInboundAt = inbound.length ? inbound[inbound.length - 1].date : undefined;
+        thread.lastOutboundAt = outbound.length ? outbound[outbound.length - 1].date : undefined;
+        thread.unreadCount = inbound.filter(m => !m.read).length;
+
+        // Needs a reply until someone answers or clears it, on any channel
+        const handledAt = Math.max(
+            thread.lastOutboundAt ? new Date(thread.lastOutboundAt).getTime() : 0,
+            thread.needsReplyClearedAt ? thread.needsReplyClearedAt.getTime() : 0
+        );
+        thread.needsReply = !!thread.lastInboundAt && new Date(thread.lastInboundAt).getTime() > handledAt;
+
+        // New inbound messages reopen closed conversations
+        if (thread.status === 'closed' && thread.lastInboundAt && thread.closedAt && new Date(thread.lastInboundAt) > thread.closedAt) {
+            thread.status = 'open';
+            thread.closedAt = undefined;
+        }
+
+        return thread;
+    }
+
+    /**
+     * Refresh (or start) the thread for a contact after a message was sent or received
+     * @param {string} contactId - Lead or Customer id
+     * @returns {Promise<Object|null>} - The saved thread
+     */
+    async recordActivity(contactId) {
+        try {
+            const thread = await this.getThreadForContact(contactId, { create: true });
+            if (!thread) return null;
+
+            const messages = await this.getMessages(thread);
+            if (messages.length === 0 && thread.isNew) return null;
+
+            await this.refreshThread(thread, messages);
+            await thread.save();
+
+            this.emitThread(thread);
+            return thread;
+        } catch (error) {
+            console.error(`❌ Error updating inbox thread for ${contactId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Build threads for every contact with message history.
+     * Existing history starts out read; only the needs-reply flag is derived.
+     * @returns {Promise<{threads: number}>}
+     */
+    async rebuildThreads() {
+        const leadIds = await getLeadModel().find({ 'emailHistory.0': { $exists: true } }).distinct('_id');
+        const contactIds = await Communication.find({ type: { $in: ['email', 'sms'] } }).distinct('customer');
+
+        const seen = new Set();
+        let threads = 0;
+
+        for (const contactId of [...leadIds, ...contactIds]) {
+            const thread = await this.getThreadForContact(contactId, { create: true });
+            if (!thread || seen.has(String(thread._id))) continue;
+
+            if (thread.isNew) thread.lastReadAt = new Date();
+            const messages = await this.getMessages(thread);
+            if (messages.length === 0) continue;
+
+            await this.refreshThread(thread, messages);
+            await thread.save();
+            seen.add(String(thread._id));
+            threads++;
+        }
+
+        console.log(`📥 Rebuilt ${threads} inbox thread(s)`);
+        return { threads };
+    }
+
+    emitThread(thread) {
+        if (this.io) {
+            this.io.emit('inbox_updated', {
+                threadId: thread._id,
+                thread
+            });
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new InboxService();
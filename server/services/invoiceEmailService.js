@@ -0,0 +1,81 @@
+/**
+ * Invoice Email Service
+ * Sends invoices to customers and marks them as sent once delivered
+ * Shared by the invoice API and the recurring invoice scheduler
+ */
+
+const emailService = require('./emailService');
+const { getInvoiceAttachment } = require('./pdfService');
+
+const formatCurrency = (invoice, amount) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: invoice.currency || 'USD'
+}).format(amount || 0);
+
+const buildInvoiceEmailHtml = (invoice, customerName) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+            <h1 style="color: white; margin: 0;">Invoice ${invoice.invoiceNumber}</h1>
+        </div>
+        <div style="padding: 30px; background: #f9fafb; line-height: 1.6; color: #1f2937;">
+            <p>Hi ${(customerName || 'there').split(' ')[0]},</p>
+            <p>Your invoice for <strong>${formatCurrency(invoice, invoice.total)}</strong> is ready.</p>
+            <p><strong>Amount due:</strong> ${formatCurrency(invoice, invoice.amountDue)}<br>
+            <strong>Due date:</strong> ${new Date(invoice.dueDate).toLocaleDateString()}</p>
+            ${invoice.paymentLink ? `
+            <div style="text-align: center; margin: 30px 0;">
+                <a href="${invoice.paymentLink}" style="background: #6366f1; color: white; padding: 15px 30px; border-radius: 8px; text-decoration: none; display: inline-block; font-weight: bold;">
+                    Pay Invoice →
+                </a>
+            </div>` : ''}
+            <p style="color: #6b7280; font-size: 14px;">Questions? Just reply to this email.</p>
+        </div>
+    </div>
+`;
+
+const markSent = (invoice) => {
+    if (invoice.status === 'draft') {
+        invoice.status = 'sent';
+    }
+    invoice.sentDate = new Date();
+};
+
+/**
+ * Email an invoice to the customer and mark it as sent once the email goes out.
+ * With notify: false the invoice is marked sent without emailing; if the email
+ * can't be sent the invoice is left unchanged.
+ * The invoice is not saved - callers save it after any further changes.
+ * @param {Object} invoice - Payment document with `customer` populated (name, email)
+ * @param {Object} options - { email: override recipient, notify: false to skip the email, attachPdf: attach the invoice PDF }
+ * @returns {Promise<boolean>} - Whether the email was sent
+ */
+async function sendInvoice(invoice, options = {}) {
+    if (options.notify === false) {
+        markSent(invoice);
+        return false;
+    }
+
+    const recipient = options.email || invoice.customer?.email;
+    if (!recipient) {
+        return false;
+    }
+
+    try {
+        await emailService.sendEmail({
+            to: recipient,
+            subject: `Invoice ${invoice.invoiceNumber} from TownRanker`,
+            html: buildInvoiceEmailHtml(invoice, invoice.customer?.name),
+            attachments: options.attachPdf ? [await getInvoiceAttachment(invoice)] : undefined
+        });
+    } catch (error) {
+        console.error(`Failed to email invoice ${invoice.invoiceNumber}:`, error.message);
+        return false;
+    }
+
+    markSent(invoice);
+    return true;
+}
+
+module.exports = {
+    sendInvoice
+};
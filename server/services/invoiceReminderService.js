@@ -0,0 +1,298 @@
+/**
+ * Invoice Reminder Service
+ * Flips past-due invoices to overdue and sends escalating email/SMS reminders
+ * Every reminder is logged to the invoice's remindersSent[]
+ */
+
+const Payment = require('../models/Payment');
+const emailService = require('./emailService');
+
+// Escalation stages, keyed by days past the due date
+const REMINDER_STAGES = [
+    { name: 'friendly', channels: ['email'] },
+    { name: 'firm', channels: ['email', 'sms'] },
+    { name: 'urgent', channels: ['email', 'sms'] },
+    { name: 'final', channels: ['email', 'sms'] }
+];
+
+const parseSchedule = (value) => (value || '1,7,14,30')
+    .split(',')
+    .map(day => parseInt(day.trim(), 10))
+    .filter(day => !isNaN(day))
+    .slice(0, REMINDER_STAGES.length);
+
+const OPEN_STATUSES = ['sent', 'viewed', 'partial', 'overdue'];
+const DAY_MS = 1000 * 60 * 60 * 24;
+const HOUR_MS = 1000 * 60 * 60;
+
+class InvoiceReminderService {
+    constructor() {
+        this.io = null;
+        this.interval = null;
+        this.running = false;
+        this.lastRun = null;
+        this.scheduleDays = parseSchedule(process.env.INVOICE_REMINDER_DAYS);
+        this.checkIntervalMinutes = parseInt(process.env.INVOICE_REMINDER_CHECK_MINUTES, 10) || 60;
+        // A stage where every channel failed is retried after a backoff, up to a cap
+        this.maxStageAttempts = parseInt(process.env.INVOICE_REMINDER_MAX_ATTEMPTS, 10) || 3;
+        this.retryBackoffHours = parseInt(process.env.INVOICE_REMINDER_RETRY_HOURS, 10) || 24;
+    }
+
+    /**
+     * Set Socket.io instance for real-time updates
+     */
+    setSocketIO(io) {
+        this.io = io;
+    }
+
+    /**
+     * Start the periodic reminder check
+     */
+    start() {
+        if (this.interval) return;
+
+        this.checkReminders();
+        this.interval = setInterval(() => this.checkReminders(), this.checkIntervalMinutes * 60 * 1000);
+
+        console.log(`✅ Invoice reminders started (every ${this.checkIntervalMinutes} min, stages at ${this.scheduleDays.join('/')} days overdue)`);
+    }
+
+    /**
+     * Stop the periodic reminder check
+     */
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+            console.log('⏹️  Invoice reminders stopped');
+        }
+    }
+
+    /**
+     * Highest escalation stage reached for a number of days overdue, or -1
+     */
+    getDueStage(daysOverdue) {
+        let stage = -1;
+        this.scheduleDays.forEach((days, index) => {
+            if (daysOverdue >= days) stage = index;
+        });
+        return stage;
+    }
+
+    /**
+     * Highest stage already sent for an invoice, or -1
+     */
+    getLastSentStage(invoice) {
+        return (invoice.remindersSent || [])
+            .filter(reminder => reminder.status === 'sent' && typeof reminder.stage === 'number')
+            .reduce((max, reminder) => Math.max(max, reminder.stage), -1);
+    }
+
+    /**
+     * Whether a stage that hasn't been sent yet should be attempted now
+     * Each attempt logs one entry per channel, so attempts are counted on the first channel
+     */
+    canAttemptStage(invoice, stage, now) {
+        const firstChannel = REMINDER_STAGES[stage].channels[0];
+        const attempts = (invoice.remindersSent || [])
+            .filter(reminder => reminder.stage === stage && reminder.type === firstChannel);
+
+        if (attempts.length >= this.maxStageAttempts) return false;
+
+        const lastAttempt = attempts.reduce((latest, reminder) => Math.max(latest, new Date(reminder.date).getTime() || 0), 0);
+        return now - lastAttempt >= this.retryBackoffHours * HOUR_MS;
+    }
+
+    /**
+     * Mark past-due invoices overdue and send any reminders that are due
+     */
+    async checkReminders() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const now = new Date();
+            const invoices = await Payment.find({
+                status: { $in: OPEN_STATUSES },
+                dueDate: { $lt: now }
+            }).populate('customer', 'name email phone');
+
+            let flagged = 0;
+            let reminded = 0;
+
+            for (const invoice of invoices) {
+                try {
+                    // Conditional updates so a payment recorded mid-run isn't overwritten
+                    if (['sent', 'viewed'].includes(invoice.status)) {
+                        const result = await Payment.updateOne(
+                            { _id: invoice._id, status: { $in: ['sent', 'viewed'] } },
+                            { $set: { status: 'overdue' } }
+                        );
+                        if (result.modifiedCount === 1) {
+                            invoice.status = 'overdue';
+                            flagged++;
+                            this.emit('invoice_overdue', invoice);
+                        }
+                    }
+
+                    const daysOverdue = Math.floor((now - invoice.dueDate) / DAY_MS);
+                    const dueStage = this.getDueStage(daysOverdue);
+
+                    // Only jump to the highest stage reached so a late first run doesn't send a burst
+                    if (dueStage > this.getLastSentStage(invoice) && this.canAttemptStage(invoice, dueStage, now)) {
+                        if (await this.sendReminder(invoice, dueStage, daysOverdue)) reminded++;
+                    }
+                } catch (error) {
+                    console.error(`❌ Error processing reminder for ${invoice.invoiceNumber}:`, error.message);
+                }
+            }
+
+            this.lastRun = now;
+            if (flagged || reminded) {
+                console.log(`🧾 Invoice reminders: ${flagged} marked overdue, ${reminded} reminded`);
+            }
+        } catch (error) {
+            console.error('❌ Error checking invoice reminders:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Send a reminder stage over its channels and log each attempt on the invoice
+     * @returns {Promise<boolean>} - False if the invoice was closed before the log was written
+     */
+    async sendReminder(invoice, stage, daysOverdue) {
+        const { name: stageName, channels } = REMINDER_STAGES[stage];
+        const customer = invoice.customer;
+        const entries = [];
+
+        for (const channel of channels) {
+            const entry = { date: new Date(), type: channel, stage };
+
+            try {
+                if (channel === 'email') {
+                    if (!customer?.email) throw new Error('Customer has no email address');
+                    await emailService.sendEmail({
+                        to: customer.email,
+                        subject: this.buildSubject(invoice, stageName),
+                        html: this.buildEmailHtml(invoice, stageName, daysOverdue)
+                    });
+                } else if (channel === 'sms') {
+                    if (!customer?.phone) throw new Error('Customer has no phone number');
+                    // Required lazily - smsService loads the shared Lead model
+                    const smsService = require('./smsService');
+                    const result = await smsService.sendSMSToCustomer(customer._id, this.buildSmsText(invoice, stageName));
+                    if (!result.success) throw new Error(result.error || 'SMS failed');
+                }
+
+                entry.status = 'sent';
+                console.log(`📨 ${stageName} ${channel} reminder sent for ${invoice.invoiceNumber}`);
+            } catch (error) {
+                entry.status = 'failed';
+                entry.error = error.message;
+                console.error(`❌ ${stageName} ${channel} reminder failed for ${invoice.invoiceNumber}:`, error.message);
+            }
+
+            entries.push(entry);
+        }
+
+        const lastReminderDate = new Date();
+        const result = await Payment.updateOne(
+            { _id: invoice._id, status: { $in: OPEN_STATUSES } },
+            { $push: { remindersSent: { $each: entries } }, $set: { lastReminderDate } }
+        );
+        if (result.modifiedCount !== 1) return false;
+
+        invoice.remindersSent.push(...entries);
+        invoice.lastReminderDate = lastReminderDate;
+        this.emit('invoice_reminder_sent', invoice, { stage: stageName, daysOverdue });
+        return true;
+    }
+
+    formatCurrency(invoice, amount) {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: invoice.currency || 'USD'
+        }).format(amount || 0);
+    }
+
+    buildSubject(invoice, stageName) {
+        const subjects = {
+            friendly: `Friendly reminder: Invoice ${invoice.invoiceNumber} is past due`,
+            firm: `Invoice ${invoice.invoiceNumber} is overdue`,
+            urgent: `Urgent: Invoice ${invoice.invoiceNumber} requires immediate payment`,
+            final: `Final notice: Invoice ${invoice.invoiceNumber}`
+        };
+        return subjects[stageName];
+    }
+
+    buildEmailHtml(invoice, stageName, daysOverdue) {
+        const firstName = (invoice.customer?.name || 'there').split(' ')[0];
+        const amountDue = this.formatCurrency(invoice, invoice.amountDue);
+        const dueDate = new Date(invoice.dueDate).toLocaleDateString();
+        const intros = {
+            friendly: `Just a friendly reminder that invoice <strong>${invoice.invoiceNumber}</strong> was due on ${dueDate}. If you've already sent payment, please disregard this note.`,
+            firm: `Invoice <strong>${invoice.invoiceNumber}</strong> is now ${daysOverdue} days past due. Please arrange payment at your earliest convenience.`,
+            urgent: `Invoice <strong>${invoice.invoiceNumber}</strong> is ${daysOverdue} days past due and requires immediate attention.`,
+            final: `This is a final notice for invoice <strong>${invoice.invoiceNumber}</strong>, now ${daysOverdue} days past due. Please contact us right away to avoid interruption of services.`
+        };
+        const headerColor = ['urgent', 'final'].includes(stageName) ? '#dc2626' : '#6366f1';
+
+        return `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background: ${headerColor}; padding: 30px; text-align: center;">
+                    <h1 style="color: white; margin: 0;">Payment Reminder</h1>
+                </div>
+                <div style="padding: 30px; background: #f9fafb; line-height: 1.6; color: #1f2937;">
+                    <p>Hi ${firstName},</p>
+                    <p>${intros[stageName]}</p>
+                    <p><strong>Amount due:</strong> ${amountDue}<br>
+                    <strong>Original due date:</strong> ${dueDate}</p>
+                    ${invoice.paymentLink ? `
+                    <div style="text-align: center; margin: 30px 0;">
+                        <a href="${invoice.paymentLink}" style="background: ${headerColor}; color: white; padding: 15px 30px; border-radius: 8px; text-decoration: none; display: inline-block; font-weight: bold;">
+                            Pay Now →
+                        </a>
+                    </div>` : ''}
+                    <p style="color: #6b7280; font-size: 14px;">Questions about this invoice? Just reply to this email.</p>
+                </div>
+            </div>
+        `;
+    }
+
+    buildSmsText(invoice, stageName) {
+        const amountDue = this.formatCurrency(invoice, invoice.amountDue);
+        const prefix = stageName === 'final' ? 'FINAL NOTICE: ' : '';
+        const link = invoice.paymentLink ? ` Pay here: ${invoice.paymentLink}` : '';
+        return `${prefix}TownRanker invoice ${invoice.invoiceNumber} (${amountDue}) is past due.${link} Reply with any questions.`;
+    }
+
+    emit(event, invoice, extra = {}) {
+        if (this.io) {
+            this.io.emit(event, {
+                invoiceId: invoice._id,
+                invoiceNumber: invoice.invoiceNumber,
+                customerName: invoice.customer?.name,
+                amountDue: invoice.amountDue,
+                status: invoice.status,
+                ...extra
+            });
+        }
+    }
+
+    /**
+     * Get service status
+     */
+    getStatus() {
+        return {
+            active: !!this.interval,
+            checkIntervalMinutes: this.checkIntervalMinutes,
+            scheduleDays: this.scheduleDays,
+            lastRun: this.lastRun
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new InvoiceReminderService();
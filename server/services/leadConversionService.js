@@ -0,0 +1,284 @@
+/**
+ * Lead Conversion Service
+ * Links the inline Lead records (website contact form) to Customer records
+ * (projects, proposals, invoices, messaging) and keeps them in sync.
+ *
+ * Lead history is copied onto the customer idempotently: notes are matched by
+ * content and date, and emails/interactions become Communications tagged with
+ * the source item id, so conversion and sync can safely run repeatedly.
+ */
+
+const Customer = require('../models/Customer');
+const Communication = require('../models/Communication');
+const pipelineService = require('./pipelineService');
+const { buildPhoneRegex } = require('../utils/phoneUtils');
+
+const MIGRATED_TAG = 'migrated-from-lead';
+
+// Customer statuses that a lead status change must never downgrade
+const CLIENT_STATUSES = ['client', 'completed'];
+
+// Lead form values -> Customer projectType enum
+const PROJECT_TYPE_MAP = {
+    'business-website': 'business',
+    'ecommerce-store': 'ecommerce',
+    'web-application': 'webapp',
+    'landing-page': 'landing'
+};
+
+const normalizeProjectType = (projectType) => {
+    if (!projectType) return undefined;
+    return PROJECT_TYPE_MAP[projectType] || projectType;
+};
+
+/**
+ * Find the customer that represents the same person as a lead.
+ * Email wins over phone; phones are compared on their last 10 digits.
+ * @param {Object} contact - { email, phone }
+ * @returns {Promise<{customer: Object|null, matchedBy: string|null}>}
+ */
+async function findMatchingCustomer({ email, phone }) {
+    if (email) {
+        const customer = await Customer.findOne({ email: email.toLowerCase().trim() });
+        if (customer) return { customer, matchedBy: 'email' };
+    }
+
+    const pattern = buildPhoneRegex(phone);
+    if (pattern) {
+        const customer = await Customer.findOne({ phone: { $regex: pattern } });
+        if (customer) return { customer, matchedBy: 'phone' };
+    }
+
+    return { customer: null, matchedBy: null };
+}
+
+/**
+ * Build Customer fields from a lead
+ * @param {Object} lead
+ * @param {string|null} status - Customer status for the lead's pipeline stage
+ */
+function buildCustomerFields(lead, status) {
+    return {
+        name: lead.name,
+        email: lead.email,
+        phone: lead.phone,
+        company: lead.company,
+        status: status || 'lead',
+        projectType: normalizeProjectType(lead.projectType),
+        budget: lead.budget,
+        timeline: lead.timeline,
+        features: lead.features,
+        initialMessage: lead.message,
+        source: lead.source,
+        referral: lead.referrer,
+        campaign: lead.utm?.campaign,
+        tags: lead.tags,
+        assignedTo: lead.assignedTo,
+        firstContactDate: lead.createdAt,
+        lastContactDate: lead.lastContacted
+    };
+}
+
+/**
+ * Apply a lead's pipeline stage to a customer without downgrading existing clients
+ * @param {Object} customer - Customer document
+ * @param {string|null} mapped - Customer status for the lead's stage (see pipelineService.getCustomerStatus)
+ */
+function applyLeadStatus(customer, mapped) {
+    if (!mapped) return;
+
+    if (CLIENT_STATUSES.includes(customer.status) && !CLIENT_STATUSES.includes(mapped)) {
+        return;
+    }
+    customer.status = mapped;
+
+    if (mapped === 'client' && !customer.convertedDate) {
+        customer.convertedDate = new Date();
+    }
+}
+
+/**
+ * Copy notes, email history and interactions from a lead onto a customer.
+ * Safe to call repeatedly - already-copied items are skipped.
+ * @returns {Promise<{notes: number, emails: number, interactions: number}>}
+ */
+async function migrateLeadHistory(lead, customer) {
+    const migrated = { notes: 0, emails: 0, interactions: 0 };
+
+    // Notes live directly on the customer
+    const existingNotes = new Set((customer.notes || []).map(note =>
+        `${note.content}|${new Date(note.createdAt).getTime()}`
+    ));
+    for (const note of lead.notes || []) {
+        const key = `${note.content}|${new Date(note.createdAt).getTime()}`;
+        if (!note.content || existingNotes.has(key)) continue;
+
+        customer.notes.push({
+            content: note.priority && note.priority !== 'low' ? `[${note.priority}] ${note.content}` : note.content,
+            createdBy: note.author || 'Admin',
+            createdAt: note.createdAt
+        });
+        existingNotes.add(key);
+        migrated.notes++;
+    }
+
+    // Emails and interactions become Communications
+    const copied = await Communication.find({ customer: customer._id, tags: MIGRATED_TAG }).select('tags');
+    const copiedIds = new Set();
+    copied.forEach(comm => comm.tags.forEach(tag => {
+        if (tag.startsWith('lead-item:')) copiedIds.add(tag.slice('lead-item:'.length));
+    }));
+
+    const communications = [];
+
+    for (const email of lead.emailHistory || []) {
+        const itemId = String(email._id);
+        if (copiedIds.has(itemId) || !email.body) continue;
+
+        // The email service may already have logged this message
+        if (email.messageId && await Communication.exists({ emailId: email.messageId })) continue;
+
+        const inbound = email.status === 'received';
+        communications.push({
+            customer: customer._id,
+            type: 'email',
+            direction: inbound ? 'inbound' : 'outbound',
+            subject: email.subject || '(No Subject)',
+            body: email.body,
+            emailId: email.messageId || undefined,
+            from: inbound ? { name: lead.name, email: lead.email } : { name: 'TownRanker Team' },
+            to: inbound ? [{ name: 'TownRanker Team' }] : [{ name: lead.name, email: lead.email }],
+            status: inbound ? 'replied' : ({ draft: 'draft', failed: 'failed' }[email.status] || (email.openCount > 0 ? 'opened' : 'sent')),
+            sentDate: email.sentAt,
+            openCount: email.openCount || 0,
+            lastOpenedDate: email.lastOpened,
+            template: email.template ? { name: email.template } : undefined,
+            tags: [MIGRATED_TAG, `lead-item:${itemId}`],
+            createdBy: 'lead-conversion',
+            createdAt: email.sentAt
+        });
+        migrated.emails++;
+    }
+
+    for (const interaction of lead.interactions || []) {
+        const itemId = String(interaction._id);
+        // Email interactions duplicate emailHistory entries
+        if (copiedIds.has(itemId) || interaction.type === 'email') continue;
+
+        const type = ['call', 'meeting', 'note'].includes(interaction.type) ? interaction.type : 'note';
+        communications.push({
+            customer: customer._id,
+            type,
+            direction: 'outbound',
+            subject: interaction.title,
+            body: interaction.description || interaction.title,
+            status: 'sent',
+            sentDate: interaction.timestamp,
+            duration: interaction.metadata?.duration,
+            outcome: interaction.metadata?.outcome,
+            tags: [MIGRATED_TAG, `lead-item:${itemId}`, ...(interaction.type === 'status' ? ['status-change'] : [])],
+            createdBy: 'lead-conversion',
+            createdAt: interaction.timestamp
+        });
+        migrated.interactions++;
+    }
+
+    if (communications.length > 0) {
+        const created = await Communication.insertMany(communications);
+        created.forEach(comm => customer.communications.push(comm._id));
+    }
+
+    return migrated;
+}
+
+/**
+ * Convert a lead into a customer: link an existing customer that matches by
+ * email/phone or create a new one, then copy the lead's history across.
+ * The caller is responsible for storing the returned customer id on the lead.
+ * @param {Object} lead - Lead document or plain object
+ * @param {Object} options - { customerId: link to a specific customer, status: override customer status }
+ * @returns {Promise<Object>} - { customer, created, matchedBy, migrated }
+ */
+async function convertLead(lead, options = {}) {
+    let customer = null;
+    let matchedBy = null;
+
+    if (options.customerId || lead.customer) {
+        customer = await Customer.findById(options.customerId || lead.customer);
+        if (!customer && options.customerId) {
+            throw new Error('Customer not found');
+        }
+        matchedBy = customer ? 'linked' : null;
+    }
+
+    if (!customer) {
+        ({ customer, matchedBy } = await findMatchingCustomer(lead));
+    }
+
+    const created = !customer;
+    const stageStatus = await pipelineService.getCustomerStatus(lead.status);
+    const fields = buildCustomerFields(lead, stageStatus);
+
+    if (created) {
+        customer = new Customer(fields);
+    } else {
+        // Fill gaps on the existing customer without overwriting curated data
+        for (const [key, value] of Object.entries(fields)) {
+            if (key === 'status' || key === 'email' || value === undefined || value === null) continue;
+            const current = customer[key];
+            if (current === undefined || current === null || current === '' || (Array.isArray(current) && current.length === 0)) {
+                customer[key] = value;
+            }
+        }
+        applyLeadStatus(customer, stageStatus);
+    }
+
+    if (options.status) {
+        customer.status = options.status;
+    }
+    if (['client', 'completed'].includes(customer.status) && !customer.convertedDate) {
+        customer.convertedDate = new Date();
+    }
+    customer.customFields = customer.customFields || new Map();
+    customer.customFields.set('leadId', String(lead._id));
+
+    // Save first so new customers have an id for their communications
+    await customer.save();
+    const migrated = await migrateLeadHistory(lead, customer);
+    await customer.save();
+
+    console.log(`🔗 Lead ${lead.email} ${created ? 'converted to new' : `linked to existing (${matchedBy})`} customer ${customer._id}`);
+
+    return { customer, created, matchedBy, migrated };
+}
+
+/**
+ * Push lead changes (contact details, status, new history) to its linked customer
+ * @param {Object} lead - Lead document with a `customer` link
+ */
+async function syncLeadToCustomer(lead) {
+    if (!lead?.customer) return null;
+
+    const customer = await Customer.findById(lead.customer);
+    if (!customer) return null;
+
+    if (lead.name) customer.name = lead.name;
+    if (lead.phone) customer.phone = lead.phone;
+    if (lead.company) customer.company = lead.company;
+    if (lead.lastContacted && (!customer.lastContactDate || lead.lastContacted > customer.lastContactDate)) {
+        customer.lastContactDate = lead.lastContacted;
+    }
+    applyLeadStatus(customer, await pipelineService.getCustomerStatus(lead.status));
+
+    const migrated = await migrateLeadHistory(lead, customer);
+    await customer.save();
+
+    return { customer, migrated };
+}
+
+module.exports = {
+    findMatchingCustomer,
+    convertLead,
+    syncLeadToCustomer,
+    migrateLeadHistory
+};
@@ -0,0 +1,206 @@
+/**
+ * Lead Scoring Service
+ * Scores the inline Lead records (0-100) from fit and engagement using the
+ * rules in config/lead-scoring.js, and stores the score with a per-factor
+ * breakdown on the lead.
+ *
+ * Leads are rescored whenever they are saved or updated (form edits, email
+ * opens, replies) and when a linked site visit or proposal view is recorded.
+ * Crossing the alert threshold raises a one-time hot lead alert.
+ */
+
+const mongoose = require('mongoose');
+const VisitorSession = require('../models/VisitorSession');
+const Proposal = require('../models/Proposal');
+const rules = require('../config/lead-scoring');
+
+// The Lead model is registered by server.js, so look it up at call time
+const getLeadModel = () => mongoose.model('Lead');
+
+// Counted signal: points per event, capped
+const counted = (rule, count) => Math.min(count * rule.points, rule.max);
+
+class LeadScoringService {
+    constructor() {
+        this.io = null;
+        this.alertHandler = null;
+    }
+
+    /**
+     * Set Socket.io instance for real-time updates
+     */
+    setSocketIO(io) {
+        this.io = io;
+    }
+
+    /**
+     * Set the function called when a lead crosses the alert threshold
+     * @param {Function} handler - (lead, result) => Promise
+     */
+    setAlertHandler(handler) {
+        this.alertHandler = handler;
+    }
+
+    /**
+     * Fit factors from the lead's form answers
+     * @returns {Array<{factor: string, points: number, detail: string}>}
+     */
+    scoreFit(lead) {
+        const tier = rules.fit.budget.find(t => (lead.budget || 0) >= t.min);
+        const features = lead.features || [];
+
+        return [
+            { factor: 'budget', points: tier ? tier.points : 0, detail: `$${(lead.budget || 0).toLocaleString()}` },
+            { factor: 'projectType', points: rules.fit.projectType[lead.projectType] || 0, detail: lead.projectType || 'not specified' },
+            { factor: 'timeline', points: rules.fit.timeline[lead.timeline] || 0, detail: lead.timeline || 'not specified' },
+            { factor: 'features', points: counted(rules.fit.features, features.length), detail: `${features.length} requested` }
+        ];
+    }
+
+    /**
+     * Engagement signal counts for a lead
+     */
+    async getEngagementCounts(lead) {
+        const [siteVisits, proposals] = await Promise.all([
+            VisitorSession.countDocuments({ lead: lead._id }),
+            lead.customer
+                ? Proposal.aggregate([
+                    { $match: { customer: lead.customer } },
+                    { $group: { _id: null, views: { $sum: '$viewCount' } } }
+                ])
+                : []
+        ]);
+
+        return {
+            emailOpens: (lead.emailOpens || []).length,
+            replies: (lead.emailHistory || []).filter(email => email.status === 'received').length,
+            siteVisits,
+            proposalViews: proposals[0]?.views || 0
+        };
+    }
+
+    /**
+     * Engagement factors from signal counts
+     */
+    scoreEngagement(counts) {
+        return Object.entries(counts).map(([factor, count]) => ({
+            factor,
+            points: counted(rules.engagement[factor], count),
+            detail: `${count}`
+        }));
+    }
+
+    /**
+     * Score a lead without saving
+     * @param {Object} lead - Lead document (needs fit fields, emailOpens, emailHistory and customer)
+     * @returns {Promise<Object>} { score, fit, engagement, factors }
+     */
+    async calculate(lead) {
+        const fitFactors = this.scoreFit(lead);
+        const engagementFactors = this.scoreEngagement(await this.getEngagementCounts(lead));
+
+        const sum = (factors) => factors.reduce((total, f) => total + f.points, 0);
+        const fit = Math.min(sum(fitFactors), rules.fit.max);
+        const engagement = Math.min(sum(engagementFactors), rules.engagement.max);
+
+        return {
+            score: Math.min(fit + engagement, 100),
+            fit,
+            engagement,
+            factors: [
+                ...fitFactors.map(f => ({ ...f, group: 'fit' })),
+                ...engagementFactors.map(f => ({ ...f, group: 'engagement' }))
+            ]
+        };
+    }
+
+    /**
+     * Recalculate and store a lead's score, alerting when it crosses the threshold
+     * @param {string|Object} leadId - Lead id or document
+     * @param {Object} options - { silent: true } marks a crossing as alerted without alerting
+     * @returns {Promise<Object|null>} Score result, or null when the lead doesn't exist
+     */
+    async rescore(leadId, { silent = false } = {}) {
+        const Lead = getLeadModel();
+        const lead = await Lead.findById(leadId?._id || leadId)
+            .select('name email budget projectType timeline features emailOpens emailHistory.status customer leadScore scoring.alertedAt');
+        if (!lead) return null;
+
+        const result = await this.calculate(lead);
+        const previous = lead.leadScore || 0;
+        const crossed = result.score >= rules.alertThreshold && previous < rules.alertThreshold && !lead.scoring?.alertedAt;
+
+        // updateOne skips the Lead save/findOneAndUpdate hooks that call back into here
+        await Lead.updateOne({ _id: lead._id }, {
+            $set: {
+                leadScore: result.score,
+                'scoring.fit': result.fit,
+                'scoring.engagement': result.engagement,
+                'scoring.factors': result.factors,
+                'scoring.calculatedAt': new Date()
+            }
+        });
+
+        // Concurrent rescores can all see the crossing - only the one that claims it alerts
+        let alerted = false;
+        if (crossed) {
+            const claim = await Lead.updateOne(
+                { _id: lead._id, 'scoring.alertedAt': null },
+                { $set: { 'scoring.alertedAt': new Date() } }
+            );
+            alerted = claim.modifiedCount === 1;
+        }
+
+        if (result.score !== previous && this.io) {
+            this.io.emit('lead_score_updated', { leadId: lead._id, score: result.score, previous });
+        }
+
+        if (alerted && !silent) {
+            console.log(`🔥 Lead ${lead.name} crossed score ${rules.alertThreshold} (${result.score})`);
+            if (this.io) {
+                this.io.emit('lead_score_alert', { leadId: lead._id, name: lead.name, score: result.score });
+            }
+            if (this.alertHandler) {
+                try {
+                    await this.alertHandler(lead, result);
+                } catch (error) {
+                    console.error('Error sending lead score alert:', error.message);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Rescore the lead converted into a customer (e.g. after a proposal view)
+     * @param {string} customerId
+     */
+    async rescoreCustomer(customerId) {
+        const lead = await getLeadModel().findOne({ customer: customerId }).select('_id');
+        return lead ? this.rescore(lead._id) : null;
+    }
+
+    /**
+     * Rescore every lead (after changing the rules) - leads that are already hot aren't alerted
+     * @returns {Promise<number>} Leads scored
+     */
+    async rescoreAll() {
+        const leads = await getLeadModel().find().select('_id');
+        for (const lead of leads) {
+            await this.rescore(lead._id, { silent: true });
+        }
+        console.log(`📊 Rescored ${leads.length} leads`);
+        return leads.length;
+    }
+
+    /**
+     * Scoring rules in use
+     */
+    getRules() {
+        return rules;
+    }
+}
+
+// Export singleton instance
+module.exports = new LeadScoringService();
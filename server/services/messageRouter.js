@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const NodeCache = require('node-cache');
 const Communication = require('../models/Communication');
 const Customer = require('../models/Customer');
+const smsConsentService = require('./smsConsentService');
 
 // Define Lead schema (matching server.js)
 const leadSchema = new mongoose.Schema({
@@ -179,6 +180,11 @@ class MessageRouter {
                 throw new Error('No phone number available');
             }
 
+            // Opted-out numbers get neither SMS nor iMessage
+            if (await smsConsentService.isOptedOut(phoneNumber)) {
+                throw new Error('Recipient has opted out of SMS');
+            }
+
             let result;
             let attemptedImessage = false;
 
@@ -327,10 +333,16 @@ class MessageRouter {
             customer.communications.push(communication._id);
             await customer.save();
 
+            // STOP/START/HELP keywords update the consent registry
+            const consent = platform === 'openphone'
+                ? await smsConsentService.handleInboundMessage(phoneNumber, message, { customer: customer._id })
+                : null;
+
             return {
                 success: true,
                 customer: customer,
-                communication: communication
+                communication: communication,
+                consent
             };
 
         } catch (error) {
@@ -359,6 +371,11 @@ class MessageRouter {
                 throw new Error('No phone number available');
             }
 
+            // Opted-out numbers get neither SMS nor iMessage
+            if (await smsConsentService.isOptedOut(phoneNumber)) {
+                throw new Error('Recipient has opted out of SMS');
+            }
+
             let result;
             let attemptedImessage = false;
 
@@ -0,0 +1,382 @@
+/**
+ * PDF Service
+ * Renders branded PDF documents for proposals and invoices using PDFKit.
+ * Documents are returned as Buffers so they can be streamed to the browser
+ * or attached to emails via emailService.sendEmail({ attachments }).
+ */
+
+const PDFDocument = require('pdfkit');
+
+const BRAND_COLOR = '#6366f1';
+const TEXT_COLOR = '#1f2937';
+const MUTED_COLOR = '#6b7280';
+const BORDER_COLOR = '#e5e7eb';
+
+const PAGE_MARGIN = 50;
+const CONTENT_WIDTH = 612 - PAGE_MARGIN * 2; // US Letter width in points
+
+const formatCurrency = (amount, currency = 'USD') => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency
+}).format(amount || 0);
+
+const formatDate = (date) => date
+    ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+    : '';
+
+/**
+ * Collect a PDFKit document into a Buffer
+ */
+function renderToBuffer(build) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'LETTER', margin: PAGE_MARGIN, bufferPages: true });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        try {
+            build(doc);
+            drawFooters(doc);
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+function drawHeader(doc, title, subtitleLines) {
+    // Drawn monogram - the only raster logo is 1MB+, which would bloat every emailed PDF
+    doc.roundedRect(PAGE_MARGIN, 42, 48, 48, 8).fill(BRAND_COLOR);
+    doc.fillColor('white').font('Helvetica-Bold').fontSize(20)
+        .text('TR', PAGE_MARGIN, 56, { width: 48, align: 'center' });
+
+    doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(18)
+        .text('TownRanker', PAGE_MARGIN + 60, 48);
+    doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(9)
+        .text('Premium Web Development & Digital Marketing', PAGE_MARGIN + 60, 70)
+        .text('rank@townranker.com · townranker.com', PAGE_MARGIN + 60, 82);
+
+    doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(22)
+        .text(title, PAGE_MARGIN, 45, { width: CONTENT_WIDTH, align: 'right' });
+    doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(9);
+    subtitleLines.filter(Boolean).forEach(line => {
+        doc.text(line, PAGE_MARGIN, doc.y + 2, { width: CONTENT_WIDTH, align: 'right' });
+    });
+
+    doc.moveTo(PAGE_MARGIN, 110).lineTo(PAGE_MARGIN + CONTENT_WIDTH, 110)
+        .lineWidth(2).strokeColor(BRAND_COLOR).stroke();
+    doc.x = PAGE_MARGIN;
+    doc.y = 125;
+}
+
+function drawFooters(doc) {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        // Writing inside the bottom margin would otherwise make PDFKit add a page
+        doc.page.margins.bottom = 0;
+        doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(8)
+            .text(`Page ${i + 1} of ${range.count}`, PAGE_MARGIN, 792 - 35, {
+                width: CONTENT_WIDTH,
+                align: 'center',
+                lineBreak: false
+            });
+    }
+}
+
+function ensureSpace(doc, height) {
+    if (doc.y + height > 792 - PAGE_MARGIN - 20) {
+        doc.addPage();
+    }
+}
+
+function drawSectionTitle(doc, title) {
+    ensureSpace(doc, 50);
+    doc.moveDown(0.8);
+    doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(13).text(title, PAGE_MARGIN);
+    doc.moveDown(0.3);
+    doc.fillColor(TEXT_COLOR).font('Helvetica').fontSize(10);
+}
+
+function drawParagraph(doc, text) {
+    if (!text) return;
+    doc.fillColor(TEXT_COLOR).font('Helvetica').fontSize(10)
+        .text(text, PAGE_MARGIN, doc.y, { width: CONTENT_WIDTH, lineGap: 2 });
+}
+
+function drawBulletList(doc, items) {
+    (items || []).forEach(item => {
+        ensureSpace(doc, 20);
+        doc.fillColor(TEXT_COLOR).font('Helvetica').fontSize(10)
+            .text(`•  ${item}`, PAGE_MARGIN + 10, doc.y, { width: CONTENT_WIDTH - 10 });
+    });
+}
+
+/**
+ * Draw a simple table. columns: [{ header, width, align, key | render }]
+ */
+function drawTable(doc, columns, rows) {
+    const drawRow = (cells, options = {}) => {
+        const heights = cells.map((cell, i) => doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+            .heightOfString(String(cell ?? ''), { width: columns[i].width - 10 }));
+        const rowHeight = Math.max(...heights) + 10;
+
+        ensureSpace(doc, rowHeight);
+        const y = doc.y;
+
+        if (options.fill) {
+            doc.rect(PAGE_MARGIN, y, CONTENT_WIDTH, rowHeight).fill(options.fill);
+        }
+
+        let x = PAGE_MARGIN;
+        cells.forEach((cell, i) => {
+            doc.fillColor(options.color || TEXT_COLOR)
+                .font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+                .text(String(cell ?? ''), x + 5, y + 5, { width: columns[i].width - 10, align: columns[i].align || 'left' });
+            x += columns[i].width;
+        });
+
+        doc.moveTo(PAGE_MARGIN, y + rowHeight).lineTo(PAGE_MARGIN + CONTENT_WIDTH, y + rowHeight)
+            .lineWidth(0.5).strokeColor(BORDER_COLOR).stroke();
+        doc.x = PAGE_MARGIN;
+        doc.y = y + rowHeight;
+    };
+
+    drawRow(columns.map(c => c.header), { bold: true, fill: '#f3f4f6' });
+    rows.forEach(row => drawRow(columns.map(c => c.render ? c.render(row) : row[c.key])));
+}
+
+/**
+ * Right-aligned label/value summary lines (subtotal, discount, tax, total)
+ */
+function drawTotals(doc, lines) {
+    ensureSpace(doc, lines.length * 18 + 10);
+    doc.moveDown(0.5);
+
+    lines.forEach(({ label, value, bold }) => {
+        const y = doc.y;
+        doc.fillColor(bold ? BRAND_COLOR : TEXT_COLOR)
+            .font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 12 : 10);
+        doc.text(label, PAGE_MARGIN + CONTENT_WIDTH - 260, y, { width: 150, align: 'right' });
+        doc.text(value, PAGE_MARGIN + CONTENT_WIDTH - 100, y, { width: 100, align: 'right' });
+        doc.x = PAGE_MARGIN;
+        doc.y = y + (bold ? 18 : 15);
+    });
+}
+
+function drawParty(doc, label, customer) {
+    doc.fillColor(MUTED_COLOR).font('Helvetica-Bold').fontSize(9).text(label, PAGE_MARGIN);
+    doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(11).text(customer?.name || '');
+    doc.font('Helvetica').fontSize(10);
+    [customer?.company, customer?.email, customer?.phone].filter(Boolean).forEach(line => doc.text(line));
+}
+
+/**
+ * Render a proposal PDF
+ * @param {Object} proposal - Proposal document with `customer` populated
+ * @returns {Promise<Buffer>}
+ */
+function generateProposalPDF(proposal) {
+    const totals = proposal.calculateTotals();
+
+    return renderToBuffer(doc => {
+        drawHeader(doc, 'PROPOSAL', [
+            proposal.proposalNumber,
+            `Version ${proposal.version || 1}`,
+            `Valid until ${formatDate(proposal.validUntil)}`
+        ]);
+
+        drawParty(doc, 'PREPARED FOR', proposal.customer);
+        doc.moveDown(0.8);
+        doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(16)
+            .text(proposal.title, PAGE_MARGIN, doc.y, { width: CONTENT_WIDTH });
+
+        if (proposal.executiveSummary) {
+            drawSectionTitle(doc, 'Executive Summary');
+            drawParagraph(doc, proposal.executiveSummary);
+        }
+
+        if (proposal.projectOverview) {
+            drawSectionTitle(doc, 'Project Overview');
+            drawParagraph(doc, proposal.projectOverview);
+        }
+
+        if (proposal.scope?.included?.length) {
+            drawSectionTitle(doc, 'In Scope');
+            drawBulletList(doc, proposal.scope.included);
+        }
+
+        if (proposal.scope?.excluded?.length) {
+            drawSectionTitle(doc, 'Not Included');
+            drawBulletList(doc, proposal.scope.excluded);
+        }
+
+        if (proposal.deliverables?.length) {
+            drawSectionTitle(doc, 'Deliverables');
+            drawTable(doc, [
+                { header: 'Phase', width: 90, key: 'phase' },
+                { header: 'Deliverable', width: 322, render: d => d.description ? `${d.title}\n${d.description}` : d.title },
+                { header: 'Duration', width: 100, key: 'duration' }
+            ], proposal.deliverables);
+        }
+
+        drawSectionTitle(doc, 'Investment');
+        if (proposal.pricing?.length) {
+            drawTable(doc, [
+                { header: 'Item', width: 272, render: p => p.description ? `${p.item}\n${p.description}` : p.item },
+                { header: 'Qty', width: 60, align: 'right', key: 'quantity' },
+                { header: 'Rate', width: 90, align: 'right', render: p => formatCurrency(p.rate) },
+                { header: 'Amount', width: 90, align: 'right', render: p => formatCurrency(p.amount) }
+            ], proposal.pricing);
+        }
+
+        const totalLines = [{ label: 'Subtotal', value: formatCurrency(totals.subtotal) }];
+        if (totals.discount) {
+            const discountLabel = proposal.discount?.type === 'percentage'
+                ? `Discount (${proposal.discount.amount}%)`
+                : 'Discount';
+            totalLines.push({ label: discountLabel, value: `-${formatCurrency(totals.discount)}` });
+        }
+        if (totals.tax) {
+            totalLines.push({ label: `Tax (${proposal.tax.rate}%)`, value: formatCurrency(totals.tax) });
+        }
+        totalLines.push({ label: 'Total', value: formatCurrency(totals.total), bold: true });
+        drawTotals(doc, totalLines);
+
+        const terms = proposal.paymentTerms || {};
+        if (terms.schedule?.length || terms.acceptedMethods?.length || terms.lateFee) {
+            drawSectionTitle(doc, 'Payment Terms');
+            if (terms.schedule?.length) {
+                drawTable(doc, [
+                    { header: 'Milestone', width: 232, key: 'milestone' },
+                    { header: '%', width: 60, align: 'right', render: s => s.percentage !== undefined ? `${s.percentage}%` : '' },
+                    { header: 'Amount', width: 100, align: 'right', render: s => formatCurrency(s.amount) },
+                    { header: 'Due', width: 120, render: s => formatDate(s.dueDate) }
+                ], terms.schedule);
+                doc.moveDown(0.5);
+            }
+            if (terms.acceptedMethods?.length) {
+                drawParagraph(doc, `Accepted payment methods: ${terms.acceptedMethods.join(', ')}`);
+            }
+            if (terms.lateFee) {
+                drawParagraph(doc, `Late fee: ${formatCurrency(terms.lateFee)}`);
+            }
+        }
+
+        if (proposal.termsAndConditions || proposal.customTerms?.length) {
+            drawSectionTitle(doc, 'Terms & Conditions');
+            drawParagraph(doc, proposal.termsAndConditions);
+            drawBulletList(doc, proposal.customTerms);
+        }
+
+        if (proposal.status === 'accepted' && proposal.acceptedBy?.name) {
+            drawSectionTitle(doc, 'Acceptance');
+            drawParagraph(doc, `Accepted by ${proposal.acceptedBy.name}${proposal.acceptedBy.title ? `, ${proposal.acceptedBy.title}` : ''} on ${formatDate(proposal.acceptedBy.date)}`);
+            if (proposal.acceptedBy.signature) {
+                doc.moveDown(0.3);
+                doc.font('Helvetica-Oblique').fontSize(14).text(proposal.acceptedBy.signature, PAGE_MARGIN);
+            }
+        }
+    });
+}
+
+/**
+ * Render an invoice PDF
+ * @param {Object} invoice - Payment document with `customer` populated
+ * @returns {Promise<Buffer>}
+ */
+function generateInvoicePDF(invoice) {
+    const totals = invoice.calculateTotals();
+    const currency = invoice.currency || 'USD';
+    const money = (amount) => formatCurrency(amount, currency);
+
+    return renderToBuffer(doc => {
+        drawHeader(doc, 'INVOICE', [
+            invoice.invoiceNumber,
+            `Issued ${formatDate(invoice.invoiceDate)}`,
+            `Due ${formatDate(invoice.dueDate)}`,
+            invoice.status === 'paid' ? 'PAID' : null
+        ]);
+
+        drawParty(doc, 'BILL TO', invoice.customer);
+        doc.moveDown(1);
+
+        drawTable(doc, [
+            { header: 'Description', width: 272, key: 'description' },
+            { header: 'Qty', width: 60, align: 'right', key: 'quantity' },
+            { header: 'Rate', width: 90, align: 'right', render: item => money(item.rate) },
+            { header: 'Amount', width: 90, align: 'right', render: item => money(item.amount) }
+        ], invoice.items || []);
+
+        const totalLines = [{ label: 'Subtotal', value: money(totals.subtotal) }];
+        if (totals.discount) {
+            const discountLabel = invoice.discountType === 'percentage'
+                ? `Discount (${invoice.discount}%)`
+                : 'Discount';
+            totalLines.push({ label: discountLabel, value: `-${money(totals.discount)}` });
+        }
+        if (totals.tax) {
+            totalLines.push({ label: `Tax (${invoice.taxRate}%)`, value: money(totals.tax) });
+        }
+        totalLines.push({ label: 'Total', value: money(totals.total) });
+        if (invoice.amountPaid) {
+            totalLines.push({ label: 'Paid', value: `-${money(invoice.amountPaid)}` });
+        }
+        totalLines.push({ label: 'Amount Due', value: money(Math.max(totals.due, 0)), bold: true });
+        drawTotals(doc, totalLines);
+
+        if (invoice.payments?.length) {
+            drawSectionTitle(doc, 'Payments Received');
+            drawTable(doc, [
+                { header: 'Date', width: 130, render: p => formatDate(p.date) },
+                { header: 'Method', width: 120, key: 'method' },
+                { header: 'Reference', width: 162, key: 'reference' },
+                { header: 'Amount', width: 100, align: 'right', render: p => money(p.amount) }
+            ], invoice.payments);
+        }
+
+        if (invoice.paymentLink) {
+            drawSectionTitle(doc, 'Pay Online');
+            doc.fillColor(BRAND_COLOR).font('Helvetica').fontSize(10)
+                .text(invoice.paymentLink, PAGE_MARGIN, doc.y, { link: invoice.paymentLink, underline: true });
+        }
+
+        if (invoice.notes) {
+            drawSectionTitle(doc, 'Notes');
+            drawParagraph(doc, invoice.notes);
+        }
+
+        if (invoice.termsAndConditions) {
+            drawSectionTitle(doc, 'Terms & Conditions');
+            drawParagraph(doc, invoice.termsAndConditions);
+        }
+    });
+}
+
+/**
+ * Build a nodemailer attachment for emailService.sendEmail({ attachments })
+ */
+async function getProposalAttachment(proposal) {
+    return {
+        filename: `${proposal.proposalNumber}.pdf`,
+        content: await generateProposalPDF(proposal),
+        contentType: 'application/pdf'
+    };
+}
+
+async function getInvoiceAttachment(invoice) {
+    return {
+        filename: `${invoice.invoiceNumber}.pdf`,
+        content: await generateInvoicePDF(invoice),
+        contentType: 'application/pdf'
+    };
+}
+
+module.exports = {
+    generateProposalPDF,
+    generateInvoicePDF,
+    getProposalAttachment,
+    getInvoiceAttachment
+};
@@ -0,0 +1,383 @@
+/**
+ * Pipeline Service
+ * Admin-defined lead pipeline stages (PipelineStage) and the stage history
+ * kept on each lead.
+ *
+ * Lead.status holds a stage key. Every transition is appended to
+ * Lead.stageHistory with who made it and how long the lead sat in the
+ * previous stage, which feeds the time-in-stage, conversion and weighted
+ * pipeline value reports.
+ */
+
+const mongoose = require('mongoose');
+const PipelineStage = require('../models/PipelineStage');
+
+// The Lead model is registered by server.js, so look it up at call time
+const getLeadModel = () => mongoose.model('Lead');
+
+// Leads from the website form start here, so it can't be removed
+const ENTRY_STAGE = 'new';
+
+// The original hard-coded statuses, seeded on first start
+const DEFAULT_STAGES = [
+    { key: 'new', name: 'New', order: 1, probability: 10, type: 'open' },
+    { key: 'contacted', name: 'Contacted', order: 2, probability: 20, type: 'open' },
+    { key: 'qualified', name: 'Qualified', order: 3, probability: 40, type: 'open' },
+    { key: 'proposal', name: 'Proposal', order: 4, probability: 60, type: 'open' },
+    { key: 'closed-won', name: 'Closed Won', order: 5, probability: 100, type: 'won' },
+    { key: 'closed-lost', name: 'Closed Lost', order: 6, probability: 0, type: 'lost' }
+];
+
+// Open stages at or above this win probability make the linked customer a prospect
+// (with the default stages: qualified and proposal)
+const PROSPECT_PROBABILITY = 40;
+
+const HOUR_SECONDS = 60 * 60;
+
+const isBlank = (value) => value === undefined || value === null || value === '' || value === 0 ||
+    (Array.isArray(value) && value.length === 0);
+
+const average = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+const median = (values) => {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const hours = (seconds) => Math.round((seconds / HOUR_SECONDS) * 10) / 10;
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : 0);
+
+class PipelineService {
+    /**
+     * Build an error the routes answer with its status
+     */
+    error(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    /**
+     * Seed the default stages when none exist and give older leads a starting history entry
+     */
+    async seedDefaultStages() {
+        try {
+            if (await PipelineStage.countDocuments() === 0) {
+                await PipelineStage.insertMany(DEFAULT_STAGES.map(stage => ({ ...stage, createdBy: 'system' })));
+                console.log(`📋 Seeded ${DEFAULT_STAGES.length} pipeline stages`);
+            }
+
+            // Leads created before stage history existed start in their current stage
+            const result = await getLeadModel().updateMany(
+                { 'stageHistory.0': { $exists: false } },
+                [{
+                    $set: {
+                        stageHistory: [{ to: '$status', changedBy: 'system', changedAt: { $ifNull: ['$updatedAt', '$createdAt'] } }],
+                        stageEnteredAt: { $ifNull: ['$updatedAt', '$createdAt'] }
+                    }
+                }]
+            );
+            if (result.modifiedCount > 0) {
+                console.log(`📋 Started stage history for ${result.modifiedCount} leads`);
+            }
+        } catch (error) {
+            console.error('Error seeding pipeline stages:', error.message);
+        }
+    }
+
+    /**
+     * Stages in pipeline order (the defaults until stages have been seeded)
+     * @param {Object} options - { includeInactive }
+     */
+    async getStages({ includeInactive = false } = {}) {
+        const stages = await PipelineStage.find(includeInactive ? {} : { isActive: true }).sort({ order: 1 }).lean();
+        return stages.length ? stages : DEFAULT_STAGES.map(stage => ({ ...stage, requiredFields: [], isActive: true }));
+    }
+
+    /**
+     * Active stage by key
+     */
+    async getStage(key) {
+        const stages = await this.getStages();
+        return stages.find(stage => stage.key === key) || null;
+    }
+
+    /**
+     * Open and won stage keys in pipeline order (lost stages aren't progress)
+     */
+    async getStageOrder() {
+        const stages = await this.getStages();
+        return stages.filter(stage => stage.type !== 'lost').map(stage => stage.key);
+    }
+
+    /**
+     * Keys of stages that count as a closed-won deal
+     */
+    async getWonStageKeys() {
+        const stages = await this.getStages();
+        return stages.filter(stage => stage.type === 'won').map(stage => stage.key);
+    }
+
+    /**
+     * Keys of open stages where a lead counts as qualified - the same
+     * threshold that makes the linked customer a prospect
+     */
+    async getQualifiedStageKeys() {
+        const stages = await this.getStages();
+        return stages
+            .filter(stage => stage.type === 'open' && stage.probability >= PROSPECT_PROBABILITY)
+            .map(stage => stage.key);
+    }
+
+    /**
+     * Customer lifecycle status for a lead in a stage: won stages make a client,
+     * lost stages an inactive customer and open stages a lead or prospect
+     * @param {string} key - Stage key
+     * @returns {Promise<string|null>} null when no such stage exists
+     */
+    async getCustomerStatus(key) {
+        const stages = await this.getStages({ includeInactive: true });
+        const stage = stages.find(s => s.key === key);
+        if (!stage) return null;
+
+        if (stage.type === 'won') return 'client';
+        if (stage.type === 'lost') return 'inactive';
+        return stage.probability >= PROSPECT_PROBABILITY ? 'prospect' : 'lead';
+    }
+
+    /**
+     * Required fields that aren't Lead fields
+     * @param {string[]} fields
+     * @returns {string[]} Unknown field names
+     */
+    unknownFields(fields = []) {
+        const schema = getLeadModel().schema;
+        return fields.filter(field => !schema.path(field));
+    }
+
+    /**
+     * Required fields of a stage that the lead hasn't filled (0 counts as blank)
+     */
+    missingFields(lead, stage) {
+        return (stage.requiredFields || []).filter(field => isBlank(lead.get ? lead.get(field) : lead[field]));
+    }
+
+    /**
+     * Stage history entry for a lead leaving its current stage
+     */
+    historyEntry(lead, to, { from = lead.status, changedBy = 'system', note, at = new Date() } = {}) {
+        const enteredAt = lead.stageEnteredAt || lead.createdAt;
+        return {
+            from,
+            to,
+            changedBy,
+            note,
+            changedAt: at,
+            timeInPreviousStage: from && enteredAt ? Math.max(0, Math.round((at - enteredAt) / 1000)) : undefined
+        };
+    }
+
+    /**
+     * Move a lead to another stage, checking the stage's required fields
+     * @param {string} leadId
+     * @param {string} key - Stage key
+     * @param {Object} options - { changedBy, note }
+     * @returns {Promise<Object|null>} Updated lead, or null when the lead doesn't exist
+     */
+    async changeStage(leadId, key, { changedBy = 'system', note } = {}) {
+        const Lead = getLeadModel();
+        const lead = await Lead.findById(leadId);
+        if (!lead) return null;
+
+        const stage = await this.getStage(key);
+        if (!stage) {
+            throw this.error(`Unknown pipeline stage: ${key}`, 400);
+        }
+        if (lead.status === stage.key) return lead;
+
+        const missing = this.missingFields(lead, stage);
+        if (missing.length > 0) {
+            const error = this.error(`${stage.name} requires: ${missing.join(', ')}`, 400);
+            error.missingFields = missing;
+            throw error;
+        }
+
+        const now = new Date();
+        // Matching on the current status keeps two concurrent moves from both recording "from" the same stage
+        const updated = await Lead.findOneAndUpdate(
+            { _id: lead._id, status: lead.status },
+            {
+                $set: { status: stage.key, stageEnteredAt: now, updatedAt: now },
+                $push: {
+                    stageHistory: this.historyEntry(lead, stage.key, { changedBy, note, at: now }),
+                    interactions: {
+                        type: 'status',
+                        title: `Moved to ${stage.name}`,
+                        description: note || `From ${lead.status} by ${changedBy}`,
+                        timestamp: now
+                    }
+                }
+            },
+            { new: true }
+        );
+        if (!updated) {
+            throw this.error('The lead was moved by someone else - reload and try again', 409);
+        }
+
+        console.log(`📋 Lead ${lead.name} moved ${lead.status} → ${stage.key} by ${changedBy}`);
+        return updated;
+    }
+
+    /**
+     * Leads with their stage history for the reports
+     * @param {Object} range - { from, to } on lead creation (either may be null)
+     */
+    async getLeadsWithHistory({ from, to } = {}) {
+        const filter = {};
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = from;
+            if (to) filter.createdAt.$lte = to;
+        }
+        return getLeadModel().find(filter).select('status budget createdAt stageEnteredAt stageHistory').lean();
+    }
+
+    /**
+     * A lead's stays in each stage, oldest first
+     * @returns {Array<{stage: string, start: Date, end: Date|null}>}
+     */
+    getStays(lead) {
+        const history = [...(lead.stageHistory || [])].sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+        if (history.length === 0) {
+            return [{ stage: lead.status, start: lead.stageEnteredAt || lead.createdAt, end: null }];
+        }
+        return history.map((entry, i) => ({
+            stage: entry.to,
+            start: entry.changedAt,
+            end: history[i + 1] ? history[i + 1].changedAt : null
+        }));
+    }
+
+    /**
+     * Average and median time leads spend in each stage
+     */
+    async getTimeInStage(range) {
+        const [stages, leads] = await Promise.all([this.getStages({ includeInactive: true }), this.getLeadsWithHistory(range)]);
+        const now = Date.now();
+
+        const byStage = {};
+        leads.forEach(lead => {
+            this.getStays(lead).forEach(stay => {
+                const row = byStage[stay.stage] || (byStage[stay.stage] = { completed: [], current: [] });
+                const seconds = ((stay.end ? new Date(stay.end).getTime() : now) - new Date(stay.start).getTime()) / 1000;
+                (stay.end ? row.completed : row.current).push(Math.max(0, seconds));
+            });
+        });
+
+        return this.orderedRows(stages, byStage, (stage, row) => ({
+            stage: stage.key,
+            name: stage.name,
+            completedStays: row.completed.length,
+            avgHours: hours(average(row.completed)),
+            medianHours: hours(median(row.completed)),
+            currentLeads: row.current.length,
+            avgCurrentHours: hours(average(row.current))
+        }));
+    }
+
+    /**
+     * How many leads reached each stage and went on to a later one or to a win
+     * Skipped stages count as reached; lost stages only count when entered.
+     */
+    async getConversionRates(range) {
+        const [stages, leads] = await Promise.all([this.getStages(), this.getLeadsWithHistory(range)]);
+        const orderOf = new Map(stages.map(stage => [stage.key, stage]));
+        const won = new Set(stages.filter(stage => stage.type === 'won').map(stage => stage.key));
+
+        const visits = leads.map(lead => {
+            const visited = new Set(this.getStays(lead).map(stay => stay.stage));
+            const progress = [...visited].map(key => orderOf.get(key)).filter(stage => stage && stage.type !== 'lost');
+            return {
+                visited,
+                furthest: progress.reduce((max, stage) => Math.max(max, stage.order), -Infinity),
+                won: [...visited].some(key => won.has(key))
+            };
+        });
+
+        return stages.map(stage => {
+            const reached = visits.filter(v => (stage.type === 'lost' ? v.visited.has(stage.key) : v.furthest >= stage.order));
+            const advanced = stage.type === 'open' ? reached.filter(v => v.furthest > stage.order) : [];
+            const wonCount = reached.filter(v => v.won).length;
+
+            return {
+                stage: stage.key,
+                name: stage.name,
+                type: stage.type,
+                reached: reached.length,
+                advanced: advanced.length,
+                conversionRate: stage.type === 'open' ? percent(advanced.length, reached.length) : null,
+                winRate: percent(wonCount, reached.length)
+            };
+        });
+    }
+
+    /**
+     * Open pipeline value per stage weighted by the stage's win probability
+     */
+    async getWeightedPipeline() {
+        const stages = await this.getStages({ includeInactive: true });
+        const values = await getLeadModel().aggregate([
+            { $group: { _id: '$status', leads: { $sum: 1 }, value: { $sum: { $ifNull: ['$budget', 0] } } } }
+        ]);
+        const byStage = Object.fromEntries(values.map(v => [v._id, v]));
+
+        const rows = stages.filter(stage => stage.type === 'open' && byStage[stage.key]).map(stage => {
+            const row = byStage[stage.key];
+            return {
+                stage: stage.key,
+                name: stage.name,
+                probability: stage.probability,
+                leads: row.leads,
+                value: row.value,
+                weightedValue: Math.round(row.value * stage.probability) / 100
+            };
+        });
+
+        const won = stages.filter(stage => stage.type === 'won')
+            .reduce((sum, stage) => sum + (byStage[stage.key]?.value || 0), 0);
+
+        return {
+            stages: rows,
+            totals: {
+                leads: rows.reduce((sum, r) => sum + r.leads, 0),
+                value: rows.reduce((sum, r) => sum + r.value, 0),
+                weightedValue: Math.round(rows.reduce((sum, r) => sum + r.weightedValue, 0) * 100) / 100,
+                wonValue: won
+            }
+        };
+    }
+
+    /**
+     * Report rows in stage order, followed by statuses whose stage no longer exists
+     */
+    orderedRows(stages, byStage, build) {
+        const known = new Set(stages.map(stage => stage.key));
+        const rows = stages.filter(stage => byStage[stage.key]).map(stage => build(stage, byStage[stage.key]));
+        Object.keys(byStage).filter(key => !known.has(key)).forEach(key => {
+            rows.push(build({ key, name: key }, byStage[key]));
+        });
+        return rows;
+    }
+
+    /**
+     * The stage new leads enter
+     */
+    getEntryStage() {
+        return ENTRY_STAGE;
+    }
+}
+
+// Export singleton instance
+module.exports = new PipelineService();
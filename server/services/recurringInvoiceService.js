@@ -0,0 +1,210 @@
+/**
+ * Recurring Invoice Service
+ * Generates the next invoice for recurring (retainer) invoices when their
+ * nextPaymentDate arrives, then advances the date.
+ *
+ * Idempotency: each generated invoice records its parent and the period it
+ * covers, backed by a unique index. If the server stops between creating an
+ * invoice and advancing the parent, the next run hits the duplicate and
+ * simply advances the date instead of billing twice.
+ */
+
+const Payment = require('../models/Payment');
+const Customer = require('../models/Customer');
+const { sendInvoice } = require('./invoiceEmailService');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const DEFAULT_PAYMENT_TERMS_DAYS = 30;
+// Upper bound on missed periods caught up for one invoice in a single run
+const MAX_PERIODS_PER_RUN = 12;
+
+class RecurringInvoiceService {
+    constructor() {
+        this.io = null;
+        this.interval = null;
+        this.running = false;
+        this.lastRun = null;
+        this.checkIntervalMinutes = parseInt(process.env.RECURRING_INVOICE_CHECK_MINUTES, 10) || 60;
+    }
+
+    /**
+     * Set Socket.io instance for real-time updates
+     */
+    setSocketIO(io) {
+        this.io = io;
+    }
+
+    /**
+     * Start the periodic recurring invoice check
+     */
+    start() {
+        if (this.interval) return;
+
+        this.processRecurringInvoices();
+        this.interval = setInterval(() => this.processRecurringInvoices(), this.checkIntervalMinutes * 60 * 1000);
+
+        console.log(`✅ Recurring invoices started (every ${this.checkIntervalMinutes} min)`);
+    }
+
+    /**
+     * Stop the periodic recurring invoice check
+     */
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+            console.log('⏹️  Recurring invoices stopped');
+        }
+    }
+
+    /**
+     * Generate invoices for every recurring invoice whose next date has arrived
+     */
+    async processRecurringInvoices() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const now = new Date();
+            const parents = await Payment.find({
+                isRecurring: true,
+                status: { $nin: ['cancelled', 'refunded'] },
+                nextPaymentDate: { $lte: now }
+            }).populate('customer', 'name email');
+
+            let generated = 0;
+
+            for (const parent of parents) {
+                try {
+                    let periods = 0;
+                    while (parent.isRecurring && parent.nextPaymentDate && parent.nextPaymentDate <= now && periods < MAX_PERIODS_PER_RUN) {
+                        const invoice = await this.generateForPeriod(parent, parent.nextPaymentDate);
+                        if (invoice) generated++;
+                        await this.advance(parent);
+                        periods++;
+                    }
+                } catch (error) {
+                    console.error(`❌ Error generating recurring invoice from ${parent.invoiceNumber}:`, error.message);
+                }
+            }
+
+            this.lastRun = now;
+            if (generated) {
+                console.log(`🔁 Generated ${generated} recurring invoice(s)`);
+            }
+        } catch (error) {
+            console.error('❌ Error processing recurring invoices:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Clone the parent into a new invoice for the given period.
+     * Returns null if the period was already generated.
+     */
+    async generateForPeriod(parent, period) {
+        const invoiceDate = new Date(period);
+        const termsDays = parent.dueDate && parent.invoiceDate
+            ? Math.max(Math.round((parent.dueDate - parent.invoiceDate) / DAY_MS), 0)
+            : DEFAULT_PAYMENT_TERMS_DAYS;
+        const dueDate = new Date(invoiceDate.getTime() + termsDays * DAY_MS);
+
+        const invoice = new Payment({
+            customer: parent.customer._id || parent.customer,
+            project: parent.project,
+            proposal: parent.proposal,
+            invoiceDate,
+            dueDate,
+            status: 'draft',
+            items: parent.items.map(item => ({
+                description: item.description,
+                quantity: item.quantity,
+                rate: item.rate,
+                amount: item.amount,
+                tax: item.tax
+            })),
+            taxRate: parent.taxRate,
+            discount: parent.discount,
+            discountType: parent.discountType,
+            currency: parent.currency,
+            notes: parent.notes,
+            termsAndConditions: parent.termsAndConditions,
+            paymentLink: parent.paymentLink,
+            recurringParent: parent._id,
+            recurringPeriod: invoiceDate,
+            createdBy: 'recurring-invoice-service'
+        });
+
+        try {
+            await invoice.save();
+        } catch (error) {
+            if (error.code === 11000 && error.keyPattern?.recurringParent) {
+                console.log(`ℹ️  Recurring invoice for ${parent.invoiceNumber} (${invoiceDate.toISOString().split('T')[0]}) already exists`);
+                return null;
+            }
+            throw error;
+        }
+
+        await Customer.findByIdAndUpdate(invoice.customer, {
+            $addToSet: { payments: invoice._id }
+        });
+
+        console.log(`🔁 Invoice ${invoice.invoiceNumber} generated from recurring ${parent.invoiceNumber}`);
+
+        if (parent.recurringAutoSend) {
+            invoice.customer = parent.customer;
+            const emailSent = await sendInvoice(invoice, { attachPdf: true });
+            await invoice.save();
+            console.log(`📧 Recurring invoice ${invoice.invoiceNumber} sent${emailSent ? '' : ' (email not delivered)'}`);
+        }
+
+        this.emit('invoice_generated', invoice, parent);
+        return invoice;
+    }
+
+    /**
+     * Move the parent's nextPaymentDate forward one interval, ending the
+     * recurrence once it passes recurringEndDate
+     */
+    async advance(parent) {
+        const nextDate = parent.getNextRecurringDate(parent.nextPaymentDate);
+
+        if (parent.recurringEndDate && nextDate > parent.recurringEndDate) {
+            parent.isRecurring = false;
+            parent.nextPaymentDate = undefined;
+            console.log(`🏁 Recurring invoice ${parent.invoiceNumber} reached its end date`);
+        } else {
+            parent.nextPaymentDate = nextDate;
+        }
+
+        await parent.save();
+    }
+
+    emit(event, invoice, parent) {
+        if (this.io) {
+            this.io.emit(event, {
+                invoiceId: invoice._id,
+                invoiceNumber: invoice.invoiceNumber,
+                parentInvoiceNumber: parent.invoiceNumber,
+                customerName: parent.customer?.name,
+                total: invoice.total,
+                status: invoice.status
+            });
+        }
+    }
+
+    /**
+     * Get service status
+     */
+    getStatus() {
+        return {
+            active: !!this.interval,
+            checkIntervalMinutes: this.checkIntervalMinutes,
+            lastRun: this.lastRun
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new RecurringInvoiceService();
@@ -0,0 +1,356 @@
+/**
+ * Scheduled Send Service
+ * Persistent outbound queue for SMS and email. Messages are stored as
+ * Communications with status 'queued' and a scheduledDate, and sent by a
+ * periodic check once that time arrives - so the queue survives restarts.
+ *
+ * Send times honour SMSTemplate.schedulingRules (business hours, weekends,
+ * optimal send times) in the contact's timezone when it is known.
+ */
+
+const mongoose = require('mongoose');
+const Communication = require('../models/Communication');
+const Customer = require('../models/Customer');
+const SMSTemplate = require('../models/SMSTemplate');
+const { getContactTimezone, rulesToWindow, getNextSendTime } = require('../utils/scheduleUtils');
+
+const MINUTE_MS = 60 * 1000;
+// Upper bound on messages sent in a single run
+const BATCH_SIZE = 50;
+
+// The Lead model is registered by server.js, so look it up at call time
+const getLeadModel = () => mongoose.model('Lead');
+
+class ScheduledSendService {
+    constructor() {
+        this.io = null;
+        this.transporter = null;
+        this.interval = null;
+        this.running = false;
+        this.lastRun = null;
+        this.checkIntervalMinutes = parseInt(process.env.SCHEDULED_SEND_CHECK_MINUTES, 10) || 1;
+    }
+
+    /**
+     * Set Socket.io instance for real-time updates
+     */
+    setSocketIO(io) {
+        this.io = io;
+    }
+
+    /**
+     * Set the nodemailer transporter used for scheduled emails.
+     * Falls back to emailService when none is set.
+     */
+    setTransporter(transporter) {
+        this.transporter = transporter;
+    }
+
+    /**
+     * Start the periodic queue check
+     */
+    async start() {
+        if (this.interval) return;
+
+        // A send that was in flight when the server stopped may or may not have
+        // gone out - fail it rather than risk messaging the contact twice
+        try {
+            const interrupted = await Communication.updateMany(
+                { status: 'sending', scheduledDate: { $exists: true } },
+                { $set: { status: 'failed', error: { message: 'Send interrupted by server restart', date: new Date() } } }
+            );
+            if (interrupted.modifiedCount) {
+                console.log(`⚠️  Marked ${interrupted.modifiedCount} interrupted scheduled send(s) as failed`);
+            }
+        } catch (error) {
+            console.error('❌ Error recovering interrupted scheduled sends:', error.message);
+        }
+
+        this.processQueue();
+        this.interval = setInterval(() => this.processQueue(), this.checkIntervalMinutes * MINUTE_MS);
+
+        console.log(`✅ Scheduled sends started (every ${this.checkIntervalMinutes} min)`);
+    }
+
+    /**
+     * Stop the periodic queue check
+     */
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+            console.log('⏹️  Scheduled sends stopped');
+        }
+    }
+
+    /**
+     * Find a Customer or Lead by id
+     */
+    async findContact(contactId) {
+        return await Customer.findById(contactId) || await getLeadModel().findById(contactId);
+    }
+
+    /**
+     * When a message may go out, given the requested time, its rules and the contact
+     */
+    resolveSendTime(requestedDate, rules, contact) {
+        const timezone = getContactTimezone(contact);
+        const window = rulesToWindow(rules || {}, timezone);
+        return {
+            scheduledDate: rules ? getNextSendTime(requestedDate, window) : requestedDate,
+            timezone: window.timezone
+        };
+    }
+
+    /**
+     * Queue a message for later delivery
+     * @param {Object} data - { contactId, channel: 'sms'|'email', body, subject, html, templateId,
+     *                         schedulingRules, sendAt, phoneNumber, email, createdBy }
+     *                         SMS templates supply the body and scheduling rules when given.
+     * @returns {Promise<Object>} - The queued Communication
+     */
+    async schedule(data) {
+        const channel = data.channel || 'sms';
+        if (!['sms', 'email'].includes(channel)) {
+            throw new Error('Channel must be sms or email');
+        }
+
+        const contact = await this.findContact(data.contactId);
+        if (!contact) {
+            throw new Error('Contact not found');
+        }
+
+        let body = data.body;
+        let rules = data.schedulingRules;
+        let template;
+        let abTest;
+
+        if (data.templateId) {
+            const smsTemplate = await SMSTemplate.findById(data.templateId);
+            if (!smsTemplate || !smsTemplate.isActive) {
+                throw new Error('Template not found or inactive');
+            }
+            if (!body) {
+                // Rendered now so the A/B variant is fixed when the message is queued
+                const generated = smsTemplate.generateSMS(contact.toObject());
+                body = generated.content;
+                if (channel === 'sms') {
+                    abTest = require('./smsTemplateService').buildAbTest(smsTemplate, generated.variant, contact);
+                }
+            }
+            rules = rules || smsTemplate.toObject().schedulingRules;
+            template = { id: String(smsTemplate._id), name: smsTemplate.name, version: smsTemplate.version };
+        }
+
+        if (!body) {
+            throw new Error('Message body is required');
+        }
+        if (channel === 'email' && !data.subject) {
+            throw new Error('Email subject is required');
+        }
+
+        const phoneNumber = data.phoneNumber || contact.phone;
+        const email = data.email || contact.email;
+        if (channel === 'sms' && !phoneNumber) throw new Error('Contact has no phone number');
+        if (channel === 'email' && !email) throw new Error('Contact has no email address');
+
+        const requestedDate = data.sendAt ? new Date(data.sendAt) : new Date();
+        if (isNaN(requestedDate)) {
+            throw new Error('Invalid send time');
+        }
+
+        const { scheduledDate, timezone } = this.resolveSendTime(requestedDate, rules, contact);
+
+        const communication = new Communication({
+            customer: contact._id,
+            type: channel,
+            direction: 'outbound',
+            subject: data.subject,
+            body,
+            bodyHtml: data.html,
+            to: [{ name: contact.name, email: channel === 'email' ? email : undefined }],
+            phoneNumber: channel === 'sms' ? phoneNumber : undefined,
+            platform: channel === 'email' ? 'email' : 'openphone',
+            deliveryChannel: channel === 'sms' ? 'sms' : undefined,
+            status: 'queued',
+            scheduledDate,
+            schedule: { requestedDate, timezone, rules },
+            template,
+            abTest,
+            createdBy: data.createdBy || 'scheduler'
+        });
+        await communication.save();
+
+        console.log(`🕒 ${channel.toUpperCase()} to ${contact.name} scheduled for ${scheduledDate.toISOString()}`);
+        this.emit('message_scheduled', communication);
+        return communication;
+    }
+
+    /**
+     * Move a queued message to a new time (scheduling rules still apply unless enforceRules is false)
+     */
+    async reschedule(communicationId, sendAt, { enforceRules = true } = {}) {
+        const communication = await Communication.findOne({ _id: communicationId, status: 'queued' });
+        if (!communication) return null;
+
+        const requestedDate = new Date(sendAt);
+        if (isNaN(requestedDate)) {
+            throw new Error('Invalid send time');
+        }
+
+        const rules = enforceRules ? communication.toObject().schedule?.rules : null;
+        const contact = rules ? await this.findContact(communication.customer) : null;
+        const { scheduledDate } = this.resolveSendTime(requestedDate, rules, contact);
+
+        communication.scheduledDate = scheduledDate;
+        communication.schedule.requestedDate = requestedDate;
+        await communication.save();
+
+        this.emit('message_rescheduled', communication);
+        return communication;
+    }
+
+    /**
+     * Cancel a queued message
+     */
+    async cancel(communicationId, cancelledBy) {
+        const communication = await Communication.findOneAndUpdate(
+            { _id: communicationId, status: 'queued' },
+            { $set: { status: 'cancelled', 'schedule.cancelledAt': new Date(), 'schedule.cancelledBy': cancelledBy } },
+            { new: true }
+        );
+
+        if (communication) {
+            this.emit('message_cancelled', communication);
+        }
+        return communication;
+    }
+
+    /**
+     * Send every queued message whose time has arrived
+     */
+    async processQueue() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const now = new Date();
+            const due = await Communication.find({
+                status: 'queued',
+                scheduledDate: { $lte: now }
+            }).sort({ scheduledDate: 1 }).limit(BATCH_SIZE).select('_id');
+
+            let sent = 0;
+            for (const { _id } of due) {
+                // Claim the message so a concurrent run or cancel can't race the send
+                const communication = await Communication.findOneAndUpdate(
+                    { _id, status: 'queued' },
+                    { $set: { status: 'sending' }, $inc: { 'schedule.attempts': 1 } },
+                    { new: true }
+                );
+                if (!communication) continue;
+
+                if (await this.send(communication)) sent++;
+            }
+
+            this.lastRun = now;
+            if (sent) {
+                console.log(`🕒 Sent ${sent} scheduled message(s)`);
+            }
+        } catch (error) {
+            console.error('❌ Error processing scheduled sends:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Deliver a claimed message and record the outcome on it
+     * @returns {Promise<boolean>} - Whether the message was sent
+     */
+    async send(communication) {
+        try {
+            if (communication.type === 'sms') {
+                const smsService = require('./smsService');
+                const result = await smsService.sendSMS(communication.phoneNumber, communication.body);
+                if (!result.success) {
+                    throw Object.assign(new Error(result.error || 'SMS failed'), { code: result.errorCode, retryable: result.retryable });
+                }
+                communication.openphoneMessageId = result.messageId;
+                await require('./smsTemplateService').recordTemplateSend(communication.template?.id, communication.abTest);
+            } else {
+                const email = {
+                    to: communication.to[0]?.email,
+                    subject: communication.subject,
+                    html: communication.bodyHtml || communication.body.replace(/\n/g, '<br>'),
+                    text: communication.body
+                };
+                let result;
+                if (this.transporter) {
+                    result = await this.transporter.sendMail({
+                        from: process.env.EMAIL_FROM || '"TownRanker" <hello@townranker.com>',
+                        ...email
+                    });
+                } else {
+                    // Required lazily so the service only initializes when email is scheduled
+                    const emailService = require('./emailService');
+                    result = await emailService.sendEmail(email);
+                }
+                communication.emailId = result.messageId || communication.emailId;
+            }
+
+            communication.status = 'sent';
+            communication.sentDate = new Date();
+            await communication.save();
+
+            console.log(`🕒 Scheduled ${communication.type.toUpperCase()} ${communication._id} sent`);
+            this.emit('message_sent', communication);
+
+            const inboxService = require('./inboxService');
+            inboxService.recordActivity(communication.customer);
+            return true;
+        } catch (error) {
+            communication.status = 'failed';
+            communication.error = { message: error.message, code: error.code, date: new Date() };
+            if (communication.type === 'sms') {
+                // Transient SMS failures go to the persistent retry queue
+                const smsService = require('./smsService');
+                await smsService.scheduleRetry(communication, !!error.retryable);
+            } else {
+                await communication.save();
+            }
+
+            console.error(`❌ Scheduled ${communication.type.toUpperCase()} ${communication._id} failed:`, error.message);
+            this.emit('message_failed', communication);
+            return false;
+        }
+    }
+
+    emit(event, communication) {
+        if (this.io) {
+            this.io.emit(event, {
+                communicationId: communication._id,
+                customerId: communication.customer,
+                type: communication.type,
+                status: communication.status,
+                scheduledDate: communication.scheduledDate,
+                sentDate: communication.sentDate,
+                error: communication.error?.message
+            });
+        }
+    }
+
+    /**
+     * Get service status
+     */
+    getStatus() {
+        return {
+            active: !!this.interval,
+            checkIntervalMinutes: this.checkIntervalMinutes,
+            lastRun: this.lastRun
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new ScheduledSendService();
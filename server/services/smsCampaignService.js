@@ -0,0 +1,465 @@
+/**
+ * SMS Campaign Service
+ * Bulk SMS to a segment of leads. The audience is snapshotted onto the
+ * campaign at launch and a periodic worker works through the pending
+ * recipients, rendering the campaign's SMSTemplate for each lead.
+ *
+ * Sends are throttled to SMS_CAMPAIGN_PER_MINUTE and spaced out so bursts
+ * stay under OpenPhone's API limits; smsService's hourly rate limits still
+ * apply and hold the remaining recipients for a later run.
+ */
+
+const mongoose = require('mongoose');
+const SMSCampaign = require('../models/SMSCampaign');
+const SMSTemplate = require('../models/SMSTemplate');
+const SMSConsent = require('../models/SMSConsent');
+const Communication = require('../models/Communication');
+const smsConsentService = require('./smsConsentService');
+const { normalizePhoneNumber } = require('../utils/phoneUtils');
+
+// Gap between consecutive sends within a run
+const SEND_GAP_MS = 1000;
+// A recipient claimed longer ago than this was interrupted mid-send (crash or restart)
+const STALE_SEND_MS = 10 * 60 * 1000;
+const LEAD_FIELDS = 'name email phone company projectType budget timeline status source tags';
+
+// The Lead model is registered by server.js, so look it up at call time
+const getLeadModel = () => mongoose.model('Lead');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const percent = (count, total) => total ? Math.round((count / total) * 1000) / 10 : 0;
+
+class SMSCampaignService {
+    constructor() {
+        this.io = null;
+        this.interval = null;
+        this.running = false;
+        this.lastRun = null;
+        this.checkIntervalSeconds = parseInt(process.env.SMS_CAMPAIGN_CHECK_SECONDS, 10) || 60;
+        this.sendsPerMinute = parseInt(process.env.SMS_CAMPAIGN_PER_MINUTE, 10) || 20;
+    }
+
+    /**
+     * Set Socket.io instance for real-time updates
+     */
+    setSocketIO(io) {
+        this.io = io;
+    }
+
+    /**
+     * Start the campaign worker. Campaigns interrupted by a restart resume
+     * from their pending recipients.
+     */
+    start() {
+        if (this.interval) return;
+
+        this.processCampaigns();
+        this.interval = setInterval(() => this.processCampaigns(), this.checkIntervalSeconds * 1000);
+
+        console.log(`✅ SMS campaigns started (every ${this.checkIntervalSeconds}s, ${this.sendsPerMinute}/min)`);
+    }
+
+    /**
+     * Stop the campaign worker
+     */
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+            console.log('⏹️  SMS campaigns stopped');
+        }
+    }
+
+    /**
+     * Mongo filter for a campaign audience
+     * @param {Object} audience - { statuses, projectTypes, sources, tags, budgetMin, budgetMax }
+     */
+    buildAudienceQuery(audience = {}) {
+        const query = { phone: { $exists: true, $ne: '' } };
+
+        if (audience.statuses?.length) query.status = { $in: audience.statuses };
+        if (audience.projectTypes?.length) query.projectType = { $in: audience.projectTypes };
+        if (audience.sources?.length) query.source = { $in: audience.sources };
+        if (audience.tags?.length) query.tags = { $in: audience.tags };
+
+        if (audience.budgetMin != null || audience.budgetMax != null) {
+            query.budget = {};
+            if (audience.budgetMin != null) query.budget.$gte = Number(audience.budgetMin);
+            if (audience.budgetMax != null) query.budget.$lte = Number(audience.budgetMax);
+        }
+
+        return query;
+    }
+
+    /**
+     * Leads matching an audience, one per phone number (oldest lead wins)
+     */
+    async findAudience(audience) {
+        const leads = await getLeadModel()
+            .find(this.buildAudienceQuery(audience))
+            .select(LEAD_FIELDS)
+            .sort({ createdAt: 1 });
+
+        const seen = new Set();
+        const recipients = [];
+        for (const lead of leads) {
+            const phone = normalizePhoneNumber(lead.phone);
+            if (!phone || seen.has(phone)) continue;
+            seen.add(phone);
+            recipients.push({ lead, phone });
+        }
+
+        return recipients;
+    }
+
+    /**
+     * Size of an audience, how many of it opted out, and a few sample leads
+     */
+    async previewAudience(audience, sampleSize = 10) {
+        const recipients = await this.findAudience(audience);
+        const optedOut = await SMSConsent.countDocuments({
+            phone: { $in: recipients.map(r => r.phone) },
+            status: 'opted_out'
+        });
+
+        return {
+            total: recipients.length,
+            optedOut,
+            reachable: recipients.length - optedOut,
+            sample: recipients.slice(0, sampleSize).map(({ lead, phone }) => ({
+                leadId: lead._id,
+                name: lead.name,
+                phone,
+                status: lead.status,
+                projectType: lead.projectType
+            }))
+        };
+    }
+
+    /**
+     * Snapshot the audience and queue the campaign
+     * @param {string} campaignId - Draft campaign id
+     * @param {Date} scheduledAt - Optional start time (defaults to now)
+     * @returns {Promise<Object|null>} - Launched campaign, or null if not a draft
+     */
+    async launch(campaignId, scheduledAt) {
+        const campaign = await SMSCampaign.findOne({ _id: campaignId, status: 'draft' });
+        if (!campaign) return null;
+
+        const template = await SMSTemplate.findById(campaign.template);
+        if (!template || !template.isActive) {
+            throw new Error('Template not found or inactive');
+        }
+
+        const startAt = scheduledAt ? new Date(scheduledAt) : new Date();
+        if (isNaN(startAt)) {
+            throw new Error('Invalid start time');
+        }
+
+        const recipients = await this.findAudience(campaign.audience);
+        if (recipients.length === 0) {
+            throw new Error('Audience has no leads with a phone number');
+        }
+
+        campaign.recipients = recipients.map(({ lead, phone }) => ({ lead: lead._id, name: lead.name, phone }));
+        campaign.scheduledAt = startAt;
+        campaign.status = 'scheduled';
+        await campaign.save();
+
+        console.log(`📣 SMS campaign "${campaign.name}" launched to ${recipients.length} recipient(s), starting ${startAt.toISOString()}`);
+        this.emit('sms_campaign_updated', campaign);
+        return campaign;
+    }
+
+    /**
+     * Move a campaign between states
+     * @returns {Promise<Object|null>} - Updated campaign, or null if it was not in a `from` state
+     */
+    async transition(campaignId, from, update) {
+        const campaign = await SMSCampaign.findOneAndUpdate(
+            { _id: campaignId, status: { $in: from } },
+            { $set: update },
+            { new: true }
+        );
+
+        if (campaign) {
+            this.emit('sms_campaign_updated', campaign);
+        }
+        return campaign;
+    }
+
+    pause(campaignId) {
+        return this.transition(campaignId, ['scheduled', 'sending'], { status: 'paused' });
+    }
+
+    async resume(campaignId) {
+        const campaign = await SMSCampaign.findOne({ _id: campaignId, status: 'paused' }).select('startedAt');
+        if (!campaign) return null;
+
+        // Campaigns paused before their start time go back to waiting for it
+        return this.transition(campaignId, ['paused'], { status: campaign.startedAt ? 'sending' : 'scheduled' });
+    }
+
+    cancel(campaignId) {
+        return this.transition(campaignId, ['draft', 'scheduled', 'sending', 'paused'], { status: 'cancelled', cancelledAt: new Date() });
+    }
+
+    /**
+     * Start due campaigns and send to the next batch of pending recipients
+     */
+    async processCampaigns() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const now = new Date();
+
+            await SMSCampaign.updateMany(
+                { status: 'scheduled', scheduledAt: { $lte: now } },
+                { $set: { status: 'sending', startedAt: now } }
+            );
+
+            const campaigns = await SMSCampaign.find({ status: 'sending' }).sort({ scheduledAt: 1 });
+
+            // Share the per-run budget across campaigns, oldest first
+            const batchSize = Math.max(1, Math.round(this.sendsPerMinute * this.checkIntervalSeconds / 60));
+            let remaining = batchSize;
+
+            for (const campaign of campaigns) {
+                if (remaining <= 0) break;
+                const result = await this.processCampaign(campaign, remaining);
+                remaining -= result.sent;
+                if (result.rateLimited) break;
+            }
+
+            this.lastRun = now;
+            if (remaining < batchSize) {
+                console.log(`📣 Sent ${batchSize - remaining} campaign SMS`);
+            }
+        } catch (error) {
+            console.error('❌ Error processing SMS campaigns:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Send to up to `limit` pending recipients of a campaign
+     * @returns {Promise<{sent: number, rateLimited: boolean}>}
+     */
+    async processCampaign(campaign, limit) {
+        // Required lazily - smsService loads the shared Lead model
+        const smsService = require('./smsService');
+        const template = await SMSTemplate.findById(campaign.template);
+        if (!template) {
+            console.error(`❌ SMS campaign "${campaign.name}" template is missing, pausing`);
+            await this.pause(campaign._id);
+            return { sent: 0, rateLimited: false };
+        }
+
+        await this.failStaleSends(campaign);
+
+        const pending = campaign.recipients.filter(r => r.status === 'pending');
+        let sent = 0;
+
+        for (const recipient of pending) {
+            if (sent >= limit) break;
+
+            const rateLimit = smsService.checkRateLimit(recipient.phone);
+            if (!rateLimit.allowed && rateLimit.resetTime) {
+                // Hourly global limit - nothing else can go out this run
+                if (/global/i.test(rateLimit.error)) {
+                    return { sent, rateLimited: true };
+                }
+                // Per-number limit - try this recipient again next run
+                continue;
+            }
+
+            // Claim the recipient before sending so no other run can message them again
+            const claim = await SMSCampaign.updateOne(
+                { _id: campaign._id, status: 'sending', recipients: { $elemMatch: { _id: recipient._id, status: 'pending' } } },
+                { $set: { 'recipients.$.status': 'sending', 'recipients.$.claimedAt': new Date() } }
+            );
+            if (claim.modifiedCount !== 1) {
+                // Paused or cancelled while this run was sending
+                if (!await SMSCampaign.exists({ _id: campaign._id, status: 'sending' })) {
+                    return { sent, rateLimited: false };
+                }
+                recipient.status = 'sending';
+                continue;
+            }
+
+            if (sent > 0) await sleep(SEND_GAP_MS);
+            const outcome = await this.sendToRecipient(campaign, template, recipient, smsService);
+            const update = { 'recipients.$.status': outcome.status };
+            if (outcome.communicationId) update['recipients.$.communication'] = outcome.communicationId;
+            if (outcome.status === 'sent') update['recipients.$.sentAt'] = new Date();
+            if (outcome.error) update['recipients.$.error'] = outcome.error;
+
+            await SMSCampaign.updateOne(
+                { _id: campaign._id, recipients: { $elemMatch: { _id: recipient._id, status: 'sending' } } },
+                { $set: update }
+            );
+            recipient.status = outcome.status;
+            if (outcome.status !== 'skipped') sent++;
+        }
+
+        if (!campaign.recipients.some(r => ['pending', 'sending'].includes(r.status))) {
+            const completed = await this.transition(campaign._id, ['sending'], { status: 'completed', completedAt: new Date() });
+            if (completed) {
+                console.log(`📣 SMS campaign "${campaign.name}" completed`);
+            }
+        } else {
+            this.emit('sms_campaign_updated', campaign);
+        }
+
+        return { sent, rateLimited: false };
+    }
+
+    /**
+     * Fail recipients left claimed by an interrupted run. Whether their message
+     * went out is unknown, so they're not retried rather than risk a duplicate.
+     */
+    async failStaleSends(campaign) {
+        const staleBefore = new Date(Date.now() - STALE_SEND_MS);
+        const stale = campaign.recipients.filter(r => r.status === 'sending' && !(r.claimedAt > staleBefore));
+        if (stale.length === 0) return;
+
+        const error = 'Send interrupted - not retried to avoid a duplicate message';
+        await SMSCampaign.updateOne(
+            { _id: campaign._id },
+            { $set: { 'recipients.$[recipient].status': 'failed', 'recipients.$[recipient].error': error } },
+            { arrayFilters: [{ 'recipient._id': { $in: stale.map(r => r._id) }, 'recipient.status': 'sending' }] }
+        );
+        stale.forEach(recipient => {
+            recipient.status = 'failed';
+            recipient.error = error;
+        });
+        console.log(`⚠️  SMS campaign "${campaign.name}": ${stale.length} interrupted send(s) marked failed`);
+    }
+
+    /**
+     * Render and send the campaign message to one recipient
+     * @returns {Promise<{status: string, communicationId: Object, error: string}>}
+     */
+    async sendToRecipient(campaign, template, recipient, smsService) {
+        try {
+            if (await smsConsentService.isOptedOut(recipient.phone)) {
+                return { status: 'skipped', error: 'Opted out' };
+            }
+
+            const lead = await getLeadModel().findById(recipient.lead).select(LEAD_FIELDS);
+            if (!lead) {
+                return { status: 'skipped', error: 'Lead deleted' };
+            }
+
+            const generated = template.generateSMS(lead.toObject());
+            if (!generated.success || !generated.content.trim()) {
+                return { status: 'failed', error: generated.error || 'Template rendered an empty message' };
+            }
+
+            // Required lazily - smsTemplateService loads the shared Lead model
+            const smsTemplateService = require('./smsTemplateService');
+            const result = await smsService.sendSMSToCustomer(lead._id, generated.content, {
+                phoneNumber: recipient.phone,
+                template: { id: String(template._id), name: template.name, version: template.version },
+                campaign: { id: String(campaign._id), name: campaign.name, type: 'sms' },
+                abTest: smsTemplateService.buildAbTest(template, generated.variant, lead)
+            });
+
+            return {
+                status: result.success ? 'sent' : 'failed',
+                communicationId: result.communicationId,
+                error: result.success ? undefined : result.error
+            };
+        } catch (error) {
+            return { status: 'failed', error: error.message };
+        }
+    }
+
+    /**
+     * Delivery, reply and opt-out stats for a campaign
+     */
+    async getStats(campaign) {
+        const count = (status) => campaign.recipients.filter(r => r.status === status).length;
+        const sentRecipients = campaign.recipients.filter(r => r.status === 'sent');
+
+        const stats = {
+            recipients: campaign.recipients.length,
+            // In-flight sends are still pending until their outcome is recorded
+            pending: count('pending') + count('sending'),
+            sent: sentRecipients.length,
+            failed: count('failed'),
+            skipped: count('skipped'),
+            delivered: 0,
+            replied: 0,
+            optedOut: 0
+        };
+
+        if (!campaign.startedAt || sentRecipients.length === 0) {
+            return { ...stats, deliveryRate: 0, replyRate: 0, optOutRate: 0 };
+        }
+
+        const [delivered, inbound, optedOut] = await Promise.all([
+            Communication.countDocuments({ 'campaign.id': String(campaign._id), status: 'delivered' }),
+            Communication.find({
+                type: 'sms',
+                direction: 'inbound',
+                customer: { $in: sentRecipients.map(r => r.lead) },
+                sentDate: { $gte: campaign.startedAt }
+            }).select('customer sentDate').lean(),
+            SMSConsent.countDocuments({
+                phone: { $in: sentRecipients.map(r => r.phone) },
+                status: 'opted_out',
+                lastChangedAt: { $gte: campaign.startedAt }
+            })
+        ]);
+
+        // A recipient replied if they texted back after their campaign message
+        const repliedLeads = new Set();
+        const sentAtByLead = new Map(sentRecipients.map(r => [String(r.lead), r.sentAt]));
+        for (const message of inbound) {
+            const sentAt = sentAtByLead.get(String(message.customer));
+            if (sentAt && message.sentDate >= sentAt) repliedLeads.add(String(message.customer));
+        }
+
+        stats.delivered = delivered;
+        stats.replied = repliedLeads.size;
+        stats.optedOut = optedOut;
+
+        return {
+            ...stats,
+            deliveryRate: percent(stats.delivered, stats.sent),
+            replyRate: percent(stats.replied, stats.sent),
+            optOutRate: percent(stats.optedOut, stats.sent)
+        };
+    }
+
+    emit(event, campaign) {
+        if (this.io) {
+            this.io.emit(event, {
+                campaignId: campaign._id,
+                name: campaign.name,
+                status: campaign.status,
+                recipients: campaign.recipients?.length,
+                pending: campaign.recipients?.filter(r => ['pending', 'sending'].includes(r.status)).length
+            });
+        }
+    }
+
+    /**
+     * Get service status
+     */
+    getStatus() {
+        return {
+            active: !!this.interval,
+            checkIntervalSeconds: this.checkIntervalSeconds,
+            sendsPerMinute: this.sendsPerMinute,
+            lastRun: this.lastRun
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new SMSCampaignService();
@@ -0,0 +1,194 @@
+/**
+ * SMS Consent Service
+ * Registry of SMS opt-outs and opt-ins keyed by E.164 phone number.
+ *
+ * Inbound texts that consist of a carrier keyword (STOP, START, HELP...)
+ * update the registry and get a confirmation reply. Opt-in keywords only
+ * count from numbers that are opted out - otherwise they're ordinary replies. Every outbound sender
+ * checks isOptedOut() first, so an opted-out number is never texted.
+ */
+
+const SMSConsent = require('../models/SMSConsent');
+const { normalizePhoneNumber } = require('../utils/phoneUtils');
+
+// Standard carrier keywords - the whole message must match
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'REVOKE'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP', 'SUBSCRIBE'];
+const HELP_KEYWORDS = ['HELP', 'INFO'];
+
+const REPLIES = {
+    opt_out: 'TownRanker: You have been unsubscribed and will receive no further messages. Reply START to resubscribe.',
+    opt_in: 'TownRanker: You have been resubscribed to messages. Msg & data rates may apply. Reply STOP to unsubscribe.',
+    help: 'TownRanker: For help email hello@townranker.com or visit townranker.com. Msg & data rates may apply. Reply STOP to unsubscribe.'
+};
+
+class SMSConsentService {
+    constructor() {
+        this.io = null;
+    }
+
+    /**
+     * Set Socket.io instance for real-time updates
+     */
+    setSocketIO(io) {
+        this.io = io;
+    }
+
+    /**
+     * Recognise a consent keyword. Case and surrounding punctuation are ignored.
+     * @param {string} text - Inbound message text
+     * @returns {Object|null} - { action: 'opt_out'|'opt_in'|'help', keyword } or null
+     */
+    parseKeyword(text) {
+        const keyword = (text || '').trim().toUpperCase().replace(/[^A-Z]/g, '');
+        if (!keyword) return null;
+
+        if (OPT_OUT_KEYWORDS.includes(keyword)) return { action: 'opt_out', keyword };
+        if (OPT_IN_KEYWORDS.includes(keyword)) return { action: 'opt_in', keyword };
+        if (HELP_KEYWORDS.includes(keyword)) return { action: 'help', keyword };
+        return null;
+    }
+
+    /**
+     * Consent record for a phone number, if any
+     */
+    async getConsent(phone) {
+        const normalized = normalizePhoneNumber(phone);
+        if (!normalized) return null;
+        return SMSConsent.findOne({ phone: normalized });
+    }
+
+    /**
+     * Whether a number has opted out of SMS
+     * @param {string} phone - Phone number in any format
+     * @returns {Promise<boolean>}
+     */
+    async isOptedOut(phone) {
+        const normalized = normalizePhoneNumber(phone);
+        if (!normalized) return false;
+        return !!await SMSConsent.exists({ phone: normalized, status: 'opted_out' });
+    }
+
+    /**
+     * Record a consent change
+     * @param {string} phone - Phone number in any format
+     * @param {string} status - opted_in or opted_out
+     * @param {Object} details - { source, keyword, message, changedBy, lead, customer }
+     * @returns {Promise<Object>} - Updated SMSConsent document
+     */
+    async setConsent(phone, status, details = {}) {
+        const normalized = normalizePhoneNumber(phone);
+        if (!normalized) {
+            throw new Error('Invalid phone number');
+        }
+        if (!['opted_in', 'opted_out'].includes(status)) {
+            throw new Error('Status must be opted_in or opted_out');
+        }
+
+        const source = details.source || 'admin';
+        const now = new Date();
+
+        const update = {
+            $set: {
+                status,
+                source,
+                keyword: details.keyword,
+                lastChangedAt: now
+            },
+            $push: {
+                history: {
+                    status,
+                    source,
+                    keyword: details.keyword,
+                    message: details.message,
+                    changedBy: details.changedBy,
+                    at: now
+                }
+            }
+        };
+        if (details.lead) update.$set.lead = details.lead;
+        if (details.customer) update.$set.customer = details.customer;
+
+        const consent = await SMSConsent.findOneAndUpdate(
+            { phone: normalized },
+            update,
+            { new: true, upsert: true, runValidators: true }
+        );
+
+        console.log(`📵 SMS consent for ${normalized}: ${status} (${source}${details.keyword ? ` "${details.keyword}"` : ''})`);
+
+        if (this.io) {
+            this.io.emit('sms_consent_changed', {
+                phone: normalized,
+                status,
+                source,
+                keyword: details.keyword,
+                leadId: consent.lead,
+                customerId: consent.customer
+            });
+        }
+
+        return consent;
+    }
+
+    /**
+     * Apply a keyword from an inbound text and send the confirmation reply
+     * @param {string} phone - Sender's phone number
+     * @param {string} text - Message text
+     * @param {Object} contact - { lead, customer } ids the number belongs to
+     * @returns {Promise<Object|null>} - { action, keyword, status, replied } or null if not a keyword
+     */
+    async handleInboundMessage(phone, text, contact = {}) {
+        const parsed = this.parseKeyword(text);
+        if (!parsed) return null;
+
+        try {
+            // "Start" from a subscribed number is a reply, not a resubscribe
+            if (parsed.action === 'opt_in' && !await this.isOptedOut(phone)) return null;
+
+            let consent = null;
+            if (parsed.action !== 'help') {
+                consent = await this.setConsent(phone, parsed.action === 'opt_out' ? 'opted_out' : 'opted_in', {
+                    source: 'keyword',
+                    keyword: parsed.keyword,
+                    message: text,
+                    changedBy: 'contact',
+                    lead: contact.lead,
+                    customer: contact.customer
+                });
+            }
+
+            const messageId = await this.sendConfirmation(phone, REPLIES[parsed.action]);
+            if (consent && messageId) {
+                await SMSConsent.updateOne(
+                    { _id: consent._id, 'history._id': consent.history[consent.history.length - 1]._id },
+                    { $set: { 'history.$.confirmationMessageId': messageId } }
+                );
+            }
+
+            return { ...parsed, status: consent?.status, replied: !!messageId };
+        } catch (error) {
+            console.error(`❌ Error handling SMS keyword "${parsed.keyword}" from ${phone}:`, error.message);
+            return { ...parsed, error: error.message };
+        }
+    }
+
+    /**
+     * Send a keyword confirmation. Opt-out confirmations must reach numbers
+     * that are now opted out, so the consent check is bypassed.
+     * @returns {Promise<string|null>} - OpenPhone message id
+     */
+    async sendConfirmation(phone, text) {
+        // Required lazily - smsService loads the shared Lead model
+        const smsService = require('./smsService');
+        const result = await smsService.sendSMS(phone, text, { bypassConsent: true });
+        if (!result.success) {
+            console.error(`❌ SMS consent confirmation to ${phone} failed:`, result.error);
+            return null;
+        }
+        return result.messageId;
+    }
+}
+
+// Export singleton instance
+module.exports = new SMSConsentService();
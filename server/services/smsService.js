@@ -5,22 +5,25 @@ const Communication = require('../models/Communication');
 const Customer = require('../models/Customer');
 const Lead = require('../models/Lead');
 const { normalizePhoneNumber, validatePhoneNumber, getDbPhoneNumber } = require('../utils/phoneUtils');
+const smsConsentService = require('./smsConsentService');
 
 // Rate limiting cache (SMS per phone number per hour)
 const rateLimitCache = new NodeCache({ stdTTL: 3600 }); // 1 hour TTL
 const MAX_SMS_PER_HOUR_PER_NUMBER = 10;
 const MAX_SMS_PER_HOUR_TOTAL = 100;
 
-// Retry cache for failed messages
-const retryCache = new NodeCache({ stdTTL: 86400 }); // 24 hours TTL
+// Retries for failed messages - state is stored on the Communication
 const MAX_RETRY_ATTEMPTS = 3;
 const RETRY_DELAYS = [30000, 300000, 1800000]; // 30s, 5m, 30m
+const RETRY_BATCH_SIZE = 50;
 
 class SMSService {
     constructor() {
         this.openphoneApiUrl = process.env.OPENPHONE_API_URL || 'https://api.openphone.com/v1';
         this.openphoneApiKey = process.env.OPENPHONE_API_KEY;
         this.openphoneNumber = process.env.OPENPHONE_PHONE_NUMBER;
+        this.retryInterval = null;
+        this.retryRunning = false;
         
         if (!this.openphoneApiKey || !this.openphoneNumber) {
             console.error('❌ SMS Service: Missing OpenPhone configuration');
@@ -110,6 +113,11 @@ class SMSService {
 
             const normalizedPhone = phoneValidation.normalized;
 
+            // Never text a number that opted out (keyword confirmations pass bypassConsent)
+            if (!options.bypassConsent && await smsConsentService.isOptedOut(normalizedPhone)) {
+                throw Object.assign(new Error('Recipient has opted out of SMS'), { code: 'OPTED_OUT' });
+            }
+
             // Check rate limits
             const rateLimitCheck = this.checkRateLimit(normalizedPhone);
             if (!rateLimitCheck.allowed) {
@@ -181,7 +189,8 @@ class SMSService {
                 status: 'failed',
                 timestamp: new Date(),
                 processingTime: Date.now() - startTime,
-                retryable: isRetryable
+                retryable: isRetryable,
+                optedOut: error.code === 'OPTED_OUT'
             };
         }
     }
@@ -234,7 +243,10 @@ class SMSService {
                     code: smsResult.errorCode,
                     date: new Date()
                 },
-                // Template metadata if provided
+                // Template and campaign metadata if provided
+                template: options.template,
+                campaign: options.campaign,
+                abTest: options.abTest,
                 templateUsed: options.templateUsed || null,
                 isTemplateSegment: options.isSegment || false,
                 segmentInfo: options.isSegment ? {
@@ -252,11 +264,14 @@ class SMSService {
                     customer.communications.push(communication._id);
                 }
                 await customer.save();
+
+                // Count the send toward the template's usage and A/B test
+                await require('./smsTemplateService').recordTemplateSend(options.template?.id, options.abTest);
             }
 
-            // Schedule retry if failed and retryable
-            if (!smsResult.success && smsResult.retryable) {
-                await this.scheduleRetry(customerId, message, options, communication._id);
+            // Queue a retry, or record a permanent failure
+            if (!smsResult.success) {
+                await this.scheduleRetry(communication, smsResult.retryable);
             }
 
             return {
@@ -365,6 +380,14 @@ class SMSService {
             }
             await lead.save();
 
+            // STOP/START/HELP keywords update the consent registry
+            const consent = await smsConsentService.handleInboundMessage(from, text, { lead: lead._id });
+
+            // Any other reply converts the lead's latest A/B tested template send
+            if (!consent) {
+                await require('./smsTemplateService').recordConversion(lead._id, 'reply');
+            }
+
             console.log(`📱 Processed incoming SMS from ${lead.name}: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
 
             return {
@@ -372,7 +395,8 @@ class SMSService {
                 leadId: lead._id,
                 leadName: lead.name,
                 communicationId: communication._id,
-                messagePreview: text.substring(0, 100)
+                messagePreview: text.substring(0, 100),
+                consent
             };
 
         } catch (error) {
@@ -388,7 +412,7 @@ class SMSService {
      */
     isRetryableError(error) {
         const retryableCodes = ['TIMEOUT', 'ECONNRESET', 'ENOTFOUND', 'ECONNREFUSED'];
-        const retryableMessages = ['timeout', 'network', 'connection', 'temporary'];
+        const retryableMessages = ['timeout', 'network', 'connection', 'temporary', 'rate limit'];
         
         if (retryableCodes.includes(error.code)) return true;
         
@@ -397,47 +421,148 @@ class SMSService {
     }
 
     /**
-     * Schedule retry for failed SMS
-     * @param {string} customerId - Customer ID
-     * @param {string} message - Message content
-     * @param {Object} options - Send options
-     * @param {string} communicationId - Original communication ID
+     * Queue a failed SMS for another attempt, or mark it permanently failed.
+     * Retry state lives on the Communication so pending retries survive restarts.
+     * @param {Object} communication - Failed outbound SMS Communication
+     * @param {boolean} retryable - Whether the last error is worth retrying
+     * @returns {Promise<Date|null>} - Time of the next attempt, or null if given up
      */
-    async scheduleRetry(customerId, message, options, communicationId) {
-        const retryKey = `retry_${communicationId}`;
-        const existingRetry = retryCache.get(retryKey) || { attempts: 0 };
-        
-        if (existingRetry.attempts >= MAX_RETRY_ATTEMPTS) {
-            console.log(`📱 Max retry attempts reached for communication: ${communicationId}`);
-            return;
+    async scheduleRetry(communication, retryable = true) {
+        const attempts = communication.retry?.attempts || 0;
+
+        if (!retryable || attempts >= MAX_RETRY_ATTEMPTS) {
+            communication.set('retry.nextAttemptAt', undefined);
+            communication.set('retry.permanentlyFailedAt', new Date());
+            await communication.save();
+            await require('./smsTemplateService').recordTemplateSend(communication.template?.id, communication.abTest, false);
+            console.log(`📱 SMS ${communication._id} permanently failed after ${attempts} retr${attempts === 1 ? 'y' : 'ies'}${retryable ? '' : ' (not retryable)'}`);
+            return null;
         }
 
-        const delay = RETRY_DELAYS[existingRetry.attempts] || RETRY_DELAYS[RETRY_DELAYS.length - 1];
-        
-        setTimeout(async () => {
-            try {
-                console.log(`📱 Retrying SMS send (attempt ${existingRetry.attempts + 1})`);
-                const result = await this.sendSMSToCustomer(customerId, message, {
-                    ...options,
-                    isRetry: true,
-                    originalCommunicationId: communicationId
-                });
-
-                if (result.success) {
-                    retryCache.del(retryKey);
-                    console.log(`✅ SMS retry successful: ${result.messageId}`);
-                } else {
-                    // Schedule next retry
-                    retryCache.set(retryKey, { attempts: existingRetry.attempts + 1 });
-                    await this.scheduleRetry(customerId, message, options, communicationId);
-                }
-            } catch (error) {
-                console.error('SMS retry failed:', error);
-                retryCache.set(retryKey, { attempts: existingRetry.attempts + 1 });
+        const delay = RETRY_DELAYS[attempts] || RETRY_DELAYS[RETRY_DELAYS.length - 1];
+        const nextAttemptAt = new Date(Date.now() + delay);
+
+        communication.set('retry.nextAttemptAt', nextAttemptAt);
+        await communication.save();
+
+        console.log(`📱 SMS retry scheduled in ${delay / 1000}s (attempt ${attempts + 1}/${MAX_RETRY_ATTEMPTS})`);
+        return nextAttemptAt;
+    }
+
+    /**
+     * Start the worker that sends due retries. Retries pending before a
+     * restart are picked up on the first run.
+     */
+    async startRetryWorker() {
+        if (this.retryInterval) return;
+
+        // A retry in flight when the server stopped may have been delivered -
+        // record it as failed rather than risk a duplicate text
+        try {
+            const interrupted = await Communication.updateMany(
+                { type: 'sms', status: 'sending', 'retry.lastAttemptAt': { $exists: true } },
+                { $set: { status: 'failed', 'retry.permanentlyFailedAt': new Date(), error: { message: 'Retry interrupted by server restart', date: new Date() } } }
+            );
+            if (interrupted.modifiedCount) {
+                console.log(`⚠️  Marked ${interrupted.modifiedCount} interrupted SMS retr${interrupted.modifiedCount === 1 ? 'y' : 'ies'} as failed`);
             }
-        }, delay);
+        } catch (error) {
+            console.error('❌ Error recovering interrupted SMS retries:', error.message);
+        }
+
+        const checkSeconds = parseInt(process.env.SMS_RETRY_CHECK_SECONDS, 10) || 30;
+        this.processRetries();
+        this.retryInterval = setInterval(() => this.processRetries(), checkSeconds * 1000);
 
-        console.log(`📱 SMS retry scheduled in ${delay / 1000}s (attempt ${existingRetry.attempts + 1}/${MAX_RETRY_ATTEMPTS})`);
+        console.log(`✅ SMS retry worker started (every ${checkSeconds}s)`);
+    }
+
+    /**
+     * Stop the retry worker
+     */
+    stopRetryWorker() {
+        if (this.retryInterval) {
+            clearInterval(this.retryInterval);
+            this.retryInterval = null;
+            console.log('⏹️  SMS retry worker stopped');
+        }
+    }
+
+    /**
+     * Resend every failed SMS whose next attempt is due
+     */
+    async processRetries() {
+        if (this.retryRunning) return;
+        this.retryRunning = true;
+
+        try {
+            const due = await Communication.find({
+                type: 'sms',
+                status: 'failed',
+                'retry.nextAttemptAt': { $lte: new Date() }
+            }).sort({ 'retry.nextAttemptAt': 1 }).limit(RETRY_BATCH_SIZE).select('_id');
+
+            for (const { _id } of due) {
+                // Claim the message so overlapping runs can't send it twice
+                const communication = await Communication.findOneAndUpdate(
+                    { _id, status: 'failed', 'retry.nextAttemptAt': { $lte: new Date() } },
+                    {
+                        $set: { status: 'sending', 'retry.lastAttemptAt': new Date() },
+                        $unset: { 'retry.nextAttemptAt': 1 },
+                        $inc: { 'retry.attempts': 1 }
+                    },
+                    { new: true }
+                );
+                if (!communication) continue;
+
+                await this.retrySend(communication);
+            }
+        } catch (error) {
+            console.error('❌ Error processing SMS retries:', error.message);
+        } finally {
+            this.retryRunning = false;
+        }
+    }
+
+    /**
+     * Send a claimed retry and record the outcome on the original Communication
+     * @returns {Promise<boolean>} - Whether the retry was delivered
+     */
+    async retrySend(communication) {
+        console.log(`📱 Retrying SMS ${communication._id} (attempt ${communication.retry.attempts}/${MAX_RETRY_ATTEMPTS})`);
+        const result = await this.sendSMS(communication.phoneNumber, communication.body);
+
+        if (result.success) {
+            communication.status = 'sent';
+            communication.sentDate = new Date();
+            communication.openphoneMessageId = result.messageId;
+            communication.error = undefined;
+            await communication.save();
+            console.log(`✅ SMS retry successful: ${result.messageId}`);
+            // Count the delivered retry toward the template's usage and A/B test
+            await require('./smsTemplateService').recordTemplateSend(communication.template?.id, communication.abTest);
+            return true;
+        }
+
+        communication.status = 'failed';
+        communication.error = { message: result.error, code: result.errorCode, date: new Date() };
+        await this.scheduleRetry(communication, result.retryable);
+        return false;
+    }
+
+    /**
+     * Queue a permanently failed SMS for one more round of retries
+     * @returns {Promise<Object|null>} - The requeued Communication
+     */
+    async requeueFailed(communicationId) {
+        return Communication.findOneAndUpdate(
+            { _id: communicationId, type: 'sms', status: 'failed', 'retry.nextAttemptAt': { $exists: false } },
+            {
+                $set: { 'retry.attempts': 0, 'retry.nextAttemptAt': new Date() },
+                $unset: { 'retry.permanentlyFailedAt': 1 }
+            },
+            { new: true }
+        );
     }
 
     /**
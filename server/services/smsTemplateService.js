@@ -1,5 +1,31 @@
+const mongoose = require('mongoose');
 const SMSTemplate = require('../models/SMSTemplate');
 const Lead = require('../models/Lead');
+const Communication = require('../models/Communication');
+const pipelineService = require('./pipelineService');
+
+const HOUR_MS = 60 * 60 * 1000;
+// Smallest per-variant sample a significance result is reported for
+const MIN_SAMPLE_SIZE = 30;
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation)
+const normalCdf = (z) => {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Two-proportion z-test between a variant and the leader
+const compareProportions = (a, b) => {
+    const pooled = (a.conversions + b.conversions) / (a.sends + b.sends);
+    const se = Math.sqrt(pooled * (1 - pooled) * (1 / a.sends + 1 / b.sends));
+    if (!se) return { zScore: 0, pValue: 1 };
+
+    const zScore = ((a.conversions / a.sends) - (b.conversions / b.sends)) / se;
+    return { zScore: Math.round(zScore * 1000) / 1000, pValue: Math.round(2 * (1 - normalCdf(Math.abs(zScore))) * 10000) / 10000 };
+};
 
 class SMSTemplateService {
     constructor() {
@@ -134,6 +160,40 @@ class SMSTemplateService {
         ];
     }
 
+    /**
+     * Expand the standard merge tags in free text (canned responses) for a lead or customer.
+     * Tags that aren't standard are left as typed.
+     * @param {string} content - Text with {{tags}}
+     * @param {Object} contact - Lead or Customer (name, email, phone, company, ...)
+     * @returns {string}
+     */
+    expandMergeTags(content, contact = {}) {
+        const name = contact.name || [contact.firstName, contact.lastName].filter(Boolean).join(' ');
+        const values = {
+            '{{customerName}}': name,
+            '{{firstName}}': contact.firstName || name?.split(' ')[0],
+            '{{lastName}}': contact.lastName || name?.split(' ').slice(1).join(' '),
+            '{{companyName}}': contact.company,
+            '{{phone}}': contact.phone,
+            '{{email}}': contact.email,
+            '{{projectType}}': contact.projectType,
+            '{{budget}}': contact.budget ? `$${Number(contact.budget).toLocaleString()}` : undefined,
+            '{{timeline}}': contact.timeline,
+            '{{status}}': contact.status,
+            '{{source}}': contact.source,
+            '{{companyPhone}}': process.env.OPENPHONE_PHONE_NUMBER
+        };
+
+        // The first {{companyName}} (the contact's company) wins over TownRanker's
+        const seen = new Set();
+        return this.getStandardMergeTags().reduce((text, { tag, defaultValue }) => {
+            if (seen.has(tag)) return text;
+            seen.add(tag);
+            const value = String(values[tag] || defaultValue || '');
+            return text.split(tag).join(value);
+        }, content || '');
+    }
+
     /**
      * Find the best SMS template for a specific scenario
      */
@@ -167,15 +227,9 @@ class SMSTemplateService {
                 throw new Error('Template not found or inactive');
             }
             
-            // Generate SMS content
-            const result = template.generateSMS(leadData);
-            
-            if (result.success) {
-                // Increment usage
-                await template.incrementUsage(true);
-            }
-            
-            return result;
+            // Generate SMS content (picks an A/B variant when testing is enabled).
+            // Rendering isn't a send - sends are counted by recordTemplateSend once delivered
+            return template.generateSMS(leadData);
             
         } catch (error) {
             console.error('❌ Error generating SMS from template:', error);
@@ -424,7 +478,7 @@ class SMSTemplateService {
     /**
      * Preview SMS template with sample data
      */
-    async previewTemplate(templateId, sampleData = {}) {
+    async previewTemplate(templateId, sampleData = {}, variantId = null) {
         try {
             const template = await SMSTemplate.findById(templateId);
             
@@ -448,8 +502,8 @@ class SMSTemplateService {
                 ...sampleData
             };
             
-            // Generate preview
-            const result = template.generateSMS(previewData);
+            // Generate preview - the base content unless a variant is asked for
+            const result = template.generateSMS(previewData, { variantId, useVariants: false });
             
             return {
                 success: true,
@@ -498,6 +552,7 @@ class SMSTemplateService {
                     variants: template.variants.map(v => ({
                         name: v.name,
                         usageCount: v.usageCount,
+                        conversions: v.conversions,
                         conversionRate: v.conversionRate
                     }))
                 }
@@ -511,6 +566,215 @@ class SMSTemplateService {
             };
         }
     }
+
+    /**
+     * A/B assignment to store on the Communication for a variant send
+     * @param {Object} template - SMSTemplate the message was rendered from
+     * @param {Object} variant - { id, name } from generateSMS, or null
+     * @param {Object} lead - Recipient (its status is the baseline for a status advance)
+     */
+    buildAbTest(template, variant, lead = {}) {
+        if (!variant) return undefined;
+
+        return {
+            template: template._id,
+            variant: variant.id,
+            variantName: variant.name,
+            leadStatus: lead.status,
+            windowHours: template.abTesting?.conversionWindowHours || 72
+        };
+    }
+
+    /**
+     * Template and A/B assignment for an admin sending a message generated by
+     * POST /api/sms-templates/generate/:leadId
+     * @param {string} templateId - Template the message was generated from
+     * @param {string} variantId - Variant returned by the generate endpoint, if any
+     * @param {Object} contact - Recipient lead or customer
+     * @returns {Promise<Object>} - { template, abTest } for the Communication
+     */
+    async resolveTemplateSend(templateId, variantId, contact = {}) {
+        const template = mongoose.isValidObjectId(templateId) ? await SMSTemplate.findById(templateId) : null;
+        if (!template) {
+            throw new Error('Template not found');
+        }
+
+        const variant = variantId ? template.variants.id(variantId) : null;
+        if (variantId && !variant) {
+            throw new Error('Variant not found on this template');
+        }
+
+        return {
+            template: { id: String(template._id), name: template.name, version: template.version },
+            abTest: this.buildAbTest(template, variant && { id: variant._id, name: variant.name }, contact)
+        };
+    }
+
+    /**
+     * Count a send of a template, and of its A/B variant once delivered
+     * @param {string} templateId - Communication.template.id (falls back to the abTest template)
+     * @param {Object} abTest - Communication.abTest, if a variant was sent
+     * @param {boolean} wasSuccessful - false for a send that permanently failed
+     */
+    async recordTemplateSend(templateId, abTest, wasSuccessful = true) {
+        const id = templateId || abTest?.template;
+        if (!id) return;
+
+        try {
+            await SMSTemplate.recordUsage(id, wasSuccessful);
+            if (wasSuccessful && abTest?.variant) {
+                await this.updateVariantStats(abTest.template, abTest.variant, { usageCount: 1 });
+            }
+        } catch (error) {
+            console.error('❌ Error recording SMS template send:', error.message);
+        }
+    }
+
+    /**
+     * Attribute a conversion to the most recent variant send to a lead that is
+     * still inside its conversion window
+     * @param {string} leadId - Lead (or Customer) id the messages were sent to
+     * @param {string} conversion - 'reply' or 'status_advance'
+     * @param {string} status - Current lead status (status_advance only)
+     * @returns {Promise<Object|null>} - Converted Communication, if any
+     */
+    async recordConversion(leadId, conversion, status = null) {
+        try {
+            const now = Date.now();
+            const sends = await Communication.find({
+                customer: leadId,
+                direction: 'outbound',
+                status: { $in: ['sent', 'delivered'] },
+                'abTest.variant': { $exists: true },
+                'abTest.convertedAt': { $exists: false }
+            }).sort({ sentDate: -1 }).limit(20).select('abTest sentDate');
+
+            // Pipeline order decides whether a lead advanced (lost stages never count)
+            const stageOrder = conversion === 'status_advance' ? await pipelineService.getStageOrder() : [];
+
+            const send = sends.find(comm => {
+                const { windowHours, leadStatus } = comm.abTest;
+                if (!comm.sentDate || comm.sentDate.getTime() + (windowHours || 72) * HOUR_MS < now) return false;
+                if (conversion !== 'status_advance') return true;
+
+                const before = stageOrder.indexOf(leadStatus);
+                return before >= 0 && stageOrder.indexOf(status) > before;
+            });
+            if (!send) return null;
+
+            // Claim the send so concurrent events can't count it twice
+            const claimed = await Communication.findOneAndUpdate(
+                { _id: send._id, 'abTest.convertedAt': { $exists: false } },
+                { $set: { 'abTest.convertedAt': new Date(), 'abTest.conversion': conversion } },
+                { new: true }
+            );
+            if (!claimed) return null;
+
+            await this.updateVariantStats(claimed.abTest.template, claimed.abTest.variant, { conversions: 1 });
+            console.log(`🧪 SMS variant "${claimed.abTest.variantName}" converted (${conversion}) for ${leadId}`);
+            return claimed;
+        } catch (error) {
+            console.error('❌ Error recording SMS variant conversion:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Increment a variant's counters and refresh its conversion rate
+     */
+    async updateVariantStats(templateId, variantId, increments) {
+        const $inc = {};
+        Object.entries(increments).forEach(([field, amount]) => {
+            $inc[`variants.$.${field}`] = amount;
+        });
+
+        const template = await SMSTemplate.findOneAndUpdate(
+            { _id: templateId, 'variants._id': variantId },
+            { $inc },
+            { new: true }
+        );
+        const variant = template?.variants.id(variantId);
+        if (!variant) return;
+
+        await SMSTemplate.updateOne(
+            { _id: templateId, 'variants._id': variantId },
+            { $set: { 'variants.$.conversionRate': variant.usageCount ? Math.round((variant.conversions / variant.usageCount) * 1000) / 10 : 0 } }
+        );
+    }
+
+    /**
+     * Per-variant results, each compared with the best-converting variant
+     */
+    async getVariantStats(templateId) {
+        try {
+            const template = await SMSTemplate.findById(templateId);
+            if (!template) {
+                throw new Error('Template not found');
+            }
+
+            // Conversion breakdown by type from the recorded assignments
+            const breakdown = await Communication.aggregate([
+                { $match: { 'abTest.template': template._id, 'abTest.convertedAt': { $exists: true } } },
+                { $group: { _id: { variant: '$abTest.variant', conversion: '$abTest.conversion' }, count: { $sum: 1 } } }
+            ]);
+            const conversionsOf = (variantId, type) => breakdown.find(b =>
+                String(b._id.variant) === String(variantId) && b._id.conversion === type
+            )?.count || 0;
+
+            const variants = template.variants.map(v => ({
+                id: v._id,
+                name: v.name,
+                isActive: v.isActive,
+                weight: v.weight,
+                sends: v.usageCount,
+                conversions: v.conversions,
+                conversionRate: v.usageCount ? Math.round((v.conversions / v.usageCount) * 1000) / 10 : 0,
+                replies: conversionsOf(v._id, 'reply'),
+                statusAdvances: conversionsOf(v._id, 'status_advance')
+            }));
+
+            const tested = variants.filter(v => v.sends > 0);
+            const leader = tested.reduce((best, v) => (!best || v.conversions / v.sends > best.conversions / best.sends ? v : best), null);
+
+            variants.forEach(variant => {
+                if (!leader || variant === leader || !variant.sends) return;
+
+                const { zScore, pValue } = compareProportions(leader, variant);
+                const enoughData = leader.sends >= MIN_SAMPLE_SIZE && variant.sends >= MIN_SAMPLE_SIZE;
+                variant.comparison = {
+                    against: leader.name,
+                    zScore,
+                    pValue,
+                    confidence: Math.round((1 - pValue) * 1000) / 10,
+                    enoughData,
+                    significant: enoughData && pValue < SIGNIFICANCE_LEVEL
+                };
+            });
+
+            return {
+                success: true,
+                template: {
+                    id: template._id,
+                    name: template.name,
+                    abTesting: template.abTesting
+                },
+                leader: leader ? leader.name : null,
+                // The leader is a clear winner once it beats every other tested variant
+                winner: leader && tested.length > 1 && variants.every(v => v === leader || !v.sends || v.comparison.significant)
+                    ? leader.name
+                    : null,
+                minSampleSize: MIN_SAMPLE_SIZE,
+                significanceLevel: SIGNIFICANCE_LEVEL,
+                variants
+            };
+        } catch (error) {
+            console.error('❌ Error getting variant stats:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
 }
 
 module.exports = new SMSTemplateService();
\ No newline at end of file
@@ -1,10 +1,19 @@
 /**
  * Visitor Tracking Service for TownRanker
- * Sends ultra-detailed visitor data to Slack
+ * Stores each page view in the VisitorSession collection and sends
+ * ultra-detailed visitor data to Slack
  */
 
-// Store visitor data for daily summaries
-let dailyVisitors = [];
+const VisitorSession = require('../models/VisitorSession');
+const visitorAnalyticsService = require('./visitorAnalyticsService');
+const visitorJourneyService = require('./visitorJourneyService');
+
+// Page views kept per session (the count keeps going)
+const MAX_PAGE_VIEWS = 200;
+
+const SEARCH_HOSTS = /google|bing|yahoo|duckduckgo|baidu|yandex/;
+const SOCIAL_HOSTS = /facebook|fb\.com|twitter|^t\.co$|linkedin|instagram|pinterest|reddit|tiktok|youtube/;
+const EMAIL_HOSTS = /gmail|outlook|mail\./;
 
 /**
  * Calculate engagement score from visitor behavior
@@ -105,6 +114,120 @@ function getTrafficSource(referrer) {
   }
 }
 
+/**
+ * Traffic source name without the emoji, e.g. "Google Search" or "example.com"
+ */
+function getTrafficSourceName(referrer) {
+  return getTrafficSource(referrer).replace(/^\S+\s+/, '');
+}
+
+/**
+ * Broad source category for analytics
+ */
+function getSourceCategory(referrer, utm) {
+  if (utm && (utm.source || utm.campaign)) return 'campaign';
+  if (!referrer) return 'direct';
+
+  try {
+    const hostname = new URL(referrer).hostname.toLowerCase();
+    if (hostname.includes('townranker')) return 'direct';
+    if (SEARCH_HOSTS.test(hostname)) return 'search';
+    if (SOCIAL_HOSTS.test(hostname)) return 'social';
+    if (EMAIL_HOSTS.test(hostname)) return 'email';
+    return 'referral';
+  } catch (e) {
+    return 'referral';
+  }
+}
+
+/**
+ * Device type from user agent
+ */
+function getDeviceType(userAgent) {
+  if (!userAgent) return 'desktop';
+  if (/iPad|Tablet/i.test(userAgent)) return 'tablet';
+  if (/Mobi|Android|iPhone/i.test(userAgent)) return 'mobile';
+  return 'desktop';
+}
+
+/**
+ * Store a page view on its visitor session (created on the first page view)
+ */
+async function recordVisitorSession(visitor) {
+  if (!visitor.sessionId) return null;
+
+  const now = new Date();
+  const engagementScore = calculateEngagementScore(visitor.behavior);
+  const utm = visitor.utm && Object.values(visitor.utm).some(Boolean) ? visitor.utm : undefined;
+
+  const update = {
+    $setOnInsert: {
+      firstSeenAt: now,
+      visitorId: typeof visitor.visitorId === 'string' ? visitor.visitorId.slice(0, 100) : undefined,
+      landingPage: visitor.page,
+      referrer: visitor.referrer,
+      trafficSource: getTrafficSourceName(visitor.referrer),
+      sourceCategory: getSourceCategory(visitor.referrer, utm),
+      utm,
+      userAgent: visitor.userAgent,
+      os: getOSInfo(visitor.userAgent),
+      deviceType: getDeviceType(visitor.userAgent),
+      language: visitor.language,
+      timezone: visitor.timezone,
+      screen: visitor.screen ? { width: visitor.screen.width, height: visitor.screen.height } : undefined
+    },
+    $set: {
+      lastSeenAt: now,
+      exitPage: visitor.page,
+      ...(visitor.ip ? { ip: visitor.ip } : {}),
+      ...(visitor.location ? { location: visitor.location } : {})
+    },
+    $max: { engagementScore }
+  };
+
+  // Exit pings only update behaviour; the page view was recorded on load
+  if (!visitor.isPageExit) {
+    update.$push = {
+      pageViews: {
+        $each: [{
+          page: visitor.page,
+          title: visitor.pageTitle,
+          viewedAt: now,
+          behavior: visitor.behavior,
+          engagementScore,
+          performance: visitor.performance ? {
+            pageLoad: visitor.performance.pageLoad,
+            domReady: visitor.performance.domReady
+          } : undefined
+        }],
+        $slice: -MAX_PAGE_VIEWS
+      }
+    };
+    update.$inc = { pageViewCount: 1 };
+  }
+
+  const upsert = () => VisitorSession.findOneAndUpdate(
+    { sessionId: visitor.sessionId },
+    update,
+    { upsert: true, new: true }
+  );
+
+  let session;
+  try {
+    session = await upsert();
+  } catch (error) {
+    // Two page views of a new session raced to create it
+    if (error.code !== 11000) throw error;
+    session = await upsert();
+  }
+
+  // A returning visitor who already became a lead
+  if (session.pageViewCount === 1) {
+    await visitorJourneyService.attachToKnownLead(session);
+  }
+  return session;
+}
+
 /**
  * Send visitor notification to Slack
  */
@@ -117,12 +240,6 @@ async function sendSlackVisitorNotification(visitor) {
   }
 
   try {
-    // Store for daily summary
-    dailyVisitors.push({
-      ...visitor,
-      timestamp: new Date()
-    });
-
     const engagementScore = calculateEngagementScore(visitor.behavior);
     const engagementLabel = getEngagementLabel(engagementScore);
     const os = getOSInfo(visitor.userAgent);
@@ -440,45 +557,26 @@ async function sendDailySummary() {
     return false;
   }
 
-  if (dailyVisitors.length === 0) {
-    console.log('📊 No visitors today - skipping daily summary');
-    return false;
-  }
-
   try {
-    // Calculate statistics
-    const totalVisitors = dailyVisitors.length;
-    const uniqueSessions = new Set(dailyVisitors.map(v => v.sessionId)).size;
-    const avgEngagement = Math.round(
-      dailyVisitors.reduce((sum, v) => sum + calculateEngagementScore(v.behavior), 0) / totalVisitors
-    );
-
-    // Calculate popular pages
-    const pageViews = {};
-    dailyVisitors.forEach(v => {
-      const page = v.page || 'Unknown';
-      pageViews[page] = (pageViews[page] || 0) + 1;
-    });
-    const topPages = Object.entries(pageViews)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 5);
-
-    // Calculate top locations
-    const locations = {};
-    dailyVisitors.forEach(v => {
-      if (v.location && v.location.city) {
-        const loc = `${v.location.city}, ${v.location.region || v.location.country || ''}`;
-        locations[loc] = (locations[loc] || 0) + 1;
-      }
-    });
-    const topLocations = Object.entries(locations)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 5);
+    // Statistics for the last 24 hours from stored sessions
+    const range = { from: new Date(Date.now() - 24 * 60 * 60 * 1000), to: new Date() };
+    const [summary, pages, locations] = await Promise.all([
+      visitorAnalyticsService.getSummary(range),
+      visitorAnalyticsService.getTopPages({ ...range, limit: 5 }),
+      visitorAnalyticsService.getTopLocations({ ...range, limit: 5 })
+    ]);
+
+    if (summary.pageViews === 0) {
+      console.log('📊 No visitors today - skipping daily summary');
+      return false;
+    }
 
-    // Calculate high engagement visitors
-    const highEngagement = dailyVisitors.filter(v =>
-      calculateEngagementScore(v.behavior) >= 75
-    ).length;
+    const totalVisitors = summary.pageViews;
+    const uniqueSessions = summary.sessions;
+    const avgEngagement = summary.avgEngagement;
+    const highEngagement = summary.highEngagement;
+    const topPages = pages.map(p => [p.page || 'Unknown', p.views]);
+    const topLocations = locations.map(l => [`${l.city}, ${l.region || l.country || ''}`, l.sessions]);
 
     // Build summary message
     const blocks = [
@@ -517,7 +615,7 @@ async function sendDailySummary() {
           },
           {
             type: 'mrkdwn',
-            text: `*High Engagement:*\n${highEngagement} visitors (${Math.round((highEngagement/totalVisitors)*100)}%)`
+            text: `*High Engagement:*\n${highEngagement} sessions (${uniqueSessions ? Math.round((highEngagement/uniqueSessions)*100) : 0}%)`
           }
         ]
       }
@@ -592,9 +690,6 @@ async function sendDailySummary() {
 
     console.log(`✅ Daily visitor summary sent to Slack: ${totalVisitors} visitors`);
 
-    // Reset daily visitors
-    dailyVisitors = [];
-
     return true;
 
   } catch (error) {
@@ -604,13 +699,20 @@ async function sendDailySummary() {
 }
 
 /**
- * Get daily visitor count
+ * Get page views in the last 24 hours
  */
-function getDailyVisitorCount() {
-  return dailyVisitors.length;
+async function getDailyVisitorCount() {
+  const summary = await visitorAnalyticsService.getSummary({
+    from: new Date(Date.now() - 24 * 60 * 60 * 1000),
+    to: new Date()
+  });
+  return summary.pageViews;
 }
 
 module.exports = {
+  recordVisitorSession,
+  getTrafficSourceName,
+  getSourceCategory,
   sendSlackVisitorNotification,
   sendDailySummary,
   getDailyVisitorCount
@@ -0,0 +1,232 @@
+/**
+ * Visitor Analytics Service
+ * First-party website analytics over the VisitorSession collection written by
+ * /api/track-visitor (see services/visitor-tracker.js).
+ *
+ * Every query takes a { from, to } date range; sessions are counted by when
+ * they started and page views by when they happened.
+ */
+
+const VisitorSession = require('../models/VisitorSession');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+const DEFAULT_TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'America/Phoenix';
+
+// Engagement score buckets, matching visitor-tracker's engagement labels
+const ENGAGEMENT_BUCKETS = [
+    { min: 0, max: 25, label: 'low' },
+    { min: 25, max: 50, label: 'medium' },
+    { min: 50, max: 75, label: 'high' },
+    { min: 75, max: 101, label: 'very_high' }
+];
+
+class VisitorAnalyticsService {
+    /**
+     * Date range from query parameters (defaults to the last 30 days)
+     * @param {Object} query - { from, to, days }
+     * @returns {{from: Date, to: Date}}
+     */
+    parseRange({ from, to, days } = {}) {
+        const end = to ? new Date(to) : new Date();
+        const start = from ? new Date(from) : new Date(end.getTime() - (parseInt(days) || DEFAULT_DAYS) * DAY_MS);
+
+        if (isNaN(start) || isNaN(end)) {
+            throw new Error('Invalid date range');
+        }
+        return { from: start, to: end };
+    }
+
+    /**
+     * Headline numbers for a range
+     */
+    async getSummary({ from, to }) {
+        const [sessions] = await VisitorSession.aggregate([
+            { $match: { firstSeenAt: { $gte: from, $lte: to } } },
+            {
+                $group: {
+                    _id: null,
+                    sessions: { $sum: 1 },
+                    avgEngagement: { $avg: '$engagementScore' },
+                    highEngagement: { $sum: { $cond: [{ $gte: ['$engagementScore', 75] }, 1, 0] } },
+                    bounces: { $sum: { $cond: [{ $lte: ['$pageViewCount', 1] }, 1, 0] } },
+                    avgPagesPerSession: { $avg: '$pageViewCount' }
+                }
+            }
+        ]);
+
+        const [views] = await VisitorSession.aggregate([
+            { $match: { 'pageViews.viewedAt': { $gte: from, $lte: to } } },
+            { $unwind: '$pageViews' },
+            { $match: { 'pageViews.viewedAt': { $gte: from, $lte: to } } },
+            { $group: { _id: null, pageViews: { $sum: 1 }, uniqueIps: { $addToSet: '$ip' } } }
+        ]);
+
+        const sessionCount = sessions?.sessions || 0;
+        return {
+            from,
+            to,
+            sessions: sessionCount,
+            pageViews: views?.pageViews || 0,
+            uniqueVisitors: views ? views.uniqueIps.filter(Boolean).length : 0,
+            avgEngagement: Math.round(sessions?.avgEngagement || 0),
+            highEngagement: sessions?.highEngagement || 0,
+            bounceRate: sessionCount ? Math.round((sessions.bounces / sessionCount) * 1000) / 10 : 0,
+            avgPagesPerSession: Math.round((sessions?.avgPagesPerSession || 0) * 10) / 10
+        };
+    }
+
+    /**
+     * Sessions and page views per day
+     * @returns {Promise<Array<{date: string, sessions: number, pageViews: number}>>}
+     */
+    async getVisitorsByDay({ from, to, timezone = DEFAULT_TIMEZONE }) {
+        const day = (field) => ({ $dateToString: { format: '%Y-%m-%d', date: field, timezone } });
+
+        const [sessions, views] = await Promise.all([
+            VisitorSession.aggregate([
+                { $match: { firstSeenAt: { $gte: from, $lte: to } } },
+                { $group: { _id: day('$firstSeenAt'), sessions: { $sum: 1 } } }
+            ]),
+            VisitorSession.aggregate([
+                { $match: { 'pageViews.viewedAt': { $gte: from, $lte: to } } },
+                { $unwind: '$pageViews' },
+                { $match: { 'pageViews.viewedAt': { $gte: from, $lte: to } } },
+                { $group: { _id: day('$pageViews.viewedAt'), pageViews: { $sum: 1 } } }
+            ])
+        ]);
+
+        const days = {};
+        sessions.forEach(s => { days[s._id] = { date: s._id, sessions: s.sessions, pageViews: 0 }; });
+        views.forEach(v => {
+            days[v._id] = days[v._id] || { date: v._id, sessions: 0, pageViews: 0 };
+            days[v._id].pageViews = v.pageViews;
+        });
+
+        return Object.values(days).sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Most viewed pages with average behaviour on each
+     */
+    async getTopPages({ from, to, limit = 10 }) {
+        const pages = await VisitorSession.aggregate([
+            { $match: { 'pageViews.viewedAt': { $gte: from, $lte: to } } },
+            { $unwind: '$pageViews' },
+            { $match: { 'pageViews.viewedAt': { $gte: from, $lte: to } } },
+            {
+                $group: {
+                    _id: '$pageViews.page',
+                    title: { $last: '$pageViews.title' },
+                    views: { $sum: 1 },
+                    sessions: { $addToSet: '$sessionId' },
+                    avgTimeOnPage: { $avg: '$pageViews.behavior.timeOnPage' },
+                    avgScrollDepth: { $avg: '$pageViews.behavior.maxScrollDepth' },
+                    avgEngagement: { $avg: '$pageViews.engagementScore' }
+                }
+            },
+            { $sort: { views: -1 } },
+            { $limit: parseInt(limit) || 10 }
+        ]);
+
+        return pages.map(p => ({
+            page: p._id,
+            title: p.title,
+            views: p.views,
+            sessions: p.sessions.length,
+            avgTimeOnPage: Math.round(p.avgTimeOnPage || 0),
+            avgScrollDepth: Math.round(p.avgScrollDepth || 0),
+            avgEngagement: Math.round(p.avgEngagement || 0)
+        }));
+    }
+
+    /**
+     * Sessions by traffic source, source category and UTM campaign
+     */
+    async getSources({ from, to, limit = 10 }) {
+        const match = { $match: { firstSeenAt: { $gte: from, $lte: to } } };
+        const summarize = (groupId) => [
+            match,
+            {
+                $group: {
+                    _id: groupId,
+                    sessions: { $sum: 1 },
+                    avgEngagement: { $avg: '$engagementScore' }
+                }
+            },
+            { $sort: { sessions: -1 } },
+            { $limit: parseInt(limit) || 10 }
+        ];
+        const shape = (rows, key) => rows.map(r => ({
+            [key]: r._id,
+            sessions: r.sessions,
+            avgEngagement: Math.round(r.avgEngagement || 0)
+        }));
+
+        const [categories, sources, campaigns] = await Promise.all([
+            VisitorSession.aggregate(summarize('$sourceCategory')),
+            VisitorSession.aggregate(summarize('$trafficSource')),
+            VisitorSession.aggregate([
+                { $match: { firstSeenAt: { $gte: from, $lte: to }, 'utm.campaign': { $ne: null } } },
+                ...summarize({ source: '$utm.source', medium: '$utm.medium', campaign: '$utm.campaign' }).slice(1)
+            ])
+        ]);
+
+        return {
+            categories: shape(categories, 'category'),
+            sources: shape(sources, 'source'),
+            campaigns: shape(campaigns, 'utm')
+        };
+    }
+
+    /**
+     * Sessions per engagement score bucket
+     */
+    async getEngagementDistribution({ from, to }) {
+        const buckets = await VisitorSession.aggregate([
+            { $match: { firstSeenAt: { $gte: from, $lte: to } } },
+            {
+                $bucket: {
+                    groupBy: '$engagementScore',
+                    boundaries: [...ENGAGEMENT_BUCKETS.map(b => b.min), 101],
+                    default: 'other',
+                    output: { sessions: { $sum: 1 } }
+                }
+            }
+        ]);
+
+        const total = buckets.reduce((sum, b) => sum + b.sessions, 0);
+        return ENGAGEMENT_BUCKETS.map(bucket => {
+            const sessions = buckets.find(b => b._id === bucket.min)?.sessions || 0;
+            return {
+                label: bucket.label,
+                min: bucket.min,
+                max: Math.min(bucket.max, 100),
+                sessions,
+                percent: total ? Math.round((sessions / total) * 1000) / 10 : 0
+            };
+        });
+    }
+
+    /**
+     * Sessions by city
+     */
+    async getTopLocations({ from, to, limit = 10 }) {
+        const locations = await VisitorSession.aggregate([
+            { $match: { firstSeenAt: { $gte: from, $lte: to }, 'location.city': { $ne: null } } },
+            {
+                $group: {
+                    _id: { city: '$location.city', region: '$location.region', country: '$location.country' },
+                    sessions: { $sum: 1 }
+                }
+            },
+            { $sort: { sessions: -1 } },
+            { $limit: parseInt(limit) || 10 }
+        ]);
+
+        return locations.map(l => ({ ...l._id, sessions: l.sessions }));
+    }
+}
+
+// Export singleton instance
+module.exports = new VisitorAnalyticsService();
@@ -0,0 +1,163 @@
+/**
+ * Visitor Journey Service
+ * Ties anonymous website sessions (VisitorSession) to the lead created when
+ * the visitor submits a contact form, and summarizes the pre-conversion journey.
+ *
+ * Forms send the persistent visitorId and current sessionId set by
+ * public/js/visitor-tracker.js; later sessions from the same visitor are
+ * attached as they arrive.
+ */
+
+const mongoose = require('mongoose');
+const VisitorSession = require('../models/VisitorSession');
+const leadScoringService = require('./leadScoringService');
+
+// The Lead model is registered by server.js
+const getLeadModel = () => mongoose.model('Lead');
+
+const MAX_ID_LENGTH = 100;
+
+// Client supplied ids are only trusted as plain, bounded strings
+const cleanId = (value) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, MAX_ID_LENGTH) : null);
+
+class VisitorJourneyService {
+    /**
+     * Attach a visitor's sessions to a newly created lead and store the journey summary
+     * @param {Object} lead - Lead document
+     * @param {Object} ids - { visitorId, sessionId } from the contact form
+     * @returns {Promise<Object|null>} Journey summary, or null when there is nothing to link
+     */
+    async linkLead(lead, { visitorId, sessionId } = {}) {
+        visitorId = cleanId(visitorId);
+        sessionId = cleanId(sessionId);
+        if (!visitorId && !sessionId) return null;
+
+        const match = [];
+        if (visitorId) match.push({ visitorId });
+        if (sessionId) match.push({ sessionId });
+
+        // Sessions already claimed by another lead (shared browser) are left alone
+        const result = await VisitorSession.updateMany(
+            { $or: match, $and: [{ $or: [{ lead: null }, { lead: lead._id }] }] },
+            { $set: { lead: lead._id } }
+        );
+
+        const sessions = await VisitorSession.find({ lead: lead._id }).sort({ firstSeenAt: 1 });
+        const journey = this.summarize(sessions, lead.createdAt);
+
+        await getLeadModel().updateOne(
+            { _id: lead._id },
+            { $set: { visitorId: visitorId || sessions[0]?.visitorId, journey } }
+        );
+
+        console.log(`🧭 Linked ${result.modifiedCount} visitor session(s) to lead ${lead._id}`);
+        if (result.modifiedCount > 0) await leadScoringService.rescore(lead._id);
+        return journey;
+    }
+
+    /**
+     * Link a new session to its visitor's lead when the visitor has already converted
+     * @param {Object} session - VisitorSession document
+     */
+    async attachToKnownLead(session) {
+        if (!session || session.lead || !session.visitorId) return session;
+
+        const converted = await VisitorSession.findOne({
+            visitorId: session.visitorId,
+            lead: { $ne: null }
+        }).select('lead');
+        if (!converted) return session;
+
+        session.lead = converted.lead;
+        await VisitorSession.updateOne({ _id: session._id }, { $set: { lead: converted.lead } });
+        await leadScoringService.rescore(converted.lead);
+        return session;
+    }
+
+    /**
+     * Journey summary from a lead's sessions, oldest first
+     * @param {Array} sessions - VisitorSession documents
+     * @param {Date} convertedAt - When the lead was created; later sessions are not counted
+     */
+    summarize(sessions, convertedAt = new Date()) {
+        const before = sessions.filter(s => s.firstSeenAt <= convertedAt);
+        if (before.length === 0) return { sessions: 0, pageViews: 0, timeOnSite: 0 };
+
+        const first = before[0];
+        const last = before[before.length - 1];
+
+        return {
+            firstTouch: this.touch(first),
+            lastTouch: this.touch(last),
+            firstSeenAt: first.firstSeenAt,
+            sessions: before.length,
+            pageViews: before.reduce((sum, s) => sum + (s.pageViewCount || 0), 0),
+            timeOnSite: before.reduce((sum, s) => sum + this.sessionDuration(s), 0)
+        };
+    }
+
+    /**
+     * How a session arrived
+     */
+    touch(session) {
+        return {
+            source: session.trafficSource,
+            category: session.sourceCategory,
+            landingPage: session.landingPage,
+            referrer: session.referrer,
+            utm: session.utm && session.utm.source ? session.utm : undefined,
+            at: session.firstSeenAt
+        };
+    }
+
+    /**
+     * Seconds spent in a session - measured time on page, or first to last hit when pages weren't timed
+     */
+    sessionDuration(session) {
+        const timed = (session.pageViews || []).reduce((sum, view) => sum + (view.behavior?.timeOnPage || 0), 0);
+        if (timed > 0) return timed;
+        return Math.max(0, Math.round((session.lastSeenAt - session.firstSeenAt) / 1000)) || 0;
+    }
+
+    /**
+     * Full journey for the lead detail view
+     * @param {string} leadId
+     * @returns {Promise<Object|null>} { visitorId, summary, sessions } or null when the lead doesn't exist
+     */
+    async getLeadJourney(leadId) {
+        const lead = await getLeadModel().findById(leadId).select('visitorId journey createdAt');
+        if (!lead) return null;
+
+        const sessions = await VisitorSession.find({ lead: lead._id }).sort({ firstSeenAt: 1 }).lean();
+
+        return {
+            visitorId: lead.visitorId,
+            convertedAt: lead.createdAt,
+            summary: this.summarize(sessions, lead.createdAt),
+            sessions: sessions.map(s => ({
+                sessionId: s.sessionId,
+                firstSeenAt: s.firstSeenAt,
+                lastSeenAt: s.lastSeenAt,
+                afterConversion: s.firstSeenAt > lead.createdAt,
+                source: s.trafficSource,
+                category: s.sourceCategory,
+                landingPage: s.landingPage,
+                referrer: s.referrer,
+                utm: s.utm,
+                deviceType: s.deviceType,
+                location: s.location,
+                duration: this.sessionDuration(s),
+                pageViews: (s.pageViews || []).map(view => ({
+                    page: view.page,
+                    title: view.title,
+                    viewedAt: view.viewedAt,
+                    timeOnPage: view.behavior?.timeOnPage,
+                    scrollDepth: view.behavior?.maxScrollDepth
+                }))
+            }))
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new VisitorJourneyService();
@@ -104,6 +104,20 @@ function validatePhoneNumber(phone) {
     return { valid: false, error: 'Invalid phone number format' };
 }
 
+/**
+ * Regex matching a stored phone number in any formatting
+ * Stored phones mix separators and country codes, so allow any non-digits
+ * between the last 10 digits
+ * @param {string} phone - Raw phone number
+ * @returns {string|null} - Pattern for $regex, or null if not a US number
+ */
+function buildPhoneRegex(phone) {
+    const digits = getDbPhoneNumber(phone);
+    if (!digits) return null;
+
+    return digits.split('').join('\\D*') + '$';
+}
+
 /**
  * Check if two phone numbers are the same
  * @param {string} phone1 - First phone number
@@ -121,5 +135,6 @@ module.exports = {
     getDbPhoneNumber,
     formatPhoneForDisplay,
     validatePhoneNumber,
+    buildPhoneRegex,
     arePhoneNumbersEqual
 };
\ No newline at end of file
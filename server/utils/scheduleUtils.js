@@ -0,0 +1,101 @@
+/**
+ * Send-time utilities for scheduled and automated messages
+ */
+
+const moment = require('moment-timezone');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Phoenix';
+const BUSINESS_START_HOUR = parseInt(process.env.BUSINESS_START_HOUR, 10) || 9;
+const BUSINESS_END_HOUR = parseInt(process.env.BUSINESS_END_HOUR, 10) || 17;
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// US state -> timezone, for contacts without an explicit timezone
+const STATE_TIMEZONES = {
+    'America/New_York': ['CT', 'DC', 'DE', 'FL', 'GA', 'IN', 'MA', 'MD', 'ME', 'MI', 'NC', 'NH', 'NJ', 'NY', 'OH', 'PA', 'RI', 'SC', 'VA', 'VT', 'WV', 'KY'],
+    'America/Chicago': ['AL', 'AR', 'IA', 'IL', 'KS', 'LA', 'MN', 'MO', 'MS', 'ND', 'NE', 'OK', 'SD', 'TN', 'TX', 'WI'],
+    'America/Denver': ['CO', 'ID', 'MT', 'NM', 'UT', 'WY'],
+    'America/Phoenix': ['AZ'],
+    'America/Los_Angeles': ['CA', 'NV', 'OR', 'WA'],
+    'America/Anchorage': ['AK'],
+    'Pacific/Honolulu': ['HI']
+};
+
+const timezoneByState = Object.fromEntries(
+    Object.entries(STATE_TIMEZONES).flatMap(([timezone, states]) => states.map(state => [state, timezone]))
+);
+
+/**
+ * Best-known timezone for a lead or customer
+ * @param {Object} contact - Lead or Customer (uses timezone, then address.state)
+ * @returns {string|null} - IANA timezone name
+ */
+function getContactTimezone(contact) {
+    if (contact?.timezone && moment.tz.zone(contact.timezone)) {
+        return contact.timezone;
+    }
+    const state = contact?.address?.state?.trim().toUpperCase();
+    return timezoneByState[state] || null;
+}
+
+/**
+ * Convert SMSTemplate.schedulingRules into a send window
+ * @param {Object} rules - { allowWeekends, businessHoursOnly, timezone, optimalSendTimes }
+ * @param {string} contactTimezone - Overrides the template timezone when known
+ */
+function rulesToWindow(rules = {}, contactTimezone) {
+    return {
+        timezone: contactTimezone || rules.timezone || DEFAULT_TIMEZONE,
+        days: rules.allowWeekends === false ? WEEKDAYS : ALL_DAYS,
+        startHour: rules.businessHoursOnly ? BUSINESS_START_HOUR : 0,
+        endHour: rules.businessHoursOnly ? BUSINESS_END_HOUR : 24,
+        times: rules.optimalSendTimes || []
+    };
+}
+
+/**
+ * Earliest time at or after `date` that a send window allows
+ * @param {Date} date - Requested send time
+ * @param {Object} window - { timezone, days (0 = Sunday), startHour, endHour, times: ["HH:mm"] }
+ *                          When `times` is set, sends snap to the next listed time inside the window.
+ * @returns {Date}
+ */
+function getNextSendTime(date, window) {
+    const { timezone = DEFAULT_TIMEZONE, days = ALL_DAYS, startHour = 0, endHour = 24, times = [] } = window;
+    const local = moment(date).tz(timezone);
+
+    for (let offset = 0; offset <= 7; offset++) {
+        const day = local.clone().add(offset, 'days').startOf('day');
+        if (!days.includes(day.day())) continue;
+
+        const opens = day.clone().hour(startHour);
+        const closes = day.clone().add(endHour, 'hours');
+
+        if (times.length > 0) {
+            const slots = times
+                .map(time => {
+                    const [hour, minute] = time.split(':').map(Number);
+                    return day.clone().hour(hour).minute(minute || 0);
+                })
+                .filter(slot => slot.isValid() && !slot.isBefore(opens) && slot.isBefore(closes))
+                .sort((a, b) => a - b);
+
+            const slot = slots.find(s => !s.isBefore(local));
+            if (slot) return slot.toDate();
+            continue;
+        }
+
+        if (local.isBefore(opens)) return opens.toDate();
+        if (local.isBefore(closes)) return date;
+    }
+
+    // No usable window configured - send without restriction
+    return date;
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    getContactTimezone,
+    rulesToWindow,
+    getNextSendTime
+};
@@ -0,0 +1,56 @@
+/**
+ * Signed click-tracking links for outgoing emails
+ * The click endpoint only redirects to destinations signed here, so it can't
+ * be used as an open redirect.
+ */
+
+const crypto = require('crypto');
+
+// Must stay the same across restarts - links in sent emails carry the signature
+const getSecret = () => process.env.EMAIL_TRACKING_SECRET || process.env.JWT_SECRET || 'townranker-secret-key-2024';
+
+/**
+ * Signature for a destination within one email
+ * @param {string} trackingId - Tracking id of the email
+ * @param {string} url - Original link destination
+ * @returns {string} - Hex HMAC
+ */
+function signTrackingLink(trackingId, url) {
+    return crypto
+        .createHmac('sha256', getSecret())
+        .update(`${trackingId}:${url}`)
+        .digest('hex');
+}
+
+/**
+ * Check a click's signature
+ * @param {string} trackingId - Tracking id from the link
+ * @param {string} url - Destination from the link
+ * @param {string} signature - sig from the link
+ * @returns {boolean} - True if the link was signed for this email
+ */
+function verifyTrackingLink(trackingId, url, signature) {
+    if (typeof url !== 'string' || typeof signature !== 'string') return false;
+
+    const expected = Buffer.from(signTrackingLink(trackingId, url), 'hex');
+    const given = Buffer.from(signature, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Tracked URL that records the click and redirects to the destination
+ * @param {string} baseUrl - Site origin
+ * @param {string} trackingId - Tracking id of the email
+ * @param {string} url - Original link destination
+ * @returns {string}
+ */
+function buildTrackingLink(baseUrl, trackingId, url) {
+    const sig = signTrackingLink(trackingId, url);
+    return `${baseUrl}/api/crm/emails/track/${trackingId}/click?url=${encodeURIComponent(url)}&sig=${sig}`;
+}
+
+module.exports = {
+    signTrackingLink,
+    verifyTrackingLink,
+    buildTrackingLink
+};